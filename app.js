@@ -94,6 +94,12 @@ app.get('/test', (req, res) => {
 // Pesapal callback route (must be at root level, called by Pesapal)
 const orderController = require('./controllers/orderController');
 app.get('/pesapal/callback', orderController.pesapalCallbackHandler);
+// Pesapal IPN (server-to-server, GET or POST depending on the IPN registration)
+app.get('/pesapal/ipn', orderController.pesapalIpnHandler);
+app.post('/pesapal/ipn', orderController.pesapalIpnHandler);
+// Payment provider webhooks (mobile money, fake test provider; Pesapal also accepted here)
+const paymentController = require('./controllers/paymentController');
+app.post('/payments/:provider/webhook', paymentController.webhook);
 // Also handle root callback in case Pesapal sends it there
 app.get('/', (req, res, next) => {
   // Check if this is a Pesapal callback
@@ -143,6 +149,36 @@ app.use('/api/coupons', require('./routes/coupon'));
 // Delivery charge routes
 app.use('/api/delivery-charges', require('./routes/deliveryCharge'));
 
+// Delivery zone routes
+app.use('/api/delivery-zones', require('./routes/deliveryZone'));
+
+// Refill subscription routes
+app.use('/api/subscriptions', require('./routes/subscription'));
+
+// Refill prediction routes
+app.use('/api/refill-predictions', require('./routes/refillPrediction'));
+
+// Background job routes
+app.use('/api/jobs', require('./routes/job'));
+
+// Payment event routes
+app.use('/api/payment-events', require('./routes/paymentEvent'));
+
+// Refund routes
+app.use('/api/refunds', require('./routes/refund'));
+
+// COD cash ledger routes
+app.use('/api/cash', require('./routes/cash'));
+
+// Customer wallet routes
+app.use('/api/wallet', require('./routes/wallet'));
+
+// Payment methods and gateway payments
+app.use('/api/payments', require('./routes/payment'));
+
+// Tax invoices and credit notes register (PDFs are under /api/orders/:id)
+app.use('/api/invoices', require('./routes/invoice'));
+
 // Public routes for Terms & Conditions and Privacy Policy
 app.use('/api/public', require('./routes/public'));
 
@@ -112,6 +112,65 @@ const emailTemplates = {
     `
   }),
 
+  refundCompleted: (orderData, refund) => ({
+    subject: `Refund Processed - ${orderData.orderNumber}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #27ae60;">Refund Processed</h2>
+        <p>Dear ${orderData.customerName},</p>
+        <p>A refund for your order has been processed.</p>
+        
+        <div style="background: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <h3>Refund Details:</h3>
+          <p><strong>Order Number:</strong> ${orderData.orderNumber}</p>
+          <p><strong>Amount:</strong> KSH${parseFloat(refund.amount).toFixed(2)}</p>
+          <p><strong>Reason:</strong> ${refund.reason}</p>
+          ${refund.reference ? `<p><strong>Reference:</strong> ${refund.reference}</p>` : ''}
+        </div>
+        
+        <p>Depending on your payment method it can take a few days for the money to reach you.</p>
+      </div>
+    `
+  }),
+
+  // Tax invoice of a delivered order, PDF attached
+  invoiceIssued: (orderData, invoice, pdf) => ({
+    subject: `Invoice ${invoice.number} - Order ${orderData.orderNumber}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #2c3e50;">Your Invoice</h2>
+        <p>Dear ${orderData.customerName},</p>
+        <p>Thank you for your order. Your tax invoice is attached.</p>
+        
+        <div style="background: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <p><strong>Invoice Number:</strong> ${invoice.number}</p>
+          <p><strong>Order Number:</strong> ${orderData.orderNumber}</p>
+          <p><strong>Total Amount:</strong> KSH${parseFloat(invoice.totalAmount).toFixed(2)}</p>
+        </div>
+      </div>
+    `,
+    attachments: [{ filename: `${invoice.number}.pdf`, content: pdf, contentType: 'application/pdf' }]
+  }),
+
+  // Credit note of an approved return, PDF attached
+  creditNoteIssued: (orderData, creditNote, pdf) => ({
+    subject: `Credit Note ${creditNote.number} - Order ${orderData.orderNumber}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #2c3e50;">Credit Note</h2>
+        <p>Dear ${orderData.customerName},</p>
+        <p>Your return has been approved and the invoice for your order has been credited. The credit note is attached.</p>
+        
+        <div style="background: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <p><strong>Credit Note Number:</strong> ${creditNote.number}</p>
+          <p><strong>Order Number:</strong> ${orderData.orderNumber}</p>
+          <p><strong>Amount Credited:</strong> KSH${parseFloat(creditNote.totalAmount).toFixed(2)}</p>
+        </div>
+      </div>
+    `,
+    attachments: [{ filename: `${creditNote.number}.pdf`, content: pdf, contentType: 'application/pdf' }]
+  }),
+
   // OTP for customer/agent login
   loginOTP: (data) => ({
     subject: `Login OTP - LPG Gas App`,
@@ -186,15 +245,17 @@ const emailTemplates = {
 };
 
 // Send email function
-const sendEmail = async (to, template, data) => {
+const sendEmail = async (to, template, data, ...templateArgs) => {
   try {
-    const emailContent = emailTemplates[template](data);
+    // Extra arguments (e.g. a cancellation reason) are passed on to the template
+    const emailContent = emailTemplates[template](data, ...templateArgs);
     
     const mailOptions = {
       from: process.env.EMAIL_USER,
       to: to,
       subject: emailContent.subject,
-      html: emailContent.html
+      html: emailContent.html,
+      ...(emailContent.attachments && { attachments: emailContent.attachments })
     };
 
     const result = await transporter.sendMail(mailOptions);
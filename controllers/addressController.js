@@ -4,6 +4,9 @@ const { addAddress, updateAddress } = require('../validations/addressValidation'
 const { createError } = require('../utils/errorHandler');
 const logger = require('../utils/logger');
 const notificationService = require('../services/notificationService');
+const geocodingService = require('../services/geocodingService');
+const serviceAreaService = require('../services/serviceAreaService');
+const { hasCoordinates } = require('../services/distanceProviders/providerUtils');
 
 // Add new address to user profile
 const addAddressHandler = async (req, res, next) => {
@@ -24,11 +27,11 @@ const addAddressHandler = async (req, res, next) => {
     // Get existing addresses or initialize empty array
     const existingAddresses = user.addresses || [];
     
-    // Add new address with unique ID
-    const newAddress = {
+    // Add new address with unique ID; coordinates come from the app or are geocoded once here
+    const newAddress = await geocodingService.withCoordinates({
       id: `addr-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
       ...value
-    };
+    });
 
     // Add to addresses array
     const updatedAddresses = [...existingAddresses, newAddress];
@@ -122,10 +125,23 @@ const updateAddressHandler = async (req, res, next) => {
     }
 
     // Update the address
-    addresses[addressIndex] = {
+    const mergedAddress = {
       ...addresses[addressIndex],
       ...value
     };
+
+    // New coordinates from the app replace the stored ones; a changed address text without them is geocoded again
+    const textChanged = ['address', 'city', 'pincode'].some(
+      field => value[field] !== undefined && value[field] !== addresses[addressIndex][field]
+    );
+    if (hasCoordinates(value)) {
+      mergedAddress.locationSource = 'app';
+    } else if (textChanged) {
+      mergedAddress.latitude = null;
+      mergedAddress.longitude = null;
+    }
+
+    addresses[addressIndex] = await geocodingService.withCoordinates(mergedAddress);
     
     // Use direct SQL update to ensure persistence
     const [results] = await sequelize.query(
@@ -280,11 +296,14 @@ const updateAllAddressesHandler = async (req, res, next) => {
       }
     }
 
-    // Add unique IDs to addresses that don't have them
-    const updatedAddresses = addresses.map(addr => ({
-      id: addr.id || `addr-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
-      ...addr
-    }));
+    // Add unique IDs to addresses that don't have them, and coordinates to those missing them
+    const updatedAddresses = [];
+    for (const addr of addresses) {
+      updatedAddresses.push(await geocodingService.withCoordinates({
+        id: addr.id || `addr-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+        ...addr
+      }));
+    }
 
     // Update user with new addresses array
     await user.update({ addresses: updatedAddresses });
@@ -324,10 +343,64 @@ const updateAllAddressesHandler = async (req, res, next) => {
   }
 };
 
+// Get active agencies that deliver to a saved address
+const getServingAgenciesHandler = async (req, res, next) => {
+  try {
+    const { addressId } = req.params;
+    const userId = req.user.userId;
+    const user = await User.findByPk(userId);
+
+    if (!user) {
+      return next(createError(404, 'User not found'));
+    }
+
+    const addresses = user.addresses || [];
+    const addressIndex = addresses.findIndex(addr => addr.id === addressId);
+
+    if (addressIndex === -1) {
+      return next(createError(404, 'Address not found'));
+    }
+
+    // Addresses saved before coordinates were captured are geocoded now and stored for next time
+    let address = addresses[addressIndex];
+    if (!hasCoordinates(address)) {
+      address = await geocodingService.withCoordinates(address);
+      if (hasCoordinates(address)) {
+        addresses[addressIndex] = address;
+        await sequelize.query(
+          'UPDATE users SET addresses = :addresses WHERE id = :userId',
+          {
+            replacements: {
+              addresses: JSON.stringify(addresses),
+              userId: userId
+            },
+            type: sequelize.QueryTypes.UPDATE
+          }
+        );
+      }
+    }
+
+    const agencies = await serviceAreaService.findServingAgencies(serviceAreaService.toAddressPoint(address));
+
+    res.status(200).json({
+      success: true,
+      message: agencies.length > 0 ? 'Serving agencies retrieved successfully' : 'No agency delivers to this address yet',
+      data: {
+        address,
+        agencies,
+        totalCount: agencies.length
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   addAddressHandler,
   getAddressesHandler,
   updateAddressHandler,
   deleteAddressHandler,
-  updateAllAddressesHandler
+  updateAllAddressesHandler,
+  getServingAgenciesHandler
 };
@@ -8,12 +8,13 @@ const {
   Coupon,
   DeliveryCharge
 } = require('../models');
-const { createAgency, updateAgency } = require('../validations/agencyValidation');
+const { createAgency, updateAgency, updateOrderSettings } = require('../validations/agencyValidation');
 const { createError } = require('../utils/errorHandler');
 const logger = require('../utils/logger');
 const crypto = require('crypto');
 const bcrypt = require('bcrypt');
 const notificationService = require('../services/notificationService');
+const paymentGatewayService = require('../services/paymentGatewayService');
 
 // Admin guard helper
 const ensureAdmin = async (userId) => {
@@ -509,7 +510,7 @@ const listActive = async (req, res, next) => {
       order: [['createdAt', 'DESC']], 
       limit, 
       offset,
-      attributes: ['id', 'name', 'email', 'phone', 'addressTitle', 'address', 'city', 'pincode', 'landmark', 'profileImage', 'status', 'createdAt'] // Exclude sensitive fields
+      attributes: ['id', 'name', 'email', 'phone', 'addressTitle', 'address', 'city', 'pincode', 'landmark', 'profileImage', 'status', 'pickupEnabled', 'createdAt'] // Exclude sensitive fields
     });
 
     // Transform the response to include agencyId field
@@ -1053,6 +1054,44 @@ const remove = async (req, res, next) => {
   }
 };
 
+// Update order handling settings (admin or the agency's own owner)
+const updateSettings = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (req.user.role !== 'admin' && !(req.user.role === 'agency_owner' && req.user.agencyId === id)) {
+      return next(createError(403, 'Access denied. You can only update settings for your own agency'));
+    }
+
+    const { error, value } = updateOrderSettings.validate(req.body);
+    if (error) return next(createError(400, error.details[0].message));
+
+    const agency = await Agency.findByPk(id);
+    if (!agency) return next(createError(404, 'Agency not found'));
+
+    await agency.update(value);
+
+    logger.info(`Order settings updated for agency ${agency.name}: ${JSON.stringify(value)}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Agency order settings updated successfully',
+      data: {
+        agencyId: agency.id,
+        autoAcceptOrders: agency.autoAcceptOrders,
+        autoAssignAgents: agency.autoAssignAgents,
+        pickupEnabled: agency.pickupEnabled,
+        dispatchStrategy: agency.dispatchStrategy,
+        dispatchTimeoutSeconds: agency.dispatchTimeoutSeconds,
+        paymentMethods: agency.paymentMethods,
+        acceptedPaymentMethods: paymentGatewayService.getAgencyMethods(agency)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   create,
   confirm,
@@ -1061,6 +1100,7 @@ module.exports = {
   getById,
   update,
   updateStatus,
+  updateSettings,
   remove
 };
 
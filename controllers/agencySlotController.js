@@ -0,0 +1,244 @@
+const { Op } = require('sequelize');
+const { Agency, Order } = require('../models');
+const { createSlot, updateSlot } = require('../validations/agencyValidation');
+const { createError } = require('../utils/errorHandler');
+const {
+  SLOT_RELEASED_STATUSES,
+  generateSlotId,
+  findSlot,
+  getSlotsWithAvailability,
+  groupOrdersBySlot,
+  toDateString
+} = require('../utils/slotUtils');
+const logger = require('../utils/logger');
+
+const SLOT_TYPES = {
+  delivery: 'deliverySlots',
+  pickup: 'pickupSlots'
+};
+
+// Only admin or the agency's own owner can manage its slots
+const ensureAgencyManager = (user, agencyId) => {
+  if (user.role === 'admin') return;
+  if (user.role === 'agency_owner' && user.agencyId === agencyId) return;
+  throw createError(403, 'Access denied. Only admin or the agency owner can manage slots');
+};
+
+// List slots for an agency. With ?date=YYYY-MM-DD returns only slots open that day with remaining capacity
+const listSlots = async (req, res, next, slotType) => {
+  try {
+    const { id } = req.params;
+    const { date } = req.query;
+
+    if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return next(createError(400, 'Date must be in YYYY-MM-DD format'));
+    }
+
+    const agency = await Agency.findByPk(id);
+    if (!agency) return next(createError(404, 'Agency not found'));
+
+    const slots = await getSlotsWithAvailability(agency, SLOT_TYPES[slotType], date);
+
+    res.status(200).json({
+      success: true,
+      message: `${slotType === 'delivery' ? 'Delivery' : 'Pickup'} slots retrieved successfully`,
+      data: {
+        agencyId: agency.id,
+        date: date || null,
+        slots
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Add a slot to an agency
+const addSlot = async (req, res, next, slotType) => {
+  try {
+    const { id } = req.params;
+    ensureAgencyManager(req.user, id);
+
+    const { error, value } = createSlot.validate(req.body);
+    if (error) return next(createError(400, error.details[0].message));
+
+    const agency = await Agency.findByPk(id);
+    if (!agency) return next(createError(404, 'Agency not found'));
+
+    const slotField = SLOT_TYPES[slotType];
+    const slot = { id: generateSlotId(), ...value };
+    const slots = [...(agency[slotField] || []), slot];
+
+    await agency.update({ [slotField]: slots });
+
+    logger.info(`${slotType} slot added for agency ${agency.name}: ${slot.startTime}-${slot.endTime}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Slot added successfully',
+      data: { slot, slots }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Update a slot. Existing bookings keep the times stored on their orders
+const editSlot = async (req, res, next, slotType) => {
+  try {
+    const { id, slotId } = req.params;
+    ensureAgencyManager(req.user, id);
+
+    const { error, value } = updateSlot.validate(req.body);
+    if (error) return next(createError(400, error.details[0].message));
+
+    const agency = await Agency.findByPk(id);
+    if (!agency) return next(createError(404, 'Agency not found'));
+
+    const slotField = SLOT_TYPES[slotType];
+    const existing = findSlot(agency[slotField], slotId);
+    if (!existing) return next(createError(404, 'Slot not found'));
+
+    const updated = { ...existing, ...value };
+    if (updated.endTime <= updated.startTime) {
+      return next(createError(400, 'End time must be after start time'));
+    }
+
+    const slots = agency[slotField].map(slot => (slot.id === slotId ? updated : slot));
+    await agency.update({ [slotField]: slots });
+
+    logger.info(`${slotType} slot updated for agency ${agency.name}: ${slotId}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Slot updated successfully',
+      data: { slot: updated, slots }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Remove a slot
+const removeSlot = async (req, res, next, slotType) => {
+  try {
+    const { id, slotId } = req.params;
+    ensureAgencyManager(req.user, id);
+
+    const agency = await Agency.findByPk(id);
+    if (!agency) return next(createError(404, 'Agency not found'));
+
+    const slotField = SLOT_TYPES[slotType];
+    if (!findSlot(agency[slotField], slotId)) {
+      return next(createError(404, 'Slot not found'));
+    }
+
+    const slots = agency[slotField].filter(slot => slot.id !== slotId);
+    await agency.update({ [slotField]: slots });
+
+    logger.info(`${slotType} slot removed for agency ${agency.name}: ${slotId}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Slot deleted successfully',
+      data: { slots }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Pickup queue for a day (defaults to today): pickup orders grouped by slot with handover state.
+// Handover uses the order OTP flow: POST /api/orders/:id/send-otp then /api/orders/:id/verify-otp
+const getPickupQueue = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    ensureAgencyManager(req.user, id);
+
+    const date = req.query.date || toDateString(new Date());
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return next(createError(400, 'Date must be in YYYY-MM-DD format'));
+    }
+
+    const agency = await Agency.findByPk(id);
+    if (!agency) return next(createError(404, 'Agency not found'));
+
+    const orders = await Order.findAll({
+      where: {
+        agencyId: id,
+        deliveryMode: 'pickup',
+        slotDate: date,
+        status: { [Op.notIn]: SLOT_RELEASED_STATUSES }
+      },
+      order: [['slotStartTime', 'ASC'], ['createdAt', 'ASC']]
+    });
+
+    const now = new Date();
+    const queue = orders.map(order => ({
+      id: order.id,
+      orderNumber: order.orderNumber,
+      customerName: order.customerName,
+      customerPhone: order.customerPhone,
+      items: order.items,
+      totalAmount: order.totalAmount,
+      paymentMethod: order.paymentMethod,
+      paymentStatus: order.paymentStatus,
+      status: order.status,
+      slotId: order.slotId,
+      slotDate: order.slotDate,
+      slotStartTime: order.slotStartTime,
+      slotEndTime: order.slotEndTime,
+      handover: {
+        collected: order.status === 'delivered',
+        otpActive: !!order.deliveryOTP && !!order.otpExpiresAt && new Date(order.otpExpiresAt) > now,
+        otpExpiresAt: order.otpExpiresAt,
+        sendOtpUrl: `/api/orders/${order.id}/send-otp`,
+        verifyOtpUrl: `/api/orders/${order.id}/verify-otp`
+      }
+    }));
+
+    const slots = await getSlotsWithAvailability(agency, 'pickupSlots', date);
+
+    res.status(200).json({
+      success: true,
+      message: 'Pickup queue retrieved successfully',
+      data: {
+        agencyId: agency.id,
+        date,
+        slots,
+        queue: groupOrdersBySlot(queue),
+        summary: {
+          total: queue.length,
+          collected: queue.filter(entry => entry.handover.collected).length,
+          waiting: queue.filter(entry => !entry.handover.collected).length
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Delivery slot handlers
+const listDeliverySlots = (req, res, next) => listSlots(req, res, next, 'delivery');
+const addDeliverySlot = (req, res, next) => addSlot(req, res, next, 'delivery');
+const updateDeliverySlot = (req, res, next) => editSlot(req, res, next, 'delivery');
+const deleteDeliverySlot = (req, res, next) => removeSlot(req, res, next, 'delivery');
+
+// Pickup slot handlers
+const listPickupSlots = (req, res, next) => listSlots(req, res, next, 'pickup');
+const addPickupSlot = (req, res, next) => addSlot(req, res, next, 'pickup');
+const updatePickupSlot = (req, res, next) => editSlot(req, res, next, 'pickup');
+const deletePickupSlot = (req, res, next) => removeSlot(req, res, next, 'pickup');
+
+module.exports = {
+  listDeliverySlots,
+  addDeliverySlot,
+  updateDeliverySlot,
+  deleteDeliverySlot,
+  listPickupSlots,
+  addPickupSlot,
+  updatePickupSlot,
+  deletePickupSlot,
+  getPickupQueue
+};
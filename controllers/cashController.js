@@ -0,0 +1,251 @@
+const { AgentCashEntry, CashHandover, DeliveryAgent, Order } = require('../models');
+const { recordHandover, disputeHandover, adjustBalance, reconciliationQuery } = require('../validations/cashValidation');
+const { createError } = require('../utils/errorHandler');
+const { toDateString } = require('../utils/slotUtils');
+const logger = require('../utils/logger');
+const cashLedgerService = require('../services/cashLedgerService');
+
+// Admins see every agent, agency owners their own agents, agents themselves
+const findAccessibleAgent = async (user, agentId) => {
+  const agent = await DeliveryAgent.findByPk(agentId, { attributes: ['id', 'name', 'phone', 'agencyId', 'cashInHand'] });
+  if (!agent) {
+    throw createError(404, 'Delivery agent not found');
+  }
+
+  if (user.role === 'admin') return agent;
+  if (user.role === 'agency_owner' && agent.agencyId === user.agencyId) return agent;
+  if (user.role === 'agent' && agent.id === user.deliveryAgentId) return agent;
+
+  throw createError(403, 'Access denied');
+};
+
+const pagination = (page, limit, count) => ({
+  currentPage: parseInt(page),
+  totalPages: Math.ceil(count / limit),
+  totalItems: count,
+  itemsPerPage: parseInt(limit)
+});
+
+// Cash in hand per agent (Admin: all or ?agencyId, Agency Owner: own agency)
+const getAgents = async (req, res, next) => {
+  try {
+    const agencyId = req.user.role === 'agency_owner' ? req.user.agencyId : req.query.agencyId || null;
+    const summary = await cashLedgerService.getAgencySummary(agencyId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Agent cash balances retrieved successfully',
+      data: summary
+    });
+  } catch (error) {
+    logger.error('Error fetching agent cash balances:', error);
+    next(error);
+  }
+};
+
+// Own cash in hand and handovers waiting for signature (Agent)
+const getMyCash = async (req, res, next) => {
+  try {
+    if (!req.user.deliveryAgentId) {
+      return next(createError(400, 'Agent profile not properly linked. Please contact admin.'));
+    }
+
+    const [summary, pendingHandovers] = await Promise.all([
+      cashLedgerService.getAgentSummary(req.user.deliveryAgentId),
+      CashHandover.findAll({
+        where: { agentId: req.user.deliveryAgentId, status: 'pending_signature' },
+        order: [['createdAt', 'ASC']]
+      })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      message: 'Cash summary retrieved successfully',
+      data: { ...summary, handoversToSign: pendingHandovers }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Ledger entries of one agent
+const getLedger = async (req, res, next) => {
+  try {
+    const agent = await findAccessibleAgent(req.user, req.params.agentId);
+    const { page = 1, limit = 20, type } = req.query;
+    const offset = (page - 1) * limit;
+
+    const where = { agentId: agent.id };
+    if (type) where.type = type;
+
+    const { count, rows } = await AgentCashEntry.findAndCountAll({
+      where,
+      include: [{ model: Order, as: 'Order', attributes: ['id', 'orderNumber', 'customerName', 'totalAmount'] }],
+      order: [['createdAt', 'DESC']],
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Cash ledger retrieved successfully',
+      data: {
+        agent,
+        entries: rows,
+        pagination: pagination(page, limit, count)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// List handovers (Admin: all, Agency Owner: own agency, Agent: own)
+const getHandovers = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, status, agentId } = req.query;
+    const offset = (page - 1) * limit;
+
+    const where = {};
+    if (status) where.status = status;
+    if (agentId) where.agentId = agentId;
+
+    if (req.user.role === 'agency_owner') {
+      where.agencyId = req.user.agencyId;
+    } else if (req.user.role === 'agent') {
+      where.agentId = req.user.deliveryAgentId;
+    } else if (req.user.role !== 'admin') {
+      return next(createError(403, 'Access denied'));
+    }
+
+    const { count, rows } = await CashHandover.findAndCountAll({
+      where,
+      include: [{ model: DeliveryAgent, as: 'DeliveryAgent', attributes: ['id', 'name', 'phone'] }],
+      order: [['createdAt', 'DESC']],
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Cash handovers retrieved successfully',
+      data: {
+        handovers: rows,
+        pagination: pagination(page, limit, count)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Record cash received from an agent (Admin, Agency Owner)
+const createHandover = async (req, res, next) => {
+  try {
+    const { error, value } = recordHandover.validate(req.body);
+    if (error) return next(createError(400, error.details[0].message));
+
+    const handover = await cashLedgerService.recordHandover({ ...value, user: req.user });
+
+    res.status(201).json({
+      success: true,
+      message: 'Cash handover recorded, waiting for the agent to sign',
+      data: { handover }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Counter-sign a handover, optionally with a signature image (Agent)
+const signHandover = async (req, res, next) => {
+  try {
+    const handover = await cashLedgerService.signHandover(req.params.id, {
+      signature: req.file && req.file.path ? req.file.path : null,
+      user: req.user
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Cash handover confirmed',
+      data: { handover }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Refuse to sign a handover (Agent)
+const dispute = async (req, res, next) => {
+  try {
+    const { error, value } = disputeHandover.validate(req.body);
+    if (error) return next(createError(400, error.details[0].message));
+
+    const handover = await cashLedgerService.disputeHandover(req.params.id, { reason: value.reason, user: req.user });
+
+    res.status(200).json({
+      success: true,
+      message: 'Cash handover disputed',
+      data: { handover }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Correct an agent's cash in hand (Admin only)
+const adjust = async (req, res, next) => {
+  try {
+    const { error, value } = adjustBalance.validate(req.body);
+    if (error) return next(createError(400, error.details[0].message));
+
+    const entry = await cashLedgerService.adjustBalance({
+      agentId: req.params.agentId,
+      amount: value.amount,
+      note: value.note,
+      user: req.user
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Cash balance adjusted successfully',
+      data: { entry }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Daily COD reconciliation (Admin: all or ?agencyId, Agency Owner: own agency)
+const getReconciliation = async (req, res, next) => {
+  try {
+    const { error, value } = reconciliationQuery.validate(req.query);
+    if (error) return next(createError(400, error.details[0].message));
+
+    const report = await cashLedgerService.getDailyReconciliation({
+      date: value.date || toDateString(new Date()),
+      agencyId: req.user.role === 'agency_owner' ? req.user.agencyId : value.agencyId || null
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Cash reconciliation retrieved successfully',
+      data: report
+    });
+  } catch (error) {
+    logger.error('Error building cash reconciliation:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  getAgents,
+  getMyCash,
+  getLedger,
+  getHandovers,
+  createHandover,
+  signHandover,
+  dispute,
+  adjust,
+  getReconciliation
+};
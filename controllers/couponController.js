@@ -4,6 +4,7 @@ const { Op, Sequelize } = require('sequelize');
 const { User, Notification } = require('../models');
 const notificationService = require('../services/notificationService');
 const logger = require('../utils/logger');
+const { getCouponExpiresAt } = require('../utils/couponUtils');
 
 // Add Coupon (Agency Owner)
 exports.addCoupon = async (req, res, next) => {
@@ -502,33 +503,12 @@ exports.getCustomerCoupons = async (req, res, next) => {
     
     for (const coupon of coupons) {
       try {
-        // Handle different date formats
-        let expiryDateStr = coupon.expiryDate;
-        let expiryTimeStr = coupon.expiryTime;
-        
-        // If expiryDate is a Date object, convert to string
-        if (expiryDateStr instanceof Date) {
-          expiryDateStr = expiryDateStr.toISOString().split('T')[0];
-        } else if (typeof expiryDateStr === 'string') {
-          // Extract just the date part if it includes time
-          expiryDateStr = expiryDateStr.split('T')[0].split(' ')[0];
-        }
-        
-        // Normalize time format (handle HH:MM:SS or HH:MM)
-        if (typeof expiryTimeStr === 'string') {
-          expiryTimeStr = expiryTimeStr.trim();
-          // If time doesn't have seconds, add them
-          if (expiryTimeStr.split(':').length === 2) {
-            expiryTimeStr = expiryTimeStr + ':00';
-          }
-        }
-        
         // Combine expiryDate and expiryTime to create full datetime
-        const expiryDateTime = new Date(`${expiryDateStr}T${expiryTimeStr}`);
+        const expiryDateTime = getCouponExpiresAt(coupon);
         
         // Validate the date was parsed correctly
-        if (isNaN(expiryDateTime.getTime())) {
-          logger.warn(`Invalid expiry date/time for coupon ${coupon.code}: ${expiryDateStr} ${expiryTimeStr}`);
+        if (!expiryDateTime) {
+          logger.warn(`Invalid expiry date/time for coupon ${coupon.code}: ${coupon.expiryDate} ${coupon.expiryTime}`);
           // Skip invalid dates - treat as expired
           expiredCouponIds.push(coupon.id);
           continue;
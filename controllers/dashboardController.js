@@ -1,6 +1,7 @@
 const { Op, fn, col, literal, Sequelize } = require('sequelize');
 const { User, DeliveryAgent, Agency, Product, Order } = require('../models');
 const { createError } = require('../utils/errorHandler');
+const cashLedgerService = require('../services/cashLedgerService');
 
 // Dashboard summary (Admin or Agency Owner)
 const getDashboard = async (req, res, next) => {
@@ -105,6 +106,9 @@ const getDashboard = async (req, res, next) => {
       include: [{ model: DeliveryAgent, as: 'DeliveryAgent', attributes: ['id', 'name', 'email', 'phone'] }]
     });
 
+    // Cash on delivery held by agents - filter by agency for agency owners
+    const cash = await cashLedgerService.getAgencySummary(isAgencyOwner ? agencyId : null);
+
     // Build response
     return res.status(200).json({
       success: true,
@@ -136,7 +140,8 @@ const getDashboard = async (req, res, next) => {
         },
         recent: {
           orders: recentOrders
-        }
+        },
+        cash
       }
     });
   } catch (error) {
@@ -468,8 +468,14 @@ const updateAgentStatus = async (req, res, next) => {
       return next(createError(404, 'Delivery agent not found'));
     }
 
-    // Update status
-    await agent.update({ status: value.status });
+    // Update status (and last known position when the app sends one)
+    const agentUpdate = { status: value.status };
+    if (value.latitude !== undefined) {
+      agentUpdate.lastLatitude = value.latitude;
+      agentUpdate.lastLongitude = value.longitude;
+      agentUpdate.lastLocationAt = new Date();
+    }
+    await agent.update(agentUpdate);
 
     logger.info(`Delivery agent status updated: ${agent.email} - ${value.status}`);
 
@@ -1,9 +1,14 @@
 const { DeliveryCharge, Agency, User, AgencyOwner } = require('../models');
-const { createDeliveryCharge, updateDeliveryCharge } = require('../validations/deliveryChargeValidation');
+const { createDeliveryCharge, updateDeliveryCharge, calculateCharge } = require('../validations/deliveryChargeValidation');
 const { createError } = require('../utils/errorHandler');
 const logger = require('../utils/logger');
-const axios = require('axios');
 const notificationService = require('../services/notificationService');
+const distanceService = require('../services/distanceService');
+const deliveryZoneService = require('../services/deliveryZoneService');
+const serviceAreaService = require('../services/serviceAreaService');
+const geocodingService = require('../services/geocodingService');
+const { hasCoordinates } = require('../services/distanceProviders/providerUtils');
+const { withRuleIds } = require('../utils/deliveryChargeRules');
 
 // Get agency owner ID from request
 const getAgencyOwnerContext = async (userId) => {
@@ -46,6 +51,7 @@ const create = async (req, res, next) => {
     }
 
     // Create delivery charge
+    value.rules = withRuleIds(value.rules);
     const deliveryCharge = await DeliveryCharge.create(value);
 
     logger.info(`Delivery charge created for agency ${value.agencyId}`);
@@ -59,6 +65,7 @@ const create = async (req, res, next) => {
         ratePerKm: deliveryCharge.ratePerKm,
         fixedAmount: deliveryCharge.fixedAmount,
         deliveryRadius: deliveryCharge.deliveryRadius,
+        rules: deliveryCharge.rules,
         status: deliveryCharge.status,
         action: 'created'
       });
@@ -228,6 +235,10 @@ const update = async (req, res, next) => {
       }
     }
 
+    if (value.rules) {
+      value.rules = withRuleIds(value.rules);
+    }
+
     // Update delivery charge
     await deliveryCharge.update(value);
 
@@ -242,6 +253,7 @@ const update = async (req, res, next) => {
         ratePerKm: deliveryCharge.ratePerKm,
         fixedAmount: deliveryCharge.fixedAmount,
         deliveryRadius: deliveryCharge.deliveryRadius,
+        rules: deliveryCharge.rules,
         status: deliveryCharge.status,
         action: 'updated'
       });
@@ -346,119 +358,40 @@ const deleteCharge = async (req, res, next) => {
   }
 };
 
-// Calculate distance between two addresses using Google Maps Distance Matrix API
+// Calculate distance between two points ({ latitude, longitude } and/or { address })
+// using the configured distance providers (see services/distanceService.js)
 const calculateDistance = async (origin, destination) => {
-  try {
-    const apiKey = process.env.GOOGLE_MAPS_API_KEY;
-    
-    // Check if API key is configured
-    if (!apiKey) {
-      logger.error('Google Maps API key is not configured. Please set GOOGLE_MAPS_API_KEY in environment variables.');
-      throw createError(500, 'Google Maps API key is not configured. Please contact administrator.');
-    }
-
-    logger.info(`Calculating distance from ${origin} to ${destination}`);
-    
-    const response = await axios.get('https://maps.googleapis.com/maps/api/distancematrix/json', {
-      params: {
-        origins: origin,
-        destinations: destination,
-        key: apiKey,
-        mode: 'driving',
-        units: 'metric'
-      }
-    });
-
-    // Log API response for debugging
-    logger.debug('Google Maps API response:', {
-      status: response.data.status,
-      error_message: response.data.error_message,
-      origin_addresses: response.data.origin_addresses,
-      destination_addresses: response.data.destination_addresses
-    });
-
-    // Handle different API error statuses
-    if (response.data.status !== 'OK') {
-      const errorMessage = response.data.error_message || 'Unknown error';
-      
-      if (response.data.status === 'REQUEST_DENIED') {
-        logger.error(`Google Maps API REQUEST_DENIED: ${errorMessage}. API Key: ${apiKey.substring(0, 10)}...`);
-        throw createError(500, `Google Maps API access denied. Error: ${errorMessage}. Please check: 1) API key is valid, 2) Distance Matrix API is enabled, 3) Billing is enabled, 4) API key restrictions allow this server IP.`);
-      } else if (response.data.status === 'INVALID_REQUEST') {
-        logger.error(`Google Maps API INVALID_REQUEST: ${errorMessage}`);
-        throw createError(400, `Invalid address format. Please check the addresses. Error: ${errorMessage}`);
-      } else if (response.data.status === 'OVER_QUERY_LIMIT') {
-        logger.error(`Google Maps API OVER_QUERY_LIMIT: ${errorMessage}`);
-        throw createError(500, `Google Maps API quota exceeded. Please contact administrator. Error: ${errorMessage}`);
-      } else {
-        logger.error(`Google Maps API error: ${response.data.status} - ${errorMessage}`);
-        throw createError(500, `Google Maps API error: ${response.data.status}. ${errorMessage}`);
-      }
-    }
-
-    if (!response.data.rows || !response.data.rows[0] || !response.data.rows[0].elements || !response.data.rows[0].elements[0]) {
-      throw createError(500, 'Invalid response from Google Maps API. Please try again.');
-    }
-
-    const result = response.data.rows[0].elements[0];
-    
-    if (result.status !== 'OK') {
-      if (result.status === 'ZERO_RESULTS') {
-        throw createError(400, 'Could not find a route between the addresses. Please check the addresses.');
-      } else if (result.status === 'NOT_FOUND') {
-        throw createError(400, 'One or both addresses could not be found. Please check the addresses.');
-      } else {
-        throw createError(400, `Distance calculation failed: ${result.status}. Please check the addresses.`);
-      }
-    }
+  logger.info(`Calculating distance from ${origin.address} to ${destination.address}`);
 
-    // Distance in kilometers
-    const distanceInKm = result.distance.value / 1000;
-    const durationInMinutes = Math.round(result.duration.value / 60);
+  const estimate = await distanceService.requireTravelEstimate(origin, destination);
+  const distanceInKm = parseFloat(estimate.distanceKm.toFixed(2));
+  const durationInMinutes = Math.round(estimate.durationMinutes);
 
-    logger.info(`Distance calculated: ${distanceInKm} km, Duration: ${durationInMinutes} minutes`);
+  logger.info(`Distance calculated (${estimate.provider}${estimate.cached ? ', cached' : ''}): ${distanceInKm} km, Duration: ${durationInMinutes} minutes`);
 
-    return {
-      distanceInKm: parseFloat(distanceInKm.toFixed(2)),
-      durationInMinutes,
-      distanceText: result.distance.text,
-      durationText: result.duration.text
-    };
-  } catch (error) {
-    // If it's already a createError, re-throw it
-    if (error.statusCode) {
-      throw error;
-    }
-    
-    // Log the full error for debugging
-    logger.error('Error calculating distance:', {
-      message: error.message,
-      stack: error.stack,
-      origin,
-      destination
-    });
-    
-    // If axios error, check for network issues
-    if (error.response) {
-      logger.error('Google Maps API HTTP error:', {
-        status: error.response.status,
-        data: error.response.data
-      });
-      throw createError(500, `Failed to connect to Google Maps API. Status: ${error.response.status}`);
-    }
-    
-    throw createError(500, 'Failed to calculate distance. Please check the addresses and try again.');
-  }
+  return {
+    distanceInKm,
+    durationInMinutes,
+    distanceText: `${distanceInKm} km`,
+    durationText: `${durationInMinutes} mins`,
+    provider: estimate.provider
+  };
 };
 
 // Calculate delivery charge based on customer address and agency address
 const calculateDeliveryCharge = async (req, res, next) => {
   try {
-    const { customerId, agencyId, addressId } = req.body;
+    const { error, value } = calculateCharge.validate(req.body);
+    if (error) return next(createError(400, error.details[0].message));
 
-    if (!customerId || !agencyId || !addressId) {
-      return next(createError(400, 'Customer ID, Agency ID, and Address ID are required'));
-    }
+    const { customerId, agencyId, addressId } = value;
+
+    // Order context for free-delivery and surcharge rules; no slot means express delivery
+    const orderContext = {
+      subtotal: value.subtotal,
+      slotId: value.slotId,
+      slotDate: value.slotDate
+    };
 
     // Get customer
     const customer = await User.findByPk(customerId);
@@ -482,6 +415,59 @@ const calculateDeliveryCharge = async (req, res, next) => {
       return next(createError(404, 'Agency not found'));
     }
 
+    const customerAddressSummary = {
+      id: customerAddress.id,
+      address: customerAddress.address,
+      city: customerAddress.city,
+      pincode: customerAddress.pincode
+    };
+    const agencyAddressSummary = {
+      name: agency.name,
+      address: agency.address,
+      city: agency.city,
+      pincode: agency.pincode
+    };
+
+    // Agencies with drawn delivery zones are priced by the zone that contains the address
+    const zones = await deliveryZoneService.getActiveZones(agencyId);
+    if (zones.length > 0) {
+      const locatedAddress = await geocodingService.withCoordinates(customerAddress);
+      if (!hasCoordinates(locatedAddress)) {
+        return next(createError(400, 'Could not determine the location of this address. Please update it with a map location.'));
+      }
+
+      const zoneCheck = await serviceAreaService.checkZones(agency, zones, serviceAreaService.toAddressPoint(locatedAddress));
+      if (!zoneCheck.serves) {
+        return next(createError(400, zoneCheck.message));
+      }
+
+      const zone = zones.find(z => z.id === zoneCheck.zone.id);
+      const zonePricing = await serviceAreaService.priceDelivery(agency, zoneCheck, orderContext);
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          deliveryCharge: zonePricing.deliveryCharge,
+          baseCharge: zoneCheck.deliveryCharge,
+          breakdown: zonePricing.breakdown,
+          chargeType: zone.chargeType,
+          zone: zoneCheck.zone,
+          minOrderValue: zoneCheck.minOrderValue,
+          ...(zone.chargeType === 'per_km' && {
+            ratePerKm: parseFloat(zone.ratePerKm),
+            distance: zoneCheck.distanceKm !== null
+              ? { distanceInKm: zoneCheck.distanceKm, distanceText: `${zoneCheck.distanceKm} km`, provider: zoneCheck.provider }
+              : null
+          }),
+          ...(zone.chargeType === 'fixed' && {
+            fixedAmount: parseFloat(zone.fixedAmount)
+          }),
+          customerAddress: customerAddressSummary,
+          agencyAddress: agencyAddressSummary
+        }
+      });
+    }
+
     // Get delivery charge for agency
     const deliveryCharge = await DeliveryCharge.findOne({
       where: { 
@@ -498,28 +484,26 @@ const calculateDeliveryCharge = async (req, res, next) => {
           deliveryCharge: 0,
           chargeType: 'not_configured',
           message: 'Delivery charge not configured for this agency. No delivery charge will be applied.',
-          customerAddress: {
-            id: customerAddress.id,
-            address: customerAddress.address,
-            city: customerAddress.city,
-            pincode: customerAddress.pincode
-          },
-          agencyAddress: {
-            name: agency.name,
-            address: agency.address,
-            city: agency.city,
-            pincode: agency.pincode
-          }
+          customerAddress: customerAddressSummary,
+          agencyAddress: agencyAddressSummary
         }
       });
     }
 
-    // Format addresses for Google Maps API
-    const customerFullAddress = `${customerAddress.address}, ${customerAddress.city}, ${customerAddress.pincode}`;
-    const agencyFullAddress = `${agency.address}, ${agency.city}, ${agency.pincode}`;
+    // Stored coordinates let offline providers work; the text address is used by Google
+    const customerPoint = {
+      latitude: customerAddress.latitude,
+      longitude: customerAddress.longitude,
+      address: `${customerAddress.address}, ${customerAddress.city}, ${customerAddress.pincode}`
+    };
+    const agencyPoint = {
+      latitude: agency.latitude,
+      longitude: agency.longitude,
+      address: `${agency.address}, ${agency.city}, ${agency.pincode}`
+    };
 
     // Always calculate distance first to check radius
-    const distanceInfo = await calculateDistance(agencyFullAddress, customerFullAddress);
+    const distanceInfo = await calculateDistance(agencyPoint, customerPoint);
     const distanceInKm = distanceInfo.distanceInKm;
     const deliveryRadius = parseFloat(deliveryCharge.deliveryRadius);
 
@@ -539,10 +523,18 @@ const calculateDeliveryCharge = async (req, res, next) => {
       finalCharge = Math.floor(distanceInKm * ratePerKm);
     }
 
+    // Distance bands, free-delivery thresholds and surcharges run over the base charge
+    const pricing = await serviceAreaService.priceDelivery(agency, {
+      deliveryCharge: finalCharge,
+      distanceKm: distanceInKm
+    }, orderContext);
+
     res.status(200).json({
       success: true,
       data: {
-        deliveryCharge: finalCharge,
+        deliveryCharge: pricing.deliveryCharge,
+        baseCharge: finalCharge,
+        breakdown: pricing.breakdown,
         chargeType: deliveryCharge.chargeType,
         deliveryRadius: deliveryRadius,
         ...(deliveryCharge.chargeType === 'per_km' && {
@@ -553,18 +545,8 @@ const calculateDeliveryCharge = async (req, res, next) => {
           fixedAmount: parseFloat(deliveryCharge.fixedAmount),
           distance: distanceInfo
         }),
-        customerAddress: {
-          id: customerAddress.id,
-          address: customerAddress.address,
-          city: customerAddress.city,
-          pincode: customerAddress.pincode
-        },
-        agencyAddress: {
-          name: agency.name,
-          address: agency.address,
-          city: agency.city,
-          pincode: agency.pincode
-        }
+        customerAddress: customerAddressSummary,
+        agencyAddress: agencyAddressSummary
       }
     });
   } catch (error) {
@@ -0,0 +1,182 @@
+const { DeliveryZone, Agency } = require('../models');
+const { createDeliveryZone, updateDeliveryZone } = require('../validations/deliveryZoneValidation');
+const { createError } = require('../utils/errorHandler');
+const logger = require('../utils/logger');
+const deliveryZoneService = require('../services/deliveryZoneService');
+
+// Admins manage every agency's zones, agency owners only their own
+const checkZoneAccess = (user, agencyId) => {
+  if (user.role === 'admin') return;
+  if (user.role === 'agency_owner' && user.agencyId === agencyId) return;
+  throw createError(403, 'You can only manage delivery zones for your own agency');
+};
+
+// Create a delivery zone for an agency
+const create = async (req, res, next) => {
+  try {
+    const { error, value } = createDeliveryZone.validate(req.body);
+    if (error) return next(createError(400, error.details[0].message));
+
+    checkZoneAccess(req.user, value.agencyId);
+
+    const agency = await Agency.findByPk(value.agencyId);
+    if (!agency) {
+      return next(createError(404, 'Agency not found'));
+    }
+
+    const zone = await DeliveryZone.create(value);
+
+    logger.info(`Delivery zone "${zone.name}" created for agency ${value.agencyId}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Delivery zone created successfully',
+      data: zone
+    });
+  } catch (error) {
+    logger.error('Error creating delivery zone:', error);
+    next(error);
+  }
+};
+
+// Get all zones of an agency
+const getByAgencyId = async (req, res, next) => {
+  try {
+    const { agencyId } = req.params;
+    const { status } = req.query;
+
+    const where = { agencyId };
+    if (status) {
+      where.status = status;
+    }
+
+    const zones = await DeliveryZone.findAll({
+      where,
+      order: [['priority', 'DESC'], ['createdAt', 'ASC']]
+    });
+
+    res.status(200).json({
+      success: true,
+      data: zones,
+      totalCount: zones.length
+    });
+  } catch (error) {
+    logger.error('Error fetching delivery zones:', error);
+    next(error);
+  }
+};
+
+// Get delivery zone by ID
+const getById = async (req, res, next) => {
+  try {
+    const zone = await DeliveryZone.findByPk(req.params.id, {
+      include: [{
+        model: Agency,
+        as: 'Agency',
+        attributes: ['id', 'name', 'email', 'phone', 'address', 'city']
+      }]
+    });
+
+    if (!zone) {
+      return next(createError(404, 'Delivery zone not found'));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: zone
+    });
+  } catch (error) {
+    logger.error('Error fetching delivery zone:', error);
+    next(error);
+  }
+};
+
+// Update delivery zone
+const update = async (req, res, next) => {
+  try {
+    const { error, value } = updateDeliveryZone.validate(req.body);
+    if (error) return next(createError(400, error.details[0].message));
+
+    const zone = await DeliveryZone.findByPk(req.params.id);
+    if (!zone) {
+      return next(createError(404, 'Delivery zone not found'));
+    }
+
+    checkZoneAccess(req.user, zone.agencyId);
+
+    // Switching charge type drops the old type's amount
+    if (value.chargeType && value.chargeType !== zone.chargeType) {
+      if (value.chargeType === 'per_km') {
+        value.fixedAmount = null;
+      } else {
+        value.ratePerKm = null;
+      }
+    }
+
+    await zone.update(value);
+
+    logger.info(`Delivery zone ${zone.id} updated`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Delivery zone updated successfully',
+      data: zone
+    });
+  } catch (error) {
+    logger.error('Error updating delivery zone:', error);
+    next(error);
+  }
+};
+
+// Delete delivery zone
+const deleteZone = async (req, res, next) => {
+  try {
+    const zone = await DeliveryZone.findByPk(req.params.id);
+    if (!zone) {
+      return next(createError(404, 'Delivery zone not found'));
+    }
+
+    checkZoneAccess(req.user, zone.agencyId);
+
+    await zone.destroy();
+
+    logger.info(`Delivery zone ${req.params.id} deleted`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Delivery zone deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Error deleting delivery zone:', error);
+    next(error);
+  }
+};
+
+// Where active zones of different agencies overlap (Admin only)
+const getOverlapReport = async (req, res, next) => {
+  try {
+    const overlaps = await deliveryZoneService.getOverlapReport({
+      agencyId: req.query.agencyId
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        overlaps,
+        totalCount: overlaps.length
+      }
+    });
+  } catch (error) {
+    logger.error('Error building delivery zone overlap report:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  create,
+  getByAgencyId,
+  getById,
+  update,
+  deleteZone,
+  getOverlapReport
+};
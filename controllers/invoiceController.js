@@ -0,0 +1,86 @@
+const { Order } = require('../models');
+const { createError } = require('../utils/errorHandler');
+const invoiceService = require('../services/invoiceService');
+
+// Admins reach every order, agency owners those of their agency, customers their own orders
+const findAccessibleOrder = async (user, id) => {
+  const order = await Order.findByPk(id);
+  if (!order) {
+    throw createError(404, 'Order not found');
+  }
+
+  if (user.role === 'admin') return order;
+  if (user.role === 'agency_owner' && order.agencyId === user.agencyId) return order;
+  if (user.role === 'customer' && order.customerEmail === user.email) return order;
+
+  throw createError(403, 'Access denied');
+};
+
+const sendPdf = (res, { pdf, filename }) => {
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="${filename}"`,
+    'Content-Length': pdf.length
+  });
+  res.status(200).send(pdf);
+};
+
+const download = (document) => async (req, res, next) => {
+  try {
+    const order = await findAccessibleOrder(req.user, req.params.id);
+    sendPdf(res, await invoiceService.renderDocument(order, document));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Tax invoice of a delivered order, issued on first download
+const downloadInvoice = download('invoice');
+
+// Receipt of a paid, delivered order
+const downloadReceipt = download('receipt');
+
+// Credit note of an order whose return was approved
+const downloadCreditNote = download('credit_note');
+
+// Invoice register (admin: all or one agency, agency owner: own agency)
+const getAll = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, type, from, to, agencyId } = req.query;
+    if (type && !['invoice', 'credit_note'].includes(type)) {
+      return next(createError(400, 'Type must be invoice or credit_note'));
+    }
+
+    const { count, rows } = await invoiceService.list({
+      agencyId: req.user.role === 'agency_owner' ? req.user.agencyId : agencyId,
+      type,
+      from,
+      to,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Invoices retrieved successfully',
+      data: {
+        invoices: rows,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(count / limit),
+          totalItems: count,
+          itemsPerPage: parseInt(limit)
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  downloadInvoice,
+  downloadReceipt,
+  downloadCreditNote,
+  getAll
+};
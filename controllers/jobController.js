@@ -0,0 +1,93 @@
+const { JobRun } = require('../models');
+const { createError } = require('../utils/errorHandler');
+const logger = require('../utils/logger');
+const jobSchedulerService = require('../services/jobSchedulerService');
+
+// List background jobs with schedule, lock and last results (Admin only)
+const getAll = async (req, res, next) => {
+  try {
+    const jobs = await jobSchedulerService.listJobs();
+
+    res.status(200).json({
+      success: true,
+      message: 'Jobs retrieved successfully',
+      data: { jobs }
+    });
+  } catch (error) {
+    logger.error('Error fetching jobs:', error);
+    next(error);
+  }
+};
+
+// Run history of one job (Admin only)
+const getRuns = async (req, res, next) => {
+  try {
+    const job = jobSchedulerService.getJob(req.params.name);
+    const { page = 1, limit = 20, status } = req.query;
+    const offset = (page - 1) * limit;
+
+    const where = { jobName: job.name };
+    if (status) where.status = status;
+
+    const { count, rows } = await JobRun.findAndCountAll({
+      where,
+      order: [['startedAt', 'DESC']],
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Job runs retrieved successfully',
+      data: {
+        job: {
+          name: job.name,
+          description: job.description,
+          schedule: job.schedule,
+          enabled: job.enabled,
+          nextRunAt: job.nextRunAt
+        },
+        runs: rows,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(count / limit),
+          totalItems: count,
+          itemsPerPage: parseInt(limit)
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Run a job now and wait for its result (Admin only)
+const runNow = async (req, res, next) => {
+  try {
+    const job = jobSchedulerService.getJob(req.params.name);
+
+    logger.info(`Job ${job.name} triggered manually by ${req.user.email}`);
+    const run = await jobSchedulerService.runJob(job.name, {
+      trigger: 'manual',
+      triggeredBy: req.user.email
+    });
+
+    if (!run) {
+      return next(createError(500, `Job ${job.name} could not be started`));
+    }
+
+    res.status(200).json({
+      success: run.status === 'success',
+      message: run.status === 'success' ? `Job ${job.name} completed` : `Job ${job.name} failed: ${run.error}`,
+      data: { run }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getAll,
+  getRuns,
+  runNow
+};
@@ -0,0 +1,116 @@
+const { Order, Agency } = require('../models');
+const { initiatePayment, methodsQuery } = require('../validations/paymentValidation');
+const { createError } = require('../utils/errorHandler');
+const { formatOrderResponse } = require('../utils/orderUtils');
+const logger = require('../utils/logger');
+const paymentGatewayService = require('../services/paymentGatewayService');
+
+// Payment methods offered at checkout, for one agency or the whole platform (Public)
+const getMethods = async (req, res, next) => {
+  try {
+    const { error, value } = methodsQuery.validate(req.query);
+    if (error) return next(createError(400, error.details[0].message));
+
+    let agency = null;
+    if (value.agencyId) {
+      agency = await Agency.findByPk(value.agencyId, { attributes: ['id', 'name', 'paymentMethods'] });
+      if (!agency) return next(createError(404, 'Agency not found'));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Payment methods retrieved successfully',
+      data: {
+        agencyId: agency ? agency.id : null,
+        methods: paymentGatewayService.listMethods(agency)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Start paying an order or a split checkout with an online method (Public, like /api/orders/payment)
+const initiate = async (req, res, next) => {
+  try {
+    const { error, value } = initiatePayment.validate(req.body);
+    if (error) return next(createError(400, error.details[0].message));
+
+    const orders = value.checkoutId
+      ? await Order.findAll({ where: { checkoutId: value.checkoutId }, order: [['createdAt', 'ASC']] })
+      : await Order.findAll({ where: { id: value.orderId } });
+    if (orders.length === 0) {
+      return next(createError(404, value.checkoutId ? 'Checkout not found' : 'Order not found'));
+    }
+
+    const payment = await paymentGatewayService.initiatePayment(orders, {
+      method: value.paymentMethod,
+      phone: value.phone,
+      countryCode: value.countryCode
+    });
+
+    res.status(200).json({
+      success: true,
+      message: payment.redirectUrl
+        ? 'Payment started. Complete it on the payment page.'
+        : 'Payment started. Confirm the payment prompt on your phone.',
+      data: {
+        ...payment,
+        orderIds: orders.map(order => order.id)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Ask the provider for the payment status of an order and apply it (Public, like /api/orders/payment/status)
+const getStatus = async (req, res, next) => {
+  try {
+    const order = await Order.findByPk(req.params.orderId);
+    if (!order) return next(createError(404, 'Order not found'));
+
+    const { status, paid, confirmedOrders } = await paymentGatewayService.refreshPaymentStatus(order);
+
+    res.status(200).json({
+      success: true,
+      message: 'Payment status retrieved successfully',
+      data: {
+        status,
+        paid,
+        confirmedOrderIds: confirmedOrders.map(confirmed => confirmed.id),
+        order: formatOrderResponse(order)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Provider webhook (server-to-server). A 500 makes the provider send the notification again
+const webhook = async (req, res) => {
+  const { provider } = req.params;
+  logger.info(`Payment webhook received from ${provider}:`, { query: req.query, body: req.body });
+
+  try {
+    const { status, orders } = await paymentGatewayService.handleWebhook(provider, {
+      query: req.query,
+      body: req.body || {},
+      headers: req.headers
+    });
+    return res.status(200).json({ success: true, status, orderIds: (orders || []).map(order => order.id) });
+  } catch (error) {
+    if (error.statusCode && error.statusCode < 500) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    logger.error(`Payment webhook error (${provider}):`, (error.response && error.response.data) || error.message);
+    return res.status(500).json({ success: false, message: 'Webhook could not be processed' });
+  }
+};
+
+module.exports = {
+  getMethods,
+  initiate,
+  getStatus,
+  webhook
+};
@@ -0,0 +1,50 @@
+const { Op } = require('sequelize');
+const { PaymentEvent } = require('../models');
+const logger = require('../utils/logger');
+
+// List stored payment notifications and checks (Admin only)
+const getAll = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, outcome, source, orderId, trackingId, startDate, endDate } = req.query;
+    const offset = (page - 1) * limit;
+
+    const where = {};
+    if (outcome) where.outcome = outcome;
+    if (source) where.source = source;
+    if (trackingId) where.orderTrackingId = trackingId;
+    if (orderId) where.orderIds = { [Op.contains]: [orderId] };
+    if (startDate || endDate) {
+      where.createdAt = {};
+      if (startDate) where.createdAt[Op.gte] = new Date(startDate);
+      if (endDate) where.createdAt[Op.lte] = new Date(endDate);
+    }
+
+    const { count, rows } = await PaymentEvent.findAndCountAll({
+      where,
+      order: [['createdAt', 'DESC']],
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Payment events retrieved successfully',
+      data: {
+        events: rows,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(count / limit),
+          totalItems: count,
+          itemsPerPage: parseInt(limit)
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching payment events:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  getAll
+};
@@ -0,0 +1,98 @@
+const { Op } = require('sequelize');
+const { RefillPrediction, User } = require('../models');
+const { updateReminderPreferences } = require('../validations/refillPredictionValidation');
+const { createError } = require('../utils/errorHandler');
+const logger = require('../utils/logger');
+const refillPredictionService = require('../services/refillPredictionService');
+
+// Current run-out predictions and reminder setting of the logged-in customer
+const getMyPredictions = async (req, res, next) => {
+  try {
+    const user = await User.findByPk(req.user.userId, { attributes: ['id', 'refillRemindersEnabled'] });
+    if (!user) {
+      return next(createError(404, 'User not found'));
+    }
+
+    const predictions = await RefillPrediction.findAll({
+      where: { userId: user.id, status: { [Op.in]: ['pending', 'reminded'] } },
+      order: [['predictedRunOutDate', 'ASC']]
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        refillRemindersEnabled: user.refillRemindersEnabled,
+        predictions: predictions.map(prediction => ({
+          ...prediction.toJSON(),
+          reorderLink: refillPredictionService.buildReorderLink(prediction)
+        }))
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching refill predictions:', error);
+    next(error);
+  }
+};
+
+// Opt in or out of "running low" reminders
+const updatePreferences = async (req, res, next) => {
+  try {
+    const { error, value } = updateReminderPreferences.validate(req.body);
+    if (error) return next(createError(400, error.details[0].message));
+
+    const user = await User.findByPk(req.user.userId);
+    if (!user) {
+      return next(createError(404, 'User not found'));
+    }
+
+    await user.update({ refillRemindersEnabled: value.enabled });
+
+    res.status(200).json({
+      success: true,
+      message: value.enabled ? 'Refill reminders turned on' : 'Refill reminders turned off',
+      data: { refillRemindersEnabled: user.refillRemindersEnabled }
+    });
+  } catch (error) {
+    logger.error('Error updating refill reminder preferences:', error);
+    next(error);
+  }
+};
+
+// Prediction accuracy (Admin only)
+const getAccuracyReport = async (req, res, next) => {
+  try {
+    const { startDate, endDate, agencyId } = req.query;
+    const report = await refillPredictionService.getAccuracyReport({ startDate, endDate, agencyId });
+
+    res.status(200).json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    logger.error('Error building refill prediction accuracy report:', error);
+    next(error);
+  }
+};
+
+// Send due reminders now (Admin only)
+const sendDueReminders = async (req, res, next) => {
+  try {
+    const summary = await refillPredictionService.sendDueReminders();
+
+    res.status(200).json({
+      success: true,
+      message: 'Due refill reminders processed',
+      data: summary
+    });
+  } catch (error) {
+    logger.error('Error sending refill reminders:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  getMyPredictions,
+  updatePreferences,
+  getAccuracyReport,
+  sendDueReminders
+};
@@ -0,0 +1,240 @@
+const { Op } = require('sequelize');
+const { Refund, Order, Agency } = require('../models');
+const { createRefund, completeRefund, failRefund } = require('../validations/refundValidation');
+const { createError } = require('../utils/errorHandler');
+const logger = require('../utils/logger');
+const refundService = require('../services/refundService');
+
+const refundIncludes = [
+  {
+    model: Order,
+    as: 'Order',
+    attributes: ['id', 'orderNumber', 'customerName', 'customerEmail', 'customerPhone', 'status', 'paymentMethod', 'paymentStatus', 'totalAmount', 'refundedAmount']
+  },
+  {
+    model: Agency,
+    as: 'Agency',
+    attributes: ['id', 'name']
+  }
+];
+
+// Admins see every refund, agency owners those of their agency, customers those of their own orders
+const findAccessibleRefund = async (user, id, { manage = false } = {}) => {
+  const refund = await Refund.findByPk(id, { include: refundIncludes });
+  if (!refund) {
+    throw createError(404, 'Refund not found');
+  }
+
+  if (user.role === 'admin') return refund;
+  if (user.role === 'agency_owner' && refund.agencyId === user.agencyId) return refund;
+  if (!manage && user.role === 'customer' && refund.Order && refund.Order.customerEmail === user.email) return refund;
+
+  throw createError(403, 'Access denied');
+};
+
+// Role-based refund filter
+const scopeWhere = (user, agencyId) => {
+  if (user.role === 'agency_owner') return { agencyId: user.agencyId };
+  if (user.role === 'admin') return agencyId ? { agencyId } : {};
+  return null;
+};
+
+// List refunds (admin: all, agency owner: agency, customer: own orders)
+const getAll = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, status, method, orderId, agencyId } = req.query;
+    const offset = (page - 1) * limit;
+
+    const include = refundIncludes.map(item => ({ ...item }));
+    let where = scopeWhere(req.user, agencyId);
+    if (!where) {
+      if (req.user.role !== 'customer') {
+        return next(createError(403, 'Access denied'));
+      }
+      where = {};
+      include[0].where = { customerEmail: req.user.email };
+    }
+
+    // status=outstanding lists what is still owed
+    if (status === 'outstanding') where.status = { [Op.in]: ['pending', 'processing'] };
+    else if (status) where.status = status;
+    if (method) where.method = method;
+    if (orderId) where.orderId = orderId;
+
+    const { count, rows } = await Refund.findAndCountAll({
+      where,
+      include,
+      order: [['createdAt', 'DESC']],
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Refunds retrieved successfully',
+      data: {
+        refunds: rows,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(count / limit),
+          totalItems: count,
+          itemsPerPage: parseInt(limit)
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching refunds:', error);
+    next(error);
+  }
+};
+
+// Refunds still owed, oldest first, with totals (Admin, Agency Owner)
+const getOutstanding = async (req, res, next) => {
+  try {
+    const where = scopeWhere(req.user, req.query.agencyId);
+    if (!where) {
+      return next(createError(403, 'Access denied'));
+    }
+    where.status = { [Op.in]: ['pending', 'processing'] };
+
+    const refunds = await Refund.findAll({
+      where,
+      include: refundIncludes,
+      order: [['createdAt', 'ASC']]
+    });
+
+    const summary = { pending: { count: 0, amount: 0 }, processing: { count: 0, amount: 0 } };
+    refunds.forEach(refund => {
+      summary[refund.status].count++;
+      summary[refund.status].amount += parseFloat(refund.amount);
+    });
+    summary.pending.amount = parseFloat(summary.pending.amount.toFixed(2));
+    summary.processing.amount = parseFloat(summary.processing.amount.toFixed(2));
+
+    res.status(200).json({
+      success: true,
+      message: 'Outstanding refunds retrieved successfully',
+      data: {
+        refunds,
+        summary: {
+          ...summary,
+          totalCount: refunds.length,
+          totalAmount: parseFloat((summary.pending.amount + summary.processing.amount).toFixed(2))
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching outstanding refunds:', error);
+    next(error);
+  }
+};
+
+// Get refund by ID
+const getById = async (req, res, next) => {
+  try {
+    const refund = await findAccessibleRefund(req.user, req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Refund retrieved successfully',
+      data: { refund }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Raise a full or partial refund on a paid order, optionally to the customer's wallet (Admin, Agency Owner)
+const create = async (req, res, next) => {
+  try {
+    const { error, value } = createRefund.validate(req.body);
+    if (error) return next(createError(400, error.details[0].message));
+
+    const order = await Order.findByPk(value.orderId);
+    if (!order) {
+      return next(createError(404, 'Order not found'));
+    }
+    if (req.user.role === 'agency_owner' && order.agencyId !== req.user.agencyId) {
+      return next(createError(403, 'Access denied. You can only refund orders of your agency'));
+    }
+
+    const refund = await refundService.createRefund(order, {
+      amount: value.amount,
+      reason: value.reason,
+      method: value.method,
+      user: req.user
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Refund created successfully',
+      data: { refund }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Start paying out a pending refund (Admin, Agency Owner)
+const startProcessing = async (req, res, next) => {
+  try {
+    const refund = await findAccessibleRefund(req.user, req.params.id, { manage: true });
+    await refundService.processRefund(refund, req.user);
+
+    res.status(200).json({
+      success: refund.status !== 'failed',
+      message: refund.status === 'failed' ? `Refund failed: ${refund.failureReason}` : 'Refund is being processed',
+      data: { refund }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Confirm the money was returned (Admin, Agency Owner)
+const complete = async (req, res, next) => {
+  try {
+    const { error, value } = completeRefund.validate(req.body);
+    if (error) return next(createError(400, error.details[0].message));
+
+    const refund = await findAccessibleRefund(req.user, req.params.id, { manage: true });
+    await refundService.completeRefund(refund, { reference: value.reference, user: req.user });
+
+    res.status(200).json({
+      success: true,
+      message: 'Refund completed successfully',
+      data: { refund }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Mark an outstanding refund as failed (Admin, Agency Owner)
+const fail = async (req, res, next) => {
+  try {
+    const { error, value } = failRefund.validate(req.body);
+    if (error) return next(createError(400, error.details[0].message));
+
+    const refund = await findAccessibleRefund(req.user, req.params.id, { manage: true });
+    await refundService.failRefund(refund, { reason: value.reason, user: req.user });
+
+    res.status(200).json({
+      success: true,
+      message: 'Refund marked as failed',
+      data: { refund }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getAll,
+  getOutstanding,
+  getById,
+  create,
+  startProcessing,
+  complete,
+  fail
+};
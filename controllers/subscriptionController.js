@@ -0,0 +1,365 @@
+const { RefillSubscription, Agency, Product, AgencyInventory, User, Order } = require('../models');
+const {
+  createSubscription,
+  updateSubscription,
+  pauseSubscription,
+  rescheduleSubscription
+} = require('../validations/subscriptionValidation');
+const { createError } = require('../utils/errorHandler');
+const { toDateString } = require('../utils/slotUtils');
+const logger = require('../utils/logger');
+const subscriptionService = require('../services/subscriptionService');
+const serviceAreaService = require('../services/serviceAreaService');
+const paymentGatewayService = require('../services/paymentGatewayService');
+
+const subscriptionIncludes = [
+  {
+    model: Agency,
+    as: 'Agency',
+    attributes: ['id', 'name', 'phone', 'city']
+  },
+  {
+    model: Product,
+    as: 'Product',
+    attributes: ['id', 'productName', 'category']
+  }
+];
+
+// Customers manage their own subscriptions; admins see all, agency owners those of their agency
+const findAccessibleSubscription = async (user, id, { manage = false } = {}) => {
+  const subscription = await RefillSubscription.findByPk(id, { include: subscriptionIncludes });
+  if (!subscription) {
+    throw createError(404, 'Subscription not found');
+  }
+
+  if (user.role === 'customer' && subscription.userId === user.userId) return subscription;
+  if (user.role === 'admin') return subscription;
+  if (!manage && user.role === 'agency_owner' && subscription.agencyId === user.agencyId) return subscription;
+
+  throw createError(403, 'Access denied. You can only manage your own subscriptions');
+};
+
+// Skip, pause and reschedule only make sense while the subscription is running
+const ensureNotCancelled = (subscription) => {
+  if (subscription.status === 'cancelled') {
+    throw createError(400, 'This subscription has been cancelled');
+  }
+};
+
+// Create a refill subscription (Customer)
+const create = async (req, res, next) => {
+  try {
+    const { error, value } = createSubscription.validate(req.body);
+    if (error) return next(createError(400, error.details[0].message));
+
+    const today = toDateString(new Date());
+    if (value.startDate && value.startDate < today) {
+      return next(createError(400, 'Start date cannot be in the past'));
+    }
+
+    const user = await User.findByPk(req.user.userId);
+    if (!user) {
+      return next(createError(404, 'User not found'));
+    }
+
+    const address = (user.addresses || []).find(addr => addr.id === value.addressId);
+    if (!address) {
+      return next(createError(404, 'Address not found'));
+    }
+
+    const agency = await Agency.findByPk(value.agencyId);
+    if (!agency || agency.status !== 'active') {
+      return next(createError(400, 'Agency not found or not active'));
+    }
+    paymentGatewayService.assertAgencyAccepts(agency, value);
+
+    const inventory = await AgencyInventory.findOne({
+      where: { productId: value.productId, agencyId: value.agencyId, isActive: true }
+    });
+    const variant = inventory && Array.isArray(inventory.agencyVariants)
+      ? inventory.agencyVariants.find(v => v.label === value.variantLabel)
+      : null;
+    if (!variant) {
+      return next(createError(400, `Variant ${value.variantLabel} is not available at ${agency.name}`));
+    }
+
+    // Refills are home deliveries, so the agency has to deliver to the address
+    const point = await serviceAreaService.resolveDeliveryPoint({ customerEmail: user.email, addressId: address.id });
+    if (point) {
+      const check = await serviceAreaService.checkAgency(agency, point);
+      if (check.serves === false) {
+        return next(createError(400, check.message || `${agency.name} does not deliver to this address`));
+      }
+    }
+
+    const { startDate, ...fields } = value;
+    const subscription = await RefillSubscription.create({
+      ...fields,
+      userId: user.id,
+      // Without a start date the first refill is one interval from now (the customer just bought gas)
+      nextRunDate: startDate || subscriptionService.addDays(today, value.intervalDays)
+    });
+
+    logger.info(`Refill subscription ${subscription.id} created for ${user.email}, first refill ${subscription.nextRunDate}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Refill subscription created successfully',
+      data: { subscription }
+    });
+  } catch (error) {
+    logger.error('Error creating refill subscription:', error);
+    next(error);
+  }
+};
+
+// List subscriptions (customer: own, agency owner: their agency, admin: all)
+const getAll = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 10, status, lastRunStatus, agencyId } = req.query;
+    const offset = (page - 1) * limit;
+
+    const where = {};
+    if (status) where.status = status;
+    // lastRunStatus=failed lists the subscriptions that need attention
+    if (lastRunStatus) where.lastRunStatus = lastRunStatus;
+
+    if (req.user.role === 'customer') {
+      where.userId = req.user.userId;
+    } else if (req.user.role === 'agency_owner') {
+      where.agencyId = req.user.agencyId;
+    } else if (req.user.role === 'admin') {
+      if (agencyId) where.agencyId = agencyId;
+    } else {
+      return next(createError(403, 'Access denied'));
+    }
+
+    const { count, rows } = await RefillSubscription.findAndCountAll({
+      where,
+      include: subscriptionIncludes,
+      order: [['nextRunDate', 'ASC']],
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Subscriptions retrieved successfully',
+      data: {
+        subscriptions: rows,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(count / limit),
+          totalItems: count,
+          itemsPerPage: parseInt(limit)
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching refill subscriptions:', error);
+    next(error);
+  }
+};
+
+// Get subscription with the orders it placed
+const getById = async (req, res, next) => {
+  try {
+    const subscription = await findAccessibleSubscription(req.user, req.params.id);
+
+    const orders = await Order.findAll({
+      where: { subscriptionId: subscription.id },
+      attributes: ['id', 'orderNumber', 'status', 'paymentStatus', 'totalAmount', 'createdAt'],
+      order: [['createdAt', 'DESC']],
+      limit: 10
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { subscription, recentOrders: orders }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Update quantity, address, interval, reminder or payment method
+const update = async (req, res, next) => {
+  try {
+    const { error, value } = updateSubscription.validate(req.body);
+    if (error) return next(createError(400, error.details[0].message));
+
+    const subscription = await findAccessibleSubscription(req.user, req.params.id, { manage: true });
+    ensureNotCancelled(subscription);
+
+    if (value.addressId) {
+      const user = await User.findByPk(subscription.userId);
+      const address = user && (user.addresses || []).find(addr => addr.id === value.addressId);
+      if (!address) {
+        return next(createError(404, 'Address not found'));
+      }
+    }
+
+    if (value.paymentMethod) {
+      const agency = await Agency.findByPk(subscription.agencyId);
+      if (agency) paymentGatewayService.assertAgencyAccepts(agency, value);
+    }
+
+    await subscription.update(value);
+
+    res.status(200).json({
+      success: true,
+      message: 'Subscription updated successfully',
+      data: { subscription }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Skip the next refill: move it one interval later
+const skip = async (req, res, next) => {
+  try {
+    const subscription = await findAccessibleSubscription(req.user, req.params.id, { manage: true });
+    ensureNotCancelled(subscription);
+
+    const skippedDate = subscription.nextRunDate;
+    await subscription.update({
+      nextRunDate: subscriptionService.addDays(skippedDate, subscription.intervalDays)
+    });
+
+    logger.info(`Refill subscription ${subscription.id} skipped ${skippedDate}`);
+
+    res.status(200).json({
+      success: true,
+      message: `Refill on ${skippedDate} skipped. Next refill on ${subscription.nextRunDate}`,
+      data: { subscription }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Pause until a date, or until resumed
+const pause = async (req, res, next) => {
+  try {
+    const { error, value } = pauseSubscription.validate(req.body);
+    if (error) return next(createError(400, error.details[0].message));
+
+    const subscription = await findAccessibleSubscription(req.user, req.params.id, { manage: true });
+    ensureNotCancelled(subscription);
+
+    if (value.until && value.until <= toDateString(new Date())) {
+      return next(createError(400, 'Pause end date must be in the future'));
+    }
+
+    await subscription.update({ status: 'paused', pausedUntil: value.until || null });
+
+    res.status(200).json({
+      success: true,
+      message: value.until ? `Subscription paused until ${value.until}` : 'Subscription paused',
+      data: { subscription }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Resume a paused subscription; a refill date that passed during the pause moves to today
+const resume = async (req, res, next) => {
+  try {
+    const subscription = await findAccessibleSubscription(req.user, req.params.id, { manage: true });
+    if (subscription.status !== 'paused') {
+      return next(createError(400, 'Only paused subscriptions can be resumed'));
+    }
+
+    const today = toDateString(new Date());
+    await subscription.update({
+      status: 'active',
+      pausedUntil: null,
+      failureCount: 0,
+      nextRunDate: subscription.nextRunDate < today ? today : subscription.nextRunDate
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Subscription resumed. Next refill on ${subscription.nextRunDate}`,
+      data: { subscription }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Move the next refill to another date (optionally changing the interval)
+const reschedule = async (req, res, next) => {
+  try {
+    const { error, value } = rescheduleSubscription.validate(req.body);
+    if (error) return next(createError(400, error.details[0].message));
+
+    const subscription = await findAccessibleSubscription(req.user, req.params.id, { manage: true });
+    ensureNotCancelled(subscription);
+
+    if (value.nextRunDate < toDateString(new Date())) {
+      return next(createError(400, 'Next refill date cannot be in the past'));
+    }
+
+    await subscription.update(value);
+
+    res.status(200).json({
+      success: true,
+      message: `Next refill rescheduled to ${subscription.nextRunDate}`,
+      data: { subscription }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Cancel a subscription (kept for history)
+const cancel = async (req, res, next) => {
+  try {
+    const subscription = await findAccessibleSubscription(req.user, req.params.id, { manage: true });
+    ensureNotCancelled(subscription);
+
+    await subscription.update({ status: 'cancelled', pausedUntil: null });
+
+    logger.info(`Refill subscription ${subscription.id} cancelled`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Subscription cancelled successfully',
+      data: { subscription }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Run the scheduler pass now (Admin only)
+const runDue = async (req, res, next) => {
+  try {
+    const summary = await subscriptionService.runDue();
+
+    res.status(200).json({
+      success: true,
+      message: 'Due refill subscriptions processed',
+      data: summary
+    });
+  } catch (error) {
+    logger.error('Error running refill subscriptions:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  create,
+  getAll,
+  getById,
+  update,
+  skip,
+  pause,
+  resume,
+  reschedule,
+  cancel,
+  runDue
+};
@@ -0,0 +1,168 @@
+const { User, WalletTopUp } = require('../models');
+const { createTopUp, adjustBalance, statementQuery } = require('../validations/walletValidation');
+const { createError } = require('../utils/errorHandler');
+const logger = require('../utils/logger');
+const walletService = require('../services/walletService');
+
+const findCustomer = async (userId) => {
+  const customer = await User.findOne({ where: { id: userId, role: 'customer' }, attributes: ['id', 'name', 'email', 'phone'] });
+  if (!customer) {
+    throw createError(404, 'Customer not found');
+  }
+  return customer;
+};
+
+const buildStatement = async (userId, query) => {
+  const { error, value } = statementQuery.validate(query);
+  if (error) throw createError(400, error.details[0].message);
+
+  const { entries, count, ...totals } = await walletService.getStatement(userId, value);
+  return {
+    ...totals,
+    from: value.from || null,
+    to: value.to || null,
+    entries,
+    pagination: {
+      currentPage: value.page,
+      totalPages: Math.ceil(count / value.limit),
+      totalItems: count,
+      itemsPerPage: value.limit
+    }
+  };
+};
+
+// Own wallet balance and pending top-ups (Customer)
+const getMyWallet = async (req, res, next) => {
+  try {
+    const wallet = await walletService.getSummary(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Wallet retrieved successfully',
+      data: wallet
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Own wallet statement (Customer)
+const getMyStatement = async (req, res, next) => {
+  try {
+    const statement = await buildStatement(req.user.id, req.query);
+
+    res.status(200).json({
+      success: true,
+      message: 'Wallet statement retrieved successfully',
+      data: statement
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Start a Pesapal top-up (Customer)
+const topUp = async (req, res, next) => {
+  try {
+    const { error, value } = createTopUp.validate(req.body);
+    if (error) return next(createError(400, error.details[0].message));
+
+    const { topUp: created, redirectUrl } = await walletService.createTopUp({ ...value, user: req.user });
+
+    res.status(201).json({
+      success: true,
+      message: 'Top-up created. Complete the payment on Pesapal.',
+      data: {
+        topUp: created,
+        order_tracking_id: created.orderTrackingId,
+        redirect_url: redirectUrl
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Status of a top-up (Customer: own, Admin: any)
+const getTopUp = async (req, res, next) => {
+  try {
+    const found = await WalletTopUp.findByPk(req.params.id);
+    if (!found || (req.user.role !== 'admin' && found.userId !== req.user.id)) {
+      return next(createError(404, 'Top-up not found'));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Top-up retrieved successfully',
+      data: { topUp: found }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Wallet of a customer (Admin only)
+const getCustomerWallet = async (req, res, next) => {
+  try {
+    const customer = await findCustomer(req.params.userId);
+    const wallet = await walletService.getSummary(customer.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Wallet retrieved successfully',
+      data: { customer, ...wallet }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Wallet statement of a customer (Admin only)
+const getCustomerStatement = async (req, res, next) => {
+  try {
+    const customer = await findCustomer(req.params.userId);
+    const statement = await buildStatement(customer.id, req.query);
+
+    res.status(200).json({
+      success: true,
+      message: 'Wallet statement retrieved successfully',
+      data: { customer, ...statement }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Credit (goodwill) or debit (correction) a customer wallet (Admin only)
+const adjust = async (req, res, next) => {
+  try {
+    const { error, value } = adjustBalance.validate(req.body);
+    if (error) return next(createError(400, error.details[0].message));
+
+    const transaction = await walletService.adjustBalance({
+      userId: req.params.userId,
+      amount: value.amount,
+      note: value.note,
+      user: req.user
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Wallet adjusted successfully',
+      data: { transaction }
+    });
+  } catch (error) {
+    logger.error('Error adjusting wallet:', error.message);
+    next(error);
+  }
+};
+
+module.exports = {
+  getMyWallet,
+  getMyStatement,
+  topUp,
+  getTopUp,
+  getCustomerWallet,
+  getCustomerStatement,
+  adjust
+};
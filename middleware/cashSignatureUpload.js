@@ -0,0 +1,35 @@
+const multer = require('multer');
+const { CloudinaryStorage } = require('multer-storage-cloudinary');
+const cloudinary = require('../config/cloudinary');
+
+// Configure Cloudinary storage for agent signatures on cash handovers
+const storage = new CloudinaryStorage({
+  cloudinary: cloudinary,
+  params: {
+    folder: 'lpg-cash-handover-signatures',
+    allowed_formats: ['jpg', 'jpeg', 'png', 'webp'],
+    transformation: [
+      { width: 800, height: 400, crop: 'limit' },
+      { quality: 'auto' }
+    ]
+  }
+});
+
+// File filter for signature images
+const fileFilter = (req, file, cb) => {
+  if (file.mimetype.startsWith('image/')) {
+    cb(null, true);
+  } else {
+    cb(new Error('Only image files are allowed for signatures!'), false);
+  }
+};
+
+const uploadCashSignature = multer({
+  storage: storage,
+  limits: {
+    fileSize: 2 * 1024 * 1024 // 2MB limit for signatures
+  },
+  fileFilter: fileFilter
+});
+
+module.exports = uploadCashSignature;
@@ -57,6 +57,15 @@ const Agency = sequelize.define('Agency', {
       len: [6, 6]
     }
   },
+  // Agency location, used for offline distance calculation and nearest-agency lookups
+  latitude: {
+    type: DataTypes.DECIMAL(10, 7),
+    allowNull: true
+  },
+  longitude: {
+    type: DataTypes.DECIMAL(10, 7),
+    allowNull: true
+  },
   landmark: {
     type: DataTypes.STRING,
     allowNull: true
@@ -93,6 +102,28 @@ const Agency = sequelize.define('Agency', {
     type: DataTypes.BOOLEAN,
     defaultValue: false
   },
+  autoAssignAgents: {
+    // Dispatch confirmed home deliveries to an online agent using dispatchStrategy
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
+  dispatchStrategy: {
+    type: DataTypes.ENUM('round_robin', 'fewest_active', 'nearest'),
+    defaultValue: 'fewest_active'
+  },
+  dispatchTimeoutSeconds: {
+    // How long an agent has to accept an offered order before it moves to the next agent
+    type: DataTypes.INTEGER,
+    defaultValue: 120,
+    validate: {
+      min: 15
+    }
+  },
+  lastDispatchedAgentId: {
+    // Round-robin cursor
+    type: DataTypes.UUID,
+    allowNull: true
+  },
   pickupEnabled: {
     type: DataTypes.BOOLEAN,
     defaultValue: false
@@ -101,6 +132,18 @@ const Agency = sequelize.define('Agency', {
     type: DataTypes.JSONB,
     allowNull: true,
     defaultValue: []
+  },
+  deliverySlots: {
+    // Array of { id, label, startTime: '09:00', endTime: '11:00', capacity: 10, daysOfWeek: [1, 2], isActive }
+    type: DataTypes.JSONB,
+    allowNull: true,
+    defaultValue: []
+  },
+  paymentMethods: {
+    // Payment methods the agency accepts, e.g. ['cod', 'mobile_money']; null accepts every method enabled on the platform
+    type: DataTypes.JSONB,
+    allowNull: true,
+    defaultValue: null
   }
 }, {
   tableName: 'agencies',
@@ -56,8 +56,18 @@ const AgencyInventory = sequelize.define('AgencyInventory', {
       min: 0
     }
   },
+  emptyStock: {
+    // Empty cylinders collected back from customers (separate from full stock)
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    field: 'empty_stock',
+    validate: {
+      min: 0
+    }
+  },
   agencyVariants: {
-    // Array of { label: '3kg', unit: 'kg', price: 100.00, stock: 5 }
+    // Array of { label: '3kg', unit: 'kg', price: 100.00, stock: 5, emptyStock: 2 }
     type: DataTypes.JSONB,
     allowNull: true,
     defaultValue: [],
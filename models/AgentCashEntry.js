@@ -0,0 +1,78 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Movement of cash-on-delivery money held by a delivery agent. Entries are never edited; the
+// agent's cashInHand is the balanceAfter of their latest entry (see services/cashLedgerService.js)
+const AgentCashEntry = sequelize.define('AgentCashEntry', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  agentId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'agent_id',
+    references: {
+      model: 'delivery_agents',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  agencyId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'agency_id'
+  },
+  type: {
+    type: DataTypes.ENUM('collection', 'handover', 'adjustment'),
+    allowNull: false,
+    comment: 'collection: COD cash taken at delivery, handover: cash given to the agency, adjustment: admin correction'
+  },
+  amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    comment: 'Positive adds to the cash in hand, negative takes from it'
+  },
+  balanceAfter: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    field: 'balance_after'
+  },
+  orderId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'order_id'
+  },
+  handoverId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'handover_id'
+  },
+  note: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  createdById: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'created_by_id'
+  },
+  createdByName: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    field: 'created_by_name'
+  }
+}, {
+  tableName: 'agent_cash_entries',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    { fields: ['agent_id', 'created_at'] },
+    { fields: ['agency_id', 'created_at'] },
+    // An order's cash is collected once
+    { unique: true, fields: ['order_id'], where: { type: 'collection' } }
+  ]
+});
+
+module.exports = AgentCashEntry;
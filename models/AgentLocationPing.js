@@ -0,0 +1,61 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// GPS pings sent by delivery agents while they have orders out for delivery.
+// An order's breadcrumb trail is its agent's pings between outForDeliveryAt and deliveredAt.
+const AgentLocationPing = sequelize.define('AgentLocationPing', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  agentId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'agent_id',
+    references: {
+      model: 'delivery_agents',
+      key: 'id'
+    }
+  },
+  latitude: {
+    type: DataTypes.DECIMAL(10, 7),
+    allowNull: false
+  },
+  longitude: {
+    type: DataTypes.DECIMAL(10, 7),
+    allowNull: false
+  },
+  accuracy: {
+    // Reported GPS accuracy in meters
+    type: DataTypes.FLOAT,
+    allowNull: true
+  },
+  heading: {
+    // Degrees from north, 0-360
+    type: DataTypes.FLOAT,
+    allowNull: true
+  },
+  speed: {
+    // Meters per second
+    type: DataTypes.FLOAT,
+    allowNull: true
+  },
+  recordedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+    field: 'recorded_at'
+  }
+}, {
+  tableName: 'agent_location_pings',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['agent_id', 'recorded_at']
+    }
+  ]
+});
+
+module.exports = AgentLocationPing;
@@ -0,0 +1,100 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Cash an agent hands over to their agency. The agency records it and the agent counter-signs;
+// only a signed handover comes off the agent's cash in hand (see services/cashLedgerService.js)
+const CashHandover = sequelize.define('CashHandover', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  agentId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'agent_id',
+    references: {
+      model: 'delivery_agents',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  agencyId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'agency_id'
+  },
+  amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    validate: {
+      min: 0.01
+    }
+  },
+  type: {
+    type: DataTypes.ENUM('full', 'partial'),
+    allowNull: false,
+    comment: 'Whether the amount was the whole cash in hand when recorded'
+  },
+  status: {
+    type: DataTypes.ENUM('pending_signature', 'confirmed', 'disputed'),
+    allowNull: false,
+    defaultValue: 'pending_signature'
+  },
+  note: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  // Agency side
+  receivedById: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'received_by_id'
+  },
+  receivedByName: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    field: 'received_by_name'
+  },
+  // Agent counter-signature
+  agentSignature: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    field: 'agent_signature',
+    comment: 'Signature image URL'
+  },
+  signedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'signed_at'
+  },
+  balanceBefore: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+    field: 'balance_before'
+  },
+  balanceAfter: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+    field: 'balance_after'
+  },
+  disputeReason: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    field: 'dispute_reason'
+  },
+  disputedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'disputed_at'
+  }
+}, {
+  tableName: 'cash_handovers',
+  timestamps: true,
+  indexes: [
+    { fields: ['agent_id', 'status'] },
+    { fields: ['agency_id', 'created_at'] }
+  ]
+});
+
+module.exports = CashHandover;
@@ -0,0 +1,82 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Per-customer cylinder ledger, one row per customer/agency/product/variant
+const CylinderBalance = sequelize.define('CylinderBalance', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  customerEmail: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    field: 'customer_email',
+    validate: {
+      isEmail: true
+    }
+  },
+  agencyId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'agency_id',
+    references: {
+      model: 'agencies',
+      key: 'id'
+    }
+  },
+  productId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'product_id',
+    references: {
+      model: 'products',
+      key: 'id'
+    }
+  },
+  variantLabel: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: '',
+    field: 'variant_label'
+  },
+  cylindersHeld: {
+    // Cylinders currently with the customer (full or empty)
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    field: 'cylinders_held'
+  },
+  depositsPaid: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    field: 'deposits_paid'
+  },
+  emptiesOutstanding: {
+    // Empties the customer still owes from refill exchanges
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    field: 'empties_outstanding',
+    validate: {
+      min: 0
+    }
+  },
+  lastOrderId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'last_order_id'
+  }
+}, {
+  tableName: 'cylinder_balances',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['customer_email', 'agency_id', 'product_id', 'variant_label']
+    }
+  ]
+});
+
+module.exports = CylinderBalance;
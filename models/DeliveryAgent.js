@@ -81,6 +81,25 @@ const DeliveryAgent = sequelize.define('DeliveryAgent', {
   fcmDeviceType: {
     type: DataTypes.STRING,
     allowNull: true
+  },
+  // Last known GPS position (used by nearest-agent dispatch)
+  lastLatitude: {
+    type: DataTypes.DECIMAL(10, 7),
+    allowNull: true
+  },
+  lastLongitude: {
+    type: DataTypes.DECIMAL(10, 7),
+    allowNull: true
+  },
+  lastLocationAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // Cash-on-delivery money collected and not yet handed over to the agency
+  cashInHand: {
+    type: DataTypes.DECIMAL(10, 2),
+    defaultValue: 0,
+    field: 'cash_in_hand'
   }
 }, {
   tableName: 'delivery_agents',
@@ -48,6 +48,12 @@ const DeliveryCharge = sequelize.define('DeliveryCharge', {
     },
     comment: 'Maximum delivery radius in kilometers'
   },
+  rules: {
+    // Ordered distance bands, free-delivery thresholds and surcharges, see utils/deliveryChargeRules.js
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: []
+  },
   status: {
     type: DataTypes.ENUM('active', 'inactive'),
     defaultValue: 'active'
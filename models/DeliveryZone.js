@@ -0,0 +1,83 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Agency service area drawn as a GeoJSON polygon, each with its own pricing.
+// When an agency has active zones they replace the circular DeliveryCharge radius.
+const DeliveryZone = sequelize.define('DeliveryZone', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  agencyId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'agency_id',
+    references: {
+      model: 'agencies',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  geometry: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    comment: 'GeoJSON Polygon or MultiPolygon, [longitude, latitude] positions'
+  },
+  chargeType: {
+    type: DataTypes.ENUM('per_km', 'fixed'),
+    allowNull: false,
+    field: 'charge_type'
+  },
+  ratePerKm: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+    defaultValue: null,
+    field: 'rate_per_km'
+  },
+  fixedAmount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+    defaultValue: null,
+    field: 'fixed_amount'
+  },
+  minOrderValue: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    field: 'min_order_value',
+    comment: 'Minimum order subtotal for delivery into this zone'
+  },
+  priority: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Higher priority wins when two zones of the same agency overlap'
+  },
+  status: {
+    type: DataTypes.ENUM('active', 'inactive'),
+    defaultValue: 'active'
+  }
+}, {
+  tableName: 'delivery_zones',
+  timestamps: true,
+  indexes: [
+    { fields: ['agency_id', 'status'] }
+  ],
+  validate: {
+    checkChargeTypeValues() {
+      if (this.chargeType === 'per_km' && (this.ratePerKm === null || this.ratePerKm === undefined)) {
+        throw new Error('Rate per kilometer is required for per_km charge type');
+      }
+      if (this.chargeType === 'fixed' && (this.fixedAmount === null || this.fixedAmount === undefined)) {
+        throw new Error('Fixed amount is required for fixed charge type');
+      }
+    }
+  }
+});
+
+module.exports = DeliveryZone;
@@ -0,0 +1,95 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Audit trail of every order offer made to a delivery agent (automatic or manual)
+const DispatchOffer = sequelize.define('DispatchOffer', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  orderId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'order_id',
+    references: {
+      model: 'orders',
+      key: 'id'
+    }
+  },
+  agencyId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'agency_id',
+    references: {
+      model: 'agencies',
+      key: 'id'
+    }
+  },
+  agentId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'agent_id',
+    references: {
+      model: 'delivery_agents',
+      key: 'id'
+    }
+  },
+  strategy: {
+    type: DataTypes.ENUM('manual', 'round_robin', 'fewest_active', 'nearest'),
+    allowNull: false,
+    defaultValue: 'manual'
+  },
+  status: {
+    type: DataTypes.ENUM('offered', 'accepted', 'declined', 'expired', 'cancelled'),
+    allowNull: false,
+    defaultValue: 'offered'
+  },
+  attempt: {
+    // 1 for the first agent offered an order, 2 for the next, ...
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1
+  },
+  offeredAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+    field: 'offered_at'
+  },
+  expiresAt: {
+    // Null for manual assignments, which never time out
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'expires_at'
+  },
+  respondedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'responded_at'
+  },
+  declineReason: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    field: 'decline_reason'
+  },
+  offeredById: {
+    // Admin/agency owner who assigned manually; null for automatic dispatch
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'offered_by_id'
+  }
+}, {
+  tableName: 'dispatch_offers',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['order_id']
+    },
+    {
+      fields: ['agent_id', 'status']
+    }
+  ]
+});
+
+module.exports = DispatchOffer;
@@ -0,0 +1,155 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Tax invoice of a delivered order, or a credit note reversing one (return approved). Numbers run
+// per agency and document type without gaps; amounts, lines and parties are copied from the order
+// and agency when issued so the document never changes afterwards.
+const Invoice = sequelize.define('Invoice', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  type: {
+    type: DataTypes.ENUM('invoice', 'credit_note'),
+    allowNull: false,
+    defaultValue: 'invoice'
+  },
+  number: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    unique: true,
+    comment: 'e.g. INV-1A2B3C-000042 (prefix, agency code, sequence)'
+  },
+  sequence: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  agencyId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'agency_id',
+    references: {
+      model: 'agencies',
+      key: 'id'
+    }
+  },
+  orderId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'order_id',
+    references: {
+      model: 'orders',
+      key: 'id'
+    }
+  },
+  orderNumber: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    field: 'order_number'
+  },
+  invoiceId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'invoice_id',
+    comment: 'Credit notes: the invoice credited'
+  },
+  agencyDetails: {
+    // { name, email, phone, address, city, pincode }
+    type: DataTypes.JSONB,
+    allowNull: false,
+    field: 'agency_details'
+  },
+  customerDetails: {
+    // { name, email, phone, address }
+    type: DataTypes.JSONB,
+    allowNull: false,
+    field: 'customer_details'
+  },
+  lines: {
+    // Array of { description, quantity, unitPrice, amount, taxAmount, depositAmount }
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: []
+  },
+  subtotal: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  taxType: {
+    type: DataTypes.ENUM('percentage', 'fixed', 'none'),
+    allowNull: false,
+    defaultValue: 'none',
+    field: 'tax_type'
+  },
+  taxValue: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    field: 'tax_value'
+  },
+  taxAmount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    field: 'tax_amount'
+  },
+  platformCharge: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    field: 'platform_charge'
+  },
+  deliveryCharge: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    field: 'delivery_charge'
+  },
+  depositAmount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    field: 'deposit_amount'
+  },
+  couponDiscount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    field: 'coupon_discount'
+  },
+  totalAmount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    field: 'total_amount'
+  },
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Credit notes: why the invoice was credited'
+  },
+  issuedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+    field: 'issued_at'
+  },
+  emailedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'emailed_at'
+  }
+}, {
+  tableName: 'invoices',
+  timestamps: true,
+  indexes: [
+    { unique: true, fields: ['agency_id', 'type', 'sequence'] },
+    // One credit note per invoice
+    { unique: true, fields: ['invoice_id'] },
+    { fields: ['order_id', 'type'] },
+    { fields: ['agency_id', 'issued_at'] }
+  ]
+});
+
+module.exports = Invoice;
@@ -0,0 +1,38 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Lease held by the server instance running a job, so only one instance runs it at a time
+const JobLock = sequelize.define('JobLock', {
+  jobName: {
+    type: DataTypes.STRING(100),
+    primaryKey: true,
+    field: 'job_name'
+  },
+  lockedBy: {
+    type: DataTypes.STRING(150),
+    allowNull: true,
+    field: 'locked_by'
+  },
+  lockedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'locked_at'
+  },
+  lockedUntil: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'locked_until',
+    comment: 'Lease expiry; a crashed instance loses the lock after this'
+  },
+  lastScheduledFor: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'last_scheduled_for',
+    comment: 'Latest schedule slot claimed, so other instances skip that slot'
+  }
+}, {
+  tableName: 'job_locks',
+  timestamps: true
+});
+
+module.exports = JobLock;
@@ -0,0 +1,71 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// One execution of a scheduled background job (see services/jobSchedulerService.js)
+const JobRun = sequelize.define('JobRun', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  jobName: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    field: 'job_name'
+  },
+  trigger: {
+    type: DataTypes.ENUM('scheduled', 'manual'),
+    allowNull: false,
+    defaultValue: 'scheduled'
+  },
+  triggeredBy: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    field: 'triggered_by',
+    comment: 'Email of the admin who ran the job manually'
+  },
+  status: {
+    type: DataTypes.ENUM('running', 'success', 'failed'),
+    allowNull: false,
+    defaultValue: 'running'
+  },
+  instanceId: {
+    type: DataTypes.STRING(150),
+    allowNull: false,
+    field: 'instance_id',
+    comment: 'Server instance (host:pid) that ran the job'
+  },
+  startedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'started_at'
+  },
+  finishedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'finished_at'
+  },
+  durationMs: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'duration_ms'
+  },
+  result: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'Summary returned by the job'
+  },
+  error: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'job_runs',
+  timestamps: true,
+  indexes: [
+    { fields: ['job_name', 'started_at'] },
+    { fields: ['status'] }
+  ]
+});
+
+module.exports = JobRun;
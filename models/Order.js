@@ -12,6 +12,26 @@ const Order = sequelize.define('Order', {
     allowNull: false,
     unique: true
   },
+  checkoutId: {
+    // Shared by the sibling orders of a cart split across agencies; null for single-agency checkouts
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'checkout_id'
+  },
+  subscriptionId: {
+    // Refill subscription that placed this order
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'subscription_id'
+  },
+  isDraft: {
+    // Online-payment order created before payment: stock is deducted once the payment is confirmed,
+    // unpaid drafts are cancelled by the cancel-abandoned-drafts job
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    field: 'is_draft'
+  },
   // Customer details
   customerName: {
     type: DataTypes.STRING,
@@ -38,17 +58,49 @@ const Order = sequelize.define('Order', {
     type: DataTypes.TEXT,
     allowNull: true
   },
+  // Delivery point coordinates (when known) for distance-based dispatch and ETA
+  deliveryLatitude: {
+    type: DataTypes.DECIMAL(10, 7),
+    allowNull: true,
+    field: 'delivery_latitude'
+  },
+  deliveryLongitude: {
+    type: DataTypes.DECIMAL(10, 7),
+    allowNull: true,
+    field: 'delivery_longitude'
+  },
   // Delivery mode
   deliveryMode: {
     type: DataTypes.ENUM('home_delivery', 'pickup'),
     allowNull: false,
     defaultValue: 'home_delivery'
   },
+  // Booked slot (delivery slot for home_delivery, pickup slot for pickup)
+  slotId: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    field: 'slot_id'
+  },
+  slotDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: true,
+    field: 'slot_date'
+  },
+  slotStartTime: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    field: 'slot_start_time'
+  },
+  slotEndTime: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    field: 'slot_end_time'
+  },
   // Order details
   items: {
     type: DataTypes.JSONB,
     allowNull: false,
-    // Array of { productId, productName, variantLabel, variantPrice, quantity, total }
+    // Array of { productId, productName, variantLabel, variantPrice, quantity, productType, depositAmount, depositTotal, total }
   },
   subtotal: {
     type: DataTypes.DECIMAL(10, 2),
@@ -96,6 +148,12 @@ const Order = sequelize.define('Order', {
     allowNull: true,
     field: 'delivery_distance'
   },
+  deliveryChargeBreakdown: {
+    // Delivery charge rules that fired at checkout, see utils/deliveryChargeRules.js
+    type: DataTypes.JSONB,
+    allowNull: true,
+    field: 'delivery_charge_breakdown'
+  },
   couponCode: {
     type: DataTypes.STRING,
     allowNull: true,
@@ -109,6 +167,28 @@ const Order = sequelize.define('Order', {
     },
     field: 'coupon_discount'
   },
+  depositAmount: {
+    // Refundable cylinder deposits on new-connection items (not taxed or discounted)
+    type: DataTypes.DECIMAL(10, 2),
+    defaultValue: 0,
+    validate: {
+      min: 0
+    },
+    field: 'deposit_amount'
+  },
+  depositRefunded: {
+    type: DataTypes.DECIMAL(10, 2),
+    defaultValue: 0,
+    validate: {
+      min: 0
+    },
+    field: 'deposit_refunded'
+  },
+  depositRefundedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'deposit_refunded_at'
+  },
   totalAmount: {
     type: DataTypes.DECIMAL(10, 2),
     allowNull: false,
@@ -124,10 +204,43 @@ const Order = sequelize.define('Order', {
       notEmpty: true
     }
   },
+  paymentReference: {
+    // Provider's reference of the current payment attempt (gateway payments, see services/paymentProviders)
+    type: DataTypes.STRING,
+    allowNull: true,
+    field: 'payment_reference'
+  },
   paymentStatus: {
-    type: DataTypes.ENUM('pending', 'paid', 'failed'),
+    type: DataTypes.ENUM('pending', 'paid', 'failed', 'refunded', 'partially_refunded'),
     defaultValue: 'pending'
   },
+  cashCollected: {
+    // Cash the delivery agent took at the door (cash on delivery), see models/AgentCashEntry.js
+    type: DataTypes.DECIMAL(10, 2),
+    defaultValue: 0,
+    validate: {
+      min: 0
+    },
+    field: 'cash_collected'
+  },
+  refundedAmount: {
+    // Sum of completed refunds (see models/Refund.js)
+    type: DataTypes.DECIMAL(10, 2),
+    defaultValue: 0,
+    validate: {
+      min: 0
+    },
+    field: 'refunded_amount'
+  },
+  walletAmount: {
+    // Part of totalAmount paid from the customer's wallet; the rest is paid with paymentMethod
+    type: DataTypes.DECIMAL(10, 2),
+    defaultValue: 0,
+    validate: {
+      min: 0
+    },
+    field: 'wallet_amount'
+  },
   // Order status
   status: {
     type: DataTypes.ENUM('pending', 'confirmed', 'assigned', 'out_for_delivery', 'delivered', 'cancelled', 'returned', 'return_approved', 'return_rejected'),
@@ -176,6 +289,38 @@ const Order = sequelize.define('Order', {
     type: DataTypes.DATE,
     allowNull: true
   },
+  // ETA while out for delivery, recomputed from the agent's location pings
+  etaMinutes: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'eta_minutes'
+  },
+  etaDistanceKm: {
+    type: DataTypes.DECIMAL(10, 3),
+    allowNull: true,
+    field: 'eta_distance_km'
+  },
+  estimatedArrivalAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'estimated_arrival_at'
+  },
+  etaProvider: {
+    // Distance provider that produced the ETA (google, haversine, ...)
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    field: 'eta_provider'
+  },
+  etaUpdatedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'eta_updated_at'
+  },
+  arrivingSoonNotifiedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'arriving_soon_notified_at'
+  },
   deliveredAt: {
     type: DataTypes.DATE,
     allowNull: true
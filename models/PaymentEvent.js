@@ -0,0 +1,102 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Every payment notification or status check, with the status Pesapal confirmed and what it changed
+// (see services/pesapalPaymentService.js)
+const PaymentEvent = sequelize.define('PaymentEvent', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  provider: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    defaultValue: 'pesapal'
+  },
+  source: {
+    type: DataTypes.ENUM('ipn', 'callback', 'status_check', 'reconciliation'),
+    allowNull: false,
+    comment: 'ipn: server-to-server notification, callback: browser redirect, status_check: manual/draft check, reconciliation: nightly job'
+  },
+  orderTrackingId: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    field: 'order_tracking_id'
+  },
+  merchantReference: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    field: 'merchant_reference',
+    comment: 'Order id, checkout id or order number sent to Pesapal'
+  },
+  notificationType: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    field: 'notification_type'
+  },
+  orderIds: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+    field: 'order_ids'
+  },
+  checkoutId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'checkout_id'
+  },
+  pesapalStatus: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    field: 'pesapal_status',
+    comment: 'Status confirmed with GetTransactionStatus (COMPLETED, FAILED, INVALID, REVERSED)'
+  },
+  statusCode: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'status_code'
+  },
+  amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true
+  },
+  currency: {
+    type: DataTypes.STRING(10),
+    allowNull: true
+  },
+  paymentMethod: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    field: 'payment_method'
+  },
+  confirmationCode: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    field: 'confirmation_code'
+  },
+  outcome: {
+    type: DataTypes.ENUM('applied', 'no_change', 'order_not_found', 'mismatch', 'error'),
+    allowNull: false,
+    comment: 'applied: payment status changed, no_change: already up to date (duplicate), mismatch: needs review'
+  },
+  message: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  payload: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'Raw notification and Pesapal transaction status'
+  }
+}, {
+  tableName: 'payment_events',
+  timestamps: true,
+  indexes: [
+    { fields: ['order_tracking_id'] },
+    { fields: ['outcome', 'created_at'] },
+    { fields: ['source'] }
+  ]
+});
+
+module.exports = PaymentEvent;
@@ -56,8 +56,26 @@ const Product = sequelize.define('Product', {
     type: DataTypes.ENUM('active', 'inactive'),
     defaultValue: 'active'
   },
+  productType: {
+    // 'refill' is a gas-only exchange, 'new_connection' includes a new cylinder and a refundable deposit
+    type: DataTypes.ENUM('refill', 'new_connection'),
+    allowNull: false,
+    defaultValue: 'refill',
+    field: 'product_type'
+  },
+  depositAmount: {
+    // Refundable cylinder deposit charged per unit on new connections
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    field: 'deposit_amount',
+    validate: {
+      min: 0
+    }
+  },
   variants: {
-    // Array of { label: '3kg', unit: 'kg', price: 100.00, stock: 5 }
+    // Array of { label: '3kg', unit: 'kg', price: 100.00, stock: 5, type: 'refill', depositAmount: 0 }
+    // Variant type/depositAmount override the product-level values when present
     type: DataTypes.JSONB,
     allowNull: true,
     defaultValue: []
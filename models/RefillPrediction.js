@@ -0,0 +1,100 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Predicted run-out of a household's cylinder after a delivery. Resolved by the next delivery of
+// the same size, which records how far off the prediction was (see services/refillPredictionService.js)
+const RefillPrediction = sequelize.define('RefillPrediction', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'user_id',
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  productId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'product_id'
+  },
+  variantLabel: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    field: 'variant_label',
+    comment: 'Cylinder size'
+  },
+  agencyId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'agency_id',
+    comment: 'Agency of the delivery the prediction starts from'
+  },
+  lastOrderId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'last_order_id'
+  },
+  quantity: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1,
+    comment: 'Cylinders of this size in the last delivery'
+  },
+  lastDeliveredAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'last_delivered_at'
+  },
+  daysPerCylinder: {
+    type: DataTypes.DECIMAL(6, 2),
+    allowNull: false,
+    field: 'days_per_cylinder'
+  },
+  sampleCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'sample_count',
+    comment: 'Refill gaps the estimate is based on'
+  },
+  predictedRunOutDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: false,
+    field: 'predicted_run_out_date'
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'reminded', 'resolved', 'expired'),
+    defaultValue: 'pending'
+  },
+  reminderSentAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'reminder_sent_at'
+  },
+  actualRefillDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: true,
+    field: 'actual_refill_date'
+  },
+  errorDays: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'error_days',
+    comment: 'Actual refill date minus predicted run-out date (positive = gas lasted longer)'
+  }
+}, {
+  tableName: 'refill_predictions',
+  timestamps: true,
+  indexes: [
+    { fields: ['user_id', 'variant_label', 'status'] },
+    { fields: ['status', 'predicted_run_out_date'] }
+  ]
+});
+
+module.exports = RefillPrediction;
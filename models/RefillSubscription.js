@@ -0,0 +1,140 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Recurring refill: the scheduler places the same order every intervalDays
+// (see services/subscriptionService.js)
+const RefillSubscription = sequelize.define('RefillSubscription', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'user_id',
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  agencyId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'agency_id',
+    references: {
+      model: 'agencies',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  productId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'product_id',
+    references: {
+      model: 'products',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  variantLabel: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    field: 'variant_label'
+  },
+  quantity: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1,
+    validate: {
+      min: 1
+    }
+  },
+  addressId: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    field: 'address_id',
+    comment: 'Id of an entry in the customer\'s User.addresses'
+  },
+  intervalDays: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'interval_days',
+    validate: {
+      min: 7,
+      max: 120
+    }
+  },
+  nextRunDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: false,
+    field: 'next_run_date',
+    comment: 'Date the next refill order is placed'
+  },
+  reminderDaysBefore: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1,
+    field: 'reminder_days_before'
+  },
+  lastReminderFor: {
+    type: DataTypes.DATEONLY,
+    allowNull: true,
+    field: 'last_reminder_for',
+    comment: 'nextRunDate the last pre-order reminder was sent for'
+  },
+  paymentMethod: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    field: 'payment_method'
+  },
+  status: {
+    type: DataTypes.ENUM('active', 'paused', 'cancelled'),
+    defaultValue: 'active'
+  },
+  pausedUntil: {
+    type: DataTypes.DATEONLY,
+    allowNull: true,
+    field: 'paused_until',
+    comment: 'Paused subscriptions resume on this date; null = until resumed by the customer'
+  },
+  lastOrderId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'last_order_id'
+  },
+  lastRunAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'last_run_at'
+  },
+  lastRunStatus: {
+    type: DataTypes.ENUM('success', 'failed'),
+    allowNull: true,
+    field: 'last_run_status'
+  },
+  lastError: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    field: 'last_error'
+  },
+  failureCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    field: 'failure_count',
+    comment: 'Consecutive failed runs; reset on success'
+  }
+}, {
+  tableName: 'refill_subscriptions',
+  timestamps: true,
+  indexes: [
+    { fields: ['status', 'next_run_date'] },
+    { fields: ['user_id'] },
+    { fields: ['agency_id'] }
+  ]
+});
+
+module.exports = RefillSubscription;
@@ -0,0 +1,131 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Money owed back on a paid order that was cancelled or returned. Pesapal refunds are requested
+// through the Pesapal API, wallet refunds credit the customer wallet, anything else is paid out by
+// hand (see services/refundService.js)
+const Refund = sequelize.define('Refund', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  orderId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'order_id',
+    references: {
+      model: 'orders',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  agencyId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'agency_id'
+  },
+  amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    validate: {
+      min: 0.01
+    }
+  },
+  type: {
+    type: DataTypes.ENUM('full', 'partial'),
+    allowNull: false
+  },
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'processing', 'completed', 'failed'),
+    allowNull: false,
+    defaultValue: 'pending',
+    comment: 'pending: owed, processing: requested from Pesapal / being paid out, completed: money returned'
+  },
+  method: {
+    type: DataTypes.ENUM('pesapal', 'manual', 'wallet', 'mobile_money', 'fake'),
+    allowNull: false,
+    comment: 'pesapal/mobile_money/fake: refund request to the payment provider, manual: cash/M-Pesa paid out by the agency or admin, wallet: credited to the customer wallet'
+  },
+  // Who raised the refund
+  initiatedBy: {
+    type: DataTypes.ENUM('customer', 'admin', 'agency', 'system'),
+    allowNull: false,
+    field: 'initiated_by'
+  },
+  initiatedById: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'initiated_by_id'
+  },
+  initiatedByName: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    field: 'initiated_by_name'
+  },
+  // Pesapal payment the refund is taken from
+  orderTrackingId: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    field: 'order_tracking_id'
+  },
+  confirmationCode: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    field: 'confirmation_code'
+  },
+  reference: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Payout reference (M-Pesa code, bank reference) recorded when completed'
+  },
+  providerResponse: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    field: 'provider_response'
+  },
+  failureReason: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    field: 'failure_reason'
+  },
+  processedById: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'processed_by_id'
+  },
+  processedByName: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    field: 'processed_by_name'
+  },
+  processingAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'processing_at'
+  },
+  completedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'completed_at'
+  },
+  failedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'failed_at'
+  }
+}, {
+  tableName: 'refunds',
+  timestamps: true,
+  indexes: [
+    { fields: ['order_id'] },
+    { fields: ['agency_id', 'status'] },
+    { fields: ['status', 'created_at'] }
+  ]
+});
+
+module.exports = Refund;
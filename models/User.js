@@ -88,6 +88,11 @@ const User = sequelize.define('User', {
   fcmDeviceType: {
     type: DataTypes.STRING,
     allowNull: true
+  },
+  // "Running low" refill reminders predicted from past deliveries
+  refillRemindersEnabled: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
   }
 }, {
   tableName: 'users',
@@ -0,0 +1,45 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Account of the wallet ledger: one per customer plus the system accounts money comes from and goes
+// to (top-ups, refunds, adjustments, order payments). balance is the sum of the account's entries
+// and only changes together with them (see services/walletService.js)
+const WalletAccount = sequelize.define('WalletAccount', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  code: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true,
+    comment: 'customer:<userId> for customer wallets, the account name for system accounts'
+  },
+  type: {
+    type: DataTypes.ENUM('customer', 'system'),
+    allowNull: false
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    unique: true,
+    field: 'user_id',
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  balance: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Customer wallets never go below 0; system accounts carry the opposite side and go negative'
+  }
+}, {
+  tableName: 'wallet_accounts',
+  timestamps: true
+});
+
+module.exports = WalletAccount;
@@ -0,0 +1,59 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const rejectChange = () => {
+  throw new Error('Wallet entries are immutable; post a reversing transaction instead');
+};
+
+// Debit/credit line of a wallet transaction against one account, with the account's balance after it
+const WalletEntry = sequelize.define('WalletEntry', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  transactionId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'transaction_id',
+    references: {
+      model: 'wallet_transactions',
+      key: 'id'
+    }
+  },
+  accountId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'account_id',
+    references: {
+      model: 'wallet_accounts',
+      key: 'id'
+    }
+  },
+  amount: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    comment: 'Positive adds to the account balance, negative takes from it'
+  },
+  balanceAfter: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    field: 'balance_after'
+  }
+}, {
+  tableName: 'wallet_entries',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    { fields: ['transaction_id'] },
+    { fields: ['account_id', 'created_at'] }
+  ],
+  hooks: {
+    beforeUpdate: rejectChange,
+    beforeBulkUpdate: rejectChange,
+    beforeDestroy: rejectChange,
+    beforeBulkDestroy: rejectChange
+  }
+});
+
+module.exports = WalletEntry;
@@ -0,0 +1,71 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Customer adding money to their wallet through Pesapal. The top-up id is the Pesapal merchant
+// reference; the wallet is credited once Pesapal confirms the payment.
+const WalletTopUp = sequelize.define('WalletTopUp', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'user_id',
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  amount: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    validate: {
+      min: 1
+    }
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'completed', 'failed'),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  orderTrackingId: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    field: 'order_tracking_id'
+  },
+  countryCode: {
+    type: DataTypes.STRING(2),
+    allowNull: false,
+    defaultValue: 'KE',
+    field: 'country_code'
+  },
+  transactionId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'transaction_id',
+    comment: 'Wallet transaction that credited the top-up'
+  },
+  failureReason: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    field: 'failure_reason'
+  },
+  completedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'completed_at'
+  }
+}, {
+  tableName: 'wallet_top_ups',
+  timestamps: true,
+  indexes: [
+    { fields: ['user_id', 'created_at'] },
+    { fields: ['order_tracking_id'] },
+    { fields: ['status', 'created_at'] }
+  ]
+});
+
+module.exports = WalletTopUp;
@@ -0,0 +1,83 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const rejectChange = () => {
+  throw new Error('Wallet transactions are immutable; post a reversing transaction instead');
+};
+
+// One money movement of the wallet ledger. Its entries (models/WalletEntry.js) always add up to 0.
+// Transactions are never edited or deleted: a mistake is corrected with a new transaction.
+const WalletTransaction = sequelize.define('WalletTransaction', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  type: {
+    type: DataTypes.ENUM('top_up', 'refund', 'adjustment', 'order_payment', 'order_payment_reversal'),
+    allowNull: false
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'user_id',
+    comment: 'Customer whose wallet moved'
+  },
+  amount: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    comment: 'Positive credits the customer wallet, negative debits it'
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  orderId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'order_id'
+  },
+  refundId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'refund_id'
+  },
+  topUpId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'top_up_id'
+  },
+  idempotencyKey: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    unique: true,
+    field: 'idempotency_key',
+    comment: 'Posting twice with the same key (e.g. a repeated Pesapal notification) is a no-op'
+  },
+  createdById: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'created_by_id'
+  },
+  createdByName: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    field: 'created_by_name'
+  }
+}, {
+  tableName: 'wallet_transactions',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    { fields: ['user_id', 'created_at'] },
+    { fields: ['order_id'] }
+  ],
+  hooks: {
+    beforeUpdate: rejectChange,
+    beforeBulkUpdate: rejectChange,
+    beforeDestroy: rejectChange,
+    beforeBulkDestroy: rejectChange
+  }
+});
+
+module.exports = WalletTransaction;
@@ -15,6 +15,23 @@ const Coupon = require('./Coupon');
 const DeliveryCharge = require('./DeliveryCharge');
 const Banner = require('./Banner');
 const Notification = require('./Notification');
+const CylinderBalance = require('./CylinderBalance');
+const DispatchOffer = require('./DispatchOffer');
+const AgentLocationPing = require('./AgentLocationPing');
+const DeliveryZone = require('./DeliveryZone');
+const RefillSubscription = require('./RefillSubscription');
+const RefillPrediction = require('./RefillPrediction');
+const JobRun = require('./JobRun');
+const JobLock = require('./JobLock');
+const PaymentEvent = require('./PaymentEvent');
+const Refund = require('./Refund');
+const AgentCashEntry = require('./AgentCashEntry');
+const CashHandover = require('./CashHandover');
+const WalletAccount = require('./WalletAccount');
+const WalletTransaction = require('./WalletTransaction');
+const WalletEntry = require('./WalletEntry');
+const WalletTopUp = require('./WalletTopUp');
+const Invoice = require('./Invoice');
 
 // Define associations
 Order.belongsTo(DeliveryAgent, { 
@@ -104,6 +121,17 @@ Agency.hasOne(DeliveryCharge, {
   as: 'DeliveryCharge'
 });
 
+// DeliveryZone and Agency associations
+DeliveryZone.belongsTo(Agency, {
+  foreignKey: 'agencyId',
+  as: 'Agency'
+});
+
+Agency.hasMany(DeliveryZone, {
+  foreignKey: 'agencyId',
+  as: 'DeliveryZones'
+});
+
 // User and Notification associations
 User.hasMany(Notification, {
   foreignKey: 'userId',
@@ -126,6 +154,194 @@ Notification.belongsTo(Order, {
   as: 'Order'
 });
 
+// CylinderBalance associations
+CylinderBalance.belongsTo(Agency, {
+  foreignKey: 'agencyId',
+  as: 'Agency'
+});
+
+CylinderBalance.belongsTo(Product, {
+  foreignKey: 'productId',
+  as: 'Product'
+});
+
+// DispatchOffer associations
+Order.hasMany(DispatchOffer, {
+  foreignKey: 'orderId',
+  as: 'DispatchOffers'
+});
+
+DispatchOffer.belongsTo(Order, {
+  foreignKey: 'orderId',
+  as: 'Order'
+});
+
+DispatchOffer.belongsTo(DeliveryAgent, {
+  foreignKey: 'agentId',
+  as: 'DeliveryAgent'
+});
+
+DeliveryAgent.hasMany(DispatchOffer, {
+  foreignKey: 'agentId',
+  as: 'DispatchOffers'
+});
+
+// AgentLocationPing associations
+DeliveryAgent.hasMany(AgentLocationPing, {
+  foreignKey: 'agentId',
+  as: 'LocationPings'
+});
+
+AgentLocationPing.belongsTo(DeliveryAgent, {
+  foreignKey: 'agentId',
+  as: 'DeliveryAgent'
+});
+
+// RefillSubscription associations
+RefillSubscription.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'User'
+});
+
+User.hasMany(RefillSubscription, {
+  foreignKey: 'userId',
+  as: 'RefillSubscriptions'
+});
+
+RefillSubscription.belongsTo(Agency, {
+  foreignKey: 'agencyId',
+  as: 'Agency'
+});
+
+RefillSubscription.belongsTo(Product, {
+  foreignKey: 'productId',
+  as: 'Product'
+});
+
+RefillSubscription.hasMany(Order, {
+  foreignKey: 'subscriptionId',
+  as: 'Orders',
+  constraints: false
+});
+
+// RefillPrediction associations
+RefillPrediction.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'User'
+});
+
+User.hasMany(RefillPrediction, {
+  foreignKey: 'userId',
+  as: 'RefillPredictions'
+});
+
+// Refund associations
+Order.hasMany(Refund, {
+  foreignKey: 'orderId',
+  as: 'Refunds'
+});
+
+Refund.belongsTo(Order, {
+  foreignKey: 'orderId',
+  as: 'Order'
+});
+
+Refund.belongsTo(Agency, {
+  foreignKey: 'agencyId',
+  as: 'Agency',
+  constraints: false
+});
+
+// COD cash ledger associations
+DeliveryAgent.hasMany(AgentCashEntry, {
+  foreignKey: 'agentId',
+  as: 'CashEntries'
+});
+
+AgentCashEntry.belongsTo(DeliveryAgent, {
+  foreignKey: 'agentId',
+  as: 'DeliveryAgent'
+});
+
+AgentCashEntry.belongsTo(Order, {
+  foreignKey: 'orderId',
+  as: 'Order',
+  constraints: false
+});
+
+DeliveryAgent.hasMany(CashHandover, {
+  foreignKey: 'agentId',
+  as: 'CashHandovers'
+});
+
+CashHandover.belongsTo(DeliveryAgent, {
+  foreignKey: 'agentId',
+  as: 'DeliveryAgent'
+});
+
+// Wallet ledger associations
+User.hasOne(WalletAccount, {
+  foreignKey: 'userId',
+  as: 'Wallet'
+});
+
+WalletAccount.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'User'
+});
+
+WalletTransaction.hasMany(WalletEntry, {
+  foreignKey: 'transactionId',
+  as: 'Entries'
+});
+
+WalletEntry.belongsTo(WalletTransaction, {
+  foreignKey: 'transactionId',
+  as: 'Transaction'
+});
+
+WalletEntry.belongsTo(WalletAccount, {
+  foreignKey: 'accountId',
+  as: 'Account'
+});
+
+WalletTransaction.belongsTo(Order, {
+  foreignKey: 'orderId',
+  as: 'Order',
+  constraints: false
+});
+
+User.hasMany(WalletTopUp, {
+  foreignKey: 'userId',
+  as: 'WalletTopUps'
+});
+
+WalletTopUp.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'User'
+});
+
+Order.hasMany(Invoice, {
+  foreignKey: 'orderId',
+  as: 'Invoices'
+});
+
+Invoice.belongsTo(Order, {
+  foreignKey: 'orderId',
+  as: 'Order'
+});
+
+Invoice.belongsTo(Agency, {
+  foreignKey: 'agencyId',
+  as: 'Agency'
+});
+
+Invoice.belongsTo(Invoice, {
+  foreignKey: 'invoiceId',
+  as: 'CreditedInvoice',
+  constraints: false
+});
+
 module.exports = {
   User,
   DeliveryAgent,
@@ -143,5 +359,22 @@ module.exports = {
   Coupon,
   DeliveryCharge,
   Banner,
-  Notification
+  Notification,
+  CylinderBalance,
+  DispatchOffer,
+  AgentLocationPing,
+  DeliveryZone,
+  RefillSubscription,
+  RefillPrediction,
+  JobRun,
+  JobLock,
+  PaymentEvent,
+  Refund,
+  AgentCashEntry,
+  CashHandover,
+  WalletAccount,
+  WalletTransaction,
+  WalletEntry,
+  WalletTopUp,
+  Invoice
 };
@@ -9,7 +9,8 @@ const {
   getAddressesHandler,
   updateAddressHandler,
   deleteAddressHandler,
-  updateAllAddressesHandler
+  updateAllAddressesHandler,
+  getServingAgenciesHandler
 } = require('../controllers/addressController');
 
 // Add new address
@@ -18,6 +19,9 @@ router.post('/', authenticate, addAddressHandler);
 // Get all addresses
 router.get('/', authenticate, getAddressesHandler);
 
+// Get agencies that deliver to an address
+router.get('/:addressId/serving-agencies', authenticate, getServingAgenciesHandler);
+
 // Update specific address
 router.put('/:addressId', authenticate, updateAddressHandler);
 
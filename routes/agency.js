@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const controller = require('../controllers/agencyController');
+const slotController = require('../controllers/agencySlotController');
 const { authenticate } = require('../middleware/auth');
 const upload = require('../middleware/upload');
 
@@ -16,8 +17,22 @@ router.get('/', authenticate, controller.list);
 router.get('/:id', authenticate, controller.getById);
 router.put('/:id', authenticate, upload.single('image'), controller.update);
 router.put('/:id/status', authenticate, controller.updateStatus);
+router.put('/:id/order-settings', authenticate, controller.updateSettings);
 router.delete('/:id', authenticate, controller.remove);
 
+// Delivery slots (public listing with availability, admin/agency owner manage)
+router.get('/:id/delivery-slots', slotController.listDeliverySlots);
+router.post('/:id/delivery-slots', authenticate, slotController.addDeliverySlot);
+router.put('/:id/delivery-slots/:slotId', authenticate, slotController.updateDeliverySlot);
+router.delete('/:id/delivery-slots/:slotId', authenticate, slotController.deleteDeliverySlot);
+
+// Pickup slots (recurring weekly windows) and today's pickup queue
+router.get('/:id/pickup-slots', slotController.listPickupSlots);
+router.post('/:id/pickup-slots', authenticate, slotController.addPickupSlot);
+router.put('/:id/pickup-slots/:slotId', authenticate, slotController.updatePickupSlot);
+router.delete('/:id/pickup-slots/:slotId', authenticate, slotController.deletePickupSlot);
+router.get('/:id/pickup-queue', authenticate, slotController.getPickupQueue);
+
 module.exports = router;
 
 
@@ -0,0 +1,37 @@
+const express = require('express');
+const router = express.Router();
+const cashController = require('../controllers/cashController');
+const uploadCashSignature = require('../middleware/cashSignatureUpload');
+const { authenticate, authorize } = require('../middleware/auth');
+
+// All routes require authentication
+router.use(authenticate);
+
+// Cash in hand per agent (Admin, Agency Owner)
+router.get('/agents', authorize('admin', 'agency_owner'), cashController.getAgents);
+
+// Own cash in hand and handovers to sign (Agent)
+router.get('/me', authorize('agent'), cashController.getMyCash);
+
+// Ledger of one agent
+router.get('/agents/:agentId/ledger', cashController.getLedger);
+
+// Correct an agent's cash in hand (Admin only)
+router.post('/agents/:agentId/adjustments', authorize('admin'), cashController.adjust);
+
+// Daily COD reconciliation report (Admin, Agency Owner)
+router.get('/reconciliation', authorize('admin', 'agency_owner'), cashController.getReconciliation);
+
+// List handovers (agent: own, agency owner: agency, admin: all)
+router.get('/handovers', cashController.getHandovers);
+
+// Record cash received from an agent (Admin, Agency Owner)
+router.post('/handovers', authorize('admin', 'agency_owner'), cashController.createHandover);
+
+// Agent counter-signs a handover (optional signature image)
+router.post('/handovers/:id/sign', authorize('agent'), uploadCashSignature.single('signature'), cashController.signHandover);
+
+// Agent disputes a handover
+router.post('/handovers/:id/dispute', authorize('agent'), cashController.dispute);
+
+module.exports = router;
@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const deliveryZoneController = require('../controllers/deliveryZoneController');
+const { authenticate, authorize } = require('../middleware/auth');
+
+// All routes require authentication
+router.use(authenticate);
+
+// Create delivery zone for an agency
+router.post('/', authorize('admin', 'agency_owner'), deliveryZoneController.create);
+
+// Zones of different agencies that overlap (Admin only)
+router.get('/overlaps', authorize('admin'), deliveryZoneController.getOverlapReport);
+
+// Get delivery zones by agency ID
+router.get('/agency/:agencyId', deliveryZoneController.getByAgencyId);
+
+// Get delivery zone by ID
+router.get('/:id', deliveryZoneController.getById);
+
+// Update delivery zone
+router.put('/:id', authorize('admin', 'agency_owner'), deliveryZoneController.update);
+
+// Delete delivery zone
+router.delete('/:id', authorize('admin', 'agency_owner'), deliveryZoneController.deleteZone);
+
+module.exports = router;
@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const invoiceController = require('../controllers/invoiceController');
+const { authenticate, authorize } = require('../middleware/auth');
+
+// All routes require authentication
+router.use(authenticate);
+
+// Invoice register: invoices and credit notes (admin: all, agency owner: own agency)
+router.get('/', authorize('admin', 'agency_owner'), invoiceController.getAll);
+
+module.exports = router;
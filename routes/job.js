@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const jobController = require('../controllers/jobController');
+const { authenticate, authorize } = require('../middleware/auth');
+
+// Background jobs are admin only
+router.use(authenticate);
+router.use(authorize('admin'));
+
+// List jobs with their last results
+router.get('/', jobController.getAll);
+
+// Run history of a job
+router.get('/:name/runs', jobController.getRuns);
+
+// Trigger a job manually
+router.post('/:name/run', jobController.runNow);
+
+module.exports = router;
@@ -1,14 +1,15 @@
 const express = require('express');
 const router = express.Router();
 const orderController = require('../controllers/orderController');
-const { authenticate } = require('../middleware/auth');
+const invoiceController = require('../controllers/invoiceController');
+const { authenticate, optionalAuth } = require('../middleware/auth');
 const uploadDeliveryProof = require('../middleware/deliveryProofUpload');
 
 
 
-// Customer routes (no authentication required for checkout and payment)
-router.post('/checkout', orderController.createOrderHandler);
-router.post('/create-draft', orderController.createDraftOrderHandler); // Create draft order for online payment (no stock deduction)
+// Customer routes (no authentication required for checkout and payment; paying with the wallet needs a customer token)
+router.post('/checkout', optionalAuth, orderController.createOrderHandler);
+router.post('/create-draft', optionalAuth, orderController.createDraftOrderHandler); // Create draft order for online payment (no stock deduction)
 router.post('/payment', orderController.orderpesapalPayment);
 router.get('/payment/status/:orderId', orderController.getPesapalPaymentStatus);
 
@@ -24,6 +25,9 @@ router.get('/status/:status', orderController.getOrdersByStatus);
 // Customer-specific routes
 router.get('/customer/summary', orderController.getCustomerOrdersSummary);
 
+// Cylinder exchange ledger (customer: own, agency owner: own agency, admin: all)
+router.get('/cylinders/balances', orderController.getCylinderBalances);
+
 // Agent-specific routes
 router.get('/agent/history', orderController.getAgentDeliveryHistory);
 router.get('/agent/stats', orderController.getAgentDeliveryStats);
@@ -33,12 +37,22 @@ router.get('/agent/stats', orderController.getAgentDeliveryStats);
 // Order management routes
 router.put('/:id/status', orderController.updateOrderStatusHandler);
 router.put('/:id/assign', orderController.assignAgentHandler);
+router.put('/:id/accept', orderController.acceptOrderHandler);
+router.put('/:id/decline', orderController.declineOrderHandler);
+router.post('/:id/dispatch', orderController.dispatchOrderHandler);
+router.get('/:id/dispatch-history', orderController.getDispatchHistory);
+router.get('/:id/tracking', orderController.getOrderTracking);
 router.post('/:id/send-otp', orderController.sendOTPHandler);
 router.post('/:id/verify-otp', uploadDeliveryProof.single('deliveryProof'), orderController.verifyOTPHandler);
 router.put('/:id/cancel', orderController.cancelOrderHandler);
 router.put('/:id/return', orderController.returnOrderHandler);
 router.put('/:id/payment', orderController.markPaymentReceivedHandler);
 
+// Tax invoice, receipt and credit note PDFs
+router.get('/:id/invoice', invoiceController.downloadInvoice);
+router.get('/:id/receipt', invoiceController.downloadReceipt);
+router.get('/:id/credit-note', invoiceController.downloadCreditNote);
+
 
 
 
@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const paymentController = require('../controllers/paymentController');
+
+// Payment methods offered at checkout (Public, ?agencyId= for one agency)
+router.get('/methods', paymentController.getMethods);
+
+// Start an online payment for an order or split checkout (Public)
+router.post('/initiate', paymentController.initiate);
+
+// Check and apply the provider's payment status of an order (Public)
+router.get('/status/:orderId', paymentController.getStatus);
+
+module.exports = router;
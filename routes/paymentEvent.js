@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const paymentEventController = require('../controllers/paymentEventController');
+const { authenticate, authorize } = require('../middleware/auth');
+
+// Payment events are admin only
+router.use(authenticate);
+router.use(authorize('admin'));
+
+// List payment notifications, status checks and reconciliation results
+router.get('/', paymentEventController.getAll);
+
+module.exports = router;
@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const refillPredictionController = require('../controllers/refillPredictionController');
+const { authenticate, authorize } = require('../middleware/auth');
+
+// All routes require authentication
+router.use(authenticate);
+
+// Logged-in customer's predicted run-out dates
+router.get('/me', authorize('customer'), refillPredictionController.getMyPredictions);
+
+// Opt in/out of "running low" reminders
+router.put('/preferences', authorize('customer'), refillPredictionController.updatePreferences);
+
+// Prediction accuracy report (Admin only)
+router.get('/accuracy', authorize('admin'), refillPredictionController.getAccuracyReport);
+
+// Send due reminders now (Admin only)
+router.post('/send-reminders', authorize('admin'), refillPredictionController.sendDueReminders);
+
+module.exports = router;
@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+const refundController = require('../controllers/refundController');
+const { authenticate, authorize } = require('../middleware/auth');
+
+// All routes require authentication
+router.use(authenticate);
+
+// List refunds (customer: own orders, agency owner: agency, admin: all)
+router.get('/', refundController.getAll);
+
+// Refunds still owed with totals (Admin, Agency Owner)
+router.get('/outstanding', authorize('admin', 'agency_owner'), refundController.getOutstanding);
+
+// Raise a refund on a paid order (Admin, Agency Owner)
+router.post('/', authorize('admin', 'agency_owner'), refundController.create);
+
+// Get refund by ID
+router.get('/:id', refundController.getById);
+
+// Start paying out a refund (Pesapal refunds are requested from Pesapal)
+router.post('/:id/process', authorize('admin', 'agency_owner'), refundController.startProcessing);
+
+// Confirm the money was returned
+router.post('/:id/complete', authorize('admin', 'agency_owner'), refundController.complete);
+
+// Mark a refund as failed
+router.post('/:id/fail', authorize('admin', 'agency_owner'), refundController.fail);
+
+module.exports = router;
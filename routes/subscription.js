@@ -0,0 +1,39 @@
+const express = require('express');
+const router = express.Router();
+const subscriptionController = require('../controllers/subscriptionController');
+const { authenticate, authorize } = require('../middleware/auth');
+
+// All routes require authentication
+router.use(authenticate);
+
+// Create refill subscription (Customer)
+router.post('/', authorize('customer'), subscriptionController.create);
+
+// List subscriptions (customer: own, agency owner: agency, admin: all)
+router.get('/', subscriptionController.getAll);
+
+// Place due refills and send reminders now (Admin only)
+router.post('/run-due', authorize('admin'), subscriptionController.runDue);
+
+// Get subscription by ID
+router.get('/:id', subscriptionController.getById);
+
+// Update subscription
+router.put('/:id', subscriptionController.update);
+
+// Skip the next refill
+router.post('/:id/skip', subscriptionController.skip);
+
+// Pause subscription
+router.post('/:id/pause', subscriptionController.pause);
+
+// Resume paused subscription
+router.post('/:id/resume', subscriptionController.resume);
+
+// Reschedule the next refill
+router.post('/:id/reschedule', subscriptionController.reschedule);
+
+// Cancel subscription
+router.delete('/:id', subscriptionController.cancel);
+
+module.exports = router;
@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const walletController = require('../controllers/walletController');
+const { authenticate, authorize } = require('../middleware/auth');
+
+// All routes require authentication
+router.use(authenticate);
+
+// Own balance and pending top-ups (Customer)
+router.get('/me', authorize('customer'), walletController.getMyWallet);
+
+// Own statement (Customer)
+router.get('/me/statement', authorize('customer'), walletController.getMyStatement);
+
+// Top up through Pesapal (Customer)
+router.post('/top-ups', authorize('customer'), walletController.topUp);
+
+// Top-up status (Customer: own, Admin: any)
+router.get('/top-ups/:id', authorize('customer', 'admin'), walletController.getTopUp);
+
+// Wallet and statement of a customer (Admin only)
+router.get('/users/:userId', authorize('admin'), walletController.getCustomerWallet);
+router.get('/users/:userId/statement', authorize('admin'), walletController.getCustomerStatement);
+
+// Credit or debit a customer wallet (Admin only)
+router.post('/users/:userId/adjustments', authorize('admin'), walletController.adjust);
+
+module.exports = router;
@@ -0,0 +1,28 @@
+require('dotenv').config();
+const { sequelize } = require('../config/database');
+
+async function addAgencyAutomationColumns() {
+  try {
+    console.log('🔄 Connecting to database...');
+    await sequelize.authenticate();
+    console.log('✅ Database connected successfully');
+
+    console.log('🔄 Adding auto_assign_agents column to agencies table...');
+    await sequelize.query(`
+      ALTER TABLE agencies 
+      ADD COLUMN IF NOT EXISTS auto_assign_agents BOOLEAN DEFAULT false;
+    `);
+
+    console.log('✅ Agency automation columns added successfully!');
+
+    await sequelize.close();
+    console.log('✅ Database connection closed');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error adding agency automation columns:', error);
+    await sequelize.close();
+    process.exit(1);
+  }
+}
+
+addAgencyAutomationColumns();
@@ -0,0 +1,29 @@
+require('dotenv').config();
+const { sequelize } = require('../config/database');
+
+async function addAgencyCoordinates() {
+  try {
+    console.log('🔄 Connecting to database...');
+    await sequelize.authenticate();
+    console.log('✅ Database connected successfully');
+
+    console.log('🔄 Adding latitude/longitude columns to agencies table...');
+    await sequelize.query(`
+      ALTER TABLE agencies 
+      ADD COLUMN IF NOT EXISTS latitude DECIMAL(10, 7),
+      ADD COLUMN IF NOT EXISTS longitude DECIMAL(10, 7);
+    `);
+
+    console.log('✅ Agency coordinate columns added successfully!');
+
+    await sequelize.close();
+    console.log('✅ Database connection closed');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error adding agency coordinate columns:', error);
+    await sequelize.close();
+    process.exit(1);
+  }
+}
+
+addAgencyCoordinates();
@@ -0,0 +1,26 @@
+require('dotenv').config();
+const { sequelize } = require('../config/database');
+const { AgentLocationPing } = require('../models');
+
+async function addAgentLocationTracking() {
+  try {
+    console.log('🔄 Connecting to database...');
+    await sequelize.authenticate();
+    console.log('✅ Database connected successfully');
+
+    console.log('🔄 Creating agent_location_pings table...');
+    await AgentLocationPing.sync({ alter: true });
+
+    console.log('✅ Agent location tracking table created successfully!');
+
+    await sequelize.close();
+    console.log('✅ Database connection closed');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error creating agent location tracking table:', error);
+    await sequelize.close();
+    process.exit(1);
+  }
+}
+
+addAgentLocationTracking();
@@ -0,0 +1,41 @@
+require('dotenv').config();
+const { sequelize } = require('../config/database');
+const { AgentCashEntry, CashHandover } = require('../models');
+
+async function addCashLedger() {
+  try {
+    console.log('🔄 Connecting to database...');
+    await sequelize.authenticate();
+    console.log('✅ Database connected successfully');
+
+    console.log('🔄 Adding cash_in_hand column to delivery_agents table...');
+    await sequelize.query(`
+      ALTER TABLE delivery_agents
+      ADD COLUMN IF NOT EXISTS cash_in_hand DECIMAL(10, 2) DEFAULT 0;
+    `);
+    console.log('✅ cash_in_hand column added');
+
+    console.log('🔄 Adding cash_collected column to orders table...');
+    await sequelize.query(`
+      ALTER TABLE orders
+      ADD COLUMN IF NOT EXISTS cash_collected DECIMAL(10, 2) DEFAULT 0;
+    `);
+    console.log('✅ cash_collected column added');
+
+    console.log('🔄 Creating agent_cash_entries and cash_handovers tables...');
+    await AgentCashEntry.sync({ alter: true });
+    await CashHandover.sync({ alter: true });
+    console.log('✅ Cash ledger tables created successfully!');
+    console.log('ℹ️  Balances start at 0; cash collected before this migration is not in the ledger');
+
+    await sequelize.close();
+    console.log('✅ Database connection closed');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error adding cash ledger:', error);
+    await sequelize.close();
+    process.exit(1);
+  }
+}
+
+addCashLedger();
@@ -0,0 +1,63 @@
+require('dotenv').config();
+const { sequelize } = require('../config/database');
+
+async function addCylinderDepositColumns() {
+  try {
+    console.log('🔄 Connecting to database...');
+    await sequelize.authenticate();
+    console.log('✅ Database connected successfully');
+
+    console.log('🔄 Adding product type and deposit columns to products table...');
+
+    await sequelize.query(`
+      DO $$ BEGIN
+        CREATE TYPE "enum_products_product_type" AS ENUM ('refill', 'new_connection');
+      EXCEPTION
+        WHEN duplicate_object THEN null;
+      END $$;
+    `);
+
+    await sequelize.query(`
+      ALTER TABLE products 
+      ADD COLUMN IF NOT EXISTS product_type "enum_products_product_type" NOT NULL DEFAULT 'refill',
+      ADD COLUMN IF NOT EXISTS deposit_amount DECIMAL(10, 2) NOT NULL DEFAULT 0;
+    `);
+
+    console.log('🔄 Adding deposit columns to orders table...');
+
+    await sequelize.query(`
+      ALTER TABLE orders 
+      ADD COLUMN IF NOT EXISTS deposit_amount DECIMAL(10, 2) DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS deposit_refunded DECIMAL(10, 2) DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS deposit_refunded_at TIMESTAMP NULL;
+    `);
+
+    await sequelize.query(`
+      COMMENT ON COLUMN orders.deposit_amount IS 'Refundable cylinder deposits on new-connection items';
+    `);
+
+    console.log('✅ Cylinder deposit columns added successfully!');
+
+    // Verify columns
+    const [result] = await sequelize.query(`
+      SELECT table_name, column_name, data_type, column_default
+      FROM information_schema.columns 
+      WHERE (table_name = 'products' AND column_name IN ('product_type', 'deposit_amount'))
+      OR (table_name = 'orders' AND column_name IN ('deposit_amount', 'deposit_refunded', 'deposit_refunded_at'))
+      ORDER BY table_name, column_name;
+    `);
+
+    console.log('\n📋 Deposit columns:');
+    console.table(result);
+
+    await sequelize.close();
+    console.log('✅ Database connection closed');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error adding cylinder deposit columns:', error);
+    await sequelize.close();
+    process.exit(1);
+  }
+}
+
+addCylinderDepositColumns();
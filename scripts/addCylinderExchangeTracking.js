@@ -0,0 +1,48 @@
+require('dotenv').config();
+const { sequelize } = require('../config/database');
+const { CylinderBalance } = require('../models');
+
+async function addCylinderExchangeTracking() {
+  try {
+    console.log('🔄 Connecting to database...');
+    await sequelize.authenticate();
+    console.log('✅ Database connected successfully');
+
+    console.log('🔄 Adding empty_stock column to agency_inventory table...');
+
+    const [columns] = await sequelize.query(`
+      SELECT column_name 
+      FROM information_schema.columns 
+      WHERE table_name = 'agency_inventory' 
+      AND column_name = 'empty_stock'
+    `);
+
+    if (columns.length === 0) {
+      await sequelize.query(`
+        ALTER TABLE agency_inventory 
+        ADD COLUMN empty_stock INTEGER NOT NULL DEFAULT 0;
+      `);
+
+      await sequelize.query(`
+        COMMENT ON COLUMN agency_inventory.empty_stock IS 'Empty cylinders collected back from customers';
+      `);
+      console.log('✅ empty_stock column added');
+    } else {
+      console.log('✓ empty_stock column already exists');
+    }
+
+    console.log('🔄 Creating cylinder_balances table...');
+    await CylinderBalance.sync({ alter: true });
+    console.log('✅ cylinder_balances table created/updated successfully!');
+
+    await sequelize.close();
+    console.log('✅ Database connection closed');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error adding cylinder exchange tracking:', error);
+    await sequelize.close();
+    process.exit(1);
+  }
+}
+
+addCylinderExchangeTracking();
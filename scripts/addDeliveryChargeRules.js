@@ -0,0 +1,34 @@
+require('dotenv').config();
+const { sequelize } = require('../config/database');
+
+async function addDeliveryChargeRules() {
+  try {
+    console.log('🔄 Connecting to database...');
+    await sequelize.authenticate();
+    console.log('✅ Database connected successfully');
+
+    console.log('🔄 Adding rules column to delivery_charges table...');
+    await sequelize.query(`
+      ALTER TABLE delivery_charges 
+      ADD COLUMN IF NOT EXISTS rules JSONB NOT NULL DEFAULT '[]'::jsonb;
+    `);
+
+    console.log('🔄 Adding delivery charge breakdown column to orders table...');
+    await sequelize.query(`
+      ALTER TABLE orders 
+      ADD COLUMN IF NOT EXISTS delivery_charge_breakdown JSONB;
+    `);
+
+    console.log('✅ Delivery charge rule columns added successfully!');
+
+    await sequelize.close();
+    console.log('✅ Database connection closed');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error adding delivery charge rule columns:', error);
+    await sequelize.close();
+    process.exit(1);
+  }
+}
+
+addDeliveryChargeRules();
@@ -0,0 +1,26 @@
+require('dotenv').config();
+const { sequelize } = require('../config/database');
+const { DeliveryZone } = require('../models');
+
+async function addDeliveryZones() {
+  try {
+    console.log('🔄 Connecting to database...');
+    await sequelize.authenticate();
+    console.log('✅ Database connected successfully');
+
+    console.log('🔄 Creating delivery_zones table...');
+    await DeliveryZone.sync({ alter: true });
+
+    console.log('✅ Delivery zones table created successfully!');
+
+    await sequelize.close();
+    console.log('✅ Database connection closed');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error creating delivery zones table:', error);
+    await sequelize.close();
+    process.exit(1);
+  }
+}
+
+addDeliveryZones();
@@ -0,0 +1,56 @@
+require('dotenv').config();
+const { sequelize } = require('../config/database');
+const { DispatchOffer } = require('../models');
+
+async function addDispatchColumns() {
+  try {
+    console.log('🔄 Connecting to database...');
+    await sequelize.authenticate();
+    console.log('✅ Database connected successfully');
+
+    console.log('🔄 Adding dispatch settings to agencies table...');
+    await sequelize.query(`
+      DO $$ BEGIN
+        CREATE TYPE "enum_agencies_dispatch_strategy" AS ENUM ('round_robin', 'fewest_active', 'nearest');
+      EXCEPTION
+        WHEN duplicate_object THEN null;
+      END $$;
+    `);
+    await sequelize.query(`
+      ALTER TABLE agencies 
+      ADD COLUMN IF NOT EXISTS dispatch_strategy "enum_agencies_dispatch_strategy" DEFAULT 'fewest_active',
+      ADD COLUMN IF NOT EXISTS dispatch_timeout_seconds INTEGER DEFAULT 120,
+      ADD COLUMN IF NOT EXISTS last_dispatched_agent_id UUID;
+    `);
+
+    console.log('🔄 Adding last known location to delivery_agents table...');
+    await sequelize.query(`
+      ALTER TABLE delivery_agents 
+      ADD COLUMN IF NOT EXISTS last_latitude DECIMAL(10, 7),
+      ADD COLUMN IF NOT EXISTS last_longitude DECIMAL(10, 7),
+      ADD COLUMN IF NOT EXISTS last_location_at TIMESTAMP WITH TIME ZONE;
+    `);
+
+    console.log('🔄 Adding delivery coordinates to orders table...');
+    await sequelize.query(`
+      ALTER TABLE orders 
+      ADD COLUMN IF NOT EXISTS delivery_latitude DECIMAL(10, 7),
+      ADD COLUMN IF NOT EXISTS delivery_longitude DECIMAL(10, 7);
+    `);
+
+    console.log('🔄 Creating dispatch_offers table...');
+    await DispatchOffer.sync({ alter: true });
+
+    console.log('✅ Dispatch columns and table added successfully!');
+
+    await sequelize.close();
+    console.log('✅ Database connection closed');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error adding dispatch columns:', error);
+    await sequelize.close();
+    process.exit(1);
+  }
+}
+
+addDispatchColumns();
@@ -0,0 +1,26 @@
+require('dotenv').config();
+const { sequelize } = require('../config/database');
+const { Invoice } = require('../models');
+
+async function addInvoices() {
+  try {
+    console.log('🔄 Connecting to database...');
+    await sequelize.authenticate();
+    console.log('✅ Database connected successfully');
+
+    console.log('🔄 Creating invoices table...');
+    await Invoice.sync({ alter: true });
+    console.log('✅ Invoices table created successfully!');
+    console.log('ℹ️  Delivered orders get their invoice on delivery or on first download');
+
+    await sequelize.close();
+    console.log('✅ Database connection closed');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error adding invoices:', error);
+    await sequelize.close();
+    process.exit(1);
+  }
+}
+
+addInvoices();
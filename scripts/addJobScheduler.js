@@ -0,0 +1,29 @@
+require('dotenv').config();
+const { sequelize } = require('../config/database');
+const { JobRun, JobLock } = require('../models');
+
+async function addJobScheduler() {
+  try {
+    console.log('🔄 Connecting to database...');
+    await sequelize.authenticate();
+    console.log('✅ Database connected successfully');
+
+    console.log('🔄 Creating job_runs table...');
+    await JobRun.sync({ alter: true });
+
+    console.log('🔄 Creating job_locks table...');
+    await JobLock.sync({ alter: true });
+
+    console.log('✅ Job scheduler tables created successfully!');
+
+    await sequelize.close();
+    console.log('✅ Database connection closed');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error creating job scheduler tables:', error);
+    await sequelize.close();
+    process.exit(1);
+  }
+}
+
+addJobScheduler();
@@ -0,0 +1,33 @@
+require('dotenv').config();
+const { sequelize } = require('../config/database');
+
+async function addOrderCheckoutId() {
+  try {
+    console.log('🔄 Connecting to database...');
+    await sequelize.authenticate();
+    console.log('✅ Database connected successfully');
+
+    console.log('🔄 Adding checkout_id column to orders table...');
+    await sequelize.query(`
+      ALTER TABLE orders 
+      ADD COLUMN IF NOT EXISTS checkout_id UUID;
+    `);
+
+    console.log('🔄 Adding index on checkout_id...');
+    await sequelize.query(`
+      CREATE INDEX IF NOT EXISTS orders_checkout_id ON orders (checkout_id);
+    `);
+
+    console.log('✅ Order checkout_id column added successfully!');
+
+    await sequelize.close();
+    console.log('✅ Database connection closed');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error adding order checkout_id column:', error);
+    await sequelize.close();
+    process.exit(1);
+  }
+}
+
+addOrderCheckoutId();
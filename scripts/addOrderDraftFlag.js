@@ -0,0 +1,35 @@
+require('dotenv').config();
+const { sequelize } = require('../config/database');
+
+async function addOrderDraftFlag() {
+  try {
+    console.log('🔄 Connecting to database...');
+    await sequelize.authenticate();
+    console.log('✅ Database connected successfully');
+
+    console.log('🔄 Adding is_draft column to orders table...');
+    await sequelize.query(`
+      ALTER TABLE orders 
+      ADD COLUMN IF NOT EXISTS is_draft BOOLEAN NOT NULL DEFAULT FALSE;
+    `);
+
+    console.log('🔄 Adding index for unpaid drafts...');
+    await sequelize.query(`
+      CREATE INDEX IF NOT EXISTS idx_orders_is_draft_status 
+      ON orders (is_draft, status, created_at);
+    `);
+
+    console.log('✅ Draft flag added successfully!');
+    console.log('ℹ️  Drafts created before this migration are not flagged and will not be auto-cancelled');
+
+    await sequelize.close();
+    console.log('✅ Database connection closed');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error adding draft flag:', error);
+    await sequelize.close();
+    process.exit(1);
+  }
+}
+
+addOrderDraftFlag();
@@ -0,0 +1,33 @@
+require('dotenv').config();
+const { sequelize } = require('../config/database');
+
+async function addOrderEtaColumns() {
+  try {
+    console.log('🔄 Connecting to database...');
+    await sequelize.authenticate();
+    console.log('✅ Database connected successfully');
+
+    console.log('🔄 Adding ETA columns to orders table...');
+    await sequelize.query(`
+      ALTER TABLE orders 
+      ADD COLUMN IF NOT EXISTS eta_minutes INTEGER,
+      ADD COLUMN IF NOT EXISTS eta_distance_km DECIMAL(10, 3),
+      ADD COLUMN IF NOT EXISTS estimated_arrival_at TIMESTAMP WITH TIME ZONE,
+      ADD COLUMN IF NOT EXISTS eta_provider VARCHAR(20),
+      ADD COLUMN IF NOT EXISTS eta_updated_at TIMESTAMP WITH TIME ZONE,
+      ADD COLUMN IF NOT EXISTS arriving_soon_notified_at TIMESTAMP WITH TIME ZONE;
+    `);
+
+    console.log('✅ Order ETA columns added successfully!');
+
+    await sequelize.close();
+    console.log('✅ Database connection closed');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error adding order ETA columns:', error);
+    await sequelize.close();
+    process.exit(1);
+  }
+}
+
+addOrderEtaColumns();
@@ -0,0 +1,27 @@
+require('dotenv').config();
+const { sequelize } = require('../config/database');
+const { PaymentEvent } = require('../models');
+
+async function addPaymentEvents() {
+  try {
+    console.log('🔄 Connecting to database...');
+    await sequelize.authenticate();
+    console.log('✅ Database connected successfully');
+
+    console.log('🔄 Creating payment_events table...');
+    await PaymentEvent.sync({ alter: true });
+
+    console.log('✅ Payment events table created successfully!');
+    console.log('ℹ️  Set PESAPAL_IPN_URL (or BASE_URL) so new payments register the /pesapal/ipn endpoint');
+
+    await sequelize.close();
+    console.log('✅ Database connection closed');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error creating payment events table:', error);
+    await sequelize.close();
+    process.exit(1);
+  }
+}
+
+addPaymentEvents();
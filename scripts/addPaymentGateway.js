@@ -0,0 +1,47 @@
+require('dotenv').config();
+const { sequelize } = require('../config/database');
+
+async function addPaymentGateway() {
+  try {
+    console.log('🔄 Connecting to database...');
+    await sequelize.authenticate();
+    console.log('✅ Database connected successfully');
+
+    console.log('🔄 Adding payment_reference column to orders table...');
+    await sequelize.query(`
+      ALTER TABLE orders
+      ADD COLUMN IF NOT EXISTS payment_reference VARCHAR(255);
+    `);
+    await sequelize.query(`
+      CREATE INDEX IF NOT EXISTS orders_payment_reference ON orders (payment_reference);
+    `);
+    console.log('✅ payment_reference column added');
+
+    console.log('🔄 Adding payment_methods column to agencies table...');
+    await sequelize.query(`
+      ALTER TABLE agencies
+      ADD COLUMN IF NOT EXISTS payment_methods JSONB DEFAULT NULL;
+    `);
+    console.log('✅ payment_methods column added (NULL: agency accepts every enabled method)');
+
+    console.log('🔄 Updating refund method ENUM...');
+    for (const method of ['mobile_money', 'fake']) {
+      try {
+        await sequelize.query(`ALTER TYPE "enum_refunds_method" ADD VALUE IF NOT EXISTS '${method}';`);
+        console.log(`✅ Added ${method} to refund method ENUM`);
+      } catch (error) {
+        console.log(`⚠️ Error adding ${method} (might already exist):`, error.message);
+      }
+    }
+
+    await sequelize.close();
+    console.log('✅ Database connection closed');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error adding payment gateway columns:', error);
+    await sequelize.close();
+    process.exit(1);
+  }
+}
+
+addPaymentGateway();
@@ -0,0 +1,32 @@
+require('dotenv').config();
+const { sequelize } = require('../config/database');
+const { RefillPrediction } = require('../models');
+
+async function addRefillPredictions() {
+  try {
+    console.log('🔄 Connecting to database...');
+    await sequelize.authenticate();
+    console.log('✅ Database connected successfully');
+
+    console.log('🔄 Adding refill reminder opt-out column to users table...');
+    await sequelize.query(`
+      ALTER TABLE users 
+      ADD COLUMN IF NOT EXISTS refill_reminders_enabled BOOLEAN DEFAULT TRUE;
+    `);
+
+    console.log('🔄 Creating refill_predictions table...');
+    await RefillPrediction.sync({ alter: true });
+
+    console.log('✅ Refill prediction tables created successfully!');
+
+    await sequelize.close();
+    console.log('✅ Database connection closed');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error creating refill prediction tables:', error);
+    await sequelize.close();
+    process.exit(1);
+  }
+}
+
+addRefillPredictions();
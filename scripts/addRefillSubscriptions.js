@@ -0,0 +1,32 @@
+require('dotenv').config();
+const { sequelize } = require('../config/database');
+const { RefillSubscription } = require('../models');
+
+async function addRefillSubscriptions() {
+  try {
+    console.log('🔄 Connecting to database...');
+    await sequelize.authenticate();
+    console.log('✅ Database connected successfully');
+
+    console.log('🔄 Creating refill_subscriptions table...');
+    await RefillSubscription.sync({ alter: true });
+
+    console.log('🔄 Adding subscription_id column to orders table...');
+    await sequelize.query(`
+      ALTER TABLE orders 
+      ADD COLUMN IF NOT EXISTS subscription_id UUID;
+    `);
+
+    console.log('✅ Refill subscription tables created successfully!');
+
+    await sequelize.close();
+    console.log('✅ Database connection closed');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error creating refill subscription tables:', error);
+    await sequelize.close();
+    process.exit(1);
+  }
+}
+
+addRefillSubscriptions();
@@ -0,0 +1,51 @@
+require('dotenv').config();
+const { sequelize } = require('../config/database');
+const { Refund } = require('../models');
+
+async function addRefunds() {
+  try {
+    console.log('🔄 Connecting to database...');
+    await sequelize.authenticate();
+    console.log('✅ Database connected successfully');
+
+    console.log('🔄 Updating payment status ENUM...');
+    for (const value of ['refunded', 'partially_refunded']) {
+      try {
+        await sequelize.query(`ALTER TYPE "enum_orders_payment_status" ADD VALUE IF NOT EXISTS '${value}';`);
+        console.log(`✅ Added ${value} to payment status ENUM`);
+      } catch (error) {
+        console.log(`⚠️ Error adding ${value} (might already exist):`, error.message);
+      }
+    }
+
+    console.log('🔄 Adding refunded_amount column to orders table...');
+    await sequelize.query(`
+      ALTER TABLE orders
+      ADD COLUMN IF NOT EXISTS refunded_amount DECIMAL(10, 2) DEFAULT 0;
+    `);
+    console.log('✅ refunded_amount column added');
+
+    console.log('🔄 Creating refunds table...');
+    await Refund.sync({ alter: true });
+    console.log('✅ Refunds table created successfully!');
+
+    // Paid orders that were cancelled before refunds existed
+    const [[{ count }]] = await sequelize.query(`
+      SELECT COUNT(*) AS count FROM orders
+      WHERE payment_status = 'paid' AND status IN ('cancelled', 'return_approved')
+    `);
+    if (parseInt(count, 10) > 0) {
+      console.log(`ℹ️  ${count} paid orders are cancelled or returned; raise their refunds with POST /api/refunds`);
+    }
+
+    await sequelize.close();
+    console.log('✅ Database connection closed');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error adding refunds:', error);
+    await sequelize.close();
+    process.exit(1);
+  }
+}
+
+addRefunds();
@@ -0,0 +1,55 @@
+require('dotenv').config();
+const { sequelize } = require('../config/database');
+
+async function addSlotColumns() {
+  try {
+    console.log('🔄 Connecting to database...');
+    await sequelize.authenticate();
+    console.log('✅ Database connected successfully');
+
+    console.log('🔄 Adding delivery_slots column to agencies table...');
+    await sequelize.query(`
+      ALTER TABLE agencies 
+      ADD COLUMN IF NOT EXISTS delivery_slots JSONB DEFAULT '[]'::jsonb;
+    `);
+
+    console.log('🔄 Adding slot columns to orders table...');
+    await sequelize.query(`
+      ALTER TABLE orders 
+      ADD COLUMN IF NOT EXISTS slot_id VARCHAR(255) NULL,
+      ADD COLUMN IF NOT EXISTS slot_date DATE NULL,
+      ADD COLUMN IF NOT EXISTS slot_start_time VARCHAR(255) NULL,
+      ADD COLUMN IF NOT EXISTS slot_end_time VARCHAR(255) NULL;
+    `);
+
+    // Slot capacity checks count orders per agency/slot/date
+    await sequelize.query(`
+      CREATE INDEX IF NOT EXISTS idx_orders_agency_slot 
+      ON orders (agency_id, slot_id, slot_date)
+    `);
+
+    console.log('✅ Slot columns added successfully!');
+
+    // Verify columns
+    const [result] = await sequelize.query(`
+      SELECT table_name, column_name, data_type
+      FROM information_schema.columns 
+      WHERE (table_name = 'agencies' AND column_name = 'delivery_slots')
+      OR (table_name = 'orders' AND column_name IN ('slot_id', 'slot_date', 'slot_start_time', 'slot_end_time'))
+      ORDER BY table_name, column_name;
+    `);
+
+    console.log('\n📋 Slot columns:');
+    console.table(result);
+
+    await sequelize.close();
+    console.log('✅ Database connection closed');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error adding slot columns:', error);
+    await sequelize.close();
+    process.exit(1);
+  }
+}
+
+addSlotColumns();
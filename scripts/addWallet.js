@@ -0,0 +1,44 @@
+require('dotenv').config();
+const { sequelize } = require('../config/database');
+const { WalletAccount, WalletTransaction, WalletEntry, WalletTopUp } = require('../models');
+
+async function addWallet() {
+  try {
+    console.log('🔄 Connecting to database...');
+    await sequelize.authenticate();
+    console.log('✅ Database connected successfully');
+
+    console.log('🔄 Adding wallet_amount column to orders table...');
+    await sequelize.query(`
+      ALTER TABLE orders
+      ADD COLUMN IF NOT EXISTS wallet_amount DECIMAL(10, 2) DEFAULT 0;
+    `);
+    console.log('✅ wallet_amount column added');
+
+    console.log('🔄 Updating refund method ENUM...');
+    try {
+      await sequelize.query(`ALTER TYPE "enum_refunds_method" ADD VALUE IF NOT EXISTS 'wallet';`);
+      console.log('✅ Added wallet to refund method ENUM');
+    } catch (error) {
+      console.log('⚠️ Error adding wallet (might already exist):', error.message);
+    }
+
+    console.log('🔄 Creating wallet tables...');
+    await WalletAccount.sync({ alter: true });
+    await WalletTransaction.sync({ alter: true });
+    await WalletEntry.sync({ alter: true });
+    await WalletTopUp.sync({ alter: true });
+    console.log('✅ Wallet tables created successfully!');
+    console.log('ℹ️  Customer wallets and system accounts are created on first use');
+
+    await sequelize.close();
+    console.log('✅ Database connection closed');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error adding wallet:', error);
+    await sequelize.close();
+    process.exit(1);
+  }
+}
+
+addWallet();
@@ -1,5 +1,5 @@
 const { sequelize } = require('../config/database');
-const { User, Product, DeliveryAgent, Order, LoginOTP, Notification, Agency, AgencyInventory, AgencyOwner, TermsAndConditions, PrivacyPolicy, Category, Tax, PlatformCharge, Coupon, DeliveryCharge, Banner } = require('../models');
+const { User, Product, DeliveryAgent, Order, LoginOTP, Notification, Agency, AgencyInventory, AgencyOwner, TermsAndConditions, PrivacyPolicy, Category, Tax, PlatformCharge, Coupon, DeliveryCharge, Banner, CylinderBalance, DispatchOffer, AgentLocationPing, DeliveryZone, RefillSubscription, RefillPrediction, JobRun, JobLock, PaymentEvent, Refund, AgentCashEntry, CashHandover, WalletAccount, WalletTransaction, WalletEntry, WalletTopUp, Invoice } = require('../models');
 
 async function syncDatabase() {
   try {
@@ -11,8 +11,12 @@ async function syncDatabase() {
       User, Product, DeliveryAgent, LoginOTP, Notification, 
       Agency, AgencyInventory, AgencyOwner, TermsAndConditions, 
       PrivacyPolicy, Category, Tax, PlatformCharge, Coupon, 
-      DeliveryCharge, Banner
+      DeliveryCharge, Banner, CylinderBalance, AgentLocationPing, DeliveryZone,
+      RefillSubscription, RefillPrediction, JobRun, JobLock, PaymentEvent, Refund, AgentCashEntry, CashHandover,
+      WalletAccount, WalletTransaction, WalletEntry, WalletTopUp
     ];
+    // Tables referencing orders are synced after the Order model below
+    const orderDependentModels = [DispatchOffer, Invoice];
     
     console.log('📋 Syncing models (except Order)...');
     for (const Model of modelsToSync) {
@@ -25,6 +29,11 @@ async function syncDatabase() {
     const Order = require('../models/Order');
     await Order.sync({ alter: true });
     console.log('   ✅ orders');
+
+    for (const Model of orderDependentModels) {
+      await Model.sync({ alter: true });
+      console.log(`   ✅ ${Model.tableName || Model.name}`);
+    }
     
     // Add comments manually after sync
     console.log('📋 Adding column comments...');
@@ -57,6 +66,22 @@ async function syncDatabase() {
     console.log('   - terms_and_conditions');
     console.log('   - privacy_policies');
     console.log('   - banners');
+    console.log('   - cylinder_balances');
+    console.log('   - dispatch_offers');
+    console.log('   - agent_location_pings');
+    console.log('   - delivery_zones');
+    console.log('   - refill_subscriptions');
+    console.log('   - refill_predictions');
+    console.log('   - job_runs');
+    console.log('   - job_locks');
+    console.log('   - payment_events');
+    console.log('   - refunds');
+    console.log('   - agent_cash_entries');
+    console.log('   - cash_handovers');
+    console.log('   - wallet_accounts');
+    console.log('   - wallet_transactions');
+    console.log('   - wallet_entries');
+    console.log('   - wallet_top_ups');
     
     // Create indexes manually after table creation
     console.log('🔧 Creating indexes...');
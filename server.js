@@ -4,6 +4,8 @@ const logger = require('./utils/logger');
 const { Server } = require('socket.io');
 const http = require('http');
 const socketService = require('./services/socketService');
+const dispatchService = require('./services/dispatchService');
+const { registerScheduledJobs } = require('./services/scheduledJobs');
 const { initializeFirebase, initializeFirebaseDriver } = require('./config/firebase');
 
 const PORT = process.env.PORT || 5000;
@@ -34,6 +36,9 @@ initializeFirebaseDriver();
 // Make socket service available globally
 global.socketService = socketService;
 
+// Register background jobs so the admin job endpoints can list them
+const jobScheduler = registerScheduledJobs();
+
 // Test database connection
 config.sequelize.authenticate()
   .then(() => {
@@ -43,10 +48,17 @@ config.sequelize.authenticate()
       return config.sequelize.sync({ alter: true });
     }
   })
+  .then(() => {
+    // Re-arm agent dispatch offers that were waiting for a response before the restart
+    return dispatchService.resumePendingOffers().catch((error) => {
+      console.error("❌ Failed to resume dispatch offers:", error.message);
+    });
+  })
   .then(() => {
     // Start server
     server.listen(PORT, () => {
-      
+      // Background jobs (refill subscriptions, reminders, expiry and cleanup)
+      jobScheduler.start();
     });
   })
   .catch((error) => {
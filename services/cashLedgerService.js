@@ -0,0 +1,509 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { Order, DeliveryAgent, AgentCashEntry, CashHandover, Agency, AgencyOwner, User, Notification } = require('../models');
+const notificationService = require('./notificationService');
+const { createError } = require('../utils/errorHandler');
+const { toDateString } = require('../utils/slotUtils');
+const logger = require('../utils/logger');
+
+// Cash an agent may still hold at the end of the day before reconciliation flags it
+const CASH_TOLERANCE = parseFloat(process.env.COD_CASH_TOLERANCE) || 0;
+
+const round = (value) => parseFloat(parseFloat(value || 0).toFixed(2));
+
+// Local day boundaries, like the delivery slots
+const dayRange = (date) => {
+  const [year, month, day] = date.split('-').map(Number);
+  return { start: new Date(year, month - 1, day), end: new Date(year, month - 1, day + 1) };
+};
+
+class CashLedgerService {
+  getSocketService() {
+    return global.socketService;
+  }
+
+  /**
+   * Add a ledger entry and move the agent's cash in hand, inside the caller's transaction with the
+   * agent row locked
+   */
+  async addEntry(agent, { type, amount, orderId = null, handoverId = null, note = null, user = null }, transaction) {
+    const balanceAfter = round(parseFloat(agent.cashInHand || 0) + amount);
+
+    const entry = await AgentCashEntry.create({
+      agentId: agent.id,
+      agencyId: agent.agencyId,
+      type,
+      amount: round(amount),
+      balanceAfter,
+      orderId,
+      handoverId,
+      note,
+      createdById: user ? user.id : null,
+      createdByName: user ? user.name || user.email : 'System'
+    }, { transaction });
+
+    await agent.update({ cashInHand: balanceAfter }, { transaction });
+    return entry;
+  }
+
+  /**
+   * Put the COD cash of a delivered order in the agent's hand. Safe to call twice for one order.
+   * @returns {object|null} Ledger entry, null when there was no cash to collect
+   */
+  async recordCollection(order) {
+    const amount = parseFloat(order.cashCollected || 0);
+    if (!order.assignedAgentId || amount <= 0) return null;
+
+    try {
+      const entry = await sequelize.transaction(async (transaction) => {
+        const agent = await DeliveryAgent.findByPk(order.assignedAgentId, { transaction, lock: transaction.LOCK.UPDATE });
+        if (!agent) return null;
+
+        const existing = await AgentCashEntry.findOne({ where: { orderId: order.id, type: 'collection' }, transaction });
+        if (existing) return null;
+
+        return this.addEntry(agent, {
+          type: 'collection',
+          amount,
+          orderId: order.id,
+          note: `COD order #${order.orderNumber}`
+        }, transaction);
+      });
+
+      if (entry) {
+        logger.info(`COD cash ${amount.toFixed(2)} for order ${order.orderNumber} added to agent ${order.assignedAgentId} (balance ${entry.balanceAfter})`);
+        this.emitCashUpdated(entry.agencyId, { agentId: entry.agentId, cashInHand: entry.balanceAfter, action: 'collection', orderId: order.id });
+      }
+      return entry;
+    } catch (error) {
+      // The delivery is done either way; the reconciliation report shows the missing collection
+      logger.error(`Error recording COD cash for order ${order.orderNumber}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Amount of an agent's cash already claimed by handovers waiting for the agent's signature
+   */
+  async getPendingHandoverAmount(agentId, transaction = null) {
+    const pending = await CashHandover.sum('amount', {
+      where: { agentId, status: 'pending_signature' },
+      transaction
+    });
+    return round(pending);
+  }
+
+  /**
+   * Agency records cash received from an agent. It comes off the agent's balance once the agent signs.
+   * @param {object} options - { agentId, amount (default: all unclaimed cash), note, user }
+   * @returns {object} CashHandover
+   */
+  async recordHandover({ agentId, amount, note = null, user }) {
+    const handover = await sequelize.transaction(async (transaction) => {
+      const agent = await DeliveryAgent.findByPk(agentId, { transaction, lock: transaction.LOCK.UPDATE });
+      if (!agent) {
+        throw createError(404, 'Delivery agent not found');
+      }
+      if (user.role === 'agency_owner' && agent.agencyId !== user.agencyId) {
+        throw createError(403, 'Access denied. You can only record handovers from your own agents');
+      }
+
+      const cashInHand = parseFloat(agent.cashInHand || 0);
+      const available = round(cashInHand - await this.getPendingHandoverAmount(agent.id, transaction));
+      if (available <= 0) {
+        throw createError(400, 'Agent has no cash left to hand over');
+      }
+
+      const handoverAmount = amount ? round(amount) : available;
+      if (handoverAmount > available) {
+        throw createError(400, `Handover amount cannot exceed the agent's unclaimed cash of ${available.toFixed(2)}`);
+      }
+
+      return CashHandover.create({
+        agentId: agent.id,
+        agencyId: agent.agencyId,
+        amount: handoverAmount,
+        type: Math.abs(handoverAmount - cashInHand) < 0.01 ? 'full' : 'partial',
+        note,
+        receivedById: user.id,
+        receivedByName: user.name || user.email
+      }, { transaction });
+    });
+
+    logger.info(`Cash handover of ${handover.amount} from agent ${agentId} recorded by ${handover.receivedByName}, waiting for agent signature`);
+    await this.notifyAgent(handover);
+    this.emitCashUpdated(handover.agencyId, { agentId, handoverId: handover.id, action: 'handover_recorded' });
+    return handover;
+  }
+
+  /**
+   * Agent counter-signs a handover; the amount leaves the agent's cash in hand
+   * @param {object} options - { signature (image URL), user }
+   * @returns {object} CashHandover
+   */
+  async signHandover(handoverId, { signature = null, user }) {
+    const handover = await sequelize.transaction(async (transaction) => {
+      const record = await CashHandover.findByPk(handoverId, { transaction, lock: transaction.LOCK.UPDATE });
+      if (!record) {
+        throw createError(404, 'Handover not found');
+      }
+      if (record.agentId !== user.deliveryAgentId) {
+        throw createError(403, 'Access denied. You can only sign your own handovers');
+      }
+      if (record.status !== 'pending_signature') {
+        throw createError(409, `Handover is already ${record.status}`);
+      }
+
+      const agent = await DeliveryAgent.findByPk(record.agentId, { transaction, lock: transaction.LOCK.UPDATE });
+      const balanceBefore = round(agent.cashInHand);
+      if (parseFloat(record.amount) > balanceBefore + 0.001) {
+        throw createError(400, `Handover amount is more than your cash in hand of ${balanceBefore.toFixed(2)}`);
+      }
+
+      const entry = await this.addEntry(agent, {
+        type: 'handover',
+        amount: -parseFloat(record.amount),
+        handoverId: record.id,
+        note: record.note || `Handed over to ${record.receivedByName}`,
+        user
+      }, transaction);
+
+      await record.update({
+        status: 'confirmed',
+        agentSignature: signature,
+        signedAt: new Date(),
+        balanceBefore,
+        balanceAfter: entry.balanceAfter
+      }, { transaction });
+      return record;
+    });
+
+    logger.info(`Cash handover ${handover.id} of ${handover.amount} signed by agent ${handover.agentId} (balance ${handover.balanceAfter})`);
+    this.emitCashUpdated(handover.agencyId, {
+      agentId: handover.agentId,
+      handoverId: handover.id,
+      cashInHand: handover.balanceAfter,
+      action: 'handover_confirmed'
+    });
+    return handover;
+  }
+
+  /**
+   * Agent refuses to sign a handover (wrong amount); the balance is left as it was
+   */
+  async disputeHandover(handoverId, { reason, user }) {
+    const handover = await CashHandover.findByPk(handoverId);
+    if (!handover) {
+      throw createError(404, 'Handover not found');
+    }
+    if (handover.agentId !== user.deliveryAgentId) {
+      throw createError(403, 'Access denied. You can only dispute your own handovers');
+    }
+
+    const [disputed] = await CashHandover.update(
+      { status: 'disputed', disputeReason: reason, disputedAt: new Date() },
+      { where: { id: handover.id, status: 'pending_signature' } }
+    );
+    if (!disputed) {
+      throw createError(409, `Handover is already ${handover.status}`);
+    }
+    await handover.reload();
+
+    logger.warn(`Cash handover ${handover.id} of ${handover.amount} disputed by agent ${handover.agentId}: ${reason}`);
+    this.emitCashUpdated(handover.agencyId, { agentId: handover.agentId, handoverId: handover.id, action: 'handover_disputed', reason });
+    return handover;
+  }
+
+  /**
+   * Admin correction of an agent's cash in hand (positive or negative amount)
+   */
+  async adjustBalance({ agentId, amount, note, user }) {
+    const entry = await sequelize.transaction(async (transaction) => {
+      const agent = await DeliveryAgent.findByPk(agentId, { transaction, lock: transaction.LOCK.UPDATE });
+      if (!agent) {
+        throw createError(404, 'Delivery agent not found');
+      }
+      if (parseFloat(agent.cashInHand || 0) + amount < 0) {
+        throw createError(400, 'Adjustment would make the cash in hand negative');
+      }
+      return this.addEntry(agent, { type: 'adjustment', amount, note, user }, transaction);
+    });
+
+    logger.info(`Cash in hand of agent ${agentId} adjusted by ${amount} by ${user.email}: ${note}`);
+    this.emitCashUpdated(entry.agencyId, { agentId, cashInHand: entry.balanceAfter, action: 'adjustment' });
+    return entry;
+  }
+
+  /**
+   * Ledger totals of entries matching the filter, per type
+   */
+  async sumByType(where) {
+    const rows = await AgentCashEntry.findAll({
+      attributes: ['type', [sequelize.fn('SUM', sequelize.col('amount')), 'total']],
+      where,
+      group: ['type'],
+      raw: true
+    });
+    const totals = { collection: 0, handover: 0, adjustment: 0 };
+    rows.forEach(row => { totals[row.type] = round(row.total); });
+    return totals;
+  }
+
+  /**
+   * Cash summary of one agent (agent delivery stats)
+   */
+  async getAgentSummary(agentId, now = new Date()) {
+    const { start } = dayRange(toDateString(now));
+    const [agent, today, pendingAmount, pendingCount, lastHandover] = await Promise.all([
+      DeliveryAgent.findByPk(agentId, { attributes: ['id', 'cashInHand'] }),
+      this.sumByType({ agentId, createdAt: { [Op.gte]: start } }),
+      this.getPendingHandoverAmount(agentId),
+      CashHandover.count({ where: { agentId, status: 'pending_signature' } }),
+      CashHandover.findOne({ where: { agentId, status: 'confirmed' }, order: [['signedAt', 'DESC']] })
+    ]);
+
+    return {
+      cashInHand: agent ? round(agent.cashInHand) : 0,
+      collectedToday: today.collection,
+      handedOverToday: Math.abs(today.handover),
+      pendingHandovers: { count: pendingCount, amount: pendingAmount },
+      lastHandoverAt: lastHandover ? lastHandover.signedAt : null
+    };
+  }
+
+  /**
+   * Cash held by the agents of an agency (all agencies when agencyId is null), for dashboards
+   */
+  async getAgencySummary(agencyId = null, now = new Date()) {
+    const scope = agencyId ? { agencyId } : {};
+    const { start } = dayRange(toDateString(now));
+
+    const [agents, today, pendingAmount, pendingCount, disputedCount] = await Promise.all([
+      DeliveryAgent.findAll({
+        where: { ...scope, cashInHand: { [Op.gt]: 0 } },
+        attributes: ['id', 'name', 'phone', 'agencyId', 'cashInHand'],
+        order: [['cashInHand', 'DESC']]
+      }),
+      this.sumByType({ ...scope, createdAt: { [Op.gte]: start } }),
+      CashHandover.sum('amount', { where: { ...scope, status: 'pending_signature' } }),
+      CashHandover.count({ where: { ...scope, status: 'pending_signature' } }),
+      CashHandover.count({ where: { ...scope, status: 'disputed' } })
+    ]);
+
+    return {
+      totalCashInHand: round(agents.reduce((sum, agent) => sum + parseFloat(agent.cashInHand), 0)),
+      collectedToday: today.collection,
+      handedOverToday: Math.abs(today.handover),
+      pendingHandovers: { count: pendingCount, amount: round(pendingAmount) },
+      disputedHandovers: disputedCount,
+      agents: agents.map(agent => ({
+        id: agent.id,
+        name: agent.name,
+        phone: agent.phone,
+        agencyId: agent.agencyId,
+        cashInHand: round(agent.cashInHand)
+      }))
+    };
+  }
+
+  /**
+   * Daily COD reconciliation per agent: cash collected on delivered COD orders against the ledger
+   * and the cash handed over. Flags:
+   *  - unrecorded_collection: delivered COD total differs from the collections in the ledger
+   *  - cash_not_handed_over: the agent still held cash (above COD_CASH_TOLERANCE) at the end of the day
+   *  - disputed_handover: the agent disputed a handover that day
+   * @param {object} options - { date (YYYY-MM-DD), agencyId (null: all agencies) }
+   */
+  async getDailyReconciliation({ date, agencyId = null }) {
+    const { start, end } = dayRange(date);
+    const scope = agencyId ? { agencyId } : {};
+
+    const [orders, entries, disputes, holders] = await Promise.all([
+      Order.findAll({
+        where: {
+          ...scope,
+          status: { [Op.in]: ['delivered', 'returned', 'return_approved', 'return_rejected'] },
+          deliveredAt: { [Op.gte]: start, [Op.lt]: end },
+          cashCollected: { [Op.gt]: 0 },
+          assignedAgentId: { [Op.ne]: null }
+        },
+        attributes: ['id', 'orderNumber', 'assignedAgentId', 'cashCollected']
+      }),
+      AgentCashEntry.findAll({
+        where: { ...scope, createdAt: { [Op.gte]: start, [Op.lt]: end } },
+        order: [['createdAt', 'ASC']]
+      }),
+      CashHandover.findAll({
+        where: { ...scope, status: 'disputed', disputedAt: { [Op.gte]: start, [Op.lt]: end } },
+        attributes: ['id', 'agentId', 'amount', 'disputeReason']
+      }),
+      // Agents still holding cash from earlier days
+      AgentCashEntry.findAll({
+        attributes: ['agentId'],
+        where: { ...scope, createdAt: { [Op.lt]: start } },
+        group: ['agentId'],
+        raw: true
+      })
+    ]);
+
+    const agentIds = new Set([
+      ...orders.map(order => order.assignedAgentId),
+      ...entries.map(entry => entry.agentId),
+      ...holders.map(row => row.agentId)
+    ]);
+    const agents = await DeliveryAgent.findAll({
+      where: { id: { [Op.in]: [...agentIds] } },
+      attributes: ['id', 'name', 'phone', 'agencyId']
+    });
+
+    const rows = [];
+    for (const agent of agents) {
+      const agentOrders = orders.filter(order => order.assignedAgentId === agent.id);
+      const agentEntries = entries.filter(entry => entry.agentId === agent.id);
+      const total = (type) => round(agentEntries.filter(entry => entry.type === type).reduce((sum, entry) => sum + parseFloat(entry.amount), 0));
+
+      const previous = await AgentCashEntry.findOne({
+        where: { agentId: agent.id, createdAt: { [Op.lt]: start } },
+        order: [['createdAt', 'DESC']]
+      });
+      const openingBalance = previous ? round(previous.balanceAfter) : 0;
+      const closingBalance = agentEntries.length > 0 ? round(agentEntries[agentEntries.length - 1].balanceAfter) : openingBalance;
+
+      const codDelivered = round(agentOrders.reduce((sum, order) => sum + parseFloat(order.cashCollected), 0));
+      const collected = total('collection');
+      const agentDisputes = disputes.filter(handover => handover.agentId === agent.id);
+
+      const flags = [];
+      if (Math.abs(codDelivered - collected) > 0.01) flags.push('unrecorded_collection');
+      if (closingBalance > CASH_TOLERANCE) flags.push('cash_not_handed_over');
+      if (agentDisputes.length > 0) flags.push('disputed_handover');
+
+      // Nothing happened and nothing is owed
+      if (agentOrders.length === 0 && agentEntries.length === 0 && closingBalance === 0) continue;
+
+      rows.push({
+        agentId: agent.id,
+        agentName: agent.name,
+        agentPhone: agent.phone,
+        agencyId: agent.agencyId,
+        codOrders: agentOrders.length,
+        codDelivered,
+        collected,
+        handedOver: Math.abs(total('handover')),
+        adjustments: total('adjustment'),
+        openingBalance,
+        closingBalance,
+        difference: round(codDelivered - Math.abs(total('handover'))),
+        disputedHandovers: agentDisputes.map(handover => ({ id: handover.id, amount: handover.amount, reason: handover.disputeReason })),
+        flags,
+        mismatch: flags.length > 0
+      });
+    }
+
+    const sum = (key) => round(rows.reduce((acc, row) => acc + row[key], 0));
+    return {
+      date,
+      agencyId,
+      tolerance: CASH_TOLERANCE,
+      totals: {
+        codOrders: rows.reduce((acc, row) => acc + row.codOrders, 0),
+        codDelivered: sum('codDelivered'),
+        collected: sum('collected'),
+        handedOver: sum('handedOver'),
+        closingBalance: sum('closingBalance'),
+        agentsFlagged: rows.filter(row => row.mismatch).length
+      },
+      agents: rows
+    };
+  }
+
+  /**
+   * Yesterday's reconciliation for every agency; agency owners hear about flagged agents
+   * @returns {object} { date, agencies, agentsFlagged }
+   */
+  async runDailyReconciliation(now = new Date()) {
+    const date = toDateString(new Date(now.getFullYear(), now.getMonth(), now.getDate() - 1));
+    const agencies = await Agency.findAll({ where: { status: 'active' }, attributes: ['id', 'name'] });
+
+    const summary = { date, agencies: 0, agentsFlagged: 0 };
+    for (const agency of agencies) {
+      const report = await this.getDailyReconciliation({ date, agencyId: agency.id });
+      if (report.agents.length === 0) continue;
+
+      summary.agencies++;
+      if (report.totals.agentsFlagged > 0) {
+        summary.agentsFlagged += report.totals.agentsFlagged;
+        await this.notifyAgencyMismatch(agency, report);
+      }
+    }
+
+    return summary;
+  }
+
+  async notifyAgencyMismatch(agency, report) {
+    const flagged = report.agents.filter(row => row.mismatch);
+    const title = '⚠️ COD Cash Mismatch';
+    const content = `${flagged.length} agent(s) need attention in the ${report.date} cash reconciliation: ${flagged.map(row => row.agentName).join(', ')}`;
+    const data = { type: 'COD_CASH_MISMATCH', agencyId: agency.id, date: report.date, agents: String(flagged.length) };
+
+    const socketService = this.getSocketService();
+    if (socketService) {
+      socketService.emitNotification('COD_CASH_MISMATCH', {
+        agencyId: agency.id,
+        date: report.date,
+        agents: flagged.map(row => ({ agentId: row.agentId, agentName: row.agentName, flags: row.flags, closingBalance: row.closingBalance }))
+      }, [socketService.rooms.ADMIN, `agency-${agency.id}`]);
+    }
+
+    try {
+      const agencyOwner = await AgencyOwner.findOne({ where: { agencyId: agency.id } });
+      if (!agencyOwner) return;
+
+      if (agencyOwner.fcmToken) {
+        await notificationService.sendToDevice(agencyOwner.fcmToken, title, content, data);
+      }
+
+      const agencyOwnerUser = await User.findOne({ where: { email: agencyOwner.email } });
+      if (agencyOwnerUser) {
+        await Notification.create({
+          userId: agencyOwnerUser.id,
+          title,
+          content,
+          notificationType: 'PAYMENT',
+          data: { ...data, flagged: flagged.map(row => ({ agentId: row.agentId, flags: row.flags })) }
+        });
+      }
+    } catch (notifError) {
+      logger.error('Error sending COD cash mismatch notification:', notifError.message);
+    }
+  }
+
+  async notifyAgent(handover) {
+    try {
+      const agent = await DeliveryAgent.findByPk(handover.agentId, { attributes: ['id', 'fcmToken'] });
+      if (agent && agent.fcmToken) {
+        await notificationService.sendToDevice(
+          agent.fcmToken,
+          '✍️ Confirm Cash Handover',
+          `${handover.receivedByName} recorded a cash handover of KSH${parseFloat(handover.amount).toFixed(2)}. Please sign to confirm.`,
+          { type: 'CASH_HANDOVER', handoverId: handover.id, amount: String(handover.amount) }
+        );
+      }
+    } catch (notifError) {
+      logger.error('Error sending cash handover notification:', notifError.message);
+    }
+  }
+
+  /**
+   * Live cash updates on the agency dashboard (agents are in their agency's room too)
+   */
+  emitCashUpdated(agencyId, data) {
+    const socketService = this.getSocketService();
+    if (!socketService) return;
+
+    socketService.emitNotification('AGENT_CASH_UPDATED', { agencyId, ...data }, [socketService.rooms.ADMIN, `agency-${agencyId}`]);
+  }
+}
+
+// Export singleton instance
+module.exports = new CashLedgerService();
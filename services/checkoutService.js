@@ -0,0 +1,711 @@
+const { sequelize } = require('../config/database');
+const { Order, Product, Tax, PlatformCharge, Coupon, Agency, User, AgencyOwner, Notification, AgencyInventory } = require('../models');
+const { createError } = require('../utils/errorHandler');
+const {
+  generateOrderNumber,
+  calculateOrderTotals,
+  resolveProductType,
+  deductStockFromAgency
+} = require('../utils/orderUtils');
+const logger = require('../utils/logger');
+const notificationService = require('./notificationService');
+const orderAutomationService = require('./orderAutomationService');
+const serviceAreaService = require('./serviceAreaService');
+const orderRoutingService = require('./orderRoutingService');
+const splitCheckoutService = require('./splitCheckoutService');
+const walletService = require('./walletService');
+const paymentGatewayService = require('./paymentGatewayService');
+const { hasCoordinates } = require('./distanceProviders/providerUtils');
+const { reserveSlot } = require('../utils/slotUtils');
+
+// Routing found no agency for the cart; the routing explanation goes back to the app
+const routingError = (routing) => {
+  const error = createError(409, routing.reason);
+  error.data = { routing };
+  return error;
+};
+
+class CheckoutService {
+  getSocketService() {
+    return global.socketService;
+  }
+
+  /**
+   * Active tax and platform charge settings
+   * @returns {object} { taxType, taxValue, taxPercentage, fixedTaxAmount, platformChargeAmount }
+   */
+  async getChargeSettings() {
+    const taxConfig = await Tax.findOne({ where: { isActive: true } });
+    const platformChargeConfig = await PlatformCharge.findOne({ where: { isActive: true } });
+
+    const settings = { taxType: 'none', taxValue: 0, taxPercentage: 0, fixedTaxAmount: 0, platformChargeAmount: 0 };
+
+    if (taxConfig) {
+      if (taxConfig.percentage !== null && taxConfig.percentage > 0) {
+        settings.taxType = 'percentage';
+        settings.taxPercentage = parseFloat(taxConfig.percentage);
+        settings.taxValue = settings.taxPercentage;
+      } else if (taxConfig.fixedAmount !== null && taxConfig.fixedAmount > 0) {
+        settings.taxType = 'fixed';
+        settings.fixedTaxAmount = parseFloat(taxConfig.fixedAmount);
+        settings.taxValue = settings.fixedTaxAmount;
+      }
+    }
+
+    if (platformChargeConfig && platformChargeConfig.amount > 0) {
+      settings.platformChargeAmount = parseFloat(platformChargeConfig.amount);
+    }
+
+    return settings;
+  }
+
+  /**
+   * Price cart items at an agency's prices and tax them. Used for a single-agency order and for each
+   * agency's share of a split cart, so both are priced the same way.
+   * @param {object[]} cartItems - { productId, variantLabel, variantPrice, quantity }
+   * @param {string} agencyId - Agency whose inventory prices the items
+   * @param {object} settings - From getChargeSettings
+   * @param {object} options - { checkPrices: reject items whose variantPrice differs from the agency's }
+   * @returns {object} { items, subtotal, taxAmount }
+   */
+  async priceItems(cartItems, agencyId, settings, { checkPrices = true } = {}) {
+    const { taxType, taxPercentage, fixedTaxAmount } = settings;
+    let subtotal = 0;
+    const items = [];
+
+    for (const item of cartItems) {
+      // Fetch product from database
+      const product = await Product.findByPk(item.productId);
+      if (!product) {
+        throw createError(404, `Product with ID ${item.productId} not found`);
+      }
+
+      // Get inventory for this product in the agency
+      const inventory = await AgencyInventory.findOne({
+        where: {
+          productId: item.productId,
+          agencyId: agencyId,
+          isActive: true
+        }
+      });
+
+      if (!inventory) {
+        throw createError(400, `Product ${product.productName} is not available in the selected agency`);
+      }
+
+      // Find the correct variant price
+      const agencyVariant = item.variantLabel && Array.isArray(inventory.agencyVariants)
+        ? inventory.agencyVariants.find(v => v.label === item.variantLabel)
+        : null;
+
+      if (!agencyVariant) {
+        throw createError(400, `Variant ${item.variantLabel} not found for product ${product.productName}`);
+      }
+      const actualPrice = parseFloat(agencyVariant.price);
+
+      // Validate that customer sent correct price
+      const customerSentPrice = parseFloat(item.variantPrice);
+      if (checkPrices && Math.abs(customerSentPrice - actualPrice) > 0.01) {
+        throw createError(400, `Invalid price for ${product.productName} (${item.variantLabel}). Expected: KSH${actualPrice}, Got: KSH${customerSentPrice}`);
+      }
+
+      // Calculate product amount (without tax); a fixed tax is spread over the items after the loop
+      const productAmount = actualPrice * item.quantity;
+      const itemTaxAmount = taxType === 'percentage' ? (productAmount * taxPercentage) / 100 : 0;
+
+      subtotal += productAmount;
+
+      // Refill vs new connection; new connections carry a refundable deposit per unit
+      const { productType, depositAmount } = resolveProductType(product, item.variantLabel, agencyVariant);
+
+      items.push({
+        productId: item.productId,
+        productName: product.productName,
+        variantLabel: item.variantLabel,
+        variantPrice: actualPrice,
+        quantity: item.quantity,
+        productType,
+        depositAmount,
+        depositTotal: parseFloat((depositAmount * item.quantity).toFixed(2)),
+        productAmount: parseFloat(productAmount.toFixed(2)),
+        taxAmount: parseFloat(itemTaxAmount.toFixed(2)),
+        total: parseFloat((productAmount + itemTaxAmount).toFixed(2))
+      });
+    }
+
+    // Calculate total tax amount
+    let taxAmount = 0;
+    if (taxType === 'percentage') {
+      taxAmount = (subtotal * taxPercentage) / 100;
+    } else if (taxType === 'fixed') {
+      taxAmount = fixedTaxAmount;
+      // Distribute fixed tax proportionally
+      items.forEach(item => {
+        item.taxAmount = parseFloat((fixedTaxAmount * (item.productAmount / subtotal)).toFixed(2));
+        item.total = parseFloat((item.productAmount + item.taxAmount).toFixed(2));
+      });
+    }
+
+    return { items, subtotal, taxAmount };
+  }
+
+  /**
+   * Spread an order's platform charge over its items by amount and add it to their totals
+   */
+  applyPlatformCharge(items, subtotal, platformCharge, taxValue) {
+    items.forEach(item => {
+      item.taxValue = taxValue;
+      item.platformCharge = parseFloat((platformCharge * (item.productAmount / subtotal)).toFixed(2));
+      item.total = parseFloat((item.productAmount + item.taxAmount + item.platformCharge).toFixed(2));
+    });
+  }
+
+  /**
+   * Delivery charge of an order to a point. Addresses outside the agency's area are rejected (400)
+   * and a charge that can't be worked out refuses the checkout (503): delivery is never free by accident.
+   * @returns {object} { deliveryChargeAmount, deliveryDistance, deliveryChargeBreakdown }
+   */
+  async quoteDeliveryCharge(agency, point, options) {
+    try {
+      const { deliveryChargeAmount, deliveryDistance, deliveryChargeBreakdown } = await serviceAreaService.quoteDelivery(agency, point, options);
+      return { deliveryChargeAmount, deliveryDistance, deliveryChargeBreakdown };
+    } catch (err) {
+      if (err.statusCode) {
+        throw err;
+      }
+      logger.error(`Error calculating delivery charge for agency ${agency.id}:`, err);
+      throw createError(503, 'Delivery charge could not be calculated right now. Please try again shortly.');
+    }
+  }
+
+  /**
+   * Check the agency has the priced items in stock
+   */
+  async assertStock(items, agency) {
+    for (const item of items) {
+      const inventory = await AgencyInventory.findOne({
+        where: {
+          productId: item.productId,
+          agencyId: agency.id,
+          isActive: true
+        }
+      });
+
+      const variant = inventory && Array.isArray(inventory.agencyVariants)
+        ? inventory.agencyVariants.find(v => v.label === item.variantLabel)
+        : null;
+      const availableStock = variant ? (variant.stock || 0) : 0;
+
+      if (availableStock < item.quantity) {
+        throw createError(400, `Insufficient stock for variant ${item.variantLabel} of ${item.productName} at ${agency.name}. Available: ${availableStock}, Requested: ${item.quantity}`);
+      }
+    }
+  }
+
+  /**
+   * Price a customer order at its agency without creating anything: verifies prices and stock,
+   * applies tax, coupon, delivery and platform charges and the wallet part, and checks the agency
+   * takes the order. A routed cart no single agency can fill comes back as a split instead.
+   * @param {object} value - Validated createOrder body
+   * @param {object} options - { walletUserId, draft } as for placeOrder
+   * @returns {object} { split, routing } or { agency, attributes, walletAmount, paidByWallet, routing }
+   */
+  async quoteOrder(value, options = {}) {
+    const settings = await this.getChargeSettings();
+    const { taxValue, platformChargeAmount } = settings;
+
+    // "Route my order": pick the agency that serves the address and can fill the whole cart
+    let routing = null;
+    if (value.routeOrder) {
+      const routed = await orderRoutingService.routeOrder(value);
+      routing = routed.routing;
+
+      // No single agency can fill the cart: create one order per agency under a shared checkout id
+      if (!routed.agency && value.splitOrder) {
+        if (walletService.usesWallet(value)) {
+          throw createError(400, 'Wallet payments are not available when the cart is split across agencies');
+        }
+        const split = await orderRoutingService.splitOrder(value);
+        if (!split.shipments) {
+          throw routingError(split.routing);
+        }
+        return { split, routing: split.routing };
+      }
+
+      if (!routed.agency) {
+        throw routingError(routing);
+      }
+      value.agencyId = routed.agency.id;
+    }
+
+    // Verify each item's price from database (routed orders use the selected agency's prices)
+    const agencyId = value.agencyId;
+    const { items: validatedItems, subtotal: calculatedSubtotal, taxAmount: totalTaxAmount } =
+      await this.priceItems(value.items, agencyId, settings, { checkPrices: !routing });
+
+    // Apply coupon if provided (coupon applies on subtotal only)
+    let couponCode = null;
+    let couponDiscount = 0;
+
+    if (value.couponCode && value.couponCode.trim() !== '') {
+      // Find and validate coupon
+      const coupon = await Coupon.findOne({
+        where: {
+          code: value.couponCode.toUpperCase(),
+          agencyId: agencyId,
+          isActive: true,
+        },
+      });
+
+      if (!coupon) {
+        throw createError(400, 'Invalid or inactive coupon code');
+      }
+
+      // Check expiry
+      const now = new Date();
+      const expiryDateTime = new Date(`${coupon.expiryDate} ${coupon.expiryTime}`);
+
+      if (now > expiryDateTime) {
+        // Auto-deactivate expired coupon
+        await coupon.update({ isActive: false });
+        throw createError(400, 'Coupon has expired');
+      }
+
+      // Check minimum and maximum amount against subtotal only
+      if (calculatedSubtotal < coupon.minAmount) {
+        throw createError(400, `Minimum amount required for this coupon: KSH${coupon.minAmount}`);
+      }
+
+      if (coupon.maxAmount && calculatedSubtotal > coupon.maxAmount) {
+        throw createError(400, `Maximum amount allowed for this coupon: KSH${coupon.maxAmount}`);
+      }
+
+      // Calculate discount on subtotal only
+      if (coupon.discountType === 'percentage') {
+        couponDiscount = (calculatedSubtotal * coupon.discountValue) / 100;
+      } else {
+        couponDiscount = parseFloat(coupon.discountValue);
+      }
+
+      couponCode = coupon.code;
+    }
+
+    // Calculate delivery charge for home_delivery mode
+    let deliveryChargeAmount = 0;
+    let deliveryDistance = null;
+    let deliveryChargeBreakdown = null;
+    let deliveryPoint = null;
+
+    if (value.deliveryMode === 'home_delivery') {
+      deliveryPoint = await serviceAreaService.resolveDeliveryPoint(value);
+
+      if (deliveryPoint) {
+        const agency = await Agency.findByPk(agencyId);
+
+        if (agency) {
+          // Rejects addresses outside the agency's delivery zones/radius before anything is created
+          ({ deliveryChargeAmount, deliveryDistance, deliveryChargeBreakdown } = await this.quoteDeliveryCharge(agency, deliveryPoint, {
+            subtotal: calculatedSubtotal,
+            slotId: value.slotId,
+            slotDate: value.slotDate
+          }));
+        }
+      }
+    }
+
+    // Distribute platform charge proportionally across items
+    this.applyPlatformCharge(validatedItems, calculatedSubtotal, platformChargeAmount, taxValue);
+
+    // Refundable deposits are added as their own line (no tax, coupon or platform charge on them)
+    const { depositAmount: depositTotal } = calculateOrderTotals(validatedItems);
+
+    // Calculate final total amount (subtotal + tax + platformCharge + deliveryCharge + deposit - couponDiscount)
+    const totalAmount = calculatedSubtotal + totalTaxAmount + platformChargeAmount + deliveryChargeAmount + depositTotal - couponDiscount;
+
+    // Wallet part of the payment (everything for paymentMethod "wallet"), checked before the slot is booked
+    const walletAmount = walletService.getCheckoutAmount(value, totalAmount);
+    const paidByWallet = walletAmount > 0 && walletAmount >= parseFloat(totalAmount.toFixed(2));
+    if (walletAmount > 0) {
+      if (!options.walletUserId) {
+        throw createError(401, 'Please log in to pay with your wallet');
+      }
+      // A draft waits for an online payment, so the wallet must leave something to pay
+      if (options.draft && paidByWallet) {
+        throw createError(400, 'The wallet amount covers the whole order. Please place it through checkout with payment method wallet');
+      }
+      await walletService.assertBalance(options.walletUserId, walletAmount);
+    }
+
+    // Verify the agency exists and is active
+    const agency = await Agency.findByPk(agencyId);
+    if (!agency) {
+      throw createError(404, `Agency with ID ${agencyId} not found`);
+    }
+    if (agency.status !== 'active') {
+      throw createError(400, `Agency ${agency.name} is not active`);
+    }
+    paymentGatewayService.assertAgencyAccepts(agency, { paymentMethod: value.paymentMethod, walletAmount });
+
+    if (value.deliveryMode === 'pickup' && !agency.pickupEnabled) {
+      throw createError(400, `Agency ${agency.name} does not offer pickup`);
+    }
+
+    // Verify stock availability for validated items
+    await this.assertStock(validatedItems, agency);
+
+    return {
+      routing,
+      agency,
+      walletAmount,
+      paidByWallet,
+      attributes: {
+        customerName: value.customerName,
+        customerEmail: value.customerEmail,
+        customerPhone: value.customerPhone,
+        customerAddress: value.customerAddress || null,
+        deliveryLatitude: hasCoordinates(deliveryPoint) ? deliveryPoint.latitude : null,
+        deliveryLongitude: hasCoordinates(deliveryPoint) ? deliveryPoint.longitude : null,
+        deliveryMode: value.deliveryMode,
+        items: validatedItems,
+        subtotal: parseFloat(calculatedSubtotal.toFixed(2)),
+        taxType: settings.taxType,
+        taxValue: parseFloat(taxValue.toFixed(2)),
+        taxAmount: parseFloat(totalTaxAmount.toFixed(2)),
+        platformCharge: parseFloat(platformChargeAmount.toFixed(2)),
+        deliveryCharge: parseFloat(deliveryChargeAmount.toFixed(2)),
+        deliveryDistance: deliveryDistance,
+        deliveryChargeBreakdown: deliveryChargeBreakdown,
+        couponCode: couponCode,
+        couponDiscount: parseFloat(couponDiscount.toFixed(2)),
+        depositAmount: depositTotal,
+        totalAmount: parseFloat(totalAmount.toFixed(2)),
+        paymentMethod: value.paymentMethod,
+        agencyId: agencyId
+      }
+    };
+  }
+
+  /**
+   * Place a customer order: prices it (quoteOrder), books the slot, deducts stock and notifies
+   * everyone involved. Shared by the checkout endpoint, the draft endpoint and the refill
+   * subscription scheduler.
+   * @param {object} value - Validated createOrder body
+   * @param {object} options - { subscriptionId } when a refill subscription places the order,
+   *   { walletUserId } of the signed-in customer whose wallet pays (part of) the order,
+   *   { draft: true } for online payment: the order waits for the payment, stock is deducted and
+   *   everyone notified when it succeeds
+   * @returns {object} { order, routing } or, for a split cart, { checkout: { checkoutId, orders, totalAmount }, routing }
+   */
+  async placeOrder(value, options = {}) {
+    const quote = await this.quoteOrder(value, options);
+
+    // No single agency can fill the cart: create one order per agency under a shared checkout id
+    if (quote.split) {
+      const checkout = await splitCheckoutService.createOrders(value, quote.split, { draft: !!options.draft });
+      if (!options.draft) {
+        await this.announceSplitOrders(checkout.orders);
+      }
+      return { checkout, routing: quote.routing };
+    }
+
+    const { routing, agency, attributes, walletAmount, paidByWallet } = quote;
+    const agencyId = agency.id;
+
+    const order = await sequelize.transaction(async (transaction) => {
+      // Book the requested delivery/pickup slot (throws 400 when the slot is unknown, closed or full)
+      let slotBooking = {};
+      if (value.slotId) {
+        const slotField = value.deliveryMode === 'pickup' ? 'pickupSlots' : 'deliverySlots';
+        slotBooking = await reserveSlot(agency, slotField, value.slotId, value.slotDate, transaction);
+      }
+
+      // Create order with validated items, tax details, platform charge, delivery charge, and coupon
+      // (the wallet part is debited together with the order, and the slot stays locked until it exists)
+      const created = await walletService.createOrderWithPayment({
+        orderNumber: generateOrderNumber(),
+        ...attributes,
+        ...(paidByWallet && { paymentStatus: 'paid', paymentReceived: true }),
+        ...(options.draft && { paymentStatus: 'pending', isDraft: true }),
+        status: 'pending',
+        subscriptionId: options.subscriptionId || null,
+        ...slotBooking
+      }, { walletAmount, userId: options.walletUserId }, transaction);
+
+      // Stock is checked again under the inventory lock, so concurrent checkouts can't both take the last units
+      if (!options.draft) {
+        await deductStockFromAgency(created, transaction);
+      }
+      return created;
+    });
+
+    if (options.draft) {
+      logger.info(`Draft order created: ${order.orderNumber} for agency: ${agencyId} (stock not deducted - waiting for payment)`);
+      return { order, routing };
+    }
+
+    logger.info(`Order created: ${order.orderNumber} for agency: ${agencyId}`);
+
+    // Emit socket notification
+    const socketService = this.getSocketService();
+    if (socketService) {
+      socketService.emitOrderCreated({
+        orderId: order.id,
+        orderNumber: order.orderNumber,
+        customerName: order.customerName,
+        customerEmail: order.customerEmail,
+        subtotal: order.subtotal,
+        taxType: order.taxType,
+        taxValue: order.taxValue,
+        taxAmount: order.taxAmount,
+        platformCharge: order.platformCharge,
+        couponCode: order.couponCode,
+        couponDiscount: order.couponDiscount,
+        depositAmount: order.depositAmount,
+        totalAmount: order.totalAmount,
+        agencyId: agencyId,
+        status: order.status
+      });
+    }
+
+    // Create notifications for customer, agency owner, and admin
+    try {
+      // 1. Create notification for customer (who created the order)
+      const customer = await User.findOne({ where: { email: order.customerEmail } });
+      if (customer) {
+        // Save notification to database
+        await Notification.create({
+          userId: customer.id,
+          title: '✅ Order Placed Successfully',
+          content: `Your order #${order.orderNumber} has been placed successfully. We are waiting for the agency to accept your order.`,
+          notificationType: 'ORDER_STATUS',
+          data: {
+            type: 'ORDER_STATUS',
+            orderId: order.id,
+            orderNumber: order.orderNumber,
+            status: 'pending'
+          },
+          orderId: order.id
+        });
+        
+        // Send Firebase push notification to customer
+        if (customer.fcmToken) {
+          logger.info(`📧 Sending order creation notification to customer: ${customer.email}`, {
+            fcmToken: customer.fcmToken ? `${customer.fcmToken.substring(0, 20)}...` : 'NO TOKEN',
+            fcmDeviceType: customer.fcmDeviceType || 'unknown',
+            orderNumber: order.orderNumber
+          });
+          
+          try {
+            const notifResult = await notificationService.sendOrderStatusNotification(customer.fcmToken, {
+              id: order.id,
+              orderNumber: order.orderNumber,
+              status: 'pending',
+              userId: customer.id,
+              agencyId: order.agencyId
+            }, {
+              recipientType: 'user',
+              recipientId: customer.id,
+              orderId: order.id,
+              agencyId: order.agencyId,
+              notificationType: 'ORDER_STATUS',
+              deviceType: customer.fcmDeviceType || 'unknown',
+              badge: 1
+            });
+            
+            logger.info(`✅ Order creation notification sent:`, notifResult);
+          } catch (notifError) {
+            logger.error(`❌ Failed to send order creation notification:`, notifError);
+          }
+        } else {
+          logger.warn(`⚠️ Customer has no FCM token for order creation notification (customerEmail: ${order.customerEmail})`);
+        }
+      } else {
+        logger.warn(`⚠️ Customer not found for order creation notification (customerEmail: ${order.customerEmail})`);
+      }
+
+      // 2. Create notification for agency owner
+      const agencyOwner = await AgencyOwner.findOne({ where: { agencyId: agencyId } });
+      if (agencyOwner) {
+        // Find agency owner's user account by email
+        const agencyOwnerUser = await User.findOne({ where: { email: agencyOwner.email } });
+        if (agencyOwnerUser) {
+          await Notification.create({
+            userId: agencyOwnerUser.id,
+            title: '🆕 New Order Received',
+            content: `You have received a new order. Please review the order details and accept or reject it.`,
+            notificationType: 'NEW_ORDER',
+            data: {
+              type: 'NEW_ORDER',
+              orderId: order.id,
+              orderNumber: order.orderNumber,
+              total: order.totalAmount
+            },
+            orderId: order.id
+          });
+        }
+
+        // Send Firebase notification to agency owner about new order
+        if (agencyOwner.fcmToken) {
+          await notificationService.sendNewOrderToAgency(agencyOwner.fcmToken, {
+            id: order.id,
+            orderNumber: order.orderNumber,
+            total: order.totalAmount,
+            agencyId: agencyId
+          }, {
+            recipientType: 'agency',
+            recipientId: agencyOwnerUser ? agencyOwnerUser.id : null,
+            orderId: order.id,
+            agencyId: agencyId,
+            notificationType: 'NEW_ORDER'
+          });
+        }
+      }
+
+      // 3. Create notification for all admins about new order
+      try {
+        const admins = await User.findAll({ where: { role: 'admin' } });
+        const adminTokens = admins.map(admin => admin.fcmToken).filter(token => token);
+        
+        if (adminTokens.length > 0) {
+          await notificationService.sendToMultipleDevices(
+            adminTokens,
+            '🆕 New Order Received',
+            `New order #${order.orderNumber} from ${order.customerName}. Total: ₹${order.totalAmount}`,
+            { 
+              type: 'NEW_ORDER', 
+              orderId: order.id, 
+              orderNumber: order.orderNumber,
+              total: String(order.totalAmount),
+              agencyId: String(agencyId)
+            }
+          );
+        }
+
+        // Create database notifications for all admins
+        const adminNotificationPromises = admins.map(admin =>
+          Notification.create({
+            userId: admin.id,
+            title: '🆕 New Order Received',
+            content: `New order #${order.orderNumber} from ${order.customerName}. Total: ₹${order.totalAmount}`,
+            notificationType: 'NEW_ORDER',
+            data: {
+              type: 'NEW_ORDER',
+              orderId: order.id,
+              orderNumber: order.orderNumber,
+              total: order.totalAmount,
+              customerName: order.customerName,
+              agencyId: agencyId
+            },
+            orderId: order.id
+          })
+        );
+
+        await Promise.all(adminNotificationPromises);
+      } catch (adminNotifError) {
+        logger.error('Error sending admin notification:', adminNotifError.message);
+      }
+    } catch (notifError) {
+      logger.error('Error creating notifications:', notifError.message);
+    }
+
+    // Auto-accept (and optionally auto-assign) when the agency has it enabled
+    await orderAutomationService.handleNewOrder(order);
+
+    return { order, routing };
+  }
+
+  /**
+   * New-order events for the sibling orders of a split checkout: one customer notification for the
+   * checkout, the usual socket event and agency owner notification per order
+   */
+  async announceSplitOrders(orders) {
+    const socketService = this.getSocketService();
+
+    for (const order of orders) {
+      if (socketService) {
+        socketService.emitOrderCreated({
+          orderId: order.id,
+          orderNumber: order.orderNumber,
+          checkoutId: order.checkoutId,
+          customerName: order.customerName,
+          customerEmail: order.customerEmail,
+          subtotal: order.subtotal,
+          taxType: order.taxType,
+          taxValue: order.taxValue,
+          taxAmount: order.taxAmount,
+          platformCharge: order.platformCharge,
+          depositAmount: order.depositAmount,
+          totalAmount: order.totalAmount,
+          agencyId: order.agencyId,
+          status: order.status
+        });
+      }
+
+      try {
+        const agencyOwner = await AgencyOwner.findOne({ where: { agencyId: order.agencyId } });
+        if (agencyOwner) {
+          const agencyOwnerUser = await User.findOne({ where: { email: agencyOwner.email } });
+          if (agencyOwnerUser) {
+            await Notification.create({
+              userId: agencyOwnerUser.id,
+              title: '🆕 New Order Received',
+              content: `You have received a new order. Please review the order details and accept or reject it.`,
+              notificationType: 'NEW_ORDER',
+              data: {
+                type: 'NEW_ORDER',
+                orderId: order.id,
+                orderNumber: order.orderNumber,
+                total: order.totalAmount
+              },
+              orderId: order.id
+            });
+          }
+
+          if (agencyOwner.fcmToken) {
+            await notificationService.sendNewOrderToAgency(agencyOwner.fcmToken, {
+              id: order.id,
+              orderNumber: order.orderNumber,
+              total: order.totalAmount,
+              agencyId: order.agencyId
+            }, {
+              recipientType: 'agency',
+              recipientId: agencyOwnerUser ? agencyOwnerUser.id : null,
+              orderId: order.id,
+              agencyId: order.agencyId,
+              notificationType: 'NEW_ORDER'
+            });
+          }
+        }
+      } catch (notifError) {
+        logger.error(`Error notifying agency about split order ${order.orderNumber}:`, notifError.message);
+      }
+
+      // Auto-accept (and optionally auto-assign) when the agency has it enabled
+      await orderAutomationService.handleNewOrder(order);
+    }
+
+    try {
+      const customer = await User.findOne({ where: { email: orders[0].customerEmail } });
+      if (customer) {
+        await Notification.create({
+          userId: customer.id,
+          title: '✅ Order Placed Successfully',
+          content: `Your cart was split into ${orders.length} orders (${orders.map(order => `#${order.orderNumber}`).join(', ')}) delivered by different agencies. We are waiting for the agencies to accept them.`,
+          notificationType: 'ORDER_STATUS',
+          data: {
+            type: 'ORDER_STATUS',
+            checkoutId: orders[0].checkoutId,
+            orderIds: orders.map(order => order.id),
+            status: 'pending'
+          },
+          orderId: orders[0].id
+        });
+      }
+    } catch (notifError) {
+      logger.error('Error notifying customer about split checkout:', notifError.message);
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new CheckoutService();
@@ -0,0 +1,81 @@
+const { DeliveryZone, Agency } = require('../models');
+const { hasCoordinates } = require('./distanceProviders/providerUtils');
+const { pointInGeometry, geometryOverlap } = require('../utils/geoUtils');
+
+class DeliveryZoneService {
+  /**
+   * Active zones of an agency, highest priority first
+   * @param {string} agencyId - Agency ID
+   */
+  async getActiveZones(agencyId) {
+    return DeliveryZone.findAll({
+      where: { agencyId, status: 'active' },
+      order: [['priority', 'DESC'], ['createdAt', 'ASC']]
+    });
+  }
+
+  /**
+   * Zone containing a point. Zones must already be ordered by priority (see getActiveZones).
+   * @param {Array} zones - DeliveryZone instances
+   * @param {object} point - { latitude, longitude }
+   * @returns {object|null} The matching zone
+   */
+  findZoneForPoint(zones, point) {
+    if (!hasCoordinates(point)) {
+      return null;
+    }
+    return zones.find(zone => pointInGeometry(zone.geometry, point.longitude, point.latitude)) || null;
+  }
+
+  /**
+   * Places where active zones of two different agencies intersect
+   * @param {object} filters - { agencyId: only report overlaps involving this agency }
+   * @returns {Array} [{ zones: [zoneA, zoneB], overlap: { bounds, approxAreaKm2, samplePoint } }]
+   */
+  async getOverlapReport(filters = {}) {
+    const zones = await DeliveryZone.findAll({
+      where: { status: 'active' },
+      include: [{
+        model: Agency,
+        as: 'Agency',
+        attributes: ['id', 'name', 'status']
+      }],
+      order: [['createdAt', 'ASC']]
+    });
+
+    const summarize = (zone) => ({
+      id: zone.id,
+      name: zone.name,
+      agencyId: zone.agencyId,
+      agencyName: zone.Agency ? zone.Agency.name : null,
+      chargeType: zone.chargeType,
+      ratePerKm: zone.ratePerKm,
+      fixedAmount: zone.fixedAmount,
+      minOrderValue: zone.minOrderValue
+    });
+
+    const overlaps = [];
+    for (let i = 0; i < zones.length; i++) {
+      for (let j = i + 1; j < zones.length; j++) {
+        const zoneA = zones[i];
+        const zoneB = zones[j];
+
+        if (zoneA.agencyId === zoneB.agencyId) continue;
+        if (filters.agencyId && zoneA.agencyId !== filters.agencyId && zoneB.agencyId !== filters.agencyId) continue;
+
+        const overlap = geometryOverlap(zoneA.geometry, zoneB.geometry);
+        if (overlap) {
+          overlaps.push({
+            zones: [summarize(zoneA), summarize(zoneB)],
+            overlap
+          });
+        }
+      }
+    }
+
+    return overlaps.sort((a, b) => b.overlap.approxAreaKm2 - a.overlap.approxAreaKm2);
+  }
+}
+
+// Export singleton instance
+module.exports = new DeliveryZoneService();
@@ -0,0 +1,392 @@
+const { Op } = require('sequelize');
+const { Order, Agency, DeliveryAgent, DispatchOffer } = require('../models');
+const { haversineDistanceKm } = require('../utils/helpers');
+const orderAutomationService = require('./orderAutomationService');
+const logger = require('../utils/logger');
+const { createError } = require('../utils/errorHandler');
+
+// Orders in these statuses count towards an agent's current workload
+const ACTIVE_AGENT_STATUSES = ['assigned', 'out_for_delivery'];
+
+class DispatchService {
+  constructor() {
+    // Pending offer timeouts keyed by offer id
+    this.offerTimers = new Map();
+
+    // Strategy name -> async (agents, order, agency) => agent
+    this.strategies = {
+      round_robin: this.pickRoundRobin.bind(this),
+      fewest_active: this.pickFewestActive.bind(this),
+      nearest: this.pickNearest.bind(this)
+    };
+  }
+
+  getSocketService() {
+    return global.socketService;
+  }
+
+  /**
+   * Offer a confirmed order to the next agent chosen by the agency's dispatch strategy.
+   * Agents that already declined or let an offer for this order expire are skipped.
+   * When nobody is left the order goes back to confirmed for manual assignment.
+   * @param {object} order - Order instance
+   * @returns {object|null} The offer made, or null when no agent was available
+   */
+  async dispatch(order) {
+    const agency = await Agency.findByPk(order.agencyId);
+    if (!agency) {
+      return null;
+    }
+
+    const previousOffers = await DispatchOffer.findAll({ where: { orderId: order.id } });
+    const triedAgentIds = previousOffers
+      .filter(offer => ['declined', 'expired', 'cancelled'].includes(offer.status))
+      .map(offer => offer.agentId);
+
+    const agents = await DeliveryAgent.findAll({
+      where: {
+        agencyId: order.agencyId,
+        status: 'online',
+        ...(triedAgentIds.length > 0 && { id: { [Op.notIn]: triedAgentIds } })
+      },
+      order: [['createdAt', 'ASC']]
+    });
+
+    if (agents.length === 0) {
+      await this.releaseOrder(order, 'No online agent accepted the order');
+      return null;
+    }
+
+    const strategy = this.strategies[agency.dispatchStrategy] ? agency.dispatchStrategy : 'fewest_active';
+    const agent = await this.strategies[strategy](agents, order, agency);
+
+    return this.offerToAgent(order, agent, {
+      strategy,
+      attempt: previousOffers.length + 1,
+      timeoutSeconds: agency.dispatchTimeoutSeconds,
+      agency
+    });
+  }
+
+  /**
+   * Assign the order to the agent and record the offer with an acceptance deadline
+   */
+  async offerToAgent(order, agent, { strategy, attempt, timeoutSeconds, agency }) {
+    const expiresAt = new Date(Date.now() + (timeoutSeconds || 120) * 1000);
+
+    const offer = await DispatchOffer.create({
+      orderId: order.id,
+      agencyId: order.agencyId,
+      agentId: agent.id,
+      strategy,
+      attempt,
+      expiresAt
+    });
+
+    if (strategy === 'round_robin') {
+      await agency.update({ lastDispatchedAgentId: agent.id });
+    }
+
+    logger.info(`Order ${order.orderNumber} offered to agent ${agent.name} (strategy: ${strategy}, attempt: ${attempt})`);
+
+    await orderAutomationService.assignAgent(order, agent, { offerId: offer.id, offerExpiresAt: expiresAt });
+    this.scheduleExpiry(offer);
+
+    return offer;
+  }
+
+  /**
+   * Record a manual assignment in the offer history. Manual offers never expire.
+   * @param {object} order - Order instance
+   * @param {object} agent - DeliveryAgent instance
+   * @param {string|null} offeredById - Admin/agency owner who assigned
+   */
+  async recordManualOffer(order, agent, offeredById = null) {
+    await this.cancelOpenOffers(order.id);
+
+    const attempt = await DispatchOffer.count({ where: { orderId: order.id } });
+    return DispatchOffer.create({
+      orderId: order.id,
+      agencyId: order.agencyId,
+      agentId: agent.id,
+      strategy: 'manual',
+      attempt: attempt + 1,
+      offeredById
+    });
+  }
+
+  /**
+   * Mark the agent's open offer for an order as accepted
+   * @returns {object|null} The accepted offer, or null when the agent has no open offer
+   * @throws 409 when the offer expired or was answered while the agent was accepting it
+   */
+  async acceptOffer(order, agentId) {
+    const offer = await DispatchOffer.findOne({
+      where: { orderId: order.id, agentId, status: 'offered' },
+      order: [['offeredAt', 'DESC']]
+    });
+
+    if (!offer) {
+      return null;
+    }
+
+    // Only an offer still open moves: the expiry timer may have taken it in the meantime
+    const [changed] = await DispatchOffer.update(
+      { status: 'accepted', respondedAt: new Date() },
+      { where: { id: offer.id, status: 'offered' } }
+    );
+    if (!changed) {
+      throw createError(409, 'This offer has expired or was already answered');
+    }
+
+    this.clearExpiry(offer.id);
+    await offer.reload();
+
+    logger.info(`Agent ${agentId} accepted order ${order.orderNumber}`);
+    return offer;
+  }
+
+  /**
+   * Record an agent declining an order. When the agent had no open offer (e.g. an assignment
+   * made before offers were tracked) a declined entry is still written for the audit trail.
+   * @param {object} order - Order instance
+   * @param {string} agentId - Declining agent
+   * @param {string} reason - Decline reason given by the agent
+   */
+  async declineOffer(order, agentId, reason) {
+    const offer = await DispatchOffer.findOne({
+      where: { orderId: order.id, agentId, status: 'offered' },
+      order: [['offeredAt', 'DESC']]
+    });
+
+    let declined;
+    if (offer) {
+      this.clearExpiry(offer.id);
+      declined = await offer.update({ status: 'declined', respondedAt: new Date(), declineReason: reason });
+    } else {
+      const attempt = await DispatchOffer.count({ where: { orderId: order.id } });
+      declined = await DispatchOffer.create({
+        orderId: order.id,
+        agencyId: order.agencyId,
+        agentId,
+        strategy: 'manual',
+        attempt: attempt + 1,
+        status: 'declined',
+        respondedAt: new Date(),
+        declineReason: reason
+      });
+    }
+
+    logger.info(`Agent ${agentId} declined order ${order.orderNumber}: ${reason}`);
+    return declined;
+  }
+
+  /**
+   * Offer response counts and acceptance rate for an agent
+   * @param {string} agentId - Delivery agent ID
+   * @param {Date} since - Only count offers made from this date (optional)
+   */
+  async getAcceptanceStats(agentId, since = null) {
+    const where = { agentId };
+    if (since) {
+      where.offeredAt = { [Op.gte]: since };
+    }
+
+    const rows = await DispatchOffer.findAll({
+      where,
+      attributes: ['status', [DispatchOffer.sequelize.fn('COUNT', DispatchOffer.sequelize.col('id')), 'count']],
+      group: ['status'],
+      raw: true
+    });
+
+    const counts = { offered: 0, accepted: 0, declined: 0, expired: 0, cancelled: 0 };
+    rows.forEach(row => {
+      counts[row.status] = parseInt(row.count);
+    });
+
+    // Cancelled offers (reassigned or order cancelled before a response) don't count either way
+    const responded = counts.accepted + counts.declined + counts.expired;
+
+    return {
+      totalOffers: responded + counts.offered,
+      accepted: counts.accepted,
+      declined: counts.declined,
+      expired: counts.expired,
+      awaitingResponse: counts.offered,
+      acceptanceRate: responded > 0 ? parseFloat(((counts.accepted / responded) * 100).toFixed(2)) : null
+    };
+  }
+
+  /**
+   * Cancel any still-open offers for an order (e.g. a manual reassignment or cancellation)
+   */
+  async cancelOpenOffers(orderId) {
+    const openOffers = await DispatchOffer.findAll({ where: { orderId, status: 'offered' } });
+
+    for (const offer of openOffers) {
+      this.clearExpiry(offer.id);
+      await offer.update({ status: 'cancelled', respondedAt: new Date() });
+    }
+  }
+
+  /**
+   * Offer history for an order, oldest first
+   */
+  async getOfferHistory(orderId) {
+    return DispatchOffer.findAll({
+      where: { orderId },
+      include: [
+        {
+          model: DeliveryAgent,
+          as: 'DeliveryAgent',
+          attributes: ['id', 'name', 'phone']
+        }
+      ],
+      order: [['offeredAt', 'ASC']]
+    });
+  }
+
+  // Timeout handling
+
+  scheduleExpiry(offer) {
+    if (!offer.expiresAt) return;
+
+    this.clearExpiry(offer.id);
+    const delay = Math.max(0, new Date(offer.expiresAt).getTime() - Date.now());
+    const timer = setTimeout(() => {
+      this.offerTimers.delete(offer.id);
+      this.expireOffer(offer.id).catch(error => {
+        logger.error(`Error expiring dispatch offer ${offer.id}:`, error.message);
+      });
+    }, delay);
+
+    // Do not keep the process alive just for a pending offer
+    if (timer.unref) timer.unref();
+    this.offerTimers.set(offer.id, timer);
+  }
+
+  clearExpiry(offerId) {
+    const timer = this.offerTimers.get(offerId);
+    if (timer) {
+      clearTimeout(timer);
+      this.offerTimers.delete(offerId);
+    }
+  }
+
+  /**
+   * Expire an unanswered offer and move the order on to the next agent
+   */
+  async expireOffer(offerId) {
+    const offer = await DispatchOffer.findByPk(offerId);
+    if (!offer || offer.status !== 'offered') return;
+
+    // The agent may have answered since the offer was read: leave it alone then
+    const [changed] = await DispatchOffer.update(
+      { status: 'expired', respondedAt: new Date() },
+      { where: { id: offer.id, status: 'offered' } }
+    );
+    if (!changed) return;
+
+    const order = await Order.findByPk(offer.orderId);
+    if (!order || order.status !== 'assigned' || order.assignedAgentId !== offer.agentId) return;
+
+    logger.info(`Dispatch offer for order ${order.orderNumber} expired for agent ${offer.agentId}, offering to next agent`);
+    await this.dispatch(order);
+  }
+
+  /**
+   * Re-arm timers for offers still open after a restart; expired ones are processed right away
+   */
+  async resumePendingOffers() {
+    const openOffers = await DispatchOffer.findAll({
+      where: { status: 'offered', expiresAt: { [Op.ne]: null } }
+    });
+
+    openOffers.forEach(offer => this.scheduleExpiry(offer));
+
+    if (openOffers.length > 0) {
+      logger.info(`Resumed ${openOffers.length} pending dispatch offer(s)`);
+    }
+  }
+
+  /**
+   * Put an order back to confirmed (unassigned) and tell the agency it needs manual assignment
+   */
+  async releaseOrder(order, reason) {
+    if (order.status === 'assigned') {
+      await order.update({ status: 'confirmed', assignedAgentId: null, assignedAt: null });
+    }
+
+    logger.warn(`Dispatch could not place order ${order.orderNumber}: ${reason}`);
+
+    const socketService = this.getSocketService();
+    if (socketService) {
+      socketService.emitOrderStatusUpdated({
+        orderId: order.id,
+        orderNumber: order.orderNumber,
+        status: order.status,
+        customerEmail: order.customerEmail,
+        agencyId: order.agencyId,
+        assignedAgentId: null,
+        dispatchFailed: true,
+        reason
+      });
+    }
+  }
+
+  // Strategies
+
+  async getActiveOrderCounts(agentIds) {
+    const rows = await Order.findAll({
+      where: {
+        assignedAgentId: { [Op.in]: agentIds },
+        status: { [Op.in]: ACTIVE_AGENT_STATUSES }
+      },
+      attributes: ['assignedAgentId', [Order.sequelize.fn('COUNT', Order.sequelize.col('id')), 'count']],
+      group: ['assignedAgentId'],
+      raw: true
+    });
+
+    const counts = {};
+    rows.forEach(row => {
+      counts[row.assignedAgentId] = parseInt(row.count);
+    });
+    return counts;
+  }
+
+  // Next agent after the last one dispatched for this agency
+  async pickRoundRobin(agents, order, agency) {
+    const lastIndex = agents.findIndex(agent => agent.id === agency.lastDispatchedAgentId);
+    return agents[(lastIndex + 1) % agents.length];
+  }
+
+  // Agent with the fewest assigned/out for delivery orders; ties go to the longest-serving agent
+  async pickFewestActive(agents) {
+    const counts = await this.getActiveOrderCounts(agents.map(agent => agent.id));
+
+    return agents.reduce((best, agent) => {
+      return (counts[agent.id] || 0) < (counts[best.id] || 0) ? agent : best;
+    }, agents[0]);
+  }
+
+  // Agent whose last known position is closest to the delivery point.
+  // Falls back to fewest active orders when the order or agents have no coordinates
+  async pickNearest(agents, order) {
+    const located = agents.filter(agent => agent.lastLatitude !== null && agent.lastLongitude !== null);
+
+    if (order.deliveryLatitude === null || order.deliveryLatitude === undefined ||
+        order.deliveryLongitude === null || order.deliveryLongitude === undefined ||
+        located.length === 0) {
+      return this.pickFewestActive(agents);
+    }
+
+    return located.reduce((best, agent) => {
+      const distance = haversineDistanceKm(agent.lastLatitude, agent.lastLongitude, order.deliveryLatitude, order.deliveryLongitude);
+      const bestDistance = haversineDistanceKm(best.lastLatitude, best.lastLongitude, order.deliveryLatitude, order.deliveryLongitude);
+      return distance < bestDistance ? agent : best;
+    }, located[0]);
+  }
+}
+
+// Export singleton instance
+module.exports = new DispatchService();
@@ -0,0 +1,63 @@
+const axios = require('axios');
+const { createError } = require('../../utils/errorHandler');
+const { hasCoordinates } = require('./providerUtils');
+
+// Statuses that mean Google can't serve us right now; the next provider is tried
+const UNAVAILABLE_STATUSES = ['REQUEST_DENIED', 'OVER_QUERY_LIMIT', 'OVER_DAILY_LIMIT', 'UNKNOWN_ERROR'];
+
+const toParam = (point) => (hasCoordinates(point) ? `${point.latitude},${point.longitude}` : point.address);
+
+// Google Distance Matrix: road distance and duration. Accepts coordinates or a text address
+module.exports = {
+  name: 'google',
+
+  canEstimate(origin, destination) {
+    return (hasCoordinates(origin) || !!origin.address) && (hasCoordinates(destination) || !!destination.address);
+  },
+
+  async estimate(origin, destination, options = {}) {
+    const apiKey = process.env.GOOGLE_MAPS_API_KEY;
+    if (!apiKey) {
+      throw createError(503, 'Google Maps API key is not configured');
+    }
+
+    const response = await axios.get('https://maps.googleapis.com/maps/api/distancematrix/json', {
+      params: {
+        origins: toParam(origin),
+        destinations: toParam(destination),
+        key: apiKey,
+        mode: 'driving',
+        units: 'metric',
+        ...(options.live && { departure_time: 'now' })
+      },
+      timeout: 5000
+    });
+
+    const { status, error_message: errorMessage } = response.data;
+    if (status !== 'OK') {
+      if (UNAVAILABLE_STATUSES.includes(status)) {
+        throw createError(503, `Google Maps API ${status}${errorMessage ? `: ${errorMessage}` : ''}`);
+      }
+      throw createError(400, `Invalid address format. Please check the addresses. Error: ${errorMessage || status}`);
+    }
+
+    const element = response.data.rows && response.data.rows[0] && response.data.rows[0].elements && response.data.rows[0].elements[0];
+    if (!element) {
+      throw createError(503, 'Invalid response from Google Maps API');
+    }
+
+    if (element.status === 'ZERO_RESULTS') {
+      throw createError(400, 'Could not find a route between the addresses. Please check the addresses.');
+    } else if (element.status === 'NOT_FOUND') {
+      throw createError(400, 'One or both addresses could not be found. Please check the addresses.');
+    } else if (element.status !== 'OK') {
+      throw createError(400, `Distance calculation failed: ${element.status}. Please check the addresses.`);
+    }
+
+    const duration = element.duration_in_traffic || element.duration;
+    return {
+      distanceKm: element.distance.value / 1000,
+      durationMinutes: duration.value / 60
+    };
+  }
+};
@@ -0,0 +1,23 @@
+const { haversineDistanceKm } = require('../../utils/helpers');
+const { hasCoordinates } = require('./providerUtils');
+
+// Straight-line distance from stored lat/lng at an average rider speed. Works offline
+module.exports = {
+  name: 'haversine',
+  // Cheap to recompute, and caching it would mask a recovered road-distance provider
+  cacheable: false,
+
+  canEstimate(origin, destination) {
+    return hasCoordinates(origin) && hasCoordinates(destination);
+  },
+
+  async estimate(origin, destination) {
+    const averageSpeedKmh = parseFloat(process.env.AVERAGE_DELIVERY_SPEED_KMH) || 25;
+    const distanceKm = haversineDistanceKm(origin.latitude, origin.longitude, destination.latitude, destination.longitude);
+
+    return {
+      distanceKm,
+      durationMinutes: (distanceKm / averageSpeedKmh) * 60
+    };
+  }
+};
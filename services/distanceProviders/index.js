@@ -0,0 +1,10 @@
+const googleProvider = require('./googleProvider');
+const osrmProvider = require('./osrmProvider');
+const haversineProvider = require('./haversineProvider');
+
+// Registered distance providers by config name (DISTANCE_PROVIDERS)
+module.exports = {
+  google: googleProvider,
+  osrm: osrmProvider,
+  haversine: haversineProvider
+};
@@ -0,0 +1,41 @@
+const axios = require('axios');
+const { createError } = require('../../utils/errorHandler');
+const { hasCoordinates } = require('./providerUtils');
+
+// OSRM-compatible routing server (OSRM_BASE_URL). Needs coordinates on both ends
+module.exports = {
+  name: 'osrm',
+
+  canEstimate(origin, destination) {
+    return hasCoordinates(origin) && hasCoordinates(destination);
+  },
+
+  async estimate(origin, destination) {
+    if (!process.env.OSRM_BASE_URL) {
+      throw createError(503, 'OSRM_BASE_URL is not configured');
+    }
+
+    const baseUrl = process.env.OSRM_BASE_URL.replace(/\/$/, '');
+    const coordinates = `${origin.longitude},${origin.latitude};${destination.longitude},${destination.latitude}`;
+
+    const response = await axios.get(`${baseUrl}/route/v1/driving/${coordinates}`, {
+      params: { overview: 'false' },
+      timeout: 5000,
+      // 4xx bodies carry the OSRM error code; let them through to be classified below
+      validateStatus: status => status < 500 && status !== 429
+    });
+
+    const { code, message, routes } = response.data || {};
+    if (code === 'NoRoute') {
+      throw createError(400, 'Could not find a route between the addresses. Please check the addresses.');
+    }
+    if (code !== 'Ok' || !routes || !routes[0]) {
+      throw createError(503, `OSRM routing error: ${code || response.status}${message ? ` - ${message}` : ''}`);
+    }
+
+    return {
+      distanceKm: routes[0].distance / 1000,
+      durationMinutes: routes[0].duration / 60
+    };
+  }
+};
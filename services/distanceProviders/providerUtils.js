@@ -0,0 +1,10 @@
+// A point is { latitude, longitude } and/or { address }
+const hasCoordinates = (point) => {
+  return !!point &&
+    point.latitude !== null && point.latitude !== undefined && point.latitude !== '' &&
+    point.longitude !== null && point.longitude !== undefined && point.longitude !== '';
+};
+
+module.exports = {
+  hasCoordinates
+};
@@ -0,0 +1,128 @@
+const providers = require('./distanceProviders');
+const { hasCoordinates } = require('./distanceProviders/providerUtils');
+const { createError } = require('../utils/errorHandler');
+const logger = require('../utils/logger');
+
+const DEFAULT_PROVIDERS = 'google,osrm,haversine';
+const CACHE_TTL_MS = (parseInt(process.env.DISTANCE_CACHE_TTL_SECONDS) || 6 * 60 * 60) * 1000;
+const CACHE_MAX_ENTRIES = parseInt(process.env.DISTANCE_CACHE_MAX_ENTRIES) || 1000;
+
+// Coordinates are rounded to ~11 m so nearby lookups share a cache entry
+const pointKey = (point) => {
+  if (hasCoordinates(point)) {
+    return `${parseFloat(point.latitude).toFixed(4)},${parseFloat(point.longitude).toFixed(4)}`;
+  }
+  return (point.address || '').trim().toLowerCase().replace(/\s+/g, ' ');
+};
+
+class DistanceService {
+  constructor() {
+    // origin|destination -> { result, expiresAt }; Map keeps insertion order for eviction
+    this.cache = new Map();
+  }
+
+  /**
+   * Providers to try, in order, from DISTANCE_PROVIDERS (comma separated, default google,osrm,haversine).
+   * Unconfigured providers (no API key / base URL) fail fast and are skipped.
+   */
+  getProviderChain() {
+    const names = (process.env.DISTANCE_PROVIDERS || DEFAULT_PROVIDERS)
+      .split(',')
+      .map(name => name.trim().toLowerCase())
+      .filter(Boolean);
+
+    const chain = [];
+    names.forEach(name => {
+      if (!providers[name]) {
+        logger.warn(`Unknown distance provider "${name}" in DISTANCE_PROVIDERS, skipping`);
+      } else if (!chain.includes(providers[name])) {
+        chain.push(providers[name]);
+      }
+    });
+
+    return chain;
+  }
+
+  getCached(key) {
+    const entry = this.cache.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.cache.delete(key);
+      return null;
+    }
+    return entry.result;
+  }
+
+  setCached(key, result) {
+    this.cache.delete(key);
+    this.cache.set(key, { result, expiresAt: Date.now() + CACHE_TTL_MS });
+
+    while (this.cache.size > CACHE_MAX_ENTRIES) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+  }
+
+  clearCache() {
+    this.cache.clear();
+  }
+
+  /**
+   * Estimate travel distance and duration between two points, each { latitude, longitude } and/or { address }.
+   * Providers are tried in configured order, skipping those that can't handle the inputs; a provider
+   * failing with a quota, config or network error falls through to the next one. A 400 (address not
+   * found, no route) is the caller's problem and is thrown as-is.
+   * @param {object} origin - Start point
+   * @param {object} destination - End point
+   * @param {object} options - { useCache (default true), live: prefer traffic-aware durations }
+   * @returns {object|null} { distanceKm, durationMinutes, provider, cached } or null when no provider could answer
+   */
+  async getTravelEstimate(origin, destination, options = {}) {
+    const { useCache = true } = options;
+    const cacheKey = `${pointKey(origin)}|${pointKey(destination)}`;
+
+    if (useCache) {
+      const cached = this.getCached(cacheKey);
+      if (cached) {
+        return { ...cached, cached: true };
+      }
+    }
+
+    for (const provider of this.getProviderChain()) {
+      if (!provider.canEstimate(origin, destination)) {
+        continue;
+      }
+
+      try {
+        const estimate = await provider.estimate(origin, destination, options);
+        const result = { ...estimate, provider: provider.name };
+
+        if (useCache && provider.cacheable !== false) {
+          this.setCached(cacheKey, result);
+        }
+        return { ...result, cached: false };
+      } catch (error) {
+        if (error.statusCode === 400) {
+          throw error;
+        }
+        logger.warn(`Distance provider ${provider.name} failed, trying next: ${error.message}`);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Same as getTravelEstimate but throws a 503 when no provider could answer
+   */
+  async requireTravelEstimate(origin, destination, options = {}) {
+    const estimate = await this.getTravelEstimate(origin, destination, options);
+    if (!estimate) {
+      throw createError(503, 'Distance could not be calculated right now. Please try again later.');
+    }
+    return estimate;
+  }
+}
+
+// Export singleton instance
+module.exports = new DistanceService();
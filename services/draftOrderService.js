@@ -0,0 +1,186 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { Order, User, Notification } = require('../models');
+const pesapalPaymentService = require('./pesapalPaymentService');
+const paymentGatewayService = require('./paymentGatewayService');
+const walletService = require('./walletService');
+const notificationService = require('./notificationService');
+const { sendEmail } = require('../config/email');
+const { formatOrderResponse } = require('../utils/orderUtils');
+const logger = require('../utils/logger');
+
+// Minutes a draft order waits for its online payment before it is cancelled
+const PAYMENT_WINDOW_MINUTES = parseInt(process.env.DRAFT_ORDER_PAYMENT_WINDOW_MINUTES, 10) || 60;
+const PAID_STATUSES = ['paid', 'partially_refunded', 'refunded'];
+
+class DraftOrderService {
+  getSocketService() {
+    return global.socketService;
+  }
+
+  /**
+   * Cancel draft orders that got no confirmed payment within PAYMENT_WINDOW_MINUTES. The payment
+   * provider (Pesapal, mobile money, ...) is asked first so a late payment confirms the order instead;
+   * when the provider can't be reached the draft is left for the next pass.
+   * @returns {object} { cancelled, paidLate, skipped }
+   */
+  async cancelAbandonedDrafts(now = new Date()) {
+    const summary = { cancelled: 0, paidLate: 0, skipped: 0 };
+
+    const drafts = await Order.findAll({
+      where: {
+        isDraft: true,
+        status: 'pending',
+        paymentStatus: { [Op.notIn]: PAID_STATUSES },
+        createdAt: { [Op.lt]: new Date(now.getTime() - PAYMENT_WINDOW_MINUTES * 60 * 1000) }
+      },
+      order: [['createdAt', 'ASC']]
+    });
+
+    // The orders of a split checkout share one payment, so they are settled together
+    const checkouts = new Map();
+    drafts.forEach(order => {
+      const key = order.checkoutId || order.id;
+      if (!checkouts.has(key)) checkouts.set(key, []);
+      checkouts.get(key).push(order);
+    });
+
+    for (const orders of checkouts.values()) {
+      // No payment reference: the customer never started paying with the provider
+      const started = orders.find(order => paymentGatewayService.isProvider(order.paymentMethod) &&
+        (order.paymentReference || pesapalPaymentService.getTrackingId(order)));
+
+      if (started) {
+        const label = paymentGatewayService.describe(started.paymentMethod).label;
+        try {
+          const { paid, status } = await paymentGatewayService.refreshPaymentStatus(started);
+          if (paid) {
+            logger.info(`Draft order(s) ${orders.map(order => order.orderNumber).join(', ')} paid late, confirmed instead of cancelled`);
+            summary.paidLate += orders.length;
+            continue;
+          }
+          logger.info(`Draft order(s) ${orders.map(order => order.orderNumber).join(', ')} unpaid at ${label} (${status})`);
+        } catch (error) {
+          logger.warn(`Could not verify ${label} payment for draft order(s) ${orders.map(order => order.orderNumber).join(', ')}: ${error.message}`);
+          summary.skipped += orders.length;
+          continue;
+        }
+      }
+
+      const cancelled = [];
+      for (const order of orders) {
+        if (await this.cancelDraft(order)) {
+          cancelled.push(order);
+        }
+      }
+      summary.cancelled += cancelled.length;
+      if (cancelled.length > 0) {
+        await this.notifyCustomer(cancelled);
+      }
+    }
+
+    if (summary.cancelled || summary.paidLate || summary.skipped) {
+      logger.info(`Abandoned drafts: ${summary.cancelled} cancelled, ${summary.paidLate} paid late, ${summary.skipped} left for the next pass`);
+    }
+    return summary;
+  }
+
+  /**
+   * Cancel one unpaid draft. Drafts never had their stock deducted, so nothing is restored; a wallet
+   * part paid up front goes back to the wallet. The update only applies to a draft still unpaid, so a
+   * payment confirmed meanwhile (IPN, callback, a split checkout sibling) is never overwritten.
+   * @returns {boolean} Whether the draft was cancelled now
+   */
+  async cancelDraft(order) {
+    const reason = `Payment was not completed within ${PAYMENT_WINDOW_MINUTES} minutes`;
+    const cancelledAt = new Date();
+
+    const [changed] = await Order.update({
+      status: 'cancelled',
+      cancelledAt,
+      cancelledBy: 'system',
+      cancelledById: null,
+      cancelledByName: 'System',
+      // Keep the payment notes: a payment arriving after this shows up on the cancelled order
+      adminNotes: sequelize.fn('concat', sequelize.fn('coalesce', sequelize.col('admin_notes'), ''), `\n\n[Auto-cancelled ${cancelledAt.toISOString()}] ${reason}`)
+    }, {
+      where: { id: order.id, status: 'pending', isDraft: true, paymentStatus: { [Op.notIn]: PAID_STATUSES } }
+    });
+    if (!changed) {
+      logger.info(`Draft order ${order.orderNumber} was paid or changed meanwhile, not cancelled`);
+      return false;
+    }
+    await order.reload();
+
+    logger.info(`Draft order cancelled: ${order.orderNumber} by System (system) - ${reason}`);
+
+    if (parseFloat(order.walletAmount) > 0) {
+      await walletService.releaseOrderPayment(order, reason);
+    }
+
+    await sendEmail(order.customerEmail, 'orderCancelled', formatOrderResponse(order), reason);
+
+    const socketService = this.getSocketService();
+    if (socketService) {
+      socketService.emitOrderStatusUpdated({
+        orderId: order.id,
+        orderNumber: order.orderNumber,
+        status: 'cancelled',
+        customerEmail: order.customerEmail,
+        agencyId: order.agencyId,
+        reason
+      });
+    }
+    return true;
+  }
+
+  /**
+   * One push and in-app notification per checkout
+   */
+  async notifyCustomer(orders) {
+    const order = orders[0];
+    const orderNumbers = orders.map(item => `#${item.orderNumber}`).join(', ');
+
+    try {
+      const customer = await User.findOne({ where: { email: order.customerEmail, role: 'customer' } });
+      if (!customer) return;
+
+      const title = '⚠️ Order Cancelled';
+      const content = `Your order ${orderNumbers} has been cancelled because payment was not completed. You can place it again anytime.`;
+      const data = {
+        type: 'ORDER_CANCELLED',
+        orderId: order.id,
+        orderNumber: order.orderNumber,
+        checkoutId: order.checkoutId || '',
+        cancelledBy: 'system',
+        reason: 'PAYMENT_NOT_COMPLETED'
+      };
+
+      if (customer.fcmToken) {
+        await notificationService.sendToDevice(customer.fcmToken, title, content, data, {
+          deviceType: customer.fcmDeviceType || 'unknown',
+          badge: 1
+        });
+      }
+
+      await Notification.create({
+        userId: customer.id,
+        title,
+        content,
+        notificationType: 'ORDER_STATUS',
+        data: {
+          ...data,
+          status: 'cancelled',
+          cancelledByName: 'System',
+          orderIds: orders.map(item => item.id)
+        },
+        orderId: order.id
+      });
+    } catch (notifError) {
+      logger.error('Error sending draft cancellation notification:', notifError.message);
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new DraftOrderService();
@@ -0,0 +1,166 @@
+const { DeliveryAgent, User } = require('../models');
+const distanceService = require('./distanceService');
+const notificationService = require('./notificationService');
+const { haversineDistanceKm } = require('../utils/helpers');
+const { formatOrderEta } = require('../utils/orderUtils');
+const logger = require('../utils/logger');
+
+// Minimum time between provider lookups for the same order; pings in between only run the arriving-soon check
+const ETA_REFRESH_MS = (parseInt(process.env.ETA_REFRESH_SECONDS) || 30) * 1000;
+
+// Customer gets one "arriving soon" push when the agent comes within this straight-line distance
+const ARRIVING_SOON_DISTANCE_METERS = parseInt(process.env.ARRIVING_SOON_DISTANCE_METERS) || 500;
+
+class EtaService {
+  getSocketService() {
+    return global.socketService;
+  }
+
+  /**
+   * Recompute an order's ETA from the agent's position and send the arriving-soon push when close.
+   * @param {object} order - Order instance (out_for_delivery)
+   * @param {object} position - Agent position { latitude, longitude }
+   * @param {object} options - { force: skip the refresh interval, emitSocket: emit order:status-updated (default true) }
+   * @returns {object|null} The order's ETA payload, or null when it could not be computed
+   */
+  async refreshOrderEta(order, position, options = {}) {
+    const { force = false, emitSocket = true } = options;
+
+    if (order.status !== 'out_for_delivery' || !position) {
+      return null;
+    }
+
+    const destination = {
+      latitude: order.deliveryLatitude,
+      longitude: order.deliveryLongitude,
+      address: order.customerAddress
+    };
+
+    const straightLineKm = destination.latitude !== null && destination.latitude !== undefined &&
+      destination.longitude !== null && destination.longitude !== undefined
+      ? haversineDistanceKm(position.latitude, position.longitude, destination.latitude, destination.longitude)
+      : null;
+
+    const isFresh = order.etaUpdatedAt && Date.now() - new Date(order.etaUpdatedAt).getTime() < ETA_REFRESH_MS;
+    if (!force && isFresh) {
+      await this.checkArrivingSoon(order, straightLineKm);
+      return formatOrderEta(order);
+    }
+
+    // The agent keeps moving and traffic changes, so ETAs bypass the distance cache
+    const estimate = await distanceService.getTravelEstimate(
+      { latitude: position.latitude, longitude: position.longitude },
+      destination,
+      { useCache: false, live: true }
+    );
+
+    if (!estimate) {
+      return null;
+    }
+
+    const etaMinutes = Math.max(1, Math.round(estimate.durationMinutes));
+    await order.update({
+      etaMinutes,
+      etaDistanceKm: estimate.distanceKm.toFixed(3),
+      estimatedArrivalAt: new Date(Date.now() + etaMinutes * 60 * 1000),
+      etaProvider: estimate.provider,
+      etaUpdatedAt: new Date()
+    });
+
+    const eta = formatOrderEta(order);
+
+    const socketService = this.getSocketService();
+    if (socketService && emitSocket) {
+      socketService.emitOrderStatusUpdated({
+        orderId: order.id,
+        orderNumber: order.orderNumber,
+        status: order.status,
+        customerEmail: order.customerEmail,
+        agencyId: order.agencyId,
+        assignedAgentId: order.assignedAgentId,
+        eta
+      });
+    }
+
+    await this.checkArrivingSoon(order, straightLineKm !== null ? straightLineKm : estimate.distanceKm);
+    return eta;
+  }
+
+  /**
+   * Initial ETA when an order goes out for delivery, from the agent's last known position.
+   * The caller includes the result in its own status socket event.
+   * @param {object} order - Order instance (out_for_delivery)
+   */
+  async startOrderEta(order) {
+    try {
+      if (!order.assignedAgentId || order.deliveryMode !== 'home_delivery') {
+        return null;
+      }
+
+      const agent = await DeliveryAgent.findByPk(order.assignedAgentId, {
+        attributes: ['id', 'lastLatitude', 'lastLongitude']
+      });
+      if (!agent || agent.lastLatitude === null || agent.lastLongitude === null) {
+        return null;
+      }
+
+      return await this.refreshOrderEta(order, {
+        latitude: agent.lastLatitude,
+        longitude: agent.lastLongitude
+      }, { force: true, emitSocket: false });
+    } catch (error) {
+      logger.error(`Error computing ETA for order ${order.orderNumber}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Send the one-off "arriving soon" push once the agent is within ARRIVING_SOON_DISTANCE_METERS
+   */
+  async checkArrivingSoon(order, distanceKm) {
+    if (order.arrivingSoonNotifiedAt || distanceKm === null || distanceKm === undefined) {
+      return;
+    }
+
+    if (distanceKm * 1000 > ARRIVING_SOON_DISTANCE_METERS) {
+      return;
+    }
+
+    await order.update({ arrivingSoonNotifiedAt: new Date() });
+    logger.info(`Agent arriving soon for order ${order.orderNumber} (${Math.round(distanceKm * 1000)} m away)`);
+
+    try {
+      const customer = await User.findOne({
+        where: {
+          email: order.customerEmail,
+          role: 'customer'
+        }
+      });
+
+      if (!customer || !customer.fcmToken) {
+        return;
+      }
+
+      await notificationService.sendOrderStatusNotification(customer.fcmToken, {
+        id: order.id,
+        orderNumber: order.orderNumber,
+        status: 'arriving_soon',
+        userId: customer.id,
+        agencyId: order.agencyId
+      }, {
+        recipientType: 'user',
+        recipientId: customer.id,
+        orderId: order.id,
+        agencyId: order.agencyId,
+        notificationType: 'ORDER_STATUS',
+        deviceType: customer.fcmDeviceType || 'unknown',
+        badge: 1
+      });
+    } catch (notifError) {
+      logger.error('Error sending arriving soon notification:', notifError.message);
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new EtaService();
@@ -0,0 +1,91 @@
+const axios = require('axios');
+const logger = require('../utils/logger');
+
+const CACHE_MAX_ENTRIES = 500;
+
+class GeocodingService {
+  constructor() {
+    // Normalized address text -> { latitude, longitude, formattedAddress }
+    this.cache = new Map();
+  }
+
+  /**
+   * Geocode a text address with the Google Geocoding API.
+   * Returns null (never throws) when no API key is configured, nothing matched or the request failed,
+   * so callers can still save the address without coordinates.
+   * @param {string} address - Full address text
+   * @returns {object|null} { latitude, longitude, formattedAddress }
+   */
+  async geocode(address) {
+    const key = (address || '').trim().toLowerCase().replace(/\s+/g, ' ');
+    if (!key) return null;
+
+    if (this.cache.has(key)) {
+      return this.cache.get(key);
+    }
+
+    const apiKey = process.env.GOOGLE_MAPS_API_KEY;
+    if (!apiKey) {
+      logger.warn('Geocoding skipped: GOOGLE_MAPS_API_KEY is not configured');
+      return null;
+    }
+
+    try {
+      const response = await axios.get('https://maps.googleapis.com/maps/api/geocode/json', {
+        params: { address, key: apiKey },
+        timeout: 5000
+      });
+
+      if (response.data.status !== 'OK' || !response.data.results || !response.data.results[0]) {
+        logger.warn(`Geocoding returned ${response.data.status} for "${address}"`);
+        return null;
+      }
+
+      const match = response.data.results[0];
+      const result = {
+        latitude: match.geometry.location.lat,
+        longitude: match.geometry.location.lng,
+        formattedAddress: match.formatted_address
+      };
+
+      this.cache.set(key, result);
+      if (this.cache.size > CACHE_MAX_ENTRIES) {
+        this.cache.delete(this.cache.keys().next().value);
+      }
+
+      return result;
+    } catch (error) {
+      logger.error(`Error geocoding address "${address}":`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Fill in latitude/longitude on a saved customer address. Coordinates sent by the app are kept as-is;
+   * otherwise the address text is geocoded once.
+   * @param {object} address - Address object from User.addresses
+   * @returns {object} The address with latitude, longitude and locationSource ('app' | 'geocoded' | null)
+   */
+  async withCoordinates(address) {
+    if (address.latitude !== undefined && address.latitude !== null &&
+        address.longitude !== undefined && address.longitude !== null) {
+      return { ...address, locationSource: address.locationSource || 'app' };
+    }
+
+    const text = [address.address, address.city, address.pincode].filter(Boolean).join(', ');
+    const geocoded = await this.geocode(text);
+    if (!geocoded) {
+      return { ...address, latitude: null, longitude: null, locationSource: null };
+    }
+
+    return {
+      ...address,
+      latitude: geocoded.latitude,
+      longitude: geocoded.longitude,
+      locationSource: 'geocoded'
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new GeocodingService();
@@ -0,0 +1,290 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { Invoice, Agency } = require('../models');
+const paymentGatewayService = require('./paymentGatewayService');
+const { sendEmail } = require('../config/email');
+const { formatOrderResponse } = require('../utils/orderUtils');
+const { renderInvoicePdf } = require('../utils/invoicePdf');
+const { createError } = require('../utils/errorHandler');
+const logger = require('../utils/logger');
+
+const PREFIXES = {
+  invoice: process.env.INVOICE_PREFIX || 'INV',
+  credit_note: process.env.CREDIT_NOTE_PREFIX || 'CN'
+};
+// Orders whose goods were handed over; only those are invoiced
+const INVOICEABLE_STATUSES = ['delivered', 'returned', 'return_approved', 'return_rejected'];
+const PAID_STATUSES = ['paid', 'partially_refunded', 'refunded'];
+
+const toAmount = (value) => parseFloat(parseFloat(value || 0).toFixed(2));
+
+class InvoiceService {
+  /**
+   * Document number: prefix, short agency code and the agency's sequence, e.g. INV-1A2B3C-000042
+   */
+  formatNumber(type, agencyId, sequence) {
+    const agencyCode = agencyId.replace(/-/g, '').slice(0, 6).toUpperCase();
+    return `${PREFIXES[type]}-${agencyCode}-${String(sequence).padStart(6, '0')}`;
+  }
+
+  buildLines(order) {
+    return (order.items || []).map(item => {
+      const quantity = parseInt(item.quantity, 10);
+      const unitPrice = toAmount(item.variantPrice);
+      return {
+        description: [item.productName, item.variantLabel ? `(${item.variantLabel})` : null].filter(Boolean).join(' '),
+        quantity,
+        unitPrice,
+        amount: item.productAmount !== undefined ? toAmount(item.productAmount) : toAmount(unitPrice * quantity),
+        taxAmount: toAmount(item.taxAmount),
+        depositAmount: toAmount(item.depositTotal)
+      };
+    });
+  }
+
+  /**
+   * Invoice of the order not credited yet (a reordered return gets a new one)
+   */
+  async findCurrentInvoice(order, transaction = null) {
+    const invoices = await Invoice.findAll({
+      where: { orderId: order.id, type: 'invoice' },
+      order: [['sequence', 'DESC']],
+      transaction
+    });
+    if (invoices.length === 0) return null;
+
+    const credited = await Invoice.count({ where: { invoiceId: invoices[0].id }, transaction });
+    return credited > 0 ? null : invoices[0];
+  }
+
+  /**
+   * Create the next document of the agency's sequence. The agency row is locked until the
+   * transaction ends, so concurrent documents take turns and one rolled back leaves no gap.
+   * @param {object} order - Order
+   * @param {string} type - invoice or credit_note
+   * @param {object} options - { invoice (credit notes: the invoice credited), reason }
+   * @returns {object} Invoice
+   */
+  async createDocument(order, type, { invoice = null, reason = null } = {}) {
+    return sequelize.transaction(async (transaction) => {
+      const agency = await Agency.findByPk(order.agencyId, { transaction, lock: transaction.LOCK.UPDATE });
+      if (!agency) {
+        throw createError(404, 'Agency not found');
+      }
+
+      // Checked again under the lock: a concurrent request may have issued it meanwhile
+      if (type === 'invoice') {
+        const current = await this.findCurrentInvoice(order, transaction);
+        if (current) return current;
+      } else {
+        const existing = await Invoice.findOne({ where: { invoiceId: invoice.id }, transaction });
+        if (existing) return existing;
+      }
+
+      const last = await Invoice.max('sequence', { where: { agencyId: agency.id, type }, transaction });
+      const sequence = (last || 0) + 1;
+
+      // A credit note reverses the invoice as issued; an invoice copies the order and agency as they are now
+      const source = invoice || {
+        agencyDetails: {
+          name: agency.name,
+          email: agency.email,
+          phone: agency.phone,
+          address: agency.address,
+          city: agency.city,
+          pincode: agency.pincode
+        },
+        customerDetails: {
+          name: order.customerName,
+          email: order.customerEmail,
+          phone: order.customerPhone,
+          address: order.deliveryMode === 'pickup' ? null : order.customerAddress
+        },
+        lines: this.buildLines(order),
+        subtotal: order.subtotal,
+        taxType: order.taxType || 'none',
+        taxValue: order.taxValue || 0,
+        taxAmount: order.taxAmount || 0,
+        platformCharge: order.platformCharge || 0,
+        deliveryCharge: order.deliveryCharge || 0,
+        depositAmount: order.depositAmount || 0,
+        couponDiscount: order.couponDiscount || 0,
+        totalAmount: order.totalAmount
+      };
+
+      const document = await Invoice.create({
+        type,
+        number: this.formatNumber(type, agency.id, sequence),
+        sequence,
+        agencyId: agency.id,
+        orderId: order.id,
+        orderNumber: order.orderNumber,
+        invoiceId: invoice ? invoice.id : null,
+        agencyDetails: source.agencyDetails,
+        customerDetails: source.customerDetails,
+        lines: source.lines,
+        subtotal: source.subtotal,
+        taxType: source.taxType,
+        taxValue: source.taxValue,
+        taxAmount: source.taxAmount,
+        platformCharge: source.platformCharge,
+        deliveryCharge: source.deliveryCharge,
+        depositAmount: source.depositAmount,
+        couponDiscount: source.couponDiscount,
+        totalAmount: source.totalAmount,
+        reason
+      }, { transaction });
+
+      logger.info(`${type === 'invoice' ? 'Invoice' : 'Credit note'} ${document.number} issued for order ${order.orderNumber}`);
+      return document;
+    });
+  }
+
+  /**
+   * Invoice of a delivered order, issued on first use
+   * @returns {object} Invoice
+   */
+  async issueInvoice(order) {
+    if (!INVOICEABLE_STATUSES.includes(order.status)) {
+      throw createError(400, 'An invoice is issued once the order is delivered');
+    }
+    const current = await this.findCurrentInvoice(order);
+    return current || this.createDocument(order, 'invoice');
+  }
+
+  /**
+   * Credit note reversing the order's invoice (return approved). An order delivered before invoices
+   * existed gets its invoice first, so the credit note always refers to one.
+   * @returns {object} Invoice (type credit_note)
+   */
+  async issueCreditNote(order, reason) {
+    let invoice = await this.findCurrentInvoice(order);
+    if (!invoice) {
+      const latestCreditNote = await this.findLatestCreditNote(order);
+      if (latestCreditNote) return latestCreditNote;
+      invoice = await this.createDocument(order, 'invoice');
+    }
+    return this.createDocument(order, 'credit_note', { invoice, reason });
+  }
+
+  async findLatestCreditNote(order) {
+    return Invoice.findOne({
+      where: { orderId: order.id, type: 'credit_note' },
+      order: [['sequence', 'DESC']]
+    });
+  }
+
+  /**
+   * How the order was paid, for the receipt
+   */
+  getPaymentDetails(order) {
+    return {
+      method: paymentGatewayService.describe(order.paymentMethod).label,
+      status: order.paymentStatus,
+      amountPaid: order.totalAmount,
+      walletAmount: order.walletAmount || 0,
+      reference: order.paymentReference || null,
+      paidAt: order.paymentMethod === 'cod' ? order.deliveredAt : order.confirmedAt || order.createdAt
+    };
+  }
+
+  /**
+   * PDF of the order's invoice, receipt (paid orders) or latest credit note
+   * @param {object} order - Order
+   * @param {string} document - invoice, receipt or credit_note
+   * @returns {object} { invoice, pdf, filename }
+   */
+  async renderDocument(order, document) {
+    if (document === 'credit_note') {
+      const creditNote = await this.findLatestCreditNote(order);
+      if (!creditNote) {
+        throw createError(404, 'No credit note has been issued for this order');
+      }
+      const credited = await Invoice.findByPk(creditNote.invoiceId);
+      const pdf = await renderInvoicePdf(creditNote, { creditedNumber: credited ? credited.number : null });
+      return { invoice: creditNote, pdf, filename: `${creditNote.number}.pdf` };
+    }
+
+    if (document === 'receipt' && !PAID_STATUSES.includes(order.paymentStatus)) {
+      throw createError(400, 'A receipt is available once the order is paid');
+    }
+
+    const invoice = await this.issueInvoice(order);
+    if (document === 'receipt') {
+      const pdf = await renderInvoicePdf(invoice, { document: 'receipt', payment: this.getPaymentDetails(order) });
+      return { invoice, pdf, filename: `Receipt-${invoice.number}.pdf` };
+    }
+
+    const pdf = await renderInvoicePdf(invoice);
+    return { invoice, pdf, filename: `${invoice.number}.pdf` };
+  }
+
+  /**
+   * Issue the invoice of a just delivered order and email it to the customer. Never throws, the
+   * delivery must not fail because of it; the invoice can still be downloaded.
+   */
+  async issueForDelivery(order) {
+    try {
+      const invoice = await this.issueInvoice(order);
+      if (invoice.emailedAt) return invoice;
+
+      const pdf = await renderInvoicePdf(invoice);
+      const result = await sendEmail(order.customerEmail, 'invoiceIssued', formatOrderResponse(order), invoice, pdf);
+      if (result.success) {
+        await invoice.update({ emailedAt: new Date() });
+      }
+      return invoice;
+    } catch (error) {
+      logger.error(`Error issuing invoice for order ${order.orderNumber}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Credit the invoice of an order whose return was approved and email the credit note. Never throws.
+   */
+  async issueForReturn(order, reason) {
+    try {
+      const creditNote = await this.issueCreditNote(order, reason);
+      if (creditNote.emailedAt) return creditNote;
+
+      const credited = await Invoice.findByPk(creditNote.invoiceId);
+      const pdf = await renderInvoicePdf(creditNote, { creditedNumber: credited ? credited.number : null });
+      const result = await sendEmail(order.customerEmail, 'creditNoteIssued', formatOrderResponse(order), creditNote, pdf);
+      if (result.success) {
+        await creditNote.update({ emailedAt: new Date() });
+      }
+      return creditNote;
+    } catch (error) {
+      logger.error(`Error issuing credit note for order ${order.orderNumber}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Invoice register: invoices and credit notes of one agency (or all), newest first
+   * @param {object} filters - { agencyId, type, from, to, page, limit }
+   * @returns {object} { rows, count }
+   */
+  async list({ agencyId, type, from, to, page = 1, limit = 20 }) {
+    const where = {};
+    if (agencyId) where.agencyId = agencyId;
+    if (type) where.type = type;
+    if (from || to) {
+      where.issuedAt = {};
+      if (from) where.issuedAt[Op.gte] = new Date(`${from}T00:00:00`);
+      if (to) where.issuedAt[Op.lte] = new Date(`${to}T23:59:59.999`);
+    }
+
+    return Invoice.findAndCountAll({
+      where,
+      attributes: { exclude: ['lines', 'agencyDetails'] },
+      order: [['issuedAt', 'DESC'], ['sequence', 'DESC']],
+      limit,
+      offset: (page - 1) * limit
+    });
+  }
+}
+
+// Export singleton instance
+module.exports = new InvoiceService();
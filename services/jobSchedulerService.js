@@ -0,0 +1,245 @@
+const os = require('os');
+const { sequelize } = require('../config/database');
+const { JobRun, JobLock } = require('../models');
+const { parseCron, nextRunAfter } = require('../utils/cronSchedule');
+const { createError } = require('../utils/errorHandler');
+const logger = require('../utils/logger');
+
+// How often the scheduler checks for due jobs
+const TICK_INTERVAL_MS = 30 * 1000;
+// Lock lease when a job does not set its own; a crashed instance releases the job after this
+const DEFAULT_TIMEOUT_MINUTES = 30;
+
+class JobSchedulerService {
+  constructor() {
+    this.jobs = new Map();
+    this.timer = null;
+    this.instanceId = `${os.hostname()}:${process.pid}`;
+  }
+
+  /**
+   * Register a named job
+   * @param {object} definition - { name, description, schedule (cron), handler({ now, trigger }), timeoutMinutes, runOnStart }
+   */
+  register({ name, description = '', schedule, handler, timeoutMinutes = DEFAULT_TIMEOUT_MINUTES, runOnStart = false }) {
+    if (this.jobs.has(name)) {
+      throw new Error(`Job ${name} is already registered`);
+    }
+
+    // Comma separated job names to switch off on this deployment
+    const disabled = (process.env.DISABLED_JOBS || '').split(',').map(job => job.trim());
+
+    this.jobs.set(name, {
+      name,
+      description,
+      schedule,
+      cron: parseCron(schedule),
+      handler,
+      timeoutMinutes,
+      runOnStart,
+      enabled: !disabled.includes(name),
+      nextRunAt: null,
+      running: false
+    });
+  }
+
+  getJob(name) {
+    const job = this.jobs.get(name);
+    if (!job) {
+      throw createError(404, `Job ${name} not found`);
+    }
+    return job;
+  }
+
+  /**
+   * Take the job's lock lease. A scheduled run also claims its schedule slot, so another instance
+   * that wakes up for the same slot after this run finished does not run it again.
+   * @returns {boolean} Whether this instance may run the job
+   */
+  async acquireLock(job, scheduledFor = null) {
+    const [rows] = await sequelize.query(`
+      INSERT INTO job_locks (job_name, locked_by, locked_at, locked_until, last_scheduled_for, created_at, updated_at)
+      VALUES (:jobName, :instanceId, NOW(), NOW() + make_interval(mins => :timeoutMinutes), :scheduledFor, NOW(), NOW())
+      ON CONFLICT (job_name) DO UPDATE SET
+        locked_by = EXCLUDED.locked_by,
+        locked_at = EXCLUDED.locked_at,
+        locked_until = EXCLUDED.locked_until,
+        last_scheduled_for = COALESCE(EXCLUDED.last_scheduled_for, job_locks.last_scheduled_for),
+        updated_at = NOW()
+      WHERE job_locks.locked_until < NOW()
+        AND (
+          EXCLUDED.last_scheduled_for IS NULL
+          OR job_locks.last_scheduled_for IS NULL
+          OR job_locks.last_scheduled_for < EXCLUDED.last_scheduled_for
+        )
+      RETURNING job_name
+    `, {
+      replacements: {
+        jobName: job.name,
+        instanceId: this.instanceId,
+        timeoutMinutes: job.timeoutMinutes,
+        scheduledFor
+      }
+    });
+
+    return rows.length > 0;
+  }
+
+  async releaseLock(job) {
+    await sequelize.query(
+      'UPDATE job_locks SET locked_until = NOW(), updated_at = NOW() WHERE job_name = :jobName AND locked_by = :instanceId',
+      {
+        replacements: { jobName: job.name, instanceId: this.instanceId },
+        type: sequelize.QueryTypes.UPDATE
+      }
+    );
+  }
+
+  /**
+   * Run a job now and record the run
+   * @param {object} options - { trigger: 'scheduled' | 'manual', triggeredBy, scheduledFor }
+   * @returns {object|null} The JobRun, or null when another instance holds the job (scheduled runs)
+   */
+  async runJob(name, { trigger = 'scheduled', triggeredBy = null, scheduledFor = null } = {}) {
+    const job = this.getJob(name);
+
+    const acquired = !job.running && await this.acquireLock(job, scheduledFor);
+    if (!acquired) {
+      if (trigger === 'manual') {
+        throw createError(409, `Job ${name} is already running`);
+      }
+      logger.debug(`Job ${name} skipped, running elsewhere`);
+      return null;
+    }
+
+    job.running = true;
+    const startedAt = new Date();
+    let run = null;
+
+    try {
+      // Holding the lock means no other run is in progress; a leftover "running" row was interrupted
+      await JobRun.update(
+        { status: 'failed', error: 'Interrupted before finishing (server restart or lock timeout)', finishedAt: startedAt },
+        { where: { jobName: name, status: 'running' } }
+      );
+
+      run = await JobRun.create({
+        jobName: name,
+        trigger,
+        triggeredBy,
+        instanceId: this.instanceId,
+        startedAt
+      });
+
+      const result = await job.handler({ now: startedAt, trigger });
+
+      const finishedAt = new Date();
+      await run.update({
+        status: 'success',
+        result: result || null,
+        finishedAt,
+        durationMs: finishedAt - startedAt
+      });
+    } catch (error) {
+      logger.error(`Job ${name} failed:`, error);
+      if (run) {
+        const finishedAt = new Date();
+        await run.update({
+          status: 'failed',
+          error: error.message,
+          finishedAt,
+          durationMs: finishedAt - startedAt
+        }).catch(updateError => logger.error(`Error recording failed run of job ${name}:`, updateError.message));
+      }
+    } finally {
+      job.running = false;
+      await this.releaseLock(job).catch(error => logger.error(`Error releasing lock of job ${name}:`, error.message));
+    }
+
+    return run;
+  }
+
+  /**
+   * Start every due job (runs are not awaited so a slow job does not hold up the others)
+   */
+  tick(now = new Date()) {
+    for (const job of this.jobs.values()) {
+      if (!job.enabled || !job.nextRunAt || job.nextRunAt > now) continue;
+
+      const scheduledFor = job.nextRunAt;
+      job.nextRunAt = nextRunAfter(job.cron, now);
+      if (job.running) continue;
+
+      this.runJob(job.name, { scheduledFor }).catch(error => {
+        logger.error(`Job ${job.name} could not start:`, error.message);
+      });
+    }
+  }
+
+  /**
+   * Start the scheduler (called once from server.js after the jobs are registered)
+   */
+  start() {
+    if (this.timer) return;
+
+    if (process.env.JOB_SCHEDULER_ENABLED === 'false') {
+      logger.info('Job scheduler disabled on this instance (JOB_SCHEDULER_ENABLED=false)');
+      return;
+    }
+
+    const now = new Date();
+    for (const job of this.jobs.values()) {
+      job.nextRunAt = nextRunAfter(job.cron, now);
+      if (job.enabled && job.runOnStart) {
+        this.runJob(job.name).catch(error => logger.error(`Job ${job.name} could not start:`, error.message));
+      }
+    }
+
+    this.timer = setInterval(() => this.tick(), TICK_INTERVAL_MS);
+    // Do not keep the process alive just for the scheduler
+    if (this.timer.unref) this.timer.unref();
+
+    logger.info(`Job scheduler started with ${this.jobs.size} jobs on ${this.instanceId}`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Registered jobs with their schedule, lock and latest runs
+   */
+  async listJobs() {
+    const jobs = [...this.jobs.values()];
+    const locks = await JobLock.findAll({ where: { jobName: jobs.map(job => job.name) } });
+    const now = new Date();
+
+    return Promise.all(jobs.map(async (job) => {
+      const [lastRun, lastSuccess] = await Promise.all([
+        JobRun.findOne({ where: { jobName: job.name }, order: [['startedAt', 'DESC']] }),
+        JobRun.findOne({ where: { jobName: job.name, status: 'success' }, order: [['startedAt', 'DESC']] })
+      ]);
+      const lock = locks.find(item => item.jobName === job.name);
+      const locked = !!lock && new Date(lock.lockedUntil) > now;
+
+      return {
+        name: job.name,
+        description: job.description,
+        schedule: job.schedule,
+        enabled: job.enabled,
+        nextRunAt: job.nextRunAt,
+        running: locked,
+        lockedBy: locked ? lock.lockedBy : null,
+        lockedUntil: locked ? lock.lockedUntil : null,
+        lastRun,
+        lastSuccessAt: lastSuccess ? lastSuccess.startedAt : null
+      };
+    }));
+  }
+}
+
+// Export singleton instance
+module.exports = new JobSchedulerService();
@@ -0,0 +1,174 @@
+const { Op } = require('sequelize');
+const { Order, DeliveryAgent, AgentLocationPing } = require('../models');
+const { locationPing } = require('../validations/deliveryAgentValidation');
+const { createError } = require('../utils/errorHandler');
+const { haversineDistanceKm } = require('../utils/helpers');
+const { formatOrderEta } = require('../utils/orderUtils');
+const etaService = require('./etaService');
+const logger = require('../utils/logger');
+
+// Pings closer together than this are dropped to keep socket traffic and the trail table small
+const MIN_PING_INTERVAL_MS = 3000;
+
+class LocationTrackingService {
+  constructor() {
+    // Time of the last accepted ping per agent
+    this.lastPingAt = new Map();
+  }
+
+  getSocketService() {
+    return global.socketService;
+  }
+
+  /**
+   * Record a GPS ping from an agent: update the agent's last known position and, when the agent
+   * has orders out for delivery, store it on the breadcrumb trail and relay it to each order's
+   * customer and agency rooms.
+   * @param {string} agentId - DeliveryAgent ID
+   * @param {object} payload - { latitude, longitude, accuracy, heading, speed, recordedAt }
+   * @returns {object} { skipped } or { position, orderIds }
+   */
+  async recordPing(agentId, payload) {
+    const { error, value } = locationPing.validate(payload || {});
+    if (error) {
+      throw createError(400, error.details[0].message);
+    }
+
+    const now = Date.now();
+    const lastPingAt = this.lastPingAt.get(agentId);
+    if (lastPingAt && now - lastPingAt < MIN_PING_INTERVAL_MS) {
+      return { skipped: true };
+    }
+    this.lastPingAt.set(agentId, now);
+
+    // Device clocks drift; never accept a timestamp from the future
+    const recordedAt = value.recordedAt && value.recordedAt.getTime() <= now ? value.recordedAt : new Date(now);
+
+    const agent = await DeliveryAgent.findByPk(agentId);
+    if (!agent) {
+      throw createError(404, 'Delivery agent not found');
+    }
+
+    await agent.update({
+      lastLatitude: value.latitude,
+      lastLongitude: value.longitude,
+      lastLocationAt: recordedAt
+    });
+
+    const position = {
+      latitude: value.latitude,
+      longitude: value.longitude,
+      accuracy: value.accuracy === undefined ? null : value.accuracy,
+      heading: value.heading === undefined ? null : value.heading,
+      speed: value.speed === undefined ? null : value.speed,
+      recordedAt
+    };
+
+    const orders = await Order.findAll({
+      where: { assignedAgentId: agentId, status: 'out_for_delivery' }
+    });
+
+    if (orders.length === 0) {
+      return { position, orderIds: [] };
+    }
+
+    await AgentLocationPing.create({ agentId, ...position });
+
+    const socketService = this.getSocketService();
+    if (socketService) {
+      orders.forEach(order => {
+        socketService.emitAgentLocation({
+          orderId: order.id,
+          orderNumber: order.orderNumber,
+          customerEmail: order.customerEmail,
+          agencyId: order.agencyId,
+          agentId,
+          ...position
+        });
+      });
+    }
+
+    for (const order of orders) {
+      try {
+        await etaService.refreshOrderEta(order, position);
+      } catch (error) {
+        logger.error(`Error updating ETA for order ${order.orderNumber}:`, error.message);
+      }
+    }
+
+    return { position, orderIds: orders.map(order => order.id) };
+  }
+
+  /**
+   * Current agent position (while the order is out for delivery) and the breadcrumb trail
+   * recorded between outForDeliveryAt and delivery/cancellation.
+   * @param {object} order - Order instance
+   */
+  async getOrderTracking(order) {
+    const tracking = {
+      orderId: order.id,
+      orderNumber: order.orderNumber,
+      status: order.status,
+      agentId: order.assignedAgentId,
+      current: null,
+      eta: formatOrderEta(order),
+      trail: [],
+      distanceTravelledKm: 0
+    };
+
+    if (!order.assignedAgentId || !order.outForDeliveryAt) {
+      return tracking;
+    }
+
+    const trailEnd = order.deliveredAt || order.cancelledAt || new Date();
+    const pings = await AgentLocationPing.findAll({
+      where: {
+        agentId: order.assignedAgentId,
+        recordedAt: { [Op.between]: [order.outForDeliveryAt, trailEnd] }
+      },
+      order: [['recordedAt', 'ASC']]
+    });
+
+    tracking.trail = pings.map(ping => ({
+      latitude: parseFloat(ping.latitude),
+      longitude: parseFloat(ping.longitude),
+      heading: ping.heading,
+      speed: ping.speed,
+      recordedAt: ping.recordedAt
+    }));
+
+    for (let i = 1; i < tracking.trail.length; i++) {
+      const from = tracking.trail[i - 1];
+      const to = tracking.trail[i];
+      tracking.distanceTravelledKm += haversineDistanceKm(from.latitude, from.longitude, to.latitude, to.longitude);
+    }
+    tracking.distanceTravelledKm = parseFloat(tracking.distanceTravelledKm.toFixed(3));
+
+    // Live position is only shared while the delivery is in progress
+    if (order.status === 'out_for_delivery') {
+      const agent = await DeliveryAgent.findByPk(order.assignedAgentId, {
+        attributes: ['id', 'lastLatitude', 'lastLongitude', 'lastLocationAt']
+      });
+
+      if (agent && agent.lastLatitude !== null && agent.lastLongitude !== null) {
+        tracking.current = {
+          latitude: parseFloat(agent.lastLatitude),
+          longitude: parseFloat(agent.lastLongitude),
+          recordedAt: agent.lastLocationAt
+        };
+      }
+    }
+
+    return tracking;
+  }
+
+  /**
+   * Forget throttling state for an agent (on socket disconnect)
+   */
+  clearAgent(agentId) {
+    this.lastPingAt.delete(agentId);
+  }
+}
+
+// Export singleton instance
+module.exports = new LocationTrackingService();
@@ -387,6 +387,7 @@ class NotificationService {
       'processing': `Your order #${orderNumber} is being prepared.`,
       'assigned': `A delivery partner has been assigned to your order #${orderNumber}. Your order will be picked up shortly.`,
       'out_for_delivery': `Your order #${orderNumber} is out for delivery and will reach you soon.`,
+      'arriving_soon': `Your delivery partner is almost at your address with order #${orderNumber}. Please keep your phone handy.`,
       'delivered': `Your order #${orderNumber} has been delivered successfully. Thank you for choosing us!`,
       'cancelled': `Your order #${orderNumber} has been cancelled.`,
       'rejected': `Unfortunately, the agency was unable to accept your order #${orderNumber}. Please select another agency to continue.`
@@ -398,6 +399,7 @@ class NotificationService {
       'processing': 'Order Processing',
       'assigned': '🚴 Rider Assigned',
       'out_for_delivery': '🚚 Out for Delivery',
+      'arriving_soon': '📍 Arriving Soon',
       'delivered': '🎉 Order Delivered',
       'cancelled': '⚠️ Order Cancelled',
       'rejected': '❌ Order Rejected'
@@ -703,6 +705,23 @@ class NotificationService {
     });
   }
 
+  /**
+   * Tell the agency that an agent declined an assigned order
+   */
+  async sendOrderDeclinedToAgency(fcmToken, declineData) {
+    const title = 'Order Declined by Agent';
+    const body = `${declineData.agentName} declined order #${declineData.orderNumber}: ${declineData.reason}`;
+
+    return this.sendToDevice(fcmToken, title, body, {
+      type: 'ORDER_DECLINED',
+      orderId: declineData.orderId,
+      orderNumber: declineData.orderNumber,
+      agentId: declineData.agentId,
+      agentName: declineData.agentName,
+      reason: declineData.reason
+    });
+  }
+
   /**
    * Save user notification to database
    * @param {object} notificationData - Notification data to save
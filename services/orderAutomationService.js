@@ -0,0 +1,281 @@
+const { Op } = require('sequelize');
+const { Agency, User, Notification } = require('../models');
+const { sendEmail } = require('../config/email');
+const { formatOrderResponse } = require('../utils/orderUtils');
+const notificationService = require('./notificationService');
+const logger = require('../utils/logger');
+
+class OrderAutomationService {
+  getSocketService() {
+    return global.socketService;
+  }
+
+  /**
+   * Apply the agency's automation settings to a newly placed (or just paid) order.
+   * autoAcceptOrders moves a pending order to confirmed; autoAssignAgents then
+   * hands home deliveries to the dispatch engine.
+   * @param {object} order - Order instance
+   * @param {object} options - { alreadyConfirmed: true } when the caller has already confirmed the order
+   *                            and emitted the status socket event (Pesapal callback)
+   */
+  async handleNewOrder(order, options = {}) {
+    try {
+      const agency = await Agency.findByPk(order.agencyId);
+      if (!agency || !agency.autoAcceptOrders) {
+        return order;
+      }
+
+      if (order.status === 'pending') {
+        await order.update({ status: 'confirmed', confirmedAt: new Date() });
+        logger.info(`Order auto-accepted: ${order.orderNumber} (agency: ${agency.name})`);
+        await this.notifyOrderConfirmed(order, { emitSocket: true });
+      } else if (order.status === 'confirmed' && options.alreadyConfirmed) {
+        logger.info(`Order auto-accepted after payment: ${order.orderNumber} (agency: ${agency.name})`);
+        await this.notifyOrderConfirmed(order, { emitSocket: false });
+      } else {
+        return order;
+      }
+
+      await this.autoDispatch(order, agency);
+    } catch (error) {
+      // Automation must never fail order placement; the order stays as-is for manual handling
+      logger.error(`Error applying order automation for ${order.orderNumber}:`, error.message);
+    }
+
+    return order;
+  }
+
+  /**
+   * Hand a confirmed home-delivery order to the dispatch engine when the agency has
+   * autoAssignAgents enabled. Safe to call for any order; returns the offer or null.
+   * @param {object} order - Order instance
+   * @param {object} agency - Agency instance (loaded when omitted)
+   */
+  async autoDispatch(order, agency = null) {
+    try {
+      const orderAgency = agency || await Agency.findByPk(order.agencyId);
+      if (!orderAgency || !orderAgency.autoAssignAgents) return null;
+      if (order.status !== 'confirmed' || order.deliveryMode !== 'home_delivery' || order.assignedAgentId) return null;
+
+      // Required lazily: dispatchService depends on this service for assignment notifications
+      const dispatchService = require('./dispatchService');
+      return await dispatchService.dispatch(order);
+    } catch (error) {
+      logger.error(`Error dispatching order ${order.orderNumber}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Assign an agent to an order and send the same notifications as a manual assignment
+   * @param {object} order - Order instance
+   * @param {object} agent - DeliveryAgent instance
+   * @param {object} extra - Additional fields for the assignment socket payload (e.g. dispatch offer details)
+   */
+  async assignAgent(order, agent, extra = {}) {
+    await order.update({
+      assignedAgentId: agent.id,
+      status: 'assigned',
+      assignedAt: new Date()
+    });
+
+    logger.info(`Order assigned to agent: ${order.orderNumber} - ${agent.name}`);
+
+    await this.notifyAgentAssigned(order, agent, extra);
+    return order;
+  }
+
+  /**
+   * Confirmation email, socket event and customer push for a confirmed order
+   * @param {object} order - Order instance (status confirmed)
+   * @param {object} options - { emitSocket }
+   */
+  async notifyOrderConfirmed(order, options = { emitSocket: true }) {
+    await sendEmail(order.customerEmail, 'orderConfirmation', formatOrderResponse(order));
+
+    const socketService = this.getSocketService();
+    if (socketService && options.emitSocket) {
+      socketService.emitOrderStatusUpdated({
+        orderId: order.id,
+        orderNumber: order.orderNumber,
+        status: 'confirmed',
+        customerEmail: order.customerEmail,
+        agencyId: order.agencyId,
+        assignedAgentId: order.assignedAgentId,
+        autoAccepted: true
+      });
+    }
+
+    try {
+      const customer = await User.findOne({
+        where: {
+          email: order.customerEmail,
+          role: 'customer'
+        }
+      });
+
+      if (!customer || !customer.fcmToken) {
+        return;
+      }
+
+      const pushOptions = {
+        recipientType: 'user',
+        recipientId: customer.id,
+        orderId: order.id,
+        agencyId: order.agencyId,
+        notificationType: 'ORDER_STATUS',
+        deviceType: customer.fcmDeviceType || 'unknown',
+        badge: 1
+      };
+
+      if (order.deliveryMode === 'pickup') {
+        const title = '📦 Order Ready for Pickup';
+        const body = `Your order #${order.orderNumber} is ready for pickup. Please visit the agency and collect your order.`;
+        const data = {
+          type: 'ORDER_READY_FOR_PICKUP',
+          orderId: order.id,
+          orderNumber: order.orderNumber,
+          status: 'confirmed',
+          deliveryMode: order.deliveryMode
+        };
+
+        await notificationService.sendToDevice(customer.fcmToken, title, body, data, pushOptions);
+        await Notification.create({
+          userId: customer.id,
+          title,
+          content: body,
+          notificationType: 'ORDER_STATUS',
+          data,
+          orderId: order.id
+        });
+      } else {
+        await notificationService.sendOrderStatusNotification(customer.fcmToken, {
+          id: order.id,
+          orderNumber: order.orderNumber,
+          status: 'confirmed',
+          userId: customer.id,
+          agencyId: order.agencyId
+        }, pushOptions);
+      }
+    } catch (notifError) {
+      logger.error('Error sending order confirmed notification:', notifError.message);
+    }
+  }
+
+  /**
+   * Assignment email, socket event, agent push and customer "rider assigned" push
+   * @param {object} order - Order instance (status assigned)
+   * @param {object} agent - DeliveryAgent instance
+   * @param {object} extra - Additional fields for the socket payload
+   */
+  async notifyAgentAssigned(order, agent, extra = {}) {
+    await sendEmail(order.customerEmail, 'orderAssigned', formatOrderResponse(order), agent);
+
+    const socketService = this.getSocketService();
+    if (socketService) {
+      socketService.emitOrderAssigned({
+        orderId: order.id,
+        orderNumber: order.orderNumber,
+        agentId: agent.id,
+        agentName: agent.name,
+        assignedAgentId: agent.id,
+        customerEmail: order.customerEmail,
+        agencyId: order.agencyId,
+        ...extra
+      });
+    }
+
+    // Send Firebase notification to delivery agent about new assignment
+    try {
+      // Find agent's user account by email or phone
+      const agentUser = await User.findOne({
+        where: {
+          [Op.or]: [
+            { email: agent.email },
+            { phone: agent.phone }
+          ]
+        }
+      });
+
+      // Note: sendOrderAssignedToAgent already saves notification to database if recipientId is provided
+      if (agent.fcmToken) {
+        logger.info(`Sending order assignment notification to agent: ${agent.email} (${agent.name}) for order: ${order.orderNumber}`);
+
+        await notificationService.sendOrderAssignedToAgent(agent.fcmToken, {
+          id: order.id,
+          orderNumber: order.orderNumber,
+          deliveryAddress: order.customerAddress
+        }, {
+          recipientType: 'agent',
+          recipientId: agentUser ? agentUser.id : null,
+          orderId: order.id,
+          agencyId: order.agencyId,
+          agentId: agent.id,
+          notificationType: 'ORDER_ASSIGNED'
+        });
+      } else if (agentUser) {
+        // If no FCM token but user exists, still save notification to database
+        await Notification.create({
+          userId: agentUser.id,
+          title: '📦 New Delivery Assigned',
+          content: `You have been assigned a new delivery order #${order.orderNumber}.`,
+          notificationType: 'ORDER_ASSIGNED',
+          data: {
+            type: 'ORDER_ASSIGNED',
+            orderId: order.id,
+            orderNumber: order.orderNumber,
+            deliveryAddress: order.customerAddress,
+            customerName: order.customerName,
+            customerPhone: order.customerPhone
+          },
+          orderId: order.id
+        });
+      }
+    } catch (notifError) {
+      logger.error('Error sending agent assignment notification:', notifError.message);
+    }
+
+    // Notify customer that a rider has been assigned (RIDER_ASSIGNED)
+    try {
+      const customer = await User.findOne({
+        where: {
+          email: order.customerEmail,
+          role: 'customer'
+        }
+      });
+
+      if (customer && customer.fcmToken) {
+        // Generic order-status notification mapping (status = 'assigned' → 🚴 Rider Assigned)
+        await notificationService.sendOrderStatusNotification(
+          customer.fcmToken,
+          {
+            id: order.id,
+            orderNumber: order.orderNumber,
+            status: 'assigned',
+            userId: customer.id,
+            agencyId: order.agencyId
+          },
+          {
+            recipientType: 'user',
+            recipientId: customer.id,
+            orderId: order.id,
+            agencyId: order.agencyId,
+            notificationType: 'ORDER_STATUS',
+            deviceType: customer.fcmDeviceType || 'unknown',
+            badge: 1
+          }
+        );
+      } else {
+        logger.warn(`⚠️ Customer not found or has no FCM token for rider-assigned notification (email: ${order.customerEmail})`, {
+          exists: !!customer,
+          hasToken: customer ? !!customer.fcmToken : false
+        });
+      }
+    } catch (customerNotifError) {
+      logger.error('Error sending rider-assigned notification to customer:', customerNotifError.message);
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new OrderAutomationService();
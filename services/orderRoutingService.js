@@ -0,0 +1,270 @@
+const { Op } = require('sequelize');
+const { Agency, AgencyInventory } = require('../models');
+const serviceAreaService = require('./serviceAreaService');
+const { createError } = require('../utils/errorHandler');
+
+// How many runner-up agencies to list next to the selected one
+const MAX_ALTERNATIVES = 3;
+
+class OrderRoutingService {
+  /**
+   * Check a cart against one agency's inventory rows
+   * @param {Array} items - Cart items { productId, variantLabel, quantity }
+   * @param {Array} inventories - The agency's active AgencyInventory rows for the cart's products
+   * @returns {object} { canFulfil, subtotal, availableItems, missingItems }
+   */
+  checkStock(items, inventories) {
+    let subtotal = 0;
+    const availableItems = [];
+    const missingItems = [];
+
+    items.forEach(item => {
+      const inventory = inventories.find(inv => inv.productId === item.productId);
+      const variant = inventory && Array.isArray(inventory.agencyVariants)
+        ? inventory.agencyVariants.find(v => v.label === item.variantLabel)
+        : null;
+      const available = variant ? (variant.stock || 0) : 0;
+
+      if (variant && available >= item.quantity) {
+        subtotal += parseFloat(variant.price) * item.quantity;
+        availableItems.push({ productId: item.productId, variantLabel: item.variantLabel, quantity: item.quantity, price: parseFloat(variant.price) });
+      } else {
+        missingItems.push({ productId: item.productId, variantLabel: item.variantLabel, requested: item.quantity, available });
+      }
+    });
+
+    return {
+      canFulfil: missingItems.length === 0,
+      subtotal: parseFloat(subtotal.toFixed(2)),
+      availableItems,
+      missingItems
+    };
+  }
+
+  /**
+   * Agencies that serve the delivery address and stock at least one cart item
+   * @param {object} value - Validated createOrder body
+   * @returns {object} { point, candidates } - candidates keep the agency, its service area check
+   *   and delivery charge config so callers can price other subsets of the cart
+   */
+  async findCandidates(value) {
+    const point = await serviceAreaService.resolveDeliveryPoint(value);
+    if (!point) {
+      throw createError(400, 'A delivery address is required to route the order');
+    }
+
+    const productIds = [...new Set(value.items.map(item => item.productId))];
+
+    const [agencies, inventories, serviceAreas] = await Promise.all([
+      Agency.findAll({ where: { status: 'active' } }),
+      AgencyInventory.findAll({
+        where: { productId: { [Op.in]: productIds }, isActive: true }
+      }),
+      serviceAreaService.loadServiceAreas()
+    ]);
+
+    const candidates = [];
+    for (const agency of agencies) {
+      const stock = this.checkStock(value.items, inventories.filter(inv => inv.agencyId === agency.id));
+
+      // Agencies with nothing from the cart can't be selected or offered as an alternative
+      if (stock.availableItems.length === 0) continue;
+
+      const preloaded = serviceAreas.forAgency(agency.id);
+      const check = await serviceAreaService.checkAgency(agency, point, preloaded);
+      if (check.serves !== true) continue;
+
+      candidates.push({
+        agency,
+        check,
+        deliveryChargeConfig: preloaded.deliveryChargeConfig,
+        agencyId: agency.id,
+        agencyName: agency.name,
+        distanceKm: check.distanceKm,
+        zone: check.zone || null,
+        subtotal: stock.subtotal,
+        canFulfil: stock.canFulfil,
+        availableItems: stock.availableItems,
+        missingItems: stock.missingItems,
+        deliveryCharge: null,
+        belowMinimum: false
+      });
+    }
+
+    return { point, candidates };
+  }
+
+  /**
+   * Pick the agency for a "route my order" checkout: it must serve the delivery address and have
+   * stock for every item; among those the lowest delivery charge wins, then the shortest distance.
+   * @param {object} value - Validated createOrder body with routeOrder: true
+   * @returns {object} { agency, routing } - agency is null when no single agency can fill the cart;
+   *   routing explains the choice and lists alternatives
+   */
+  async routeOrder(value) {
+    const { candidates } = await this.findCandidates(value);
+
+    for (const candidate of candidates) {
+      if (!candidate.canFulfil) continue;
+
+      candidate.belowMinimum = !!(candidate.check.minOrderValue && candidate.subtotal < candidate.check.minOrderValue);
+      const pricing = await serviceAreaService.priceDelivery(candidate.agency, candidate.check, { subtotal: candidate.subtotal }, candidate.deliveryChargeConfig);
+      candidate.deliveryCharge = pricing.deliveryCharge;
+    }
+
+    const summarize = ({ agency, check, deliveryChargeConfig, belowMinimum, ...candidate }) => candidate;
+
+    const eligible = candidates
+      .filter(candidate => candidate.canFulfil && !candidate.belowMinimum)
+      .sort((a, b) => {
+        if (a.deliveryCharge !== b.deliveryCharge) return a.deliveryCharge - b.deliveryCharge;
+        if (a.distanceKm === null) return 1;
+        if (b.distanceKm === null) return -1;
+        return a.distanceKm - b.distanceKm;
+      });
+
+    if (eligible.length === 0) {
+      // Agencies that serve the address and can supply part of the cart, most items first
+      const partial = candidates
+        .sort((a, b) => a.missingItems.length - b.missingItems.length)
+        .slice(0, MAX_ALTERNATIVES * 2)
+        .map(summarize);
+
+      return {
+        agency: null,
+        routing: {
+          mode: 'auto',
+          selectedAgencyId: null,
+          reason: partial.length > 0
+            ? 'No single agency that delivers to this address has stock for every item. Split the cart between the alternatives listed, or send splitOrder to have it split automatically.'
+            : 'No agency that delivers to this address stocks these items.',
+          alternatives: partial
+        }
+      };
+    }
+
+    const selected = eligible[0];
+    const tiedOnCharge = eligible.length > 1 && eligible[1].deliveryCharge === selected.deliveryCharge;
+    const distanceText = selected.distanceKm !== null ? `, ${selected.distanceKm} km away` : '';
+
+    return {
+      agency: selected.agency,
+      routing: {
+        mode: 'auto',
+        selectedAgencyId: selected.agencyId,
+        reason: `${selected.agencyName} delivers to this address, has stock for all ${value.items.length} item(s) and ` +
+          (tiedOnCharge
+            ? `is the closest of the agencies with the lowest delivery charge (KSH${selected.deliveryCharge}${distanceText}).`
+            : `has the lowest delivery charge (KSH${selected.deliveryCharge}${distanceText}).`),
+        eligibleCount: eligible.length,
+        selected: summarize(selected),
+        alternatives: eligible.slice(1, MAX_ALTERNATIVES + 1).map(summarize)
+      }
+    };
+  }
+
+  /**
+   * Split a cart that no single agency can fill into one shipment per agency. Greedy: the agency
+   * supplying the most remaining items goes first (closest on a tie), so the customer pays as few
+   * delivery charges as possible. Each cart line ships whole from one agency.
+   * @param {object} value - Validated createOrder body with routeOrder and splitOrder: true
+   * @returns {object} { point, shipments, routing } - shipments is [{ agency, items }], or null when
+   *   some items aren't stocked by any agency that delivers to the address
+   */
+  async splitOrder(value) {
+    const { point, candidates } = await this.findCandidates(value);
+
+    const supplies = (candidate, item) => candidate.availableItems.find(available =>
+      available.productId === item.productId && available.variantLabel === item.variantLabel
+    );
+
+    // Unknown distances sort last
+    const isCloser = (a, b) => a.distanceKm !== null && (b.distanceKm === null || a.distanceKm < b.distanceKm);
+
+    let remaining = value.items.map((item, index) => index);
+    const pool = [...candidates];
+    const picks = [];
+
+    while (remaining.length > 0) {
+      let best = null;
+
+      for (const candidate of pool) {
+        const itemIndexes = remaining.filter(index => supplies(candidate, value.items[index]));
+        if (itemIndexes.length === 0) continue;
+
+        const subtotal = parseFloat(itemIndexes
+          .reduce((sum, index) => sum + supplies(candidate, value.items[index]).price * value.items[index].quantity, 0)
+          .toFixed(2));
+        // A zone's minimum order value applies to each shipment on its own
+        if (candidate.check.minOrderValue && subtotal < candidate.check.minOrderValue) continue;
+
+        if (!best || itemIndexes.length > best.itemIndexes.length ||
+          (itemIndexes.length === best.itemIndexes.length && isCloser(candidate, best.candidate))) {
+          best = { candidate, itemIndexes, subtotal };
+        }
+      }
+
+      if (!best) break;
+
+      picks.push(best);
+      pool.splice(pool.indexOf(best.candidate), 1);
+      remaining = remaining.filter(index => !best.itemIndexes.includes(index));
+    }
+
+    if (remaining.length > 0) {
+      const unavailableItems = remaining.map(index => ({
+        productId: value.items[index].productId,
+        productName: value.items[index].productName,
+        variantLabel: value.items[index].variantLabel,
+        quantity: value.items[index].quantity
+      }));
+
+      return {
+        point,
+        shipments: null,
+        routing: {
+          mode: 'split',
+          reason: `No agency that delivers to this address can supply ${unavailableItems.map(item => `${item.productName} (${item.variantLabel})`).join(', ')}.`,
+          unavailableItems
+        }
+      };
+    }
+
+    const shipments = [];
+    for (const { candidate, itemIndexes, subtotal } of picks) {
+      const pricing = await serviceAreaService.priceDelivery(candidate.agency, candidate.check, { subtotal }, candidate.deliveryChargeConfig);
+
+      shipments.push({
+        agency: candidate.agency,
+        items: itemIndexes.map(index => value.items[index]),
+        summary: {
+          agencyId: candidate.agencyId,
+          agencyName: candidate.agencyName,
+          distanceKm: candidate.distanceKm,
+          zone: candidate.zone,
+          subtotal,
+          deliveryCharge: pricing.deliveryCharge,
+          items: itemIndexes.map(index => ({
+            productId: value.items[index].productId,
+            variantLabel: value.items[index].variantLabel,
+            quantity: value.items[index].quantity
+          }))
+        }
+      });
+    }
+
+    return {
+      point,
+      shipments: shipments.map(({ summary, ...shipment }) => shipment),
+      routing: {
+        mode: 'split',
+        reason: `No single agency that delivers to this address has stock for every item, so the cart was split into ${shipments.length} orders: ` +
+          shipments.map(({ summary }) => `${summary.agencyName} (${summary.items.length} item(s))`).join(', ') + '.',
+        shipments: shipments.map(({ summary }) => summary)
+      }
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new OrderRoutingService();
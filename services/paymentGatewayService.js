@@ -0,0 +1,370 @@
+const { Op } = require('sequelize');
+const { Order, Agency, PaymentEvent } = require('../models');
+const providers = require('./paymentProviders');
+const { errorMessage } = require('./paymentProviders/providerUtils');
+const { createError } = require('../utils/errorHandler');
+const logger = require('../utils/logger');
+
+const DEFAULT_METHODS = 'cod,wallet,pesapal,mobile_money,fake';
+// Payment methods that don't go through a payment provider
+const OFFLINE_METHODS = {
+  cod: { label: 'Cash on delivery', type: 'offline' },
+  wallet: { label: 'Wallet', type: 'wallet' }
+};
+// Other names clients send for the same method
+const METHOD_ALIASES = {
+  cash: 'cod',
+  cash_on_delivery: 'cod'
+};
+const PAID_STATUSES = ['paid', 'partially_refunded', 'refunded'];
+// Days of gateway payments the pending-payment check looks back
+const PENDING_LOOKBACK_DAYS = parseInt(process.env.PAYMENT_RECONCILIATION_LOOKBACK_DAYS, 10) || 2;
+
+class PaymentGatewayService {
+  // Required on use: pesapalPaymentService -> refundService -> this service
+  getPesapalPaymentService() {
+    return require('./pesapalPaymentService');
+  }
+
+  normalizeMethod(method) {
+    const name = String(method || '').trim().toLowerCase();
+    return METHOD_ALIASES[name] || name;
+  }
+
+  /**
+   * Whether the method is paid through a payment provider (as opposed to cash or the wallet)
+   */
+  isProvider(method) {
+    return Object.prototype.hasOwnProperty.call(providers, method);
+  }
+
+  getProviderNames() {
+    return Object.keys(providers);
+  }
+
+  /**
+   * Every known payment method, enabled or not
+   */
+  getMethodNames() {
+    return [...Object.keys(OFFLINE_METHODS), ...this.getProviderNames()];
+  }
+
+  getProvider(method) {
+    if (!this.isProvider(method)) {
+      throw createError(400, `${method} is not an online payment method`);
+    }
+    return providers[method];
+  }
+
+  /**
+   * Methods enabled on the platform, from PAYMENT_METHODS (comma separated, default every method).
+   * Providers that are not configured in this environment are left out.
+   * @returns {string[]}
+   */
+  getEnabledMethods() {
+    const names = (process.env.PAYMENT_METHODS || DEFAULT_METHODS)
+      .split(',')
+      .map(name => this.normalizeMethod(name))
+      .filter(Boolean);
+
+    const enabled = [];
+    names.forEach(name => {
+      if (!OFFLINE_METHODS[name] && !this.isProvider(name)) {
+        logger.warn(`Unknown payment method "${name}" in PAYMENT_METHODS, skipping`);
+      } else if (!enabled.includes(name) && (OFFLINE_METHODS[name] || providers[name].isConfigured())) {
+        enabled.push(name);
+      }
+    });
+    return enabled;
+  }
+
+  isEnabled(method) {
+    return this.getEnabledMethods().includes(this.normalizeMethod(method));
+  }
+
+  /**
+   * Methods an agency accepts: its own selection (Agency.paymentMethods) within the enabled ones
+   * @returns {string[]}
+   */
+  getAgencyMethods(agency) {
+    const enabled = this.getEnabledMethods();
+    if (!agency || !Array.isArray(agency.paymentMethods)) return enabled;
+    return enabled.filter(method => agency.paymentMethods.includes(method));
+  }
+
+  describe(method) {
+    // Orders from before the gateway may carry any method name
+    const details = OFFLINE_METHODS[method] ||
+      (this.isProvider(method) ? { label: providers[method].label, type: 'online' } : { label: method, type: 'other' });
+    return { method, label: details.label, type: details.type };
+  }
+
+  /**
+   * Methods to offer at checkout, for one agency or the whole platform
+   */
+  listMethods(agency = null) {
+    return this.getAgencyMethods(agency).map(method => this.describe(method));
+  }
+
+  /**
+   * Reject a checkout the agency can't take: its payment method, or the wallet part of it
+   * @param {object} agency - Agency
+   * @param {object} payment - { paymentMethod, walletAmount }
+   */
+  assertAgencyAccepts(agency, { paymentMethod, walletAmount }) {
+    const accepted = this.getAgencyMethods(agency);
+    const methods = [paymentMethod];
+    if (parseFloat(walletAmount || 0) > 0) methods.push('wallet');
+
+    methods.forEach(method => {
+      if (!accepted.includes(method)) {
+        throw createError(400, `${agency.name} does not accept ${this.describe(method).label} payments`);
+      }
+    });
+  }
+
+  /**
+   * Start paying an order (or every order of a split checkout) through a provider. The provider's
+   * reference is stored on the orders; the webhook or a status check applies the result.
+   * @param {object[]} orders - Orders paid together
+   * @param {object} options - { method (default: the orders' payment method), phone, countryCode }
+   * @returns {object} { method, providerReference, redirectUrl, amount }
+   */
+  async initiatePayment(orders, { method = null, phone = null, countryCode = null } = {}) {
+    const order = orders[0];
+    const paymentMethod = this.normalizeMethod(method || order.paymentMethod);
+    const provider = this.getProvider(paymentMethod);
+    if (!this.isEnabled(paymentMethod)) {
+      throw createError(400, `${provider.label} payments are not available`);
+    }
+
+    if (orders.some(o => o.status === 'cancelled')) {
+      throw createError(400, 'Cancelled orders cannot be paid');
+    }
+    if (orders.some(o => PAID_STATUSES.includes(o.paymentStatus))) {
+      throw createError(400, 'Order is already paid');
+    }
+
+    const agencies = await Agency.findAll({ where: { id: [...new Set(orders.map(o => o.agencyId))] } });
+    agencies.forEach(agency => this.assertAgencyAccepts(agency, { paymentMethod }));
+
+    const pesapalPaymentService = this.getPesapalPaymentService();
+    const amount = pesapalPaymentService.getAmountDue(orders);
+    if (amount <= 0) {
+      throw createError(400, 'Nothing is left to pay on this order');
+    }
+
+    const country = (countryCode || process.env.PESAPAL_COUNTRY_CODE || 'KE').toUpperCase();
+    let result;
+    try {
+      result = await provider.initiate({
+        reference: order.checkoutId || order.id,
+        amount,
+        description: `Payment for Order ${orders.map(o => `#${o.orderNumber}`).join(', ')}`,
+        customer: { name: order.customerName, email: order.customerEmail, phone: phone || order.customerPhone },
+        countryCode: country
+      });
+    } catch (error) {
+      if (error.statusCode) throw error;
+      logger.error(`${provider.label} payment could not be started for ${orders.map(o => o.orderNumber).join(', ')}:`, errorMessage(error));
+      throw createError(400, `Could not start the payment with ${provider.label}. Please try again.`);
+    }
+
+    for (const o of orders) {
+      const updates = { paymentMethod, paymentReference: result.providerReference };
+      // Retrying a failed payment puts the order back to waiting for it
+      if (o.paymentStatus === 'failed') updates.paymentStatus = 'pending';
+      if (paymentMethod === 'pesapal') {
+        // Pesapal lookups and the nightly reconciliation read the tracking ID from the notes
+        updates.adminNotes = (o.adminNotes || '') +
+          `\n\n[Pesapal Payment Initiated ${new Date().toISOString()}] Pesapal Tracking ID: ${result.providerReference}, Country Code: ${country}`;
+      }
+      await o.update(updates);
+    }
+
+    logger.info(`${provider.label} payment ${result.providerReference} of ${amount} started for ${orders.map(o => `#${o.orderNumber}`).join(', ')}`);
+    return { method: paymentMethod, providerReference: result.providerReference, redirectUrl: result.redirectUrl || null, amount };
+  }
+
+  /**
+   * Provider status in the shape the payment event log and status handling use
+   */
+  toPaymentData(result) {
+    return {
+      payment_status_description: result.status,
+      amount: result.amount,
+      currency: result.currency,
+      confirmation_code: result.confirmationCode,
+      payment_method: result.paymentMethod,
+      merchant_reference: result.merchantReference
+    };
+  }
+
+  /**
+   * Orders a provider payment is for: those carrying the provider reference, else the merchant reference
+   */
+  async findOrders(providerReference, merchantReference) {
+    const orders = await Order.findAll({
+      where: { paymentReference: providerReference },
+      order: [['createdAt', 'ASC']]
+    });
+    if (orders.length > 0 || !merchantReference) return orders;
+    return this.getPesapalPaymentService().findOrders({ merchantReference });
+  }
+
+  /**
+   * Confirm a provider payment with the provider and apply it to its orders
+   * @param {string} method - Provider name
+   * @param {object} notification - { source, providerReference, merchantReference, notificationType, countryCode, payload }
+   * @returns {object} { orders, status, event }
+   */
+  async applyProviderStatus(method, { source, providerReference, merchantReference, notificationType, countryCode, payload = {} }) {
+    const pesapalPaymentService = this.getPesapalPaymentService();
+    const provider = this.getProvider(method);
+    const orders = await this.findOrders(providerReference, merchantReference);
+    const eventBase = { provider: method, source, trackingId: providerReference, merchantReference, notificationType, orders, payload };
+
+    let result;
+    try {
+      result = await provider.queryStatus(providerReference, {
+        countryCode: countryCode || (orders.length > 0 ? pesapalPaymentService.getCountryCode(orders[0]) : 'KE')
+      });
+    } catch (error) {
+      await pesapalPaymentService.recordEvent({ ...eventBase, outcome: 'error', message: `Status check failed: ${errorMessage(error)}` });
+      throw error;
+    }
+
+    const paymentData = this.toPaymentData(result);
+    if (orders.length === 0) {
+      logger.error(`Order not found for ${provider.label} reference: ${providerReference}`);
+      const event = await pesapalPaymentService.recordEvent({ ...eventBase, paymentData, outcome: 'order_not_found' });
+      return { orders, status: result.status, event };
+    }
+
+    const { applied, event } = await pesapalPaymentService.applyAndRecord(orders, paymentData, eventBase);
+    return { orders, status: result.status, event, confirmedOrders: applied.confirmedOrders };
+  }
+
+  /**
+   * Handle a provider webhook. Pesapal notifications go through the Pesapal flow, which also pays
+   * wallet top-ups.
+   * @returns {object} { orders, status, event }
+   */
+  async handleWebhook(method, { query = {}, body = {}, headers = {} }) {
+    const provider = this.getProvider(method);
+    if (!provider.isConfigured()) {
+      throw createError(404, `${provider.label} is not enabled`);
+    }
+    const notification = provider.parseWebhook({ query, body, headers });
+    const payload = { query, body };
+
+    if (method === 'pesapal') {
+      const { orders, pesapalStatus, event } = await this.getPesapalPaymentService().processNotification({
+        source: 'ipn',
+        trackingId: notification.providerReference,
+        merchantReference: notification.merchantReference,
+        notificationType: notification.notificationType,
+        countryCode: notification.countryCode,
+        payload
+      });
+      return { orders, status: pesapalStatus, event };
+    }
+
+    return this.applyProviderStatus(method, { ...notification, source: 'ipn', payload });
+  }
+
+  /**
+   * Ask the provider for the payment status of an order and apply it
+   * @returns {object} { status, paid, confirmedOrders }
+   */
+  async refreshPaymentStatus(order) {
+    if (!this.isProvider(order.paymentMethod)) {
+      throw createError(400, 'Order is not paid through a payment provider');
+    }
+
+    if (order.paymentMethod === 'pesapal') {
+      const pesapalPaymentService = this.getPesapalPaymentService();
+      const trackingId = order.paymentReference || pesapalPaymentService.getTrackingId(order);
+      if (!trackingId) {
+        throw createError(400, 'Payment has not been started for this order');
+      }
+      const { pesapalStatus, paid, confirmedOrders } = await pesapalPaymentService.refreshPaymentStatus(order, trackingId);
+      return { status: pesapalStatus, paid, confirmedOrders };
+    }
+
+    if (!order.paymentReference) {
+      throw createError(400, 'Payment has not been started for this order');
+    }
+    const { status, confirmedOrders = [] } = await this.applyProviderStatus(order.paymentMethod, {
+      source: 'status_check',
+      providerReference: order.paymentReference
+    });
+    await order.reload();
+    return { status, paid: status === 'COMPLETED', confirmedOrders };
+  }
+
+  /**
+   * Provider payment that paid the order, from the payment event log, else the Pesapal tracking ID
+   * in its notes
+   * @returns {Promise<object|null>} { method, reference }
+   */
+  async findPaidPayment(order) {
+    const event = await PaymentEvent.findOne({
+      where: {
+        orderIds: { [Op.contains]: [order.id] },
+        pesapalStatus: 'COMPLETED',
+        orderTrackingId: { [Op.ne]: null }
+      },
+      order: [['createdAt', 'DESC']]
+    });
+    if (event && this.isProvider(event.provider)) {
+      return { method: event.provider, reference: event.orderTrackingId };
+    }
+
+    const trackingId = this.getPesapalPaymentService().getTrackingId(order);
+    return trackingId ? { method: 'pesapal', reference: trackingId } : null;
+  }
+
+  /**
+   * Re-check pending provider payments (other than Pesapal, which has its own reconciliation) whose
+   * webhook never arrived, e.g. an STK push the customer confirmed while the callback was lost
+   * @returns {object} { checked, applied, errors }
+   */
+  async checkPendingPayments(now = new Date()) {
+    const summary = { checked: 0, applied: 0, errors: 0 };
+    const methods = this.getProviderNames().filter(method => method !== 'pesapal' && providers[method].isConfigured());
+    if (methods.length === 0) return summary;
+
+    const orders = await Order.findAll({
+      where: {
+        paymentMethod: { [Op.in]: methods },
+        paymentStatus: 'pending',
+        paymentReference: { [Op.ne]: null },
+        status: { [Op.ne]: 'cancelled' },
+        createdAt: { [Op.gte]: new Date(now.getTime() - PENDING_LOOKBACK_DAYS * 24 * 60 * 60 * 1000) },
+        updatedAt: { [Op.lt]: new Date(now.getTime() - 5 * 60 * 1000) }
+      },
+      order: [['createdAt', 'ASC']]
+    });
+
+    // One check per payment (all orders of a split checkout share the reference)
+    const payments = new Map();
+    orders.forEach(order => payments.set(order.paymentReference, order.paymentMethod));
+
+    for (const [providerReference, method] of payments) {
+      summary.checked++;
+      try {
+        const { event } = await this.applyProviderStatus(method, { source: 'reconciliation', providerReference });
+        if (event && event.outcome === 'applied') summary.applied++;
+      } catch (error) {
+        summary.errors++;
+        logger.warn(`Could not check ${method} payment ${providerReference}: ${errorMessage(error)}`);
+      }
+    }
+
+    return summary;
+  }
+}
+
+// Export singleton instance
+module.exports = new PaymentGatewayService();
@@ -0,0 +1,68 @@
+const { v4: uuidv4 } = require('uuid');
+const { createError } = require('../../utils/errorHandler');
+const { normalizeStatus } = require('./providerUtils');
+
+// reference -> { status, amount, merchantReference }; lost on restart, which is fine for local testing
+const payments = new Map();
+
+const findPayment = (providerReference) => {
+  const payment = payments.get(providerReference);
+  if (!payment) {
+    throw createError(404, `Fake payment ${providerReference} not found`);
+  }
+  return payment;
+};
+
+/**
+ * In-memory provider for local testing and QA, switched on with PAYMENT_FAKE_PROVIDER=true and never
+ * available in production. A payment stays PENDING until its webhook is called with a status:
+ * POST /payments/fake/webhook { "reference": "FAKE-...", "status": "COMPLETED" }
+ */
+module.exports = {
+  name: 'fake',
+  label: 'Test payment',
+
+  isConfigured() {
+    return process.env.PAYMENT_FAKE_PROVIDER === 'true' && process.env.NODE_ENV !== 'production';
+  },
+
+  async initiate({ reference, amount }) {
+    const providerReference = `FAKE-${uuidv4()}`;
+    payments.set(providerReference, { status: 'PENDING', amount: parseFloat(amount), merchantReference: reference });
+    return { providerReference, redirectUrl: null, raw: { reference: providerReference, status: 'PENDING' } };
+  },
+
+  async queryStatus(providerReference) {
+    const payment = findPayment(providerReference);
+    return {
+      status: payment.status,
+      amount: payment.amount,
+      currency: 'KES',
+      confirmationCode: payment.status === 'PENDING' ? null : `FAKE-${providerReference.slice(-8).toUpperCase()}`,
+      paymentMethod: 'fake',
+      merchantReference: payment.merchantReference,
+      raw: { reference: providerReference, ...payment }
+    };
+  },
+
+  // The webhook stands in for the customer paying: its status becomes the payment's status
+  parseWebhook({ body = {} }) {
+    if (!body.reference) {
+      throw createError(400, 'reference is required');
+    }
+    const payment = findPayment(body.reference);
+    if (body.status) {
+      payment.status = normalizeStatus(body.status);
+    }
+    return { providerReference: body.reference, notificationType: body.status || null };
+  },
+
+  async refund({ providerReference, amount }) {
+    const payment = findPayment(providerReference);
+    if (payment.status !== 'COMPLETED') {
+      return { accepted: false, message: `Fake payment is ${payment.status}`, raw: payment };
+    }
+    payment.status = 'REVERSED';
+    return { accepted: true, message: 'Refunded', confirmationCode: null, raw: { reference: providerReference, amount } };
+  }
+};
@@ -0,0 +1,18 @@
+const pesapalProvider = require('./pesapalProvider');
+const mobileMoneyProvider = require('./mobileMoneyProvider');
+const fakeProvider = require('./fakeProvider');
+
+/**
+ * Registered payment providers by payment method name (PAYMENT_METHODS). Each provider implements:
+ *  - isConfigured(): whether it can take payments in this environment
+ *  - initiate({ reference, amount, description, customer, countryCode }) -> { providerReference, redirectUrl, raw }
+ *  - queryStatus(providerReference, { countryCode }) -> { status (COMPLETED|PENDING|FAILED|REVERSED), amount, currency, confirmationCode, paymentMethod, merchantReference, raw }
+ *  - parseWebhook({ query, body, headers }) -> { providerReference, merchantReference, notificationType, countryCode }
+ *  - refund({ providerReference, amount, reason, username, countryCode }) -> { accepted, message, confirmationCode, raw }
+ * A webhook only says something changed; the status is always confirmed with queryStatus.
+ */
+module.exports = {
+  pesapal: pesapalProvider,
+  mobile_money: mobileMoneyProvider,
+  fake: fakeProvider
+};
@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { createError } = require('../../utils/errorHandler');
+const { normalizeStatus } = require('./providerUtils');
+
+const getClient = () => {
+  if (!process.env.MOBILE_MONEY_BASE_URL || !process.env.MOBILE_MONEY_API_KEY) {
+    throw createError(503, 'Mobile money provider is not configured');
+  }
+  return axios.create({
+    baseURL: process.env.MOBILE_MONEY_BASE_URL.replace(/\/$/, ''),
+    headers: {
+      Authorization: `Bearer ${process.env.MOBILE_MONEY_API_KEY}`,
+      'Content-Type': 'application/json'
+    },
+    timeout: 15000
+  });
+};
+
+const getCallbackUrl = () => {
+  return process.env.MOBILE_MONEY_CALLBACK_URL ||
+    (process.env.BASE_URL ? `${process.env.BASE_URL}/payments/mobile_money/webhook` : null);
+};
+
+// Safaricom / Airtel style numbers: 07XXXXXXXX or +2547XXXXXXXX become 2547XXXXXXXX
+const toMsisdn = (phone) => {
+  const digits = String(phone || '').replace(/\D/g, '');
+  const countryPrefix = process.env.MOBILE_MONEY_COUNTRY_PREFIX || '254';
+  return digits.startsWith('0') ? `${countryPrefix}${digits.slice(1)}` : digits;
+};
+
+/**
+ * Generic mobile-money STK push aggregator (MOBILE_MONEY_BASE_URL, MOBILE_MONEY_API_KEY). The customer
+ * confirms the prompt on their phone; the aggregator calls the webhook, signed with the shared
+ * MOBILE_MONEY_WEBHOOK_SECRET in the X-Webhook-Secret header.
+ */
+module.exports = {
+  name: 'mobile_money',
+  label: 'Mobile money',
+
+  isConfigured() {
+    return !!(process.env.MOBILE_MONEY_BASE_URL && process.env.MOBILE_MONEY_API_KEY);
+  },
+
+  async initiate({ reference, amount, description, customer }) {
+    const msisdn = toMsisdn(customer.phone);
+    if (msisdn.length < 10) {
+      throw createError(400, 'A valid phone number is required for mobile money payments');
+    }
+
+    const response = await getClient().post('/stk-push', {
+      phone: msisdn,
+      amount,
+      currency: process.env.MOBILE_MONEY_CURRENCY || 'KES',
+      reference,
+      description: description.slice(0, 100),
+      callbackUrl: getCallbackUrl()
+    });
+
+    const providerReference = response.data && (response.data.transactionId || response.data.id);
+    if (!providerReference) {
+      throw new Error('Missing transaction id in mobile money response: ' + JSON.stringify(response.data));
+    }
+    return { providerReference, redirectUrl: null, raw: response.data };
+  },
+
+  async queryStatus(providerReference) {
+    const response = await getClient().get(`/transactions/${encodeURIComponent(providerReference)}`);
+    const data = response.data || {};
+    return {
+      status: normalizeStatus(data.status),
+      amount: data.amount,
+      currency: data.currency,
+      confirmationCode: data.receipt || data.receiptNumber,
+      paymentMethod: data.channel || 'mobile_money',
+      merchantReference: data.reference,
+      raw: data
+    };
+  },
+
+  parseWebhook({ headers = {}, body = {} }) {
+    const secret = process.env.MOBILE_MONEY_WEBHOOK_SECRET;
+    if (secret) {
+      const given = Buffer.from(String(headers['x-webhook-secret'] || ''));
+      const expected = Buffer.from(secret);
+      if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+        throw createError(401, 'Invalid webhook signature');
+      }
+    }
+
+    const providerReference = body.transactionId || body.id;
+    if (!providerReference) {
+      throw createError(400, 'transactionId is required');
+    }
+    return {
+      providerReference,
+      merchantReference: body.reference,
+      notificationType: body.event || body.status
+    };
+  },
+
+  async refund({ providerReference, amount, reason }) {
+    const response = await getClient().post(`/transactions/${encodeURIComponent(providerReference)}/reversal`, {
+      amount: parseFloat(amount),
+      reason
+    });
+    const data = response.data || {};
+    const status = String(data.status || '').toUpperCase();
+    return {
+      accepted: ['ACCEPTED', 'PENDING', 'PROCESSING', 'REVERSED', 'SUCCESS'].includes(status),
+      message: data.message || `Reversal ${status || 'rejected'} by the mobile money provider`,
+      confirmationCode: data.reversalId || null,
+      raw: data
+    };
+  }
+};
@@ -0,0 +1,84 @@
+const { createError } = require('../../utils/errorHandler');
+const { getTransactionStatus, requestRefund, submitOrderRequest } = require('../../utils/pesapalConfig');
+const { normalizeStatus } = require('./providerUtils');
+
+const getUrls = () => {
+  if (!process.env.BASE_URL && !(process.env.PESAPAL_CALLBACK_URL && process.env.PESAPAL_IPN_URL)) {
+    throw createError(503, 'Pesapal callback URLs are not configured');
+  }
+  return {
+    callbackUrl: process.env.PESAPAL_CALLBACK_URL || `${process.env.BASE_URL}/pesapal/callback`,
+    ipnUrl: process.env.PESAPAL_IPN_URL || `${process.env.BASE_URL}/pesapal/ipn`
+  };
+};
+
+// Pesapal hosted payment page (card, M-Pesa, Airtel Money). Credentials per country live in utils/pesapalConfig
+module.exports = {
+  name: 'pesapal',
+  label: 'Pesapal',
+
+  isConfigured() {
+    return true;
+  },
+
+  async initiate({ reference, amount, description, customer, countryCode }) {
+    const nameParts = (customer.name || '').trim().split(' ');
+    const { orderTrackingId, redirectUrl, response } = await submitOrderRequest({
+      id: reference,
+      amount,
+      description,
+      ...getUrls(),
+      billingAddress: {
+        email_address: customer.email || '',
+        phone_number: customer.phone || '',
+        first_name: nameParts[0] || '',
+        last_name: nameParts.slice(1).join(' ')
+      }
+    }, countryCode);
+
+    return { providerReference: orderTrackingId, redirectUrl, raw: response };
+  },
+
+  async queryStatus(providerReference, { countryCode } = {}) {
+    const paymentData = await getTransactionStatus(providerReference, countryCode);
+    return {
+      status: normalizeStatus(paymentData.payment_status_description || paymentData.status),
+      amount: paymentData.amount,
+      currency: paymentData.currency,
+      confirmationCode: paymentData.confirmation_code,
+      paymentMethod: paymentData.payment_method,
+      merchantReference: paymentData.merchant_reference,
+      raw: paymentData
+    };
+  },
+
+  parseWebhook({ query = {}, body = {} }) {
+    const params = { ...query, ...(body || {}) };
+    if (!params.OrderTrackingId) {
+      throw createError(400, 'OrderTrackingId is required');
+    }
+    return {
+      providerReference: params.OrderTrackingId,
+      merchantReference: params.OrderMerchantReference,
+      notificationType: params.OrderNotificationType,
+      countryCode: params.countryCode
+    };
+  },
+
+  // Pesapal refunds are made against the confirmation code of the completed payment
+  async refund({ providerReference, amount, reason, username, countryCode }) {
+    const paymentData = await getTransactionStatus(providerReference, countryCode);
+    const confirmationCode = paymentData.confirmation_code;
+    if (!confirmationCode) {
+      return { accepted: false, message: 'Pesapal has no confirmation code for this payment', raw: paymentData };
+    }
+
+    const response = await requestRefund({ confirmationCode, amount, username, remarks: reason }, countryCode);
+    return {
+      accepted: String(response.status) === '200',
+      message: response.message || 'Refund request rejected by Pesapal',
+      confirmationCode,
+      raw: response
+    };
+  }
+};
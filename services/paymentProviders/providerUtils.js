@@ -0,0 +1,23 @@
+// Provider statuses are normalised to COMPLETED, PENDING, FAILED or REVERSED
+const COMPLETED = ['COMPLETED', 'SUCCESS', 'SUCCESSFUL', 'PAID'];
+const FAILED = ['FAILED', 'CANCELLED', 'CANCELED', 'REJECTED', 'DECLINED', 'EXPIRED', 'TIMEOUT'];
+const REVERSED = ['REVERSED', 'REFUNDED'];
+
+const normalizeStatus = (status) => {
+  const value = String(status || '').trim().toUpperCase();
+  if (COMPLETED.includes(value)) return 'COMPLETED';
+  if (FAILED.includes(value)) return 'FAILED';
+  if (REVERSED.includes(value)) return 'REVERSED';
+  return 'PENDING';
+};
+
+// Error text of a failed provider call, preferring the provider's own message
+const errorMessage = (error) => {
+  const data = error.response && error.response.data;
+  return (data && (data.message || data.error_description || (typeof data === 'string' ? data : JSON.stringify(data)))) || error.message;
+};
+
+module.exports = {
+  normalizeStatus,
+  errorMessage
+};
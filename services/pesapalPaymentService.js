@@ -0,0 +1,748 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { Order, User, AgencyOwner, Notification, PaymentEvent, Refund, WalletTopUp } = require('../models');
+const notificationService = require('./notificationService');
+const orderAutomationService = require('./orderAutomationService');
+const subscriptionService = require('./subscriptionService');
+const refundService = require('./refundService');
+const walletService = require('./walletService');
+const paymentProviders = require('./paymentProviders');
+const { sendEmail } = require('../config/email');
+const { deductStockFromAgency, formatOrderResponse } = require('../utils/orderUtils');
+const { getTransactionStatus } = require('../utils/pesapalConfig');
+const logger = require('../utils/logger');
+
+const FAILED_STATUSES = ['FAILED', 'CANCELLED', 'REJECTED'];
+// Payment statuses of an order whose payment went through (refunds may have followed)
+const PAID_STATUSES = ['paid', 'partially_refunded', 'refunded'];
+// Days of Pesapal orders the nightly reconciliation re-checks
+const RECONCILIATION_LOOKBACK_DAYS = parseInt(process.env.PAYMENT_RECONCILIATION_LOOKBACK_DAYS, 10) || 2;
+
+class PesapalPaymentService {
+  getSocketService() {
+    return global.socketService;
+  }
+
+  /**
+   * Latest Pesapal tracking ID stored in the order's adminNotes ("Pesapal Tracking ID: xxxxx").
+   * A retried payment appends a new one, so the last is the current attempt.
+   * @returns {string|null}
+   */
+  getTrackingId(order) {
+    const trackingIds = this.getTrackingIds(order);
+    return trackingIds.length > 0 ? trackingIds[trackingIds.length - 1] : null;
+  }
+
+  /**
+   * Every Pesapal tracking ID stored in the order's adminNotes, oldest first
+   * @returns {string[]}
+   */
+  getTrackingIds(order) {
+    return [...(order.adminNotes || '').matchAll(/Pesapal Tracking ID:\s*([^\s,]+)/g)].map(match => match[1]);
+  }
+
+  /**
+   * Reference of the current payment attempt: Pesapal's tracking ID is kept in the notes, other
+   * providers' reference on the order
+   */
+  getPaymentReference(order, provider = 'pesapal') {
+    return provider === 'pesapal' ? this.getTrackingId(order) : order.paymentReference;
+  }
+
+  getProviderLabel(provider = 'pesapal') {
+    return paymentProviders[provider] ? paymentProviders[provider].label : provider;
+  }
+
+  /**
+   * Country whose Pesapal credentials were used for the order, default Kenya
+   */
+  getCountryCode(order) {
+    const match = (order.adminNotes || '').match(/Country Code:\s*([A-Z]{2})/);
+    return match ? match[1] : 'KE';
+  }
+
+  /**
+   * Status reported by Pesapal (COMPLETED, FAILED, INVALID, ...)
+   */
+  getStatusDescription(paymentData) {
+    return paymentData.payment_status_description || paymentData.status || paymentData.payment_status;
+  }
+
+  /**
+   * Amount the orders leave for Pesapal: their total less what the wallet paid
+   */
+  getAmountDue(orders) {
+    const due = orders.reduce((sum, order) => sum + parseFloat(order.totalAmount || 0) - parseFloat(order.walletAmount || 0), 0);
+    return parseFloat(due.toFixed(2));
+  }
+
+  /**
+   * Whether a provider payment was made for these orders: the provider reports one of their references
+   * (order id, split checkout id or order number) as its merchant reference, or every order carries
+   * the payment's reference. The references in a notification come from the caller and prove nothing.
+   */
+  isPaymentFor(orders, trackingId, paymentData, provider = 'pesapal') {
+    const merchantReference = paymentData ? paymentData.merchant_reference : null;
+    return orders.every(order =>
+      (merchantReference && [order.id, order.checkoutId, order.orderNumber].includes(merchantReference)) ||
+      order.paymentReference === trackingId ||
+      (provider === 'pesapal' && this.getTrackingIds(order).includes(trackingId))
+    );
+  }
+
+  isCompleted(paymentData) {
+    return paymentData.payment_status_description === 'COMPLETED' || paymentData.status === 'COMPLETED';
+  }
+
+  /**
+   * Orders paid by one Pesapal payment: the merchant reference is an order id, a split checkout id or
+   * an order number; otherwise the tracking ID stored on the orders
+   */
+  async findOrders({ merchantReference, trackingId }) {
+    if (merchantReference) {
+      const order = await Order.findByPk(merchantReference).catch(() => null);
+      if (order) return [order];
+
+      const checkoutOrders = await Order.findAll({
+        where: { checkoutId: merchantReference },
+        order: [['createdAt', 'ASC']]
+      }).catch(() => []);
+      if (checkoutOrders.length > 0) return checkoutOrders;
+
+      const orderByNumber = await Order.findOne({ where: { orderNumber: merchantReference } });
+      if (orderByNumber) return [orderByNumber];
+    }
+
+    if (!trackingId) return [];
+
+    // Every order of a split checkout carries the tracking ID
+    return Order.findAll({
+      where: {
+        adminNotes: { [Op.like]: `%Pesapal Tracking ID: ${trackingId}%` }
+      },
+      order: [['createdAt', 'ASC']]
+    });
+  }
+
+  /**
+   * Store a payment notification/check. Never throws, payment handling must not fail because of it.
+   */
+  async recordEvent({ provider = 'pesapal', source, trackingId, merchantReference, notificationType, orders = [], paymentData = null, outcome, message = null, payload = {} }) {
+    try {
+      return await PaymentEvent.create({
+        provider,
+        source,
+        orderTrackingId: trackingId || null,
+        merchantReference: merchantReference || null,
+        notificationType: notificationType || null,
+        orderIds: orders.map(order => order.id),
+        checkoutId: orders.length > 0 ? orders[0].checkoutId || null : null,
+        pesapalStatus: paymentData ? this.getStatusDescription(paymentData) || null : null,
+        statusCode: paymentData && paymentData.status_code !== undefined ? paymentData.status_code : null,
+        amount: paymentData && paymentData.amount !== undefined ? paymentData.amount : null,
+        currency: paymentData ? paymentData.currency || null : null,
+        paymentMethod: paymentData ? paymentData.payment_method || null : null,
+        confirmationCode: paymentData ? paymentData.confirmation_code || null : null,
+        outcome,
+        message,
+        payload: { ...payload, ...(paymentData && { transaction: paymentData }) }
+      });
+    } catch (error) {
+      logger.error('Error recording payment event:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Bring the orders in line with the status the provider (Pesapal by default) confirmed. Each transition is a conditional
+   * update, so a repeated or concurrent notification (callback + IPN) changes and notifies only once.
+   * A paid order is never downgraded here; a later failure/reversal is reported as a mismatch.
+   * @returns {object} { changedOrders, confirmedOrders, mismatches }
+   */
+  async applyPaymentStatus(orders, { trackingId, pesapalStatus, provider = 'pesapal' }) {
+    const result = { changedOrders: [], confirmedOrders: [], mismatches: [] };
+
+    for (const order of orders) {
+      if (pesapalStatus === 'COMPLETED') {
+        const [changed] = await Order.update(
+          { paymentStatus: 'paid', paymentReceived: true },
+          { where: { id: order.id, paymentStatus: { [Op.notIn]: PAID_STATUSES } } }
+        );
+        if (!changed) continue;
+
+        if (order.status === 'cancelled') {
+          // Paid after it was cancelled (e.g. auto-cancelled draft): money is owed back, not an order
+          await order.reload();
+          await this.appendPaymentNote(order, trackingId, pesapalStatus, provider);
+          await refundService.raiseForOrder(order, { reason: 'Payment received after the order was cancelled' });
+          logger.warn(`Order #${order.orderNumber} paid after cancellation, refund raised`);
+          result.changedOrders.push(order);
+          continue;
+        }
+
+        await order.reload();
+        const confirmed = await this.confirmPaidOrder(order);
+        await this.appendPaymentNote(order, trackingId, pesapalStatus, provider);
+        await this.notifyPaymentSuccess(order);
+
+        result.changedOrders.push(order);
+        if (confirmed) result.confirmedOrders.push(order);
+      } else if (FAILED_STATUSES.includes(pesapalStatus) || pesapalStatus === 'REVERSED') {
+        if (PAID_STATUSES.includes(order.paymentStatus)) {
+          // Only a mismatch when it concerns the attempt that paid the order and no refund explains it
+          if (this.getPaymentReference(order, provider) === trackingId && !(pesapalStatus === 'REVERSED' && await this.hasRefundInProgress(order, provider))) {
+            result.mismatches.push(`Order #${order.orderNumber} is ${order.paymentStatus} but ${this.getProviderLabel(provider)} reports ${pesapalStatus}`);
+          }
+          continue;
+        }
+        if (pesapalStatus === 'REVERSED') continue;
+
+        const [changed] = await Order.update(
+          { paymentStatus: 'failed', paymentReceived: false },
+          { where: { id: order.id, paymentStatus: 'pending' } }
+        );
+        if (!changed) continue;
+
+        await order.reload();
+        await this.appendPaymentNote(order, trackingId, pesapalStatus, provider);
+        logger.warn(`Payment failed for Order #${order.orderNumber} - ${this.getProviderLabel(provider)} reference: ${trackingId}, Status: ${pesapalStatus}`);
+
+        // Refill orders alert the customer and the dashboards through the subscription
+        if (order.subscriptionId) {
+          await subscriptionService.handlePaymentFailed(order, pesapalStatus);
+        }
+        await this.notifyPaymentFailed(order, pesapalStatus);
+
+        result.changedOrders.push(order);
+      }
+      // PENDING / INVALID: payment not finished yet, nothing to change
+    }
+
+    return result;
+  }
+
+  /**
+   * A provider reversal is expected while a refund is being paid out (or after it was)
+   */
+  async hasRefundInProgress(order, provider = 'pesapal') {
+    const refunds = await Refund.count({
+      where: { orderId: order.id, method: provider, status: { [Op.in]: ['processing', 'completed'] } }
+    });
+    return refunds > 0;
+  }
+
+  /**
+   * A pending order that just got paid is confirmed; a draft gets its stock deducted now, checked under
+   * the inventory lock. A draft whose stock ran out while it waited for the payment can't be filled: it is
+   * cancelled, its payment is owed back and the admins are alerted.
+   * @returns {boolean} Whether the order was confirmed
+   */
+  async confirmPaidOrder(order) {
+    if (order.status !== 'pending') return false;
+
+    const updates = { status: 'confirmed', confirmedAt: new Date() };
+    if (order.isDraft) {
+      try {
+        await sequelize.transaction(async (transaction) => {
+          await deductStockFromAgency(order, transaction);
+          await order.update({ ...updates, isDraft: false }, { transaction });
+        });
+        logger.info(`Stock deducted for Order #${order.orderNumber} after payment success`);
+      } catch (stockError) {
+        logger.error(`Error deducting stock for paid Order #${order.orderNumber}:`, stockError.message);
+        await this.cancelUnfillable(order, stockError.message);
+        return false;
+      }
+    } else {
+      await order.update(updates);
+    }
+
+    await this.notifyNewPaidOrder(order);
+    // Apply the agency's auto-accept/auto-assign settings
+    await orderAutomationService.handleNewOrder(order, { alreadyConfirmed: true });
+    return true;
+  }
+
+  /**
+   * Cancel a paid draft that can no longer be filled and raise the refund of its payment
+   */
+  async cancelUnfillable(order, stockMessage) {
+    const reason = `Paid, but the stock was no longer available: ${stockMessage}`;
+    await order.update({
+      status: 'cancelled',
+      cancelledAt: new Date(),
+      cancelledBy: 'system',
+      cancelledById: null,
+      cancelledByName: 'System'
+    });
+    await refundService.raiseForOrder(order, { reason });
+    logger.warn(`Order #${order.orderNumber} cancelled after payment, refund raised - ${stockMessage}`);
+
+    await sendEmail(order.customerEmail, 'orderCancelled', formatOrderResponse(order), reason);
+    this.alertMismatch([order], order.paymentReference, `Order #${order.orderNumber} was paid but cancelled: ${stockMessage}. Refund raised`);
+  }
+
+  async appendPaymentNote(order, trackingId, pesapalStatus, provider = 'pesapal') {
+    // Only Pesapal notes carry "Pesapal Tracking ID", which the tracking ID lookups search for
+    const reference = provider === 'pesapal' ? `Pesapal Tracking ID: ${trackingId}` : `${this.getProviderLabel(provider)} Reference: ${trackingId}`;
+    const paymentNote = `\n\n[Payment Update ${new Date().toISOString()}] ${reference}, Status: ${pesapalStatus}`;
+    await order.update({ adminNotes: (order.adminNotes || '') + paymentNote });
+  }
+
+  /**
+   * Tell the agency owner and admins about an order that became real with its payment
+   */
+  async notifyNewPaidOrder(order) {
+    const socketService = this.getSocketService();
+    if (socketService) {
+      socketService.emitOrderCreated({
+        orderId: order.id,
+        orderNumber: order.orderNumber,
+        customerName: order.customerName,
+        customerEmail: order.customerEmail,
+        subtotal: order.subtotal,
+        taxType: order.taxType,
+        taxValue: order.taxValue,
+        taxAmount: order.taxAmount,
+        platformCharge: order.platformCharge,
+        couponCode: order.couponCode,
+        couponDiscount: order.couponDiscount,
+        totalAmount: order.totalAmount,
+        agencyId: order.agencyId,
+        status: 'confirmed'
+      });
+    }
+
+    try {
+      // Notify agency owner
+      const agencyOwner = await AgencyOwner.findOne({ where: { agencyId: order.agencyId } });
+      if (agencyOwner) {
+        const agencyOwnerUser = await User.findOne({ where: { email: agencyOwner.email } });
+        if (agencyOwnerUser) {
+          await Notification.create({
+            userId: agencyOwnerUser.id,
+            title: '🆕 New Order Received',
+            content: `You have received a new order. Please review the order details and accept or reject it.`,
+            notificationType: 'NEW_ORDER',
+            data: {
+              type: 'NEW_ORDER',
+              orderId: order.id,
+              orderNumber: order.orderNumber,
+              total: order.totalAmount
+            },
+            orderId: order.id
+          });
+        }
+
+        if (agencyOwner.fcmToken) {
+          await notificationService.sendNewOrderToAgency(agencyOwner.fcmToken, {
+            id: order.id,
+            orderNumber: order.orderNumber,
+            total: order.totalAmount,
+            agencyId: order.agencyId
+          }, {
+            recipientType: 'agency',
+            recipientId: agencyOwnerUser ? agencyOwnerUser.id : null,
+            orderId: order.id,
+            agencyId: order.agencyId,
+            notificationType: 'NEW_ORDER'
+          });
+        }
+      }
+
+      // Notify admins
+      const admins = await User.findAll({ where: { role: 'admin' } });
+      const adminTokens = admins.map(admin => admin.fcmToken).filter(token => token);
+
+      if (adminTokens.length > 0) {
+        await notificationService.sendToMultipleDevices(
+          adminTokens,
+          '🆕 New Order Received',
+          `New order #${order.orderNumber} from ${order.customerName}. Total: ₹${order.totalAmount}`,
+          {
+            type: 'NEW_ORDER',
+            orderId: order.id,
+            orderNumber: order.orderNumber,
+            total: String(order.totalAmount),
+            agencyId: String(order.agencyId)
+          }
+        );
+      }
+
+      await Promise.all(admins.map(admin =>
+        Notification.create({
+          userId: admin.id,
+          title: '🆕 New Order Received',
+          content: `New order #${order.orderNumber} from ${order.customerName}. Total: ₹${order.totalAmount}`,
+          notificationType: 'NEW_ORDER',
+          data: {
+            type: 'NEW_ORDER',
+            orderId: order.id,
+            orderNumber: order.orderNumber,
+            total: order.totalAmount,
+            customerName: order.customerName,
+            agencyId: order.agencyId
+          },
+          orderId: order.id
+        })
+      ));
+    } catch (notifError) {
+      logger.error('Error sending order confirmation notifications:', notifError.message);
+    }
+  }
+
+  async notifyPaymentSuccess(order) {
+    logger.info(`Payment successful for Order #${order.orderNumber}`);
+
+    await sendEmail(order.customerEmail, 'paymentSuccess', formatOrderResponse(order));
+
+    const socketService = this.getSocketService();
+    if (socketService) {
+      socketService.emitOrderStatusUpdated({
+        orderId: order.id,
+        orderNumber: order.orderNumber,
+        status: order.status,
+        paymentStatus: 'paid',
+        customerEmail: order.customerEmail,
+        agencyId: order.agencyId
+      });
+    }
+
+    try {
+      const customer = await User.findOne({ where: { email: order.customerEmail } });
+      if (customer) {
+        if (customer.fcmToken) {
+          await notificationService.sendToDevice(
+            customer.fcmToken,
+            '💰 Payment Confirmed',
+            `Payment for this order has been successfully confirmed.`,
+            { type: 'PAYMENT_SUCCESS', orderId: order.id, orderNumber: order.orderNumber }
+          );
+        }
+
+        await Notification.create({
+          userId: customer.id,
+          title: '💰 Payment Confirmed',
+          content: `Payment for this order has been successfully confirmed.`,
+          notificationType: 'PAYMENT',
+          data: {
+            type: 'PAYMENT_SUCCESS',
+            orderId: order.id,
+            orderNumber: order.orderNumber,
+            paymentStatus: 'paid',
+            orderStatus: order.status
+          },
+          orderId: order.id
+        });
+      }
+    } catch (notifError) {
+      logger.error('Error sending payment success notification:', notifError.message);
+    }
+  }
+
+  async notifyPaymentFailed(order, pesapalStatus) {
+    await sendEmail(order.customerEmail, 'paymentFailed', formatOrderResponse(order));
+
+    const socketService = this.getSocketService();
+    if (socketService) {
+      socketService.emitOrderStatusUpdated({
+        orderId: order.id,
+        orderNumber: order.orderNumber,
+        status: order.status,
+        paymentStatus: 'failed',
+        customerEmail: order.customerEmail,
+        agencyId: order.agencyId
+      });
+    }
+
+    try {
+      const customer = await User.findOne({ where: { email: order.customerEmail } });
+      if (customer) {
+        if (customer.fcmToken) {
+          await notificationService.sendToDevice(
+            customer.fcmToken,
+            'Payment Failed',
+            `Payment for Order #${order.orderNumber} failed. Please try again.`,
+            { type: 'PAYMENT_FAILED', orderId: order.id, orderNumber: order.orderNumber }
+          );
+        }
+
+        await Notification.create({
+          userId: customer.id,
+          title: 'Payment Failed',
+          content: `Payment for Order #${order.orderNumber} failed. Please try again.`,
+          notificationType: 'PAYMENT',
+          data: {
+            type: 'PAYMENT_FAILED',
+            orderId: order.id,
+            orderNumber: order.orderNumber,
+            paymentStatus: 'failed',
+            pesapalStatus
+          },
+          orderId: order.id
+        });
+      }
+    } catch (notifError) {
+      logger.error('Error sending payment failed notification:', notifError.message);
+    }
+  }
+
+  /**
+   * Handle a Pesapal notification (IPN or browser callback): the notification only says something
+   * changed, the status is always verified with Pesapal before anything is updated.
+   * @param {object} notification - { source, trackingId, merchantReference, notificationType, countryCode, payload }
+   * Wallet top-ups are paid through the same notifications.
+   * @returns {object} { orders, topUp, paymentData, pesapalStatus, event }
+   */
+  async processNotification({ source, trackingId, merchantReference, notificationType, countryCode, payload = {} }) {
+    const orders = await this.findOrders({ merchantReference, trackingId });
+    const topUp = orders.length === 0 ? await walletService.findTopUp({ merchantReference, trackingId }) : null;
+    const eventBase = { source, trackingId, merchantReference, notificationType, orders, payload };
+
+    let paymentData;
+    try {
+      const country = countryCode || (topUp ? topUp.countryCode : orders.length > 0 ? this.getCountryCode(orders[0]) : 'KE');
+      paymentData = await getTransactionStatus(trackingId, country);
+    } catch (error) {
+      await this.recordEvent({ ...eventBase, outcome: 'error', message: `Status check failed: ${error.message}` });
+      throw error;
+    }
+
+    const pesapalStatus = this.getStatusDescription(paymentData);
+
+    if (topUp) {
+      const event = await this.applyTopUpStatus(topUp, paymentData, eventBase);
+      return { orders, topUp, paymentData, pesapalStatus, event };
+    }
+
+    if (orders.length === 0) {
+      logger.error(`Order not found for Pesapal tracking ID: ${trackingId}`);
+      const event = await this.recordEvent({ ...eventBase, paymentData, outcome: 'order_not_found' });
+      return { orders, topUp, paymentData, pesapalStatus, event };
+    }
+
+    const { event } = await this.applyAndRecord(orders, paymentData, eventBase);
+    return { orders, topUp, paymentData, pesapalStatus, event };
+  }
+
+  /**
+   * Credit or fail a wallet top-up with the status Pesapal confirmed and store the event. A payment
+   * made for another top-up, or paid with a different amount, is not credited but flagged for review.
+   * @returns {object} PaymentEvent
+   */
+  async applyTopUpStatus(topUp, paymentData, eventBase) {
+    const pesapalStatus = this.isCompleted(paymentData) ? 'COMPLETED' : this.getStatusDescription(paymentData);
+    const base = { ...eventBase, paymentData, payload: { ...eventBase.payload, topUpId: topUp.id } };
+
+    let mismatch = null;
+    if (topUp.orderTrackingId !== eventBase.trackingId && paymentData.merchant_reference !== topUp.id) {
+      mismatch = `Pesapal payment ${eventBase.trackingId} was not made for wallet top-up ${topUp.id}`;
+    } else if (pesapalStatus === 'COMPLETED' && this.amountDiffers(paymentData, topUp.amount)) {
+      mismatch = `Pesapal amount ${paymentData.amount} differs from wallet top-up ${topUp.amount}`;
+    }
+    if (mismatch) {
+      logger.warn(`Pesapal payment mismatch (${eventBase.trackingId}): ${mismatch}`);
+      this.alertMismatch([], eventBase.trackingId, mismatch);
+      return this.recordEvent({ ...base, outcome: 'mismatch', message: mismatch });
+    }
+
+    let changed = false;
+    if (pesapalStatus === 'COMPLETED') {
+      changed = await walletService.completeTopUp(topUp);
+    } else if (FAILED_STATUSES.includes(pesapalStatus)) {
+      changed = await walletService.failTopUp(topUp, `Pesapal reports ${pesapalStatus}`);
+    }
+
+    return this.recordEvent({
+      ...base,
+      outcome: changed ? 'applied' : 'no_change',
+      message: changed ? `Payment ${pesapalStatus} applied to wallet top-up ${topUp.id}` : null
+    });
+  }
+
+  /**
+   * Re-check top-ups whose notification never arrived: pending top-ups of the last lookback days are
+   * asked from Pesapal, older ones without a tracking ID (customer never reached Pesapal) are failed.
+   * @returns {object} { checked, completed, failed, errors }
+   */
+  async checkPendingTopUps(now = new Date()) {
+    const summary = { checked: 0, completed: 0, failed: 0, errors: 0 };
+    const since = new Date(now.getTime() - RECONCILIATION_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+
+    const topUps = await WalletTopUp.findAll({
+      where: { status: 'pending', createdAt: { [Op.lt]: new Date(now.getTime() - 10 * 60 * 1000) } },
+      order: [['createdAt', 'ASC']]
+    });
+
+    for (const topUp of topUps) {
+      if (!topUp.orderTrackingId || topUp.createdAt < since) {
+        if (topUp.createdAt < since && await walletService.failTopUp(topUp, 'Payment was not completed')) {
+          summary.failed++;
+        }
+        continue;
+      }
+
+      summary.checked++;
+      try {
+        const paymentData = await getTransactionStatus(topUp.orderTrackingId, topUp.countryCode);
+        await this.applyTopUpStatus(topUp, paymentData, { source: 'reconciliation', trackingId: topUp.orderTrackingId, merchantReference: topUp.id, payload: {} });
+        if (topUp.status === 'completed') summary.completed++;
+        else if (topUp.status === 'failed') summary.failed++;
+      } catch (error) {
+        summary.errors++;
+        logger.warn(`Could not check wallet top-up ${topUp.id}: ${error.message}`);
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Ask Pesapal for the payment status of an order (and its split checkout siblings) and apply it
+   * @returns {object} { paymentData, pesapalStatus, paid, confirmedOrders }
+   */
+  async refreshPaymentStatus(order, trackingId = this.getTrackingId(order), source = 'status_check') {
+    const paymentData = await getTransactionStatus(trackingId, this.getCountryCode(order));
+    const orders = order.checkoutId
+      ? await Order.findAll({ where: { checkoutId: order.checkoutId }, order: [['createdAt', 'ASC']] })
+      : [order];
+
+    const { applied } = await this.applyAndRecord(orders, paymentData, { source, trackingId, orders });
+    await order.reload();
+
+    return {
+      paymentData,
+      pesapalStatus: this.getStatusDescription(paymentData),
+      paid: this.isCompleted(paymentData),
+      confirmedOrders: applied.confirmedOrders
+    };
+  }
+
+  /**
+   * Whether the provider reports an amount other than the expected one
+   */
+  amountDiffers(paymentData, expected) {
+    if (paymentData.amount === undefined || paymentData.amount === null) return false;
+    return Math.abs(parseFloat(paymentData.amount) - parseFloat(expected)) > 0.01;
+  }
+
+  /**
+   * Apply a confirmed Pesapal (or other provider, eventBase.provider) status to the orders and store the event. A payment
+   * made for other orders, or completed with an amount other than the orders' amount due, changes nothing and is
+   * flagged for review.
+   * @returns {object} { applied, event }
+   */
+  async applyAndRecord(orders, paymentData, eventBase) {
+    const pesapalStatus = this.isCompleted(paymentData) ? 'COMPLETED' : this.getStatusDescription(paymentData);
+    const provider = eventBase.provider || 'pesapal';
+    const label = this.getProviderLabel(provider);
+    const orderNumbers = orders.map(order => `#${order.orderNumber}`).join(', ');
+
+    let applied = { changedOrders: [], confirmedOrders: [], mismatches: [] };
+    const expected = this.getAmountDue(orders);
+    if (!this.isPaymentFor(orders, eventBase.trackingId, paymentData, provider)) {
+      applied.mismatches.push(`${label} payment ${eventBase.trackingId} was not made for ${orderNumbers}`);
+    } else if (pesapalStatus === 'COMPLETED' && this.amountDiffers(paymentData, expected)) {
+      applied.mismatches.push(`${label} amount ${paymentData.amount} differs from amount due ${expected.toFixed(2)}, ${orderNumbers} not marked paid`);
+    } else {
+      applied = await this.applyPaymentStatus(orders, { trackingId: eventBase.trackingId, pesapalStatus, provider });
+    }
+
+    let outcome = applied.changedOrders.length > 0 ? 'applied' : 'no_change';
+    let message = applied.changedOrders.length > 0
+      ? `Payment ${pesapalStatus} applied to ${applied.changedOrders.map(order => `#${order.orderNumber}`).join(', ')}`
+      : null;
+    if (applied.mismatches.length > 0) {
+      outcome = 'mismatch';
+      message = applied.mismatches.join('; ');
+      logger.warn(`${label} payment mismatch (${eventBase.trackingId}): ${message}`);
+    }
+
+    const event = await this.recordEvent({ ...eventBase, paymentData, outcome, message });
+    if (outcome === 'mismatch') {
+      this.alertMismatch(orders, eventBase.trackingId, message);
+    }
+    return { applied, event };
+  }
+
+  /**
+   * Live alert on the admin dashboard for a payment that needs review
+   */
+  alertMismatch(orders, trackingId, message) {
+    const socketService = this.getSocketService();
+    if (!socketService) return;
+
+    socketService.emitNotification('PAYMENT_MISMATCH', {
+      orderTrackingId: trackingId,
+      orderIds: orders.map(order => order.id),
+      orderNumbers: orders.map(order => order.orderNumber),
+      message
+    }, [socketService.rooms.ADMIN]);
+  }
+
+  /**
+   * Nightly check of recent Pesapal orders against Pesapal: applies payments whose notification never
+   * arrived and flags paid orders Pesapal doesn't report as completed (and amount differences).
+   * @returns {object} { checked, applied, matched, mismatches, errors }
+   */
+  async reconcilePayments(now = new Date()) {
+    const summary = { checked: 0, applied: 0, matched: 0, mismatches: 0, errors: 0 };
+
+    const orders = await Order.findAll({
+      where: {
+        adminNotes: { [Op.like]: '%Pesapal Tracking ID:%' },
+        createdAt: { [Op.gte]: new Date(now.getTime() - RECONCILIATION_LOOKBACK_DAYS * 24 * 60 * 60 * 1000) }
+      },
+      order: [['createdAt', 'ASC']]
+    });
+
+    // One Pesapal payment per tracking ID (all orders of a split checkout share it)
+    const payments = new Map();
+    orders.forEach(order => {
+      const trackingId = this.getTrackingId(order);
+      if (!payments.has(trackingId)) payments.set(trackingId, []);
+      payments.get(trackingId).push(order);
+    });
+
+    for (const [trackingId, paymentOrders] of payments) {
+      summary.checked++;
+      const eventBase = { source: 'reconciliation', trackingId, orders: paymentOrders };
+
+      let paymentData;
+      try {
+        paymentData = await getTransactionStatus(trackingId, this.getCountryCode(paymentOrders[0]));
+      } catch (error) {
+        summary.errors++;
+        await this.recordEvent({ ...eventBase, outcome: 'error', message: `Status check failed: ${error.message}` });
+        continue;
+      }
+
+      const completed = this.isCompleted(paymentData);
+      const pesapalStatus = this.getStatusDescription(paymentData);
+
+      // Paid here but not completed at Pesapal; failed/reversed payments are already caught when applied
+      const unconfirmed = paymentOrders.filter(order => order.paymentStatus === 'paid');
+      if (!completed && unconfirmed.length > 0 && !FAILED_STATUSES.includes(pesapalStatus) && pesapalStatus !== 'REVERSED') {
+        const message = unconfirmed.map(order => `Order #${order.orderNumber} is paid but Pesapal reports ${pesapalStatus}`).join('; ');
+        logger.warn(`Pesapal payment mismatch (${trackingId}): ${message}`);
+        await this.recordEvent({ ...eventBase, paymentData, outcome: 'mismatch', message });
+        this.alertMismatch(paymentOrders, trackingId, message);
+        summary.mismatches++;
+        continue;
+      }
+
+      const { applied } = await this.applyAndRecord(paymentOrders, paymentData, eventBase);
+      if (applied.mismatches.length > 0) summary.mismatches++;
+      else if (applied.changedOrders.length > 0) summary.applied++;
+      else summary.matched++;
+    }
+
+    if (summary.applied || summary.mismatches || summary.errors) {
+      logger.info(`Payment reconciliation: ${summary.checked} checked, ${summary.applied} applied, ${summary.mismatches} mismatches, ${summary.errors} errors`);
+    }
+    return summary;
+  }
+}
+
+// Export singleton instance
+module.exports = new PesapalPaymentService();
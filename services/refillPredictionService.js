@@ -0,0 +1,264 @@
+const { Op } = require('sequelize');
+const { RefillPrediction, RefillSubscription, Order, User, Notification } = require('../models');
+const notificationService = require('./notificationService');
+const { estimateDaysPerCylinder, daysBetween } = require('../utils/consumptionEstimator');
+const { toDateString } = require('../utils/slotUtils');
+const logger = require('../utils/logger');
+
+// Days before the predicted run-out that the reminder goes out
+const REMINDER_LEAD_DAYS = parseInt(process.env.REFILL_REMINDER_LEAD_DAYS, 10) || 3;
+// Predictions nobody refilled against this long after run-out are dropped from the accuracy figures
+const EXPIRE_AFTER_DAYS = 60;
+// A reorder this soon after the reminder counts as prompted by it
+const CONVERSION_WINDOW_DAYS = 7;
+
+const OPEN_ORDER_STATUSES = ['pending', 'confirmed', 'assigned', 'out_for_delivery'];
+
+class RefillPredictionService {
+  addDays(dateString, days) {
+    const date = new Date(`${dateString}T00:00:00`);
+    date.setDate(date.getDate() + Math.round(days));
+    return toDateString(date);
+  }
+
+  /**
+   * Deep link the app opens to reorder the last delivery in one tap
+   */
+  buildReorderLink(prediction) {
+    const base = process.env.APP_DEEP_LINK_BASE || 'lpgapp://';
+    return `${base}reorder?orderId=${prediction.lastOrderId}&productId=${prediction.productId}` +
+      `&variantLabel=${encodeURIComponent(prediction.variantLabel)}&quantity=${prediction.quantity}`;
+  }
+
+  /**
+   * Learn from a delivered order: settle the open prediction of each cylinder size in it and
+   * predict the next run-out. Never throws, delivery must not fail because of it.
+   */
+  async recordDelivery(order) {
+    try {
+      const user = await User.findOne({ where: { email: order.customerEmail, role: 'customer' } });
+      if (!user || !order.deliveredAt) return;
+
+      const deliveredOn = toDateString(new Date(order.deliveredAt));
+      const sizes = [...new Set((order.items || []).map(item => item.variantLabel).filter(Boolean))];
+      if (sizes.length === 0) return;
+
+      const history = await Order.findAll({
+        where: {
+          customerEmail: order.customerEmail,
+          status: 'delivered',
+          deliveredAt: { [Op.ne]: null }
+        },
+        attributes: ['id', 'items', 'deliveredAt'],
+        order: [['deliveredAt', 'DESC']],
+        limit: 30
+      });
+
+      for (const variantLabel of sizes) {
+        const openPredictions = await RefillPrediction.findAll({
+          where: { userId: user.id, variantLabel, status: { [Op.in]: ['pending', 'reminded'] } }
+        });
+        for (const prediction of openPredictions) {
+          if (prediction.lastOrderId === order.id) continue;
+          await prediction.update({
+            status: 'resolved',
+            actualRefillDate: deliveredOn,
+            errorDays: Math.round(daysBetween(prediction.predictedRunOutDate, deliveredOn))
+          });
+        }
+
+        const deliveries = history
+          .map(past => ({
+            deliveredAt: past.deliveredAt,
+            quantity: (past.items || [])
+              .filter(item => item.variantLabel === variantLabel)
+              .reduce((sum, item) => sum + (item.quantity || 0), 0)
+          }))
+          .filter(delivery => delivery.quantity > 0);
+
+        const estimate = estimateDaysPerCylinder(deliveries);
+        if (!estimate) continue;
+
+        const items = (order.items || []).filter(item => item.variantLabel === variantLabel);
+        const quantity = items.reduce((sum, item) => sum + (item.quantity || 0), 0);
+
+        await RefillPrediction.create({
+          userId: user.id,
+          productId: items[0].productId,
+          variantLabel,
+          agencyId: order.agencyId,
+          lastOrderId: order.id,
+          quantity,
+          lastDeliveredAt: order.deliveredAt,
+          daysPerCylinder: estimate.daysPerCylinder,
+          sampleCount: estimate.sampleCount,
+          predictedRunOutDate: this.addDays(deliveredOn, estimate.daysPerCylinder * quantity)
+        });
+      }
+    } catch (error) {
+      logger.error(`Error updating refill predictions for order ${order.orderNumber}:`, error.message);
+    }
+  }
+
+  /**
+   * Push a reminder for predictions running out within REMINDER_LEAD_DAYS. Customers who opted
+   * out, already reordered, or refill through a subscription are left alone.
+   * @returns {object} { reminded, expired }
+   */
+  async sendDueReminders(now = new Date()) {
+    const today = toDateString(now);
+    const summary = { reminded: 0, expired: 0 };
+
+    const [expired] = await RefillPrediction.update(
+      { status: 'expired' },
+      {
+        where: {
+          status: { [Op.in]: ['pending', 'reminded'] },
+          predictedRunOutDate: { [Op.lt]: this.addDays(today, -EXPIRE_AFTER_DAYS) }
+        }
+      }
+    );
+    summary.expired = expired;
+
+    const due = await RefillPrediction.findAll({
+      where: {
+        status: 'pending',
+        predictedRunOutDate: {
+          [Op.lte]: this.addDays(today, REMINDER_LEAD_DAYS),
+          [Op.gte]: this.addDays(today, -EXPIRE_AFTER_DAYS)
+        }
+      },
+      include: [{
+        model: User,
+        as: 'User',
+        where: { refillRemindersEnabled: true },
+        attributes: ['id', 'email', 'fcmToken', 'fcmDeviceType']
+      }]
+    });
+
+    for (const prediction of due) {
+      const customer = prediction.User;
+
+      const subscribed = await RefillSubscription.count({
+        where: { userId: customer.id, variantLabel: prediction.variantLabel, status: 'active' }
+      });
+      if (subscribed > 0) continue;
+
+      const openOrders = await Order.findAll({
+        where: {
+          customerEmail: customer.email,
+          status: { [Op.in]: OPEN_ORDER_STATUSES },
+          createdAt: { [Op.gt]: prediction.lastDeliveredAt }
+        },
+        attributes: ['id', 'items']
+      });
+      if (openOrders.some(open => (open.items || []).some(item => item.variantLabel === prediction.variantLabel))) continue;
+
+      const title = '🔥 Running Low on Gas?';
+      const content = `Your ${prediction.variantLabel} cylinder is likely to run out around ${prediction.predictedRunOutDate}. Tap to reorder.`;
+      const data = {
+        type: 'REFILL_REMINDER',
+        predictionId: prediction.id,
+        orderId: prediction.lastOrderId,
+        productId: prediction.productId,
+        variantLabel: prediction.variantLabel,
+        quantity: String(prediction.quantity),
+        agencyId: prediction.agencyId || '',
+        deepLink: this.buildReorderLink(prediction)
+      };
+
+      try {
+        await Notification.create({
+          userId: customer.id,
+          title,
+          content,
+          notificationType: 'OTHER',
+          data
+        });
+
+        if (customer.fcmToken) {
+          await notificationService.sendToDevice(customer.fcmToken, title, content, data, {
+            recipientType: 'user',
+            recipientId: customer.id,
+            notificationType: 'REFILL_REMINDER',
+            deviceType: customer.fcmDeviceType || 'unknown'
+          });
+        }
+      } catch (notifError) {
+        logger.error(`Error sending refill reminder ${prediction.id}:`, notifError.message);
+        continue;
+      }
+
+      await prediction.update({ status: 'reminded', reminderSentAt: new Date() });
+      summary.reminded++;
+    }
+
+    if (summary.reminded || summary.expired) {
+      logger.info(`Refill reminders: ${summary.reminded} sent, ${summary.expired} predictions expired`);
+    }
+    return summary;
+  }
+
+  /**
+   * How close predictions came to the actual refill date
+   * @param {object} filters - { startDate, endDate, agencyId } on the actual refill date
+   */
+  async getAccuracyReport({ startDate, endDate, agencyId } = {}) {
+    const where = { status: 'resolved' };
+    if (startDate || endDate) {
+      where.actualRefillDate = {};
+      if (startDate) where.actualRefillDate[Op.gte] = startDate;
+      if (endDate) where.actualRefillDate[Op.lte] = endDate;
+    }
+    if (agencyId) where.agencyId = agencyId;
+
+    const predictions = await RefillPrediction.findAll({
+      where,
+      attributes: ['variantLabel', 'errorDays', 'reminderSentAt', 'actualRefillDate']
+    });
+
+    const summarize = (rows) => {
+      const count = rows.length;
+      if (count === 0) {
+        return { count: 0, meanAbsoluteErrorDays: null, meanErrorDays: null, withinOneDay: null, withinThreeDays: null, withinSevenDays: null };
+      }
+      const share = (days) => parseFloat(((rows.filter(row => Math.abs(row.errorDays) <= days).length / count) * 100).toFixed(1));
+      return {
+        count,
+        meanAbsoluteErrorDays: parseFloat((rows.reduce((sum, row) => sum + Math.abs(row.errorDays), 0) / count).toFixed(1)),
+        // Positive: households refill later than predicted
+        meanErrorDays: parseFloat((rows.reduce((sum, row) => sum + row.errorDays, 0) / count).toFixed(1)),
+        withinOneDay: share(1),
+        withinThreeDays: share(3),
+        withinSevenDays: share(7)
+      };
+    };
+
+    const reminded = predictions.filter(row => row.reminderSentAt);
+    const reorderedAfterReminder = reminded.filter(row =>
+      daysBetween(toDateString(new Date(row.reminderSentAt)), row.actualRefillDate) <= CONVERSION_WINDOW_DAYS
+    ).length;
+
+    const sizes = [...new Set(predictions.map(row => row.variantLabel))];
+
+    return {
+      overall: summarize(predictions),
+      reminders: {
+        sent: reminded.length,
+        reorderedWithinDays: CONVERSION_WINDOW_DAYS,
+        reordered: reorderedAfterReminder,
+        conversionRate: reminded.length > 0 ? parseFloat(((reorderedAfterReminder / reminded.length) * 100).toFixed(1)) : null
+      },
+      bySize: sizes.map(variantLabel => ({
+        variantLabel,
+        ...summarize(predictions.filter(row => row.variantLabel === variantLabel))
+      })),
+      open: await RefillPrediction.count({
+        where: { status: { [Op.in]: ['pending', 'reminded'] }, ...(agencyId && { agencyId }) }
+      })
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new RefillPredictionService();
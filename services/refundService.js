@@ -0,0 +1,492 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { Order, Refund, User, Notification } = require('../models');
+const notificationService = require('./notificationService');
+const walletService = require('./walletService');
+const { sendEmail } = require('../config/email');
+const { formatOrderResponse } = require('../utils/orderUtils');
+const { errorMessage } = require('./paymentProviders/providerUtils');
+const { createError } = require('../utils/errorHandler');
+const logger = require('../utils/logger');
+
+// Payment statuses that still have money to give back
+const REFUNDABLE_PAYMENT_STATUSES = ['paid', 'partially_refunded'];
+// Refunds that are owed but not paid out yet
+const OUTSTANDING_STATUSES = ['pending', 'processing'];
+
+class RefundService {
+  getSocketService() {
+    return global.socketService;
+  }
+
+  // Required on use: pesapalPaymentService raises refunds itself
+  getPesapalPaymentService() {
+    return require('./pesapalPaymentService');
+  }
+
+  getPaymentGatewayService() {
+    return require('./paymentGatewayService');
+  }
+
+  /**
+   * Who raised or handled a refund, from the authenticated user (none: the system)
+   */
+  getActor(user) {
+    if (!user) {
+      return { by: 'system', id: null, name: 'System' };
+    }
+    const roles = { admin: 'admin', agency_owner: 'agency', agency: 'agency', customer: 'customer' };
+    return {
+      by: roles[user.role] || 'system',
+      id: user.id || null,
+      name: user.name || user.email
+    };
+  }
+
+  /**
+   * Amount of the order not yet refunded or promised in an open refund. Wallet money given back when
+   * the order was cancelled unpaid is not refundable again.
+   */
+  async getRefundableAmount(order, transaction = null) {
+    if (!REFUNDABLE_PAYMENT_STATUSES.includes(order.paymentStatus)) return 0;
+
+    const committed = await Refund.sum('amount', {
+      where: { orderId: order.id, status: { [Op.ne]: 'failed' } },
+      transaction
+    });
+    const released = parseFloat(order.walletAmount) > 0 ? await walletService.getReleasedAmount(order.id, transaction) : 0;
+    return Math.max(0, parseFloat(order.totalAmount) - parseFloat(committed || 0) - released);
+  }
+
+  /**
+   * Customer account whose wallet receives wallet refunds of the order
+   */
+  async findWalletOwner(order, transaction = null) {
+    const customer = await User.findOne({ where: { email: order.customerEmail, role: 'customer' }, transaction });
+    if (!customer) {
+      throw createError(400, 'The customer has no account, so the refund cannot go to a wallet');
+    }
+    return customer;
+  }
+
+  /**
+   * Record money owed back on an order. Nothing is paid out until the refund is processed, except
+   * wallet refunds which are credited straight away.
+   * @param {object} order - Order (or its id)
+   * @param {object} options - { amount (default: everything still refundable), reason, method, user }.
+   *   method defaults to wallet for orders paid with the wallet, else the provider that took the payment, else manual.
+   * @returns {object} Refund
+   */
+  async createRefund(order, { amount, reason, method = null, user = null }) {
+    const actor = this.getActor(user);
+    const paymentGatewayService = this.getPaymentGatewayService();
+
+    const refund = await sequelize.transaction(async (transaction) => {
+      // Lock the order so two refunds can't promise the same money
+      const lockedOrder = await Order.findByPk(order.id || order, { transaction, lock: transaction.LOCK.UPDATE });
+      if (!lockedOrder) {
+        throw createError(404, 'Order not found');
+      }
+      if (!REFUNDABLE_PAYMENT_STATUSES.includes(lockedOrder.paymentStatus)) {
+        throw createError(400, 'Only paid orders can be refunded');
+      }
+
+      const refundable = await this.getRefundableAmount(lockedOrder, transaction);
+      if (refundable <= 0) {
+        throw createError(400, 'Order has already been refunded in full');
+      }
+
+      const refundAmount = amount ? parseFloat(amount) : refundable;
+      if (refundAmount > refundable + 0.001) {
+        throw createError(400, `Refund amount cannot exceed the refundable amount of ${refundable.toFixed(2)}`);
+      }
+
+      const payment = await paymentGatewayService.findPaidPayment(lockedOrder);
+      const refundMethod = method || (lockedOrder.paymentMethod === 'wallet' ? 'wallet' : payment ? payment.method : 'manual');
+      if (paymentGatewayService.isProvider(refundMethod) && !(payment && payment.method === refundMethod)) {
+        throw createError(400, `Order was not paid through ${paymentGatewayService.getProvider(refundMethod).label}`);
+      }
+      if (refundMethod === 'wallet') {
+        await this.findWalletOwner(lockedOrder, transaction);
+      }
+
+      return Refund.create({
+        orderId: lockedOrder.id,
+        agencyId: lockedOrder.agencyId,
+        amount: refundAmount.toFixed(2),
+        type: Math.abs(refundAmount - parseFloat(lockedOrder.totalAmount)) < 0.01 ? 'full' : 'partial',
+        reason,
+        method: refundMethod,
+        initiatedBy: actor.by,
+        initiatedById: actor.id,
+        initiatedByName: actor.name,
+        orderTrackingId: paymentGatewayService.isProvider(refundMethod) ? payment.reference : null
+      }, { transaction });
+    });
+
+    logger.info(`Refund of ${refund.amount} raised on order ${refund.orderId} by ${actor.name} (${actor.by}) - ${reason}`);
+    this.emitRefundUpdated(refund, 'created');
+
+    if (refund.method === 'wallet') {
+      await this.completeRefund(refund, { user });
+    }
+    return refund;
+  }
+
+  /**
+   * Raise a full refund for a paid order that was cancelled or returned. The part paid from the
+   * wallet goes back to the wallet, the rest the way it was paid. An unpaid order only gets its
+   * wallet part back. Orders already covered by refunds are skipped, so this is safe to call on
+   * every cancellation.
+   * @returns {object|null} Refund (the non-wallet one when the order was paid both ways)
+   */
+  async raiseForOrder(order, { reason, user = null }) {
+    if (!REFUNDABLE_PAYMENT_STATUSES.includes(order.paymentStatus)) {
+      if (parseFloat(order.walletAmount) > 0) {
+        await walletService.releaseOrderPayment(order, reason);
+      }
+      return null;
+    }
+
+    let refundable = await this.getRefundableAmount(order);
+    if (refundable <= 0) return null;
+
+    try {
+      let refund = null;
+      const walletPart = Math.min(refundable, await this.getWalletRefundableAmount(order));
+      if (walletPart > 0) {
+        refund = await this.createRefund(order, { amount: walletPart, reason, method: 'wallet', user });
+        refundable -= walletPart;
+      }
+      if (refundable > 0.001) {
+        const payment = await this.getPaymentGatewayService().findPaidPayment(order);
+        refund = await this.createRefund(order, { amount: refundable, reason, method: payment ? payment.method : 'manual', user });
+      }
+      return refund;
+    } catch (error) {
+      // The cancellation/return itself must not fail; the refund can still be raised by hand
+      logger.error(`Error raising refund for order ${order.orderNumber}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Refund the cylinder deposits of a returned order's new-connection items and mark them refunded.
+   * Runs before raiseForOrder, which then refunds the rest of the order.
+   * @returns {object|null} Refund
+   */
+  async refundDeposit(order, { user = null } = {}) {
+    const deposit = parseFloat(order.depositAmount || 0) - parseFloat(order.depositRefunded || 0);
+    if (deposit <= 0 || !REFUNDABLE_PAYMENT_STATUSES.includes(order.paymentStatus)) return null;
+
+    try {
+      const refundable = await this.getRefundableAmount(order);
+      const amount = Math.min(deposit, refundable);
+      if (amount <= 0) return null;
+
+      const refund = await this.createRefund(order, { amount, reason: 'Cylinder deposit returned', user });
+      await order.update({
+        depositRefunded: (parseFloat(order.depositRefunded || 0) + amount).toFixed(2),
+        depositRefundedAt: new Date()
+      });
+      logger.info(`Cylinder deposit of ${amount.toFixed(2)} refunded on order ${order.orderNumber}`);
+      return refund;
+    } catch (error) {
+      // The approval itself must not fail; the deposit can still be refunded by hand
+      logger.error(`Error refunding cylinder deposit of order ${order.orderNumber}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Wallet part of the order not yet refunded to the wallet
+   */
+  async getWalletRefundableAmount(order) {
+    const walletAmount = parseFloat(order.walletAmount || 0);
+    if (walletAmount <= 0) return 0;
+
+    const refunded = await Refund.sum('amount', {
+      where: { orderId: order.id, method: 'wallet', status: { [Op.ne]: 'failed' } }
+    });
+    return Math.max(0, walletAmount - parseFloat(refunded || 0) - await walletService.getReleasedAmount(order.id));
+  }
+
+  /**
+   * Start paying out a pending refund: provider refunds are requested from the provider, manual ones
+   * wait for the payout reference
+   * @returns {object} Refund
+   */
+  async processRefund(refund, user = null) {
+    const actor = this.getActor(user);
+
+    const [claimed] = await Refund.update(
+      { status: 'processing', processingAt: new Date(), processedById: actor.id, processedByName: actor.name },
+      { where: { id: refund.id, status: 'pending' } }
+    );
+    if (!claimed) {
+      throw createError(409, `Refund is already ${refund.status}`);
+    }
+    await refund.reload();
+
+    if (this.getPaymentGatewayService().isProvider(refund.method)) {
+      await this.requestProviderRefund(refund, actor);
+    } else if (refund.method === 'wallet') {
+      // Nothing to wait for: the wallet is credited now
+      return this.completeRefund(refund, { user });
+    }
+
+    this.emitRefundUpdated(refund, 'processing');
+    return refund;
+  }
+
+  /**
+   * Ask the provider that took the payment to pay the refund back
+   */
+  async requestProviderRefund(refund, actor) {
+    const order = await Order.findByPk(refund.orderId);
+    const provider = this.getPaymentGatewayService().getProvider(refund.method);
+
+    try {
+      const result = await provider.refund({
+        providerReference: refund.orderTrackingId,
+        amount: refund.amount,
+        reason: refund.reason,
+        username: actor.name,
+        countryCode: this.getPesapalPaymentService().getCountryCode(order)
+      });
+
+      if (!result.accepted) {
+        return this.markFailed(refund, result.message, result.raw);
+      }
+
+      await refund.update({ confirmationCode: result.confirmationCode || null, providerResponse: result.raw });
+      logger.info(`${provider.label} refund of ${refund.amount} requested for order ${order.orderNumber}${result.confirmationCode ? ` (${result.confirmationCode})` : ''}`);
+    } catch (error) {
+      const message = errorMessage(error);
+      logger.error(`${provider.label} refund request failed for refund ${refund.id}:`, message);
+      await this.markFailed(refund, `${provider.label} refund request failed: ${message}`, error.response ? error.response.data : null);
+    }
+  }
+
+  async markFailed(refund, failureReason, providerResponse = null) {
+    await refund.update({
+      status: 'failed',
+      failureReason,
+      failedAt: new Date(),
+      ...(providerResponse && { providerResponse })
+    });
+    logger.warn(`Refund ${refund.id} failed: ${failureReason}`);
+  }
+
+  /**
+   * Statuses a refund can be completed from: provider refunds once the provider was asked
+   * (processing), manual and wallet refunds straight from pending too
+   */
+  getCompletableStatuses(refund) {
+    return this.getPaymentGatewayService().isProvider(refund.method) ? ['processing'] : OUTSTANDING_STATUSES;
+  }
+
+  /**
+   * Order refund totals once a refund of amount is paid out: refunded when (within a cent) the
+   * whole order was given back, partially_refunded otherwise
+   * @returns {object} { refundedAmount, paymentStatus }
+   */
+  applyRefundToOrder(order, amount) {
+    const refundedAmount = parseFloat(order.refundedAmount || 0) + parseFloat(amount);
+    return {
+      refundedAmount: refundedAmount.toFixed(2),
+      paymentStatus: refundedAmount >= parseFloat(order.totalAmount) - 0.01 ? 'refunded' : 'partially_refunded'
+    };
+  }
+
+  /**
+   * Mark a refund as paid out and move the order to refunded / partially_refunded. Manual and wallet
+   * refunds can be completed straight from pending; wallet refunds credit the wallet in the same
+   * database transaction.
+   * @param {object} options - { reference, user }
+   * @returns {object} Refund
+   */
+  async completeRefund(refund, { reference = null, user = null } = {}) {
+    const actor = this.getActor(user);
+    const isProviderRefund = this.getPaymentGatewayService().isProvider(refund.method);
+    const allowedFrom = this.getCompletableStatuses(refund);
+
+    const order = await sequelize.transaction(async (transaction) => {
+      const lockedOrder = await Order.findByPk(refund.orderId, { transaction, lock: transaction.LOCK.UPDATE });
+
+      if (refund.method === 'wallet') {
+        const customer = await this.findWalletOwner(lockedOrder, transaction);
+        const walletTransaction = await walletService.creditRefund(refund, {
+          userId: customer.id,
+          orderNumber: lockedOrder.orderNumber,
+          user
+        }, transaction);
+        reference = walletTransaction.id;
+      }
+
+      const [completed] = await Refund.update(
+        {
+          status: 'completed',
+          completedAt: new Date(),
+          reference: reference || refund.reference,
+          processedById: refund.processedById || actor.id,
+          processedByName: refund.processedByName || actor.name
+        },
+        { where: { id: refund.id, status: { [Op.in]: allowedFrom } }, transaction }
+      );
+      if (!completed) {
+        throw createError(409, isProviderRefund
+          ? 'Only processing refunds can be completed'
+          : `Refund is already ${refund.status}`);
+      }
+
+      await lockedOrder.update(this.applyRefundToOrder(lockedOrder, refund.amount), { transaction });
+      return lockedOrder;
+    });
+    await refund.reload();
+
+    logger.info(`Refund of ${refund.amount} completed for order ${order.orderNumber} by ${actor.name} - payment status ${order.paymentStatus}`);
+
+    await this.notifyCustomer(order, refund);
+    this.emitRefundUpdated(refund, 'completed');
+
+    const socketService = this.getSocketService();
+    if (socketService) {
+      socketService.emitOrderStatusUpdated({
+        orderId: order.id,
+        orderNumber: order.orderNumber,
+        status: order.status,
+        paymentStatus: order.paymentStatus,
+        customerEmail: order.customerEmail,
+        agencyId: order.agencyId
+      });
+    }
+
+    return refund;
+  }
+
+  /**
+   * Give up on an outstanding refund (e.g. payout rejected). A new refund can be raised for the amount.
+   */
+  async failRefund(refund, { reason, user = null }) {
+    const actor = this.getActor(user);
+
+    const [failed] = await Refund.update(
+      { status: 'failed', failureReason: reason, failedAt: new Date(), processedById: actor.id, processedByName: actor.name },
+      { where: { id: refund.id, status: { [Op.in]: OUTSTANDING_STATUSES } } }
+    );
+    if (!failed) {
+      throw createError(409, `Refund is already ${refund.status}`);
+    }
+    await refund.reload();
+
+    logger.info(`Refund ${refund.id} marked failed by ${actor.name}: ${reason}`);
+    this.emitRefundUpdated(refund, 'failed');
+    return refund;
+  }
+
+  /**
+   * Drop refunds nobody started on when the order goes ahead after all (reorder)
+   * @returns {number} Refunds dropped
+   */
+  async cancelPendingForOrder(order, reason) {
+    const [dropped] = await Refund.update(
+      { status: 'failed', failureReason: reason, failedAt: new Date() },
+      { where: { orderId: order.id, status: 'pending' } }
+    );
+    if (dropped) {
+      logger.info(`${dropped} pending refund(s) dropped on order ${order.orderNumber}: ${reason}`);
+    }
+    return dropped;
+  }
+
+  /**
+   * Complete provider refunds once the provider reports the payment REVERSED. Partial refunds may
+   * never show as reversed; those are completed by hand with the payout reference.
+   * @returns {object} { checked, completed }
+   */
+  async checkProviderRefunds() {
+    const summary = { checked: 0, completed: 0 };
+    const pesapalPaymentService = this.getPesapalPaymentService();
+    const paymentGatewayService = this.getPaymentGatewayService();
+
+    const refunds = await Refund.findAll({
+      where: { method: { [Op.in]: paymentGatewayService.getProviderNames() }, status: 'processing' },
+      include: [{ model: Order, as: 'Order' }],
+      order: [['processingAt', 'ASC']]
+    });
+
+    for (const refund of refunds) {
+      summary.checked++;
+      try {
+        const provider = paymentGatewayService.getProvider(refund.method);
+        const { status } = await provider.queryStatus(refund.orderTrackingId, { countryCode: pesapalPaymentService.getCountryCode(refund.Order) });
+        if (status === 'REVERSED') {
+          await this.completeRefund(refund);
+          summary.completed++;
+        }
+      } catch (error) {
+        logger.warn(`Could not check ${refund.method} refund ${refund.id}: ${errorMessage(error)}`);
+      }
+    }
+
+    return summary;
+  }
+
+  async notifyCustomer(order, refund) {
+    await sendEmail(order.customerEmail, 'refundCompleted', formatOrderResponse(order), refund);
+
+    try {
+      const customer = await User.findOne({ where: { email: order.customerEmail, role: 'customer' } });
+      if (!customer) return;
+
+      const title = '💸 Refund Processed';
+      const content = `A refund of KSH${parseFloat(refund.amount).toFixed(2)} for order #${order.orderNumber} has been processed.`;
+      const data = {
+        type: 'REFUND_COMPLETED',
+        orderId: order.id,
+        orderNumber: order.orderNumber,
+        refundId: refund.id,
+        amount: String(refund.amount)
+      };
+
+      if (customer.fcmToken) {
+        await notificationService.sendToDevice(customer.fcmToken, title, content, data, {
+          deviceType: customer.fcmDeviceType || 'unknown'
+        });
+      }
+
+      await Notification.create({
+        userId: customer.id,
+        title,
+        content,
+        notificationType: 'PAYMENT',
+        data: { ...data, paymentStatus: order.paymentStatus },
+        orderId: order.id
+      });
+    } catch (notifError) {
+      logger.error('Error sending refund notification:', notifError.message);
+    }
+  }
+
+  /**
+   * Live refund updates on the admin and agency dashboards
+   */
+  emitRefundUpdated(refund, action) {
+    const socketService = this.getSocketService();
+    if (!socketService) return;
+
+    socketService.emitNotification('REFUND_UPDATED', {
+      refundId: refund.id,
+      orderId: refund.orderId,
+      agencyId: refund.agencyId,
+      amount: refund.amount,
+      status: refund.status,
+      method: refund.method,
+      action
+    }, [socketService.rooms.ADMIN, `agency-${refund.agencyId}`]);
+  }
+}
+
+// Export singleton instance
+module.exports = new RefundService();
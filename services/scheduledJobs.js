@@ -0,0 +1,259 @@
+const { Op } = require('sequelize');
+const { Order, Coupon, LoginOTP, AgencyInventory, Product, Agency, JobRun } = require('../models');
+const jobSchedulerService = require('./jobSchedulerService');
+const subscriptionService = require('./subscriptionService');
+const refillPredictionService = require('./refillPredictionService');
+const draftOrderService = require('./draftOrderService');
+const pesapalPaymentService = require('./pesapalPaymentService');
+const refundService = require('./refundService');
+const paymentGatewayService = require('./paymentGatewayService');
+const cashLedgerService = require('./cashLedgerService');
+const { getCouponExpiresAt } = require('../utils/couponUtils');
+const { toDateString } = require('../utils/slotUtils');
+const logger = require('../utils/logger');
+
+// Login OTPs are kept this long after expiry so a late attempt still gets "expired" instead of "invalid"
+const LOGIN_OTP_GRACE_MS = 24 * 60 * 60 * 1000;
+// Job run history older than this is deleted
+const JOB_RUN_RETENTION_DAYS = parseInt(process.env.JOB_RUN_RETENTION_DAYS, 10) || 30;
+
+// Clear delivery OTPs that can no longer be used; the agent sends a new one at the door
+const expireDeliveryOtps = async ({ now }) => {
+  const [cleared] = await Order.update(
+    { deliveryOTP: null, otpExpiresAt: null },
+    {
+      where: {
+        deliveryOTP: { [Op.ne]: null },
+        otpExpiresAt: { [Op.lt]: now }
+      }
+    }
+  );
+  return { cleared };
+};
+
+// Deactivate coupons past their expiry date and time
+const deactivateExpiredCoupons = async ({ now }) => {
+  const candidates = await Coupon.findAll({
+    where: {
+      isActive: true,
+      expiryDate: { [Op.lte]: toDateString(now) }
+    }
+  });
+
+  const expired = candidates.filter(coupon => {
+    const expiresAt = getCouponExpiresAt(coupon);
+    return !expiresAt || expiresAt <= now;
+  });
+  if (expired.length === 0) return { deactivated: 0 };
+
+  await Coupon.update(
+    { isActive: false },
+    { where: { id: { [Op.in]: expired.map(coupon => coupon.id) } } }
+  );
+
+  const socketService = global.socketService;
+  if (socketService) {
+    expired.forEach(coupon => {
+      socketService.emitCouponStatusChanged({
+        id: coupon.id,
+        code: coupon.code,
+        discountType: coupon.discountType,
+        discountValue: coupon.discountValue,
+        minAmount: coupon.minAmount,
+        maxAmount: coupon.maxAmount,
+        expiryDate: coupon.expiryDate,
+        expiryTime: coupon.expiryTime,
+        agencyId: coupon.agencyId,
+        isActive: false,
+        action: 'expired'
+      });
+    });
+  }
+
+  logger.info(`Deactivated ${expired.length} expired coupons: ${expired.map(coupon => coupon.code).join(', ')}`);
+  return { deactivated: expired.length };
+};
+
+// Delete used and long-expired login OTPs
+const cleanupLoginOtps = async ({ now }) => {
+  const deleted = await LoginOTP.destroy({
+    where: {
+      [Op.or]: [
+        { isUsed: true },
+        { expiresAt: { [Op.lt]: new Date(now.getTime() - LOGIN_OTP_GRACE_MS) } }
+      ]
+    }
+  });
+  return { deleted };
+};
+
+// Alert admin and agency dashboards about every variant at or below its low-stock threshold
+const checkLowStock = async () => {
+  const inventories = await AgencyInventory.findAll({
+    where: { isActive: true },
+    include: [
+      { model: Product, as: 'Product', attributes: ['id', 'productName'] },
+      { model: Agency, as: 'Agency', attributes: ['id', 'name'], where: { status: 'active' } }
+    ]
+  });
+
+  const alerts = [];
+  inventories.forEach(inventory => {
+    const variants = Array.isArray(inventory.agencyVariants) ? inventory.agencyVariants : [];
+    const base = {
+      productId: inventory.Product.id,
+      productName: inventory.Product.productName,
+      agencyId: inventory.Agency.id,
+      agencyName: inventory.Agency.name,
+      lowStockThreshold: inventory.lowStockThreshold
+    };
+
+    if (variants.length > 0) {
+      variants
+        .filter(variant => (variant.stock || 0) <= inventory.lowStockThreshold)
+        .forEach(variant => alerts.push({ ...base, variantLabel: variant.label, stock: variant.stock || 0 }));
+    } else if (inventory.stock <= inventory.lowStockThreshold) {
+      alerts.push({ ...base, stock: inventory.stock });
+    }
+  });
+
+  const socketService = global.socketService;
+  if (socketService) {
+    alerts.forEach(alert => socketService.emitLowStockAlert(alert));
+  }
+
+  return {
+    alerts: alerts.length,
+    agencies: new Set(alerts.map(alert => alert.agencyId)).size
+  };
+};
+
+// Keep the job run history bounded
+const pruneJobHistory = async ({ now }) => {
+  const deleted = await JobRun.destroy({
+    where: {
+      status: { [Op.ne]: 'running' },
+      startedAt: { [Op.lt]: new Date(now.getTime() - JOB_RUN_RETENTION_DAYS * 24 * 60 * 60 * 1000) }
+    }
+  });
+  return { deleted };
+};
+
+let registered = false;
+
+/**
+ * Register the background jobs with the scheduler. Schedules are cron expressions in server local time.
+ */
+const registerScheduledJobs = () => {
+  if (registered) return jobSchedulerService;
+  registered = true;
+
+  jobSchedulerService.register({
+    name: 'refill-subscriptions',
+    description: 'Place due refill subscription orders, send pre-order reminders and resume ended pauses',
+    schedule: '0 * * * *',
+    handler: ({ now }) => subscriptionService.runDue(now),
+    runOnStart: true
+  });
+
+  jobSchedulerService.register({
+    name: 'refill-reminders',
+    description: 'Send "running low" reminders ahead of predicted cylinder run-out',
+    schedule: '0 */6 * * *',
+    handler: ({ now }) => refillPredictionService.sendDueReminders(now),
+    runOnStart: true
+  });
+
+  jobSchedulerService.register({
+    name: 'cancel-abandoned-drafts',
+    description: 'Cancel online-payment draft orders left unpaid, after re-checking Pesapal for late payments',
+    schedule: '*/10 * * * *',
+    handler: ({ now }) => draftOrderService.cancelAbandonedDrafts(now),
+    timeoutMinutes: 10
+  });
+
+  jobSchedulerService.register({
+    name: 'pesapal-reconciliation',
+    description: 'Compare recent Pesapal orders with their transaction status, apply missed payments and flag mismatches',
+    schedule: '0 2 * * *',
+    handler: ({ now }) => pesapalPaymentService.reconcilePayments(now)
+  });
+
+  jobSchedulerService.register({
+    name: 'provider-refund-status',
+    description: 'Complete provider refunds (Pesapal, mobile money) once the provider reports the payment reversed',
+    schedule: '20 * * * *',
+    handler: () => refundService.checkProviderRefunds(),
+    timeoutMinutes: 15
+  });
+
+  jobSchedulerService.register({
+    name: 'gateway-payment-status',
+    description: 'Apply pending mobile money and other gateway payments whose webhook never arrived',
+    schedule: '*/15 * * * *',
+    handler: ({ now }) => paymentGatewayService.checkPendingPayments(now),
+    timeoutMinutes: 10
+  });
+
+  jobSchedulerService.register({
+    name: 'wallet-top-up-status',
+    description: 'Credit or fail wallet top-ups whose Pesapal notification never arrived',
+    schedule: '*/30 * * * *',
+    handler: ({ now }) => pesapalPaymentService.checkPendingTopUps(now),
+    timeoutMinutes: 15
+  });
+
+  jobSchedulerService.register({
+    name: 'cod-cash-reconciliation',
+    description: "Reconcile yesterday's delivered COD totals against agent cash handovers and alert agencies about mismatches",
+    schedule: '30 0 * * *',
+    handler: ({ now }) => cashLedgerService.runDailyReconciliation(now),
+    timeoutMinutes: 15
+  });
+
+  jobSchedulerService.register({
+    name: 'expire-delivery-otps',
+    description: 'Clear expired delivery OTPs from orders',
+    schedule: '*/10 * * * *',
+    handler: expireDeliveryOtps,
+    timeoutMinutes: 5
+  });
+
+  jobSchedulerService.register({
+    name: 'deactivate-expired-coupons',
+    description: 'Deactivate coupons past their expiry date and time',
+    schedule: '*/15 * * * *',
+    handler: deactivateExpiredCoupons,
+    timeoutMinutes: 5
+  });
+
+  jobSchedulerService.register({
+    name: 'cleanup-login-otps',
+    description: 'Delete used and expired login OTPs',
+    schedule: '0 3 * * *',
+    handler: cleanupLoginOtps,
+    timeoutMinutes: 10
+  });
+
+  jobSchedulerService.register({
+    name: 'low-stock-check',
+    description: 'Send low-stock alerts for every agency variant at or below its threshold',
+    schedule: '0 7 * * *',
+    handler: checkLowStock,
+    timeoutMinutes: 10
+  });
+
+  jobSchedulerService.register({
+    name: 'prune-job-history',
+    description: `Delete job runs older than ${JOB_RUN_RETENTION_DAYS} days`,
+    schedule: '30 3 * * *',
+    handler: pruneJobHistory,
+    timeoutMinutes: 10
+  });
+
+  return jobSchedulerService;
+};
+
+module.exports = {
+  registerScheduledJobs
+};
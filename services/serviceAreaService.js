@@ -0,0 +1,336 @@
+const { Agency, DeliveryCharge, DeliveryZone, User } = require('../models');
+const distanceService = require('./distanceService');
+const deliveryZoneService = require('./deliveryZoneService');
+const { hasCoordinates } = require('./distanceProviders/providerUtils');
+const { haversineDistanceKm } = require('../utils/helpers');
+const { createError } = require('../utils/errorHandler');
+const { findSlot } = require('../utils/slotUtils');
+const { evaluateDeliveryRules } = require('../utils/deliveryChargeRules');
+const logger = require('../utils/logger');
+
+const normalizeText = (text) => (text || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+class ServiceAreaService {
+  /**
+   * Distance point for a saved customer address (or any { address, city, pincode, latitude, longitude })
+   */
+  toAddressPoint(address) {
+    return {
+      latitude: address.latitude,
+      longitude: address.longitude,
+      address: [address.address, address.city, address.pincode].filter(Boolean).join(', ')
+    };
+  }
+
+  toAgencyPoint(agency) {
+    return {
+      latitude: agency.latitude,
+      longitude: agency.longitude,
+      address: `${agency.address}, ${agency.city}, ${agency.pincode}`
+    };
+  }
+
+  /**
+   * Delivery charge for a distance under an agency's DeliveryCharge config
+   */
+  calculateChargeAmount(deliveryChargeConfig, distanceKm) {
+    if (deliveryChargeConfig.chargeType === 'fixed') {
+      return Math.floor(parseFloat(deliveryChargeConfig.fixedAmount));
+    } else if (deliveryChargeConfig.chargeType === 'per_km') {
+      return Math.floor(distanceKm * parseFloat(deliveryChargeConfig.ratePerKm));
+    }
+    return 0;
+  }
+
+  /**
+   * Check whether an agency delivers to a point.
+   * serves is true/false, or null when it could not be determined (no distance, or no coordinates for zones).
+   * Active DeliveryZones take precedence over the DeliveryCharge radius; agencies with neither
+   * serve any address at no charge.
+   * @param {object} agency - Agency instance
+   * @param {object} point - Customer point { latitude, longitude, address }
+   * @param {object} preloaded - { zones, deliveryChargeConfig } already fetched for the agency (looked up when undefined)
+   */
+  async checkAgency(agency, point, preloaded = {}) {
+    const zones = preloaded.zones !== undefined
+      ? preloaded.zones
+      : await deliveryZoneService.getActiveZones(agency.id);
+
+    if (zones.length > 0) {
+      return this.checkZones(agency, zones, point);
+    }
+
+    const config = preloaded.deliveryChargeConfig !== undefined
+      ? preloaded.deliveryChargeConfig
+      : await DeliveryCharge.findOne({ where: { agencyId: agency.id, status: 'active' } });
+
+    if (!config) {
+      return { serves: true, serviceAreaType: 'not_configured', distanceKm: null, deliveryRadius: null, deliveryCharge: 0, chargeType: 'not_configured' };
+    }
+
+    const deliveryRadius = parseFloat(config.deliveryRadius);
+    const agencyPoint = this.toAgencyPoint(agency);
+    const outsideMessage = (distanceKm) =>
+      `Delivery not available. Customer location is ${distanceKm} km away, but delivery is only available within ${deliveryRadius} km radius.`;
+
+    // Road distance is never shorter than the straight line, so skip the provider call for clearly distant agencies
+    if (hasCoordinates(agencyPoint) && hasCoordinates(point)) {
+      const straightLineKm = parseFloat(haversineDistanceKm(agencyPoint.latitude, agencyPoint.longitude, point.latitude, point.longitude).toFixed(2));
+      if (straightLineKm > deliveryRadius) {
+        return { serves: false, serviceAreaType: 'radius', distanceKm: straightLineKm, deliveryRadius, deliveryCharge: null, chargeType: config.chargeType, message: outsideMessage(straightLineKm) };
+      }
+    }
+
+    const estimate = await this.estimateDistance(agency, point);
+    if (!estimate) {
+      return { serves: null, serviceAreaType: 'radius', distanceKm: null, deliveryRadius, deliveryCharge: null, chargeType: config.chargeType };
+    }
+
+    const distanceKm = parseFloat(estimate.distanceKm.toFixed(2));
+    const serves = distanceKm <= deliveryRadius;
+
+    return {
+      serves,
+      serviceAreaType: 'radius',
+      distanceKm,
+      deliveryRadius,
+      deliveryCharge: serves ? this.calculateChargeAmount(config, distanceKm) : null,
+      chargeType: config.chargeType,
+      provider: estimate.provider,
+      ...(!serves && { message: outsideMessage(distanceKm) })
+    };
+  }
+
+  /**
+   * Zone lookup for agencies that have drawn delivery zones. Needs the customer's coordinates;
+   * distance is only looked up for per_km zones.
+   */
+  async checkZones(agency, zones, point) {
+    if (!hasCoordinates(point)) {
+      return { serves: null, serviceAreaType: 'zone', zone: null, distanceKm: null, deliveryCharge: null, chargeType: null };
+    }
+
+    const zone = deliveryZoneService.findZoneForPoint(zones, point);
+    if (!zone) {
+      return {
+        serves: false,
+        serviceAreaType: 'zone',
+        zone: null,
+        distanceKm: null,
+        deliveryCharge: null,
+        chargeType: null,
+        message: `Delivery not available. This address is outside ${agency.name}'s delivery zones.`
+      };
+    }
+
+    const result = {
+      serves: true,
+      serviceAreaType: 'zone',
+      zone: { id: zone.id, name: zone.name },
+      distanceKm: null,
+      deliveryCharge: 0,
+      chargeType: zone.chargeType,
+      minOrderValue: parseFloat(zone.minOrderValue)
+    };
+
+    if (zone.chargeType === 'fixed') {
+      result.deliveryCharge = this.calculateChargeAmount(zone, 0);
+      return result;
+    }
+
+    const estimate = await this.estimateDistance(agency, point);
+    if (estimate) {
+      result.distanceKm = parseFloat(estimate.distanceKm.toFixed(2));
+      result.deliveryCharge = this.calculateChargeAmount(zone, result.distanceKm);
+      result.provider = estimate.provider;
+    } else {
+      logger.warn(`Could not calculate distance for per_km zone ${zone.name} of agency ${agency.name}`);
+    }
+
+    return result;
+  }
+
+  async estimateDistance(agency, point) {
+    try {
+      return await distanceService.getTravelEstimate(this.toAgencyPoint(agency), point);
+    } catch (error) {
+      // Address not found / no route: treated the same as a provider outage
+      logger.warn(`Distance lookup failed for agency ${agency.name}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Active zones and delivery charges of every agency in two queries, for checking many agencies at once.
+   * forAgency(agencyId) returns the preloaded argument for checkAgency.
+   */
+  async loadServiceAreas() {
+    const charges = await DeliveryCharge.findAll({ where: { status: 'active' } });
+    const chargeByAgency = {};
+    charges.forEach(charge => {
+      chargeByAgency[charge.agencyId] = charge;
+    });
+
+    const zones = await DeliveryZone.findAll({
+      where: { status: 'active' },
+      order: [['priority', 'DESC'], ['createdAt', 'ASC']]
+    });
+    const zonesByAgency = {};
+    zones.forEach(zone => {
+      zonesByAgency[zone.agencyId] = zonesByAgency[zone.agencyId] || [];
+      zonesByAgency[zone.agencyId].push(zone);
+    });
+
+    return {
+      forAgency: (agencyId) => ({
+        zones: zonesByAgency[agencyId] || [],
+        deliveryChargeConfig: chargeByAgency[agencyId] || null
+      })
+    };
+  }
+
+  /**
+   * Active agencies that deliver to a point: zone matches first, then radius matches nearest first,
+   * then agencies with no service area configured.
+   * @param {object} point - Customer point { latitude, longitude, address }
+   */
+  async findServingAgencies(point) {
+    const agencies = await Agency.findAll({
+      where: { status: 'active' },
+      attributes: ['id', 'name', 'email', 'phone', 'address', 'city', 'pincode', 'landmark', 'profileImage', 'latitude', 'longitude', 'pickupEnabled']
+    });
+
+    const serviceAreas = await this.loadServiceAreas();
+
+    const results = await Promise.all(agencies.map(async (agency) => {
+      const check = await this.checkAgency(agency, point, serviceAreas.forAgency(agency.id));
+      return { agency, ...check };
+    }));
+
+    const typeOrder = { zone: 0, radius: 1, not_configured: 2 };
+
+    return results
+      .filter(result => result.serves === true)
+      .sort((a, b) => {
+        if (a.serviceAreaType !== b.serviceAreaType) return typeOrder[a.serviceAreaType] - typeOrder[b.serviceAreaType];
+        return (a.distanceKm || 0) - (b.distanceKm || 0);
+      })
+      .map(({ agency, serves, message, ...check }) => ({
+        id: agency.id,
+        name: agency.name,
+        phone: agency.phone,
+        address: agency.address,
+        city: agency.city,
+        pincode: agency.pincode,
+        landmark: agency.landmark,
+        profileImage: agency.profileImage,
+        pickupEnabled: agency.pickupEnabled,
+        ...check
+      }));
+  }
+
+  /**
+   * Where a home delivery order is going, in order of preference: a saved address picked by addressId,
+   * coordinates sent with the order, the typed customerAddress (matched against saved addresses),
+   * then the customer's first saved address.
+   * @param {object} value - Validated createOrder body
+   * @returns {object|null} Point { latitude, longitude, address }
+   */
+  async resolveDeliveryPoint(value) {
+    const customer = await User.findOne({
+      where: { email: value.customerEmail }
+    });
+    const addresses = customer && Array.isArray(customer.addresses) ? customer.addresses : [];
+
+    if (value.addressId) {
+      const savedAddress = addresses.find(addr => addr.id === value.addressId);
+      if (!savedAddress) {
+        throw createError(400, 'Delivery address not found in customer profile');
+      }
+      return this.toAddressPoint(savedAddress);
+    }
+
+    const sentPoint = {
+      latitude: value.deliveryLatitude,
+      longitude: value.deliveryLongitude,
+      address: value.customerAddress
+    };
+    if (hasCoordinates(sentPoint)) {
+      return sentPoint;
+    }
+
+    if (value.customerAddress) {
+      // Reuse stored coordinates when the typed address is one of the saved ones
+      const typed = normalizeText(value.customerAddress);
+      const savedAddress = addresses.find(addr =>
+        normalizeText(addr.address) === typed || normalizeText(this.toAddressPoint(addr).address) === typed
+      );
+      return savedAddress ? this.toAddressPoint(savedAddress) : sentPoint;
+    }
+
+    if (addresses.length > 0) {
+      return this.toAddressPoint(addresses[0]);
+    }
+
+    return null;
+  }
+
+  /**
+   * Run the agency's ordered DeliveryCharge.rules over a service area check's base charge.
+   * @param {object} agency - Agency instance (its deliverySlots resolve slotId)
+   * @param {object} check - Result of checkAgency / checkZones
+   * @param {object} options - { subtotal, slotId, slotDate }; no slot means express delivery
+   * @param {object} deliveryChargeConfig - Agency's active DeliveryCharge (looked up when undefined)
+   * @returns {object} { deliveryCharge, breakdown }
+   */
+  async priceDelivery(agency, check, options = {}, deliveryChargeConfig) {
+    const config = deliveryChargeConfig !== undefined
+      ? deliveryChargeConfig
+      : await DeliveryCharge.findOne({ where: { agencyId: agency.id, status: 'active' } });
+    const slot = options.slotId ? findSlot(agency.deliverySlots, options.slotId) : null;
+
+    return evaluateDeliveryRules(config ? config.rules : [], check.deliveryCharge || 0, {
+      distanceKm: check.distanceKm,
+      subtotal: options.subtotal !== undefined ? options.subtotal : null,
+      slot: slot ? { startTime: slot.startTime, slotDate: options.slotDate } : null
+    });
+  }
+
+  /**
+   * Delivery charge and distance for checkout. Throws a 400 when the point is outside the agency's
+   * service area or the subtotal is below the zone's minimum order value, and a 503 when the area or a
+   * per km charge can't be worked out (no coordinates, distance provider down) rather than delivering free.
+   * @param {object} agency - Agency instance
+   * @param {object} point - Customer point { latitude, longitude, address }
+   * @param {object} options - { subtotal, slotId, slotDate } for minimum order value and charge rules
+   * @returns {object} { deliveryChargeAmount, deliveryDistance, deliveryZone, deliveryChargeBreakdown }
+   */
+  async quoteDelivery(agency, point, options = {}) {
+    const check = await this.checkAgency(agency, point);
+
+    if (check.serves === false) {
+      throw createError(400, check.message);
+    }
+
+    if (check.serves === null || (check.chargeType === 'per_km' && check.distanceKm === null)) {
+      logger.warn(`Could not check delivery area or distance for agency ${agency.name}; checkout refused`);
+      throw createError(503, 'Delivery charge could not be calculated for this address right now. Please try again shortly.');
+    }
+
+    if (check.minOrderValue && options.subtotal < check.minOrderValue) {
+      throw createError(400, `Minimum order value for delivery to ${check.zone.name} is KSH${check.minOrderValue}`);
+    }
+
+    const pricing = await this.priceDelivery(agency, check, options);
+
+    return {
+      deliveryChargeAmount: pricing.deliveryCharge,
+      deliveryDistance: check.distanceKm,
+      deliveryZone: check.zone || null,
+      deliveryChargeBreakdown: pricing.breakdown
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new ServiceAreaService();
@@ -254,6 +254,25 @@ class SocketService {
       }
     });
 
+    // GPS pings from agents on out_for_delivery orders, relayed to each order's customer and agency
+    socket.on('agent:location', async (data, ack) => {
+      const respond = typeof ack === 'function' ? ack : () => {};
+
+      if (user.role !== 'agent') {
+        logger.warn(`User ${user.email} tried to send agent location without agent role`);
+        return respond({ success: false, message: 'Only delivery agents can send location updates' });
+      }
+
+      try {
+        const locationTrackingService = require('./locationTrackingService');
+        const result = await locationTrackingService.recordPing(user.id, data);
+        respond({ success: true, ...result });
+      } catch (error) {
+        logger.error(`Error recording location for agent ${user.id}:`, error.message);
+        respond({ success: false, message: error.message });
+      }
+    });
+
     // Leave specific agency room
     socket.on('leave-agency-room', (data) => {
       const { agencyId } = data;
@@ -295,6 +314,10 @@ class SocketService {
     if (user.id !== 'anonymous') {
       this.connectedUsers.delete(user.id);
     }
+
+    if (user.role === 'agent') {
+      require('./locationTrackingService').clearAgent(user.id);
+    }
   }
 
   // ========== NOTIFICATION METHODS ==========
@@ -398,6 +421,50 @@ class SocketService {
     }
   }
 
+  // Agent accepted or declined an assigned order (orderData.response = 'accepted' | 'declined')
+  emitOrderAgentResponse(orderData) {
+    const type = orderData.response === 'declined' ? 'ORDER_DECLINED' : 'ORDER_ACCEPTED';
+
+    this.io.to(this.rooms.ADMIN).emit('order:agent-response', {
+      type,
+      data: orderData,
+      timestamp: new Date()
+    });
+
+    if (orderData.agencyId) {
+      this.io.to(`agency-${orderData.agencyId}`).emit('order:agent-response', {
+        type,
+        data: orderData,
+        timestamp: new Date()
+      });
+    }
+
+    this.io.to('orders-updates').emit('order:agent-response', {
+      type,
+      data: orderData,
+      timestamp: new Date()
+    });
+  }
+
+  // Live agent position for one order: only that order's customer and agency receive it
+  emitAgentLocation(locationData) {
+    if (locationData.customerEmail) {
+      this.io.to(`customer-${locationData.customerEmail}`).emit('order:agent-location', {
+        type: 'AGENT_LOCATION',
+        data: locationData,
+        timestamp: new Date()
+      });
+    }
+
+    if (locationData.agencyId) {
+      this.io.to(`agency-${locationData.agencyId}`).emit('order:agent-location', {
+        type: 'AGENT_LOCATION',
+        data: locationData,
+        timestamp: new Date()
+      });
+    }
+  }
+
   emitOrderDelivered(orderData) {
     this.io.to(this.rooms.ADMIN).emit('order:delivered', {
       type: 'ORDER_DELIVERED',
@@ -529,6 +596,23 @@ class SocketService {
 
   }
 
+  // Refill subscription that failed to place or pay its order
+  emitSubscriptionAlert(alertData) {
+    this.io.to(this.rooms.ADMIN).emit('subscription:alert', {
+      type: 'SUBSCRIPTION_ALERT',
+      data: alertData,
+      timestamp: new Date()
+    });
+
+    if (alertData.agencyId) {
+      this.io.to(`agency-${alertData.agencyId}`).emit('subscription:alert', {
+        type: 'SUBSCRIPTION_ALERT',
+        data: alertData,
+        timestamp: new Date()
+      });
+    }
+  }
+
   // Agency notifications
   emitAgencyCreated(agencyData) {
     this.io.to(this.rooms.ADMIN).emit('agency:created', {
@@ -0,0 +1,164 @@
+const { v4: uuidv4 } = require('uuid');
+const { sequelize } = require('../config/database');
+const { Order } = require('../models');
+const paymentGatewayService = require('./paymentGatewayService');
+const { hasCoordinates } = require('./distanceProviders/providerUtils');
+const {
+  generateOrderNumber,
+  calculateOrderTotals,
+  deductStockFromAgency
+} = require('../utils/orderUtils');
+const { createError } = require('../utils/errorHandler');
+const logger = require('../utils/logger');
+
+class SplitCheckoutService {
+  /**
+   * checkoutService prices every order; required on use because it requires this service
+   */
+  getCheckoutService() {
+    return require('./checkoutService');
+  }
+
+  /**
+   * Price one agency's share of the cart with the single-agency checkout pricing: items at the
+   * agency's prices, the agency's own delivery charge and tax. Checks stock and the payment
+   * method, so nothing is created when any shipment falls short.
+   * @param {object} value - Validated createOrder body
+   * @param {object} shipment - { agency, items } from orderRoutingService.splitOrder
+   * @param {object} point - Delivery point
+   * @param {object} settings - From checkoutService.getChargeSettings
+   * @returns {object} Order attributes without platform charge, totals or checkout id
+   */
+  async priceShipment(value, shipment, point, settings) {
+    const { agency } = shipment;
+    const checkoutService = this.getCheckoutService();
+    paymentGatewayService.assertAgencyAccepts(agency, value);
+
+    // Each order carries its own tax; a fixed tax is charged per order
+    const { items, subtotal, taxAmount } = await checkoutService.priceItems(shipment.items, agency.id, settings, { checkPrices: false });
+    await checkoutService.assertStock(items, agency);
+
+    const { deliveryChargeAmount, deliveryDistance, deliveryChargeBreakdown } = await checkoutService.quoteDeliveryCharge(agency, point, { subtotal });
+
+    return {
+      agencyId: agency.id,
+      items,
+      subtotal,
+      taxAmount,
+      deliveryChargeAmount,
+      deliveryDistance,
+      deliveryChargeBreakdown
+    };
+  }
+
+  /**
+   * Share the checkout's platform charge between its orders by subtotal. The last order takes the
+   * rounding remainder so the checkout pays the charge exactly once.
+   * @param {number} platformChargeAmount - Platform charge of the checkout
+   * @param {number[]} subtotals - Subtotal of each order
+   * @returns {number[]} Platform charge of each order
+   */
+  allocatePlatformCharge(platformChargeAmount, subtotals) {
+    const checkoutSubtotal = subtotals.reduce((sum, subtotal) => sum + subtotal, 0);
+    let left = platformChargeAmount;
+
+    return subtotals.map((subtotal, index) => {
+      const share = index === subtotals.length - 1
+        ? left
+        : parseFloat((platformChargeAmount * (subtotal / checkoutSubtotal)).toFixed(2));
+      left = parseFloat((left - share).toFixed(2));
+      return share;
+    });
+  }
+
+  /**
+   * Create the sibling orders of a split cart, linked by a new checkout id. The platform charge
+   * is paid once per checkout and shared between the orders by subtotal.
+   * @param {object} value - Validated createOrder body
+   * @param {object} split - { point, shipments } from orderRoutingService.splitOrder
+   * @param {object} options - { draft: true } for online payment: orders stay pending and stock is
+   *   deducted when the payment succeeds
+   * @returns {object} { checkoutId, orders, totalAmount }
+   */
+  async createOrders(value, split, options = {}) {
+    // A coupon belongs to one agency and a slot to one agency's calendar: neither carries over to the other orders
+    if (value.couponCode && value.couponCode.trim() !== '') {
+      throw createError(400, 'Coupons are not available when the cart is split across agencies');
+    }
+    if (value.slotId) {
+      throw createError(400, 'Delivery slots are not available when the cart is split across agencies');
+    }
+
+    const { point, shipments } = split;
+    const checkoutService = this.getCheckoutService();
+    const settings = await checkoutService.getChargeSettings();
+
+    const priced = [];
+    for (const shipment of shipments) {
+      priced.push(await this.priceShipment(value, shipment, point, settings));
+    }
+
+    const platformCharges = this.allocatePlatformCharge(settings.platformChargeAmount, priced.map(shipment => shipment.subtotal));
+    const checkoutId = uuidv4();
+    const orders = [];
+
+    // All orders and their stock or none: a failure part way leaves no partial checkout behind
+    await sequelize.transaction(async (transaction) => {
+      for (let index = 0; index < priced.length; index++) {
+        const shipment = priced[index];
+        const platformCharge = platformCharges[index];
+
+        checkoutService.applyPlatformCharge(shipment.items, shipment.subtotal, platformCharge, settings.taxValue);
+
+        const { depositAmount } = calculateOrderTotals(shipment.items);
+        const totalAmount = shipment.subtotal + shipment.taxAmount + platformCharge + shipment.deliveryChargeAmount + depositAmount;
+
+        const order = await Order.create({
+          orderNumber: generateOrderNumber(),
+          checkoutId,
+          customerName: value.customerName,
+          customerEmail: value.customerEmail,
+          customerPhone: value.customerPhone,
+          customerAddress: value.customerAddress || null,
+          deliveryLatitude: hasCoordinates(point) ? point.latitude : null,
+          deliveryLongitude: hasCoordinates(point) ? point.longitude : null,
+          deliveryMode: value.deliveryMode,
+          items: shipment.items,
+          subtotal: parseFloat(shipment.subtotal.toFixed(2)),
+          taxType: settings.taxType,
+          taxValue: parseFloat(settings.taxValue.toFixed(2)),
+          taxAmount: parseFloat(shipment.taxAmount.toFixed(2)),
+          platformCharge,
+          deliveryCharge: parseFloat(shipment.deliveryChargeAmount.toFixed(2)),
+          deliveryDistance: shipment.deliveryDistance,
+          deliveryChargeBreakdown: shipment.deliveryChargeBreakdown,
+          couponCode: null,
+          couponDiscount: 0,
+          depositAmount,
+          totalAmount: parseFloat(totalAmount.toFixed(2)),
+          paymentMethod: value.paymentMethod,
+          status: 'pending',
+          paymentStatus: 'pending',
+          isDraft: !!options.draft,
+          agencyId: shipment.agencyId
+        }, { transaction });
+
+        if (!options.draft) {
+          await deductStockFromAgency(order, transaction);
+        }
+
+        orders.push(order);
+      }
+    });
+
+    const totalAmount = parseFloat(orders.reduce((sum, order) => sum + parseFloat(order.totalAmount), 0).toFixed(2));
+
+    logger.info(`Split checkout ${checkoutId} created: ${orders.map(order => `${order.orderNumber} (agency: ${order.agencyId})`).join(', ')}` +
+      (options.draft ? ' (stock not deducted - waiting for payment)' : ''));
+
+    return { checkoutId, orders, totalAmount };
+  }
+}
+
+// Export singleton instance
+module.exports = new SplitCheckoutService();
@@ -0,0 +1,294 @@
+const { Op } = require('sequelize');
+const { RefillSubscription, User, Product, AgencyInventory, Notification } = require('../models');
+const { createOrder } = require('../validations/orderValidation');
+const checkoutService = require('./checkoutService');
+const notificationService = require('./notificationService');
+const { toDateString } = require('../utils/slotUtils');
+const { createError } = require('../utils/errorHandler');
+const logger = require('../utils/logger');
+
+// Consecutive failed runs after which a subscription is paused until the customer resumes it
+const MAX_FAILURES = 3;
+
+class SubscriptionService {
+  getSocketService() {
+    return global.socketService;
+  }
+
+  /**
+   * Add days to a YYYY-MM-DD date
+   */
+  addDays(dateString, days) {
+    const date = new Date(`${dateString}T00:00:00`);
+    date.setDate(date.getDate() + days);
+    return toDateString(date);
+  }
+
+  /**
+   * Next refill date after a run; a late run (server down, retries) restarts the cycle from today
+   */
+  nextRunDateAfter(subscription, today) {
+    const next = this.addDays(subscription.nextRunDate, subscription.intervalDays);
+    return next > today ? next : this.addDays(today, subscription.intervalDays);
+  }
+
+  /**
+   * createOrder body for one refill, validated exactly like a checkout request
+   * @returns {object} { user, value }
+   */
+  async buildOrderBody(subscription) {
+    const user = await User.findByPk(subscription.userId);
+    if (!user) {
+      throw createError(404, 'Customer not found');
+    }
+
+    const address = (user.addresses || []).find(addr => addr.id === subscription.addressId);
+    if (!address) {
+      throw createError(400, 'The delivery address of this subscription no longer exists');
+    }
+
+    const product = await Product.findByPk(subscription.productId);
+    if (!product) {
+      throw createError(404, 'Product not found');
+    }
+
+    const inventory = await AgencyInventory.findOne({
+      where: {
+        productId: subscription.productId,
+        agencyId: subscription.agencyId,
+        isActive: true
+      }
+    });
+    const variant = inventory && Array.isArray(inventory.agencyVariants)
+      ? inventory.agencyVariants.find(v => v.label === subscription.variantLabel)
+      : null;
+    if (!variant) {
+      throw createError(400, `${product.productName} (${subscription.variantLabel}) is no longer available at this agency`);
+    }
+
+    const { error, value } = createOrder.validate({
+      customerName: user.name,
+      customerEmail: user.email,
+      customerPhone: (user.phone || '').replace(/\D/g, ''),
+      customerAddress: [address.address, address.city, address.pincode].filter(Boolean).join(', '),
+      addressId: address.id,
+      deliveryMode: 'home_delivery',
+      agencyId: subscription.agencyId,
+      items: [{
+        productId: subscription.productId,
+        productName: product.productName,
+        variantLabel: subscription.variantLabel,
+        variantPrice: parseFloat(variant.price),
+        quantity: subscription.quantity
+      }],
+      paymentMethod: subscription.paymentMethod
+    });
+    if (error) {
+      throw createError(400, error.details[0].message);
+    }
+
+    return { user, value };
+  }
+
+  /**
+   * Place the refill order through the regular checkout path and move the subscription on
+   * @returns {object} { status: 'success' | 'failed', orderId, error }
+   */
+  async runSubscription(subscription, today = toDateString(new Date())) {
+    try {
+      const { value } = await this.buildOrderBody(subscription);
+      const { order } = await checkoutService.placeOrder(value, { subscriptionId: subscription.id, walletUserId: subscription.userId });
+
+      await subscription.update({
+        lastOrderId: order.id,
+        lastRunAt: new Date(),
+        lastRunStatus: 'success',
+        lastError: null,
+        failureCount: 0,
+        nextRunDate: this.nextRunDateAfter(subscription, today)
+      });
+
+      logger.info(`Refill subscription ${subscription.id} placed order ${order.orderNumber}, next refill ${subscription.nextRunDate}`);
+      return { status: 'success', orderId: order.id };
+    } catch (error) {
+      const failureCount = subscription.failureCount + 1;
+      const updates = {
+        lastRunAt: new Date(),
+        lastRunStatus: 'failed',
+        lastError: error.message,
+        failureCount,
+        // Try again tomorrow; stock is often back within a day
+        nextRunDate: this.addDays(today, 1)
+      };
+      if (failureCount >= MAX_FAILURES) {
+        updates.status = 'paused';
+        updates.pausedUntil = null;
+      }
+      await subscription.update(updates);
+
+      logger.warn(`Refill subscription ${subscription.id} failed (${failureCount}/${MAX_FAILURES}): ${error.message}`);
+      await this.raiseFailure(subscription, 'order', error.message);
+      return { status: 'failed', error: error.message };
+    }
+  }
+
+  /**
+   * Pesapal reported a failed payment for an order placed by a subscription
+   */
+  async handlePaymentFailed(order, pesapalStatus) {
+    const subscription = await RefillSubscription.findByPk(order.subscriptionId);
+    if (!subscription) return;
+
+    const message = `Payment for refill order #${order.orderNumber} failed (${pesapalStatus})`;
+    await subscription.update({
+      lastRunStatus: 'failed',
+      lastError: message
+    });
+    await this.raiseFailure(subscription, 'payment', message, order);
+  }
+
+  /**
+   * Tell the customer (push + in-app) and the admin/agency dashboards that a refill didn't go through
+   * @param {string} reason - 'order' when the order couldn't be placed (stock, address...), 'payment'
+   */
+  async raiseFailure(subscription, reason, message, order = null) {
+    const socketService = this.getSocketService();
+    if (socketService) {
+      socketService.emitSubscriptionAlert({
+        subscriptionId: subscription.id,
+        userId: subscription.userId,
+        agencyId: subscription.agencyId,
+        reason,
+        message,
+        failureCount: subscription.failureCount,
+        status: subscription.status,
+        orderId: order ? order.id : null
+      });
+    }
+
+    try {
+      const customer = await User.findByPk(subscription.userId);
+      if (!customer) return;
+
+      const title = reason === 'payment' ? 'Refill Payment Failed' : 'Refill Order Failed';
+      const content = subscription.status === 'paused'
+        ? `We could not place your scheduled refill: ${message}. Your subscription has been paused, resume it once the issue is fixed.`
+        : `We could not place your scheduled refill: ${message}. We will try again tomorrow.`;
+      const data = {
+        type: 'SUBSCRIPTION_FAILED',
+        subscriptionId: subscription.id,
+        reason,
+        ...(order && { orderId: order.id, orderNumber: order.orderNumber })
+      };
+
+      await Notification.create({
+        userId: customer.id,
+        title,
+        content,
+        notificationType: reason === 'payment' ? 'PAYMENT' : 'ORDER_STATUS',
+        data,
+        orderId: order ? order.id : null
+      });
+
+      if (customer.fcmToken) {
+        await notificationService.sendToDevice(customer.fcmToken, title, content, data, {
+          recipientType: 'user',
+          recipientId: customer.id,
+          notificationType: 'SUBSCRIPTION_FAILED'
+        });
+      }
+    } catch (notifError) {
+      logger.error('Error sending refill failure notification:', notifError.message);
+    }
+  }
+
+  /**
+   * Pre-order reminder, sent reminderDaysBefore days ahead of each refill
+   */
+  async sendReminder(subscription) {
+    try {
+      const customer = await User.findByPk(subscription.userId, { attributes: ['id', 'fcmToken'] });
+      if (customer) {
+        const title = 'Refill Coming Up';
+        const content = `Your gas refill will be ordered on ${subscription.nextRunDate}. Skip, pause or reschedule it from your subscriptions if you don't need it.`;
+        const data = {
+          type: 'SUBSCRIPTION_REMINDER',
+          subscriptionId: subscription.id,
+          nextRunDate: subscription.nextRunDate
+        };
+
+        await Notification.create({
+          userId: customer.id,
+          title,
+          content,
+          notificationType: 'OTHER',
+          data
+        });
+
+        if (customer.fcmToken) {
+          await notificationService.sendToDevice(customer.fcmToken, title, content, data, {
+            recipientType: 'user',
+            recipientId: customer.id,
+            notificationType: 'SUBSCRIPTION_REMINDER'
+          });
+        }
+      }
+    } catch (notifError) {
+      logger.error(`Error sending refill reminder for subscription ${subscription.id}:`, notifError.message);
+    }
+
+    await subscription.update({ lastReminderFor: subscription.nextRunDate });
+  }
+
+  /**
+   * One scheduler pass: resume subscriptions whose pause ended, send reminders, place due refills
+   * @returns {object} Counts for the pass
+   */
+  async runDue(now = new Date()) {
+    const today = toDateString(now);
+    const summary = { resumed: 0, reminded: 0, placed: 0, failed: 0 };
+
+    const resumable = await RefillSubscription.findAll({
+      where: { status: 'paused', pausedUntil: { [Op.lte]: today } }
+    });
+    for (const subscription of resumable) {
+      await subscription.update({
+        status: 'active',
+        pausedUntil: null,
+        nextRunDate: subscription.nextRunDate < today ? today : subscription.nextRunDate
+      });
+      summary.resumed++;
+    }
+
+    const upcoming = await RefillSubscription.findAll({
+      where: {
+        status: 'active',
+        nextRunDate: { [Op.gt]: today, [Op.lte]: this.addDays(today, 7) }
+      }
+    });
+    for (const subscription of upcoming) {
+      const remindFrom = this.addDays(subscription.nextRunDate, -subscription.reminderDaysBefore);
+      if (subscription.reminderDaysBefore > 0 && remindFrom <= today && subscription.lastReminderFor !== subscription.nextRunDate) {
+        await this.sendReminder(subscription);
+        summary.reminded++;
+      }
+    }
+
+    const due = await RefillSubscription.findAll({
+      where: { status: 'active', nextRunDate: { [Op.lte]: today } },
+      order: [['nextRunDate', 'ASC']]
+    });
+    for (const subscription of due) {
+      const result = await this.runSubscription(subscription, today);
+      summary[result.status === 'success' ? 'placed' : 'failed']++;
+    }
+
+    if (summary.resumed || summary.reminded || summary.placed || summary.failed) {
+      logger.info(`Refill subscriptions: ${summary.placed} placed, ${summary.failed} failed, ${summary.reminded} reminded, ${summary.resumed} resumed`);
+    }
+    return summary;
+  }
+}
+
+// Export singleton instance
+module.exports = new SubscriptionService();
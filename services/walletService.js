@@ -0,0 +1,480 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { WalletAccount, WalletTransaction, WalletEntry, WalletTopUp, User, Order } = require('../models');
+const { submitOrderRequest } = require('../utils/pesapalConfig');
+const { createError } = require('../utils/errorHandler');
+const logger = require('../utils/logger');
+
+// System account on the other side of each kind of wallet movement
+const SYSTEM_ACCOUNTS = {
+  top_up: 'pesapal_top_ups',
+  refund: 'refunds',
+  adjustment: 'adjustments',
+  order_payment: 'order_payments',
+  order_payment_reversal: 'order_payments'
+};
+
+const toAmount = (value) => parseFloat(parseFloat(value || 0).toFixed(2));
+
+class WalletService {
+  getSocketService() {
+    return global.socketService;
+  }
+
+  getActor(user) {
+    if (!user) {
+      return { id: null, name: 'System' };
+    }
+    return { id: user.id || null, name: user.name || user.email };
+  }
+
+  customerAccountCode(userId) {
+    return `customer:${userId}`;
+  }
+
+  async getAccount(code, defaults, transaction) {
+    const [account] = await WalletAccount.findOrCreate({
+      where: { code },
+      defaults: { balance: 0, ...defaults },
+      transaction
+    });
+    return account;
+  }
+
+  /**
+   * Balances after moving amount into a customer wallet and out of its system account. The two
+   * sides always add up to 0; a customer wallet never goes below 0 (400).
+   * @returns {object} { customerBalance, systemBalance }
+   */
+  postingBalances(customerBalance, systemBalance, amount) {
+    const value = toAmount(amount);
+    const customer = toAmount(parseFloat(customerBalance) + value);
+    if (customer < 0) {
+      throw createError(400, `Insufficient wallet balance. Available: KSH${toAmount(customerBalance).toFixed(2)}, Required: KSH${Math.abs(value).toFixed(2)}`);
+    }
+    return { customerBalance: customer, systemBalance: toAmount(parseFloat(systemBalance) - value) };
+  }
+
+  /**
+   * Post a double-entry wallet transaction: the customer wallet moves by amount and the system
+   * account of the type by the opposite. Both accounts are locked, customer first, so balances and
+   * balanceAfter stay exact under concurrent postings. A customer wallet never goes below 0.
+   * @param {object} movement - { userId, type, amount (+ credit / - debit), description, orderId, refundId, topUpId, idempotencyKey, user }
+   * @param {object} transaction - Optional outer transaction (e.g. the checkout creating the order)
+   * @returns {object} WalletTransaction with its Entries
+   */
+  async post({ userId, type, amount, description, orderId = null, refundId = null, topUpId = null, idempotencyKey = null, user = null }, transaction = null) {
+    const value = toAmount(amount);
+    if (value === 0) {
+      throw createError(400, 'Wallet amount must not be 0');
+    }
+    const actor = this.getActor(user);
+
+    const run = async (t) => {
+      if (idempotencyKey) {
+        const existing = await WalletTransaction.findOne({
+          where: { idempotencyKey },
+          include: [{ model: WalletEntry, as: 'Entries' }],
+          transaction: t
+        });
+        if (existing) return existing;
+      }
+
+      const customerAccount = await this.getAccount(this.customerAccountCode(userId), { type: 'customer', userId }, t);
+      const systemAccount = await this.getAccount(SYSTEM_ACCOUNTS[type], { type: 'system' }, t);
+      const customer = await WalletAccount.findByPk(customerAccount.id, { transaction: t, lock: t.LOCK.UPDATE });
+      const system = await WalletAccount.findByPk(systemAccount.id, { transaction: t, lock: t.LOCK.UPDATE });
+
+      const { customerBalance, systemBalance } = this.postingBalances(customer.balance, system.balance, value);
+
+      const walletTransaction = await WalletTransaction.create({
+        type,
+        userId,
+        amount: value.toFixed(2),
+        description,
+        orderId,
+        refundId,
+        topUpId,
+        idempotencyKey,
+        createdById: actor.id,
+        createdByName: actor.name
+      }, { transaction: t });
+
+      const entries = await WalletEntry.bulkCreate([
+        { transactionId: walletTransaction.id, accountId: customer.id, amount: value.toFixed(2), balanceAfter: customerBalance.toFixed(2) },
+        { transactionId: walletTransaction.id, accountId: system.id, amount: (-value).toFixed(2), balanceAfter: systemBalance.toFixed(2) }
+      ], { transaction: t });
+
+      await customer.update({ balance: customerBalance.toFixed(2) }, { transaction: t });
+      await system.update({ balance: systemBalance.toFixed(2) }, { transaction: t });
+
+      walletTransaction.setDataValue('Entries', entries);
+      t.afterCommit(() => {
+        logger.info(`Wallet ${type} of ${value.toFixed(2)} posted for user ${userId} by ${actor.name} - balance ${customerBalance.toFixed(2)}`);
+        this.emitWalletUpdated(userId, walletTransaction, customerBalance);
+      });
+      return walletTransaction;
+    };
+
+    return transaction ? run(transaction) : sequelize.transaction(run);
+  }
+
+  /**
+   * Current wallet balance of a customer (0 when the wallet was never used)
+   */
+  async getBalance(userId, transaction = null) {
+    const account = await WalletAccount.findOne({ where: { code: this.customerAccountCode(userId) }, transaction });
+    return account ? toAmount(account.balance) : 0;
+  }
+
+  /**
+   * Balance with pending top-ups
+   */
+  async getSummary(userId) {
+    const [balance, pendingTopUps] = await Promise.all([
+      this.getBalance(userId),
+      WalletTopUp.findAll({ where: { userId, status: 'pending' }, order: [['createdAt', 'DESC']] })
+    ]);
+
+    return { userId, balance, pendingTopUps };
+  }
+
+  /**
+   * Customer statement: the wallet's entries in a period with opening/closing balance and totals.
+   * type only filters the listed entries, balances and totals always cover the whole period.
+   * @param {object} options - { from, to (YYYY-MM-DD), type, page, limit }
+   */
+  async getStatement(userId, { from = null, to = null, type = null, page = 1, limit = 20 } = {}) {
+    const account = await WalletAccount.findOne({ where: { code: this.customerAccountCode(userId) } });
+    const range = {};
+    if (from) range[Op.gte] = new Date(`${from}T00:00:00`);
+    if (to) range[Op.lte] = new Date(`${to}T23:59:59.999`);
+
+    const emptyStatement = {
+      openingBalance: 0,
+      closingBalance: 0,
+      totalCredits: 0,
+      totalDebits: 0,
+      entries: [],
+      count: 0
+    };
+    if (!account) return { balance: 0, ...emptyStatement };
+
+    const where = { accountId: account.id };
+    if (from || to) where.createdAt = range;
+    const transactionInclude = {
+      model: WalletTransaction,
+      as: 'Transaction',
+      attributes: ['id', 'type', 'description', 'orderId', 'refundId', 'topUpId', 'createdByName', 'createdAt'],
+      ...(type && { where: { type } })
+    };
+
+    const [previous, last, credits, debits, { count, rows }] = await Promise.all([
+      from
+        ? WalletEntry.findOne({ where: { accountId: account.id, createdAt: { [Op.lt]: range[Op.gte] } }, order: [['createdAt', 'DESC']] })
+        : null,
+      WalletEntry.findOne({ where, order: [['createdAt', 'DESC']] }),
+      WalletEntry.sum('amount', { where: { ...where, amount: { [Op.gt]: 0 } } }),
+      WalletEntry.sum('amount', { where: { ...where, amount: { [Op.lt]: 0 } } }),
+      WalletEntry.findAndCountAll({
+        where,
+        include: [transactionInclude],
+        order: [['createdAt', 'DESC']],
+        limit: parseInt(limit),
+        offset: (page - 1) * limit
+      })
+    ]);
+
+    const openingBalance = previous ? toAmount(previous.balanceAfter) : 0;
+    return {
+      balance: toAmount(account.balance),
+      openingBalance,
+      closingBalance: last ? toAmount(last.balanceAfter) : openingBalance,
+      totalCredits: toAmount(credits),
+      totalDebits: Math.abs(toAmount(debits)),
+      entries: rows,
+      count
+    };
+  }
+
+  /**
+   * Whether a checkout body pays (part of) the order from the wallet
+   */
+  usesWallet({ paymentMethod, walletAmount }) {
+    return paymentMethod === 'wallet' || parseFloat(walletAmount || 0) > 0;
+  }
+
+  /**
+   * Wallet part of a checkout: paymentMethod "wallet" pays everything, otherwise walletAmount (if any)
+   * is taken from the wallet and the rest paid with the payment method
+   * @returns {number} Amount to debit from the wallet
+   */
+  getCheckoutAmount({ paymentMethod, walletAmount }, totalAmount) {
+    const total = toAmount(totalAmount);
+    if (paymentMethod === 'wallet') return total;
+
+    const amount = toAmount(walletAmount);
+    if (amount > total) {
+      throw createError(400, `Wallet amount cannot exceed the order total of KSH${total.toFixed(2)}`);
+    }
+    return amount;
+  }
+
+  /**
+   * Wallet payments need a signed-in customer: the wallet belongs to the account, not the order email
+   * @returns {string} Wallet owner's user id
+   */
+  assertCanPay(user, customerEmail) {
+    if (!user || user.role !== 'customer') {
+      throw createError(401, 'Please log in to pay with your wallet');
+    }
+    if (customerEmail && customerEmail.toLowerCase() !== user.email.toLowerCase()) {
+      throw createError(403, 'You can only pay your own orders with your wallet');
+    }
+    return user.id;
+  }
+
+  /**
+   * Fail fast before an order is created; the debit itself re-checks under lock
+   */
+  async assertBalance(userId, amount) {
+    const balance = await this.getBalance(userId);
+    if (balance < toAmount(amount)) {
+      throw createError(400, `Insufficient wallet balance. Available: KSH${balance.toFixed(2)}, Required: KSH${toAmount(amount).toFixed(2)}`);
+    }
+  }
+
+  /**
+   * Create an order and debit its wallet part in one database transaction, so an order never exists
+   * without its wallet payment
+   * @param {object} orderData - Order attributes
+   * @param {object} options - { walletAmount, userId (wallet owner) }
+   * @param {object} transaction - Caller's transaction, e.g. the one holding the slot reservation
+   * @returns {object} Order
+   */
+  async createOrderWithPayment(orderData, { walletAmount = 0, userId = null } = {}, transaction = null) {
+    const run = async (t) => {
+      const order = await Order.create({ ...orderData, walletAmount: toAmount(walletAmount).toFixed(2) }, { transaction: t });
+      if (walletAmount > 0) {
+        await this.payOrder(order, walletAmount, { userId }, t);
+      }
+      return order;
+    };
+
+    return transaction ? run(transaction) : sequelize.transaction(run);
+  }
+
+  /**
+   * Debit the wallet part of an order (once per order)
+   */
+  async payOrder(order, amount, { userId, user = null }, transaction = null) {
+    return this.post({
+      userId,
+      type: 'order_payment',
+      amount: -toAmount(amount),
+      description: `Payment for order #${order.orderNumber}`,
+      orderId: order.id,
+      idempotencyKey: `order_payment:${order.id}`,
+      user
+    }, transaction);
+  }
+
+  /**
+   * Give back the wallet part of an order that was cancelled before it was paid in full (e.g. the
+   * Pesapal part never came). Paid orders get a refund instead (services/refundService.js).
+   * @returns {object|null} WalletTransaction
+   */
+  async releaseOrderPayment(order, reason) {
+    const payment = await WalletTransaction.findOne({ where: { orderId: order.id, type: 'order_payment' } });
+    if (!payment) return null;
+
+    try {
+      return await this.post({
+        userId: payment.userId,
+        type: 'order_payment_reversal',
+        amount: Math.abs(parseFloat(payment.amount)),
+        description: `Order #${order.orderNumber} cancelled: ${reason}`,
+        orderId: order.id,
+        idempotencyKey: `order_payment_reversal:${order.id}`
+      });
+    } catch (error) {
+      // The cancellation itself must not fail; the amount can still be credited by an adjustment
+      logger.error(`Error returning wallet payment of order ${order.orderNumber}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Wallet money of the order already given back by releaseOrderPayment
+   */
+  async getReleasedAmount(orderId, transaction = null) {
+    const released = await WalletTransaction.sum('amount', {
+      where: { orderId, type: 'order_payment_reversal' },
+      transaction
+    });
+    return toAmount(released);
+  }
+
+  /**
+   * Credit a wallet refund (once per refund)
+   */
+  async creditRefund(refund, { userId, orderNumber, user = null }, transaction = null) {
+    return this.post({
+      userId,
+      type: 'refund',
+      amount: refund.amount,
+      description: `Refund for order #${orderNumber}: ${refund.reason}`,
+      orderId: refund.orderId,
+      refundId: refund.id,
+      idempotencyKey: `refund:${refund.id}`,
+      user
+    }, transaction);
+  }
+
+  /**
+   * Admin credit (goodwill) or debit (correction) of a customer wallet
+   */
+  async adjustBalance({ userId, amount, note, user }) {
+    const customer = await User.findOne({ where: { id: userId, role: 'customer' } });
+    if (!customer) {
+      throw createError(404, 'Customer not found');
+    }
+
+    return this.post({
+      userId,
+      type: 'adjustment',
+      amount,
+      description: note,
+      user
+    });
+  }
+
+  /**
+   * Start a Pesapal top-up; the wallet is credited when Pesapal confirms the payment
+   * (pesapalPaymentService.processNotification)
+   * @param {object} options - { user, amount, countryCode, phone }
+   * @returns {object} { topUp, redirectUrl }
+   */
+  async createTopUp({ user, amount, countryCode, phone = null }) {
+    if (!process.env.BASE_URL && !(process.env.PESAPAL_CALLBACK_URL && process.env.PESAPAL_IPN_URL)) {
+      throw createError(500, 'Pesapal callback URLs are not configured');
+    }
+    const customer = await User.findByPk(user.id);
+    const topUp = await WalletTopUp.create({
+      userId: user.id,
+      amount: toAmount(amount).toFixed(2),
+      countryCode: (countryCode || process.env.PESAPAL_COUNTRY_CODE || 'KE').toUpperCase()
+    });
+
+    const callbackUrl = process.env.PESAPAL_CALLBACK_URL || `${process.env.BASE_URL}/pesapal/callback`;
+    const ipnUrl = process.env.PESAPAL_IPN_URL || `${process.env.BASE_URL}/pesapal/ipn`;
+    const nameParts = (customer.name || '').trim().split(' ');
+
+    try {
+      const { orderTrackingId, redirectUrl } = await submitOrderRequest({
+        id: topUp.id,
+        amount: parseFloat(topUp.amount),
+        description: `Wallet top-up of KSH${topUp.amount}`,
+        callbackUrl,
+        ipnUrl,
+        billingAddress: {
+          email_address: customer.email,
+          phone_number: phone || customer.phone || '',
+          first_name: nameParts[0] || '',
+          last_name: nameParts.slice(1).join(' ')
+        }
+      }, topUp.countryCode);
+
+      await topUp.update({ orderTrackingId });
+      logger.info(`Wallet top-up ${topUp.id} of ${topUp.amount} started for user ${user.id} (${orderTrackingId})`);
+      return { topUp, redirectUrl };
+    } catch (error) {
+      const message = (error.response && error.response.data && JSON.stringify(error.response.data)) || error.message;
+      await topUp.update({ status: 'failed', failureReason: `Pesapal order creation failed: ${message}` });
+      logger.error(`Wallet top-up ${topUp.id} could not be started:`, message);
+      throw createError(400, 'Could not start the top-up with Pesapal. Please try again.');
+    }
+  }
+
+  /**
+   * Top-up a Pesapal notification is about: the merchant reference is the top-up id
+   */
+  async findTopUp({ merchantReference, trackingId }) {
+    if (merchantReference) {
+      const topUp = await WalletTopUp.findByPk(merchantReference).catch(() => null);
+      if (topUp) return topUp;
+    }
+    if (!trackingId) return null;
+    return WalletTopUp.findOne({ where: { orderTrackingId: trackingId } });
+  }
+
+  /**
+   * Credit a top-up Pesapal confirmed. Claiming the top-up and crediting the wallet is one database
+   * transaction, so a repeated notification credits once.
+   * @returns {boolean} Whether the wallet was credited now
+   */
+  async completeTopUp(topUp) {
+    const credited = await sequelize.transaction(async (transaction) => {
+      const [claimed] = await WalletTopUp.update(
+        { status: 'completed', completedAt: new Date(), failureReason: null },
+        { where: { id: topUp.id, status: { [Op.in]: ['pending', 'failed'] } }, transaction }
+      );
+      if (!claimed) return false;
+
+      const walletTransaction = await this.post({
+        userId: topUp.userId,
+        type: 'top_up',
+        amount: topUp.amount,
+        description: `Wallet top-up via Pesapal (${topUp.orderTrackingId})`,
+        topUpId: topUp.id,
+        idempotencyKey: `top_up:${topUp.id}`
+      }, transaction);
+      await WalletTopUp.update({ transactionId: walletTransaction.id }, { where: { id: topUp.id }, transaction });
+      return true;
+    });
+    await topUp.reload();
+    return credited;
+  }
+
+  /**
+   * A pending top-up Pesapal reports as failed
+   * @returns {boolean} Whether the top-up changed
+   */
+  async failTopUp(topUp, failureReason) {
+    const [failed] = await WalletTopUp.update(
+      { status: 'failed', failureReason },
+      { where: { id: topUp.id, status: 'pending' } }
+    );
+    await topUp.reload();
+    if (failed) {
+      logger.warn(`Wallet top-up ${topUp.id} failed: ${failureReason}`);
+    }
+    return failed > 0;
+  }
+
+  /**
+   * Live balance updates in the customer app
+   */
+  async emitWalletUpdated(userId, walletTransaction, balance) {
+    const socketService = this.getSocketService();
+    if (!socketService) return;
+
+    try {
+      const customer = await User.findByPk(userId, { attributes: ['id', 'email'] });
+      if (!customer) return;
+
+      socketService.emitNotification('WALLET_UPDATED', {
+        userId,
+        transactionId: walletTransaction.id,
+        type: walletTransaction.type,
+        amount: walletTransaction.amount,
+        balance: balance.toFixed(2)
+      }, [`customer-${customer.email}`]);
+    } catch (error) {
+      logger.error('Error emitting wallet update:', error.message);
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new WalletService();
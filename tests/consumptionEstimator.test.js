@@ -0,0 +1,54 @@
+const { daysBetween, estimateDaysPerCylinder } = require('../utils/consumptionEstimator');
+
+const delivery = (date, quantity = 1) => ({ deliveredAt: `${date}T10:00:00Z`, quantity });
+
+describe('consumption estimator', () => {
+  it('counts days between two dates', () => {
+    expect(daysBetween('2026-01-01T00:00:00Z', '2026-01-31T12:00:00Z')).toBe(30.5);
+  });
+
+  it('needs at least two refills', () => {
+    expect(estimateDaysPerCylinder([])).toBeNull();
+    expect(estimateDaysPerCylinder(null)).toBeNull();
+    expect(estimateDaysPerCylinder([delivery('2026-01-01')])).toBeNull();
+  });
+
+  it('divides the gap by the cylinders delivered before it', () => {
+    expect(estimateDaysPerCylinder([delivery('2026-01-01'), delivery('2026-01-31')])).toEqual({ daysPerCylinder: 30, sampleCount: 1 });
+    expect(estimateDaysPerCylinder([delivery('2026-01-01', 2), delivery('2026-01-31')])).toEqual({ daysPerCylinder: 15, sampleCount: 1 });
+  });
+
+  it('sorts deliveries and skips ones without a date or quantity', () => {
+    const deliveries = [
+      delivery('2026-01-31'),
+      { deliveredAt: null, quantity: 1 },
+      delivery('2026-01-15', 0),
+      delivery('2026-01-01')
+    ];
+
+    expect(estimateDaysPerCylinder(deliveries)).toEqual({ daysPerCylinder: 30, sampleCount: 1 });
+  });
+
+  it('merges deliveries a few days apart into one refill', () => {
+    const deliveries = [delivery('2026-01-01'), delivery('2026-01-02'), delivery('2026-02-20')];
+
+    expect(estimateDaysPerCylinder(deliveries)).toEqual({ daysPerCylinder: 25, sampleCount: 1 });
+  });
+
+  it('ignores gaps too long to say anything about usage', () => {
+    const deliveries = [delivery('2025-01-01'), delivery('2025-12-01'), delivery('2025-12-31')];
+
+    expect(estimateDaysPerCylinder(deliveries)).toEqual({ daysPerCylinder: 30, sampleCount: 1 });
+    expect(estimateDaysPerCylinder([delivery('2025-01-01'), delivery('2025-12-01')])).toBeNull();
+  });
+
+  it('weighs recent gaps more and keeps only the last six', () => {
+    // Gaps of 20 then 30 days: (20 * 1 + 30 * 2) / 3
+    expect(estimateDaysPerCylinder([delivery('2026-01-01'), delivery('2026-01-21'), delivery('2026-02-20')]))
+      .toEqual({ daysPerCylinder: 26.67, sampleCount: 2 });
+
+    // A first gap of 100 days followed by six of 20: only the 20s count
+    const dates = ['2025-01-01', '2025-04-11', '2025-05-01', '2025-05-21', '2025-06-10', '2025-06-30', '2025-07-20', '2025-08-09'];
+    expect(estimateDaysPerCylinder(dates.map(date => delivery(date)))).toEqual({ daysPerCylinder: 20, sampleCount: 6 });
+  });
+});
@@ -0,0 +1,73 @@
+const { parseCron, nextRunAfter } = require('../utils/cronSchedule');
+
+describe('cron schedule', () => {
+  describe('parseCron', () => {
+    it('expands lists, ranges and steps', () => {
+      const schedule = parseCron('*/15 8-18/2 1,15 * 1-5');
+
+      expect([...schedule.minute]).toEqual([0, 15, 30, 45]);
+      expect([...schedule.hour]).toEqual([8, 10, 12, 14, 16, 18]);
+      expect([...schedule.dayOfMonth]).toEqual([1, 15]);
+      expect(schedule.month.size).toBe(12);
+      expect([...schedule.dayOfWeek]).toEqual([1, 2, 3, 4, 5]);
+      expect(schedule.anyDayOfMonth).toBe(false);
+      expect(schedule.anyDayOfWeek).toBe(false);
+    });
+
+    it('reads a single value with a step as a start', () => {
+      expect([...parseCron('5/15 * * * *').minute]).toEqual([5, 20, 35, 50]);
+    });
+
+    it('treats 7 as Sunday', () => {
+      const schedule = parseCron('0 0 * * 7');
+
+      expect(schedule.dayOfWeek.has(0)).toBe(true);
+      expect(schedule.dayOfWeek.has(7)).toBe(false);
+    });
+
+    it('rejects malformed expressions', () => {
+      expect(() => parseCron('0 0 * *')).toThrow('must have 5 fields');
+      expect(() => parseCron(null)).toThrow('must have 5 fields');
+      expect(() => parseCron('60 * * * *')).toThrow('Invalid value "60" in cron minute');
+      expect(() => parseCron('* 5-2 * * *')).toThrow('Invalid value "5-2" in cron hour');
+      expect(() => parseCron('*/0 * * * *')).toThrow('Invalid step');
+      expect(() => parseCron('* * 0 * *')).toThrow('cron dayOfMonth');
+    });
+  });
+
+  describe('nextRunAfter', () => {
+    // Monday 5 January 2026, server local time
+    const monday = (hours, minutes = 0) => new Date(2026, 0, 5, hours, minutes);
+
+    it('finds the next matching minute later the same day', () => {
+      expect(nextRunAfter('0 9 * * *', monday(8, 30))).toEqual(monday(9));
+      expect(nextRunAfter('*/10 * * * *', new Date(2026, 0, 5, 8, 31, 45))).toEqual(monday(8, 40));
+    });
+
+    it('fires strictly after the start time', () => {
+      expect(nextRunAfter('0 9 * * *', monday(9))).toEqual(new Date(2026, 0, 6, 9, 0));
+    });
+
+    it('skips days of the week that are not listed', () => {
+      // Saturday 10 January
+      expect(nextRunAfter('30 6 * * 6', monday(12))).toEqual(new Date(2026, 0, 10, 6, 30));
+    });
+
+    it('fires on either day field when both are restricted', () => {
+      // Friday 9 January comes before the 13th
+      expect(nextRunAfter('0 0 13 * 5', monday(12))).toEqual(new Date(2026, 0, 9, 0, 0));
+    });
+
+    it('accepts an already parsed schedule', () => {
+      expect(nextRunAfter(parseCron('0 0 1 * *'), monday(12))).toEqual(new Date(2026, 1, 1, 0, 0));
+    });
+
+    it('looks years ahead for rare dates', () => {
+      expect(nextRunAfter('0 0 29 2 *', new Date(2026, 2, 1))).toEqual(new Date(2028, 1, 29, 0, 0));
+    });
+
+    it('returns null for a date that never comes', () => {
+      expect(nextRunAfter('0 0 31 2 *', monday(12))).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,92 @@
+const { withRuleIds, isTimeInWindow, evaluateDeliveryRules } = require('../utils/deliveryChargeRules');
+
+// Monday 5 January 2026, 10:00 server local time
+const now = new Date(2026, 0, 5, 10, 0);
+
+const bands = [
+  { id: 'near', type: 'distance_band', minKm: 0, maxKm: 3, chargeType: 'fixed', amount: 100 },
+  { id: 'mid', type: 'distance_band', minKm: 3, maxKm: 10, chargeType: 'per_km', amount: 20 },
+  { id: 'far', type: 'distance_band', minKm: 10, maxKm: null, chargeType: 'fixed', amount: 500 }
+];
+
+describe('delivery charge rules', () => {
+  it('keeps the base charge without rules', () => {
+    expect(evaluateDeliveryRules(null, 150, { now })).toEqual({
+      deliveryCharge: 150,
+      breakdown: [{ ruleId: null, type: 'base', description: 'Base delivery charge', effect: 'set', amount: 150 }]
+    });
+  });
+
+  it('replaces the charge with the first matching distance band', () => {
+    expect(evaluateDeliveryRules(bands, 150, { distanceKm: 2, now }).deliveryCharge).toBe(100);
+    // Per km, rounded down
+    expect(evaluateDeliveryRules(bands, 150, { distanceKm: 3.57, now }).deliveryCharge).toBe(71);
+    // No upper bound
+    expect(evaluateDeliveryRules(bands, 150, { distanceKm: 42, now }).deliveryCharge).toBe(500);
+
+    const overlapping = [...bands, { id: 'all', type: 'distance_band', minKm: 0, maxKm: null, chargeType: 'fixed', amount: 1 }];
+    const { breakdown } = evaluateDeliveryRules(overlapping, 150, { distanceKm: 2, now });
+    expect(breakdown.map(line => line.ruleId)).toEqual([null, 'near']);
+  });
+
+  it('ignores distance bands when the distance is unknown', () => {
+    expect(evaluateDeliveryRules(bands, 150, { now }).deliveryCharge).toBe(150);
+  });
+
+  it('waives what fired before a free delivery rule but not what comes after', () => {
+    const rules = [
+      { id: 'express', type: 'surcharge', when: 'express', amount: 50 },
+      { id: 'free', type: 'free_above_subtotal', minSubtotal: 2000 },
+      { id: 'late', type: 'surcharge', when: 'time_window', startTime: '09:00', endTime: '12:00', amount: 30 }
+    ];
+
+    const { deliveryCharge, breakdown } = evaluateDeliveryRules(rules, 150, { subtotal: 2500, now });
+
+    expect(deliveryCharge).toBe(30);
+    expect(breakdown.map(({ ruleId, effect, amount }) => [ruleId, effect, amount])).toEqual([
+      [null, 'set', 150],
+      ['express', 'add', 50],
+      ['free', 'waive', -200],
+      ['late', 'add', 30]
+    ]);
+    expect(evaluateDeliveryRules(rules, 150, { subtotal: 1999, now }).deliveryCharge).toBe(230);
+  });
+
+  it('charges express only when no slot is booked', () => {
+    const rules = [{ type: 'surcharge', when: 'express', amount: 50 }];
+    const slot = { startTime: '14:00', slotDate: '2026-01-05' };
+
+    expect(evaluateDeliveryRules(rules, 100, { now }).deliveryCharge).toBe(150);
+    expect(evaluateDeliveryRules(rules, 100, { slot, now }).deliveryCharge).toBe(100);
+  });
+
+  it('matches time windows against the slot start and day', () => {
+    const rules = [{ type: 'surcharge', when: 'time_window', startTime: '18:00', endTime: '22:00', daysOfWeek: [6], amount: 40 }];
+
+    // Saturday 10 January
+    expect(evaluateDeliveryRules(rules, 100, { slot: { startTime: '19:00', slotDate: '2026-01-10' }, now }).deliveryCharge).toBe(140);
+    expect(evaluateDeliveryRules(rules, 100, { slot: { startTime: '19:00', slotDate: '2026-01-09' }, now }).deliveryCharge).toBe(100);
+    expect(evaluateDeliveryRules(rules, 100, { slot: { startTime: '17:00', slotDate: '2026-01-10' }, now }).deliveryCharge).toBe(100);
+  });
+
+  it('skips inactive rules', () => {
+    const rules = [{ type: 'surcharge', when: 'express', amount: 50, isActive: false }];
+
+    expect(evaluateDeliveryRules(rules, 100, { now }).deliveryCharge).toBe(100);
+  });
+
+  it('handles windows that wrap past midnight', () => {
+    expect(isTimeInWindow('23:30', '21:00', '02:00')).toBe(true);
+    expect(isTimeInWindow('01:59', '21:00', '02:00')).toBe(true);
+    expect(isTimeInWindow('02:00', '21:00', '02:00')).toBe(false);
+    expect(isTimeInWindow('12:00', '09:00', '12:00')).toBe(false);
+  });
+
+  it('gives rules without an id a new one and keeps existing ids', () => {
+    const [kept, added] = withRuleIds([{ id: 'rule-1', type: 'surcharge' }, { type: 'surcharge' }]);
+
+    expect(kept.id).toBe('rule-1');
+    expect(added.id).toMatch(/^rule-/);
+    expect(withRuleIds(undefined)).toEqual([]);
+  });
+});
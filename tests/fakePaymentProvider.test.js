@@ -0,0 +1,223 @@
+process.env.PAYMENT_FAKE_PROVIDER = 'true';
+
+// In-memory stand-ins for the models the payment flow touches; there is no database in the test run
+jest.mock('../models', () => {
+  const { Op } = require('sequelize');
+  const orders = [];
+
+  const matches = (record, where = {}) => Object.entries(where).every(([field, condition]) => {
+    if (condition && typeof condition === 'object' && !Array.isArray(condition)) {
+      if (condition[Op.notIn]) return !condition[Op.notIn].includes(record[field]);
+      if (condition[Op.in]) return condition[Op.in].includes(record[field]);
+    }
+    return record[field] === condition;
+  });
+
+  const buildOrder = (attributes) => {
+    let stored = { ...attributes };
+    const order = {
+      ...stored,
+      update: jest.fn(async (values) => {
+        stored = { ...stored, ...values };
+        Object.assign(order, values);
+        return order;
+      }),
+      reload: jest.fn(async () => Object.assign(order, stored)),
+      setStored: (values) => { stored = { ...stored, ...values }; },
+      getStored: () => stored
+    };
+    return order;
+  };
+
+  const Order = {
+    build: (attributes) => {
+      const order = buildOrder(attributes);
+      orders.push(order);
+      return order;
+    },
+    findAll: jest.fn(async ({ where }) => orders.filter(order => matches(order.getStored(), where))),
+    findOne: jest.fn(async ({ where }) => orders.find(order => matches(order.getStored(), where)) || null),
+    findByPk: jest.fn(async (id) => orders.find(order => order.getStored().id === id) || null),
+    update: jest.fn(async (values, { where }) => {
+      const changed = orders.filter(order => matches(order.getStored(), where));
+      changed.forEach(order => order.setStored(values));
+      return [changed.length];
+    })
+  };
+
+  return {
+    Order,
+    Agency: { findAll: jest.fn(async () => [{ id: 'agency-1', name: 'Test Agency', paymentMethods: null }]) },
+    PaymentEvent: { create: jest.fn(async (event) => event), findOne: jest.fn(async () => null) },
+    Refund: { count: jest.fn(async () => 0) },
+    AgencyOwner: { findOne: jest.fn(async () => null) },
+    User: { findOne: jest.fn(async () => null), findAll: jest.fn(async () => []) },
+    Notification: { create: jest.fn(async () => null) },
+    WalletTopUp: {}
+  };
+});
+
+// Managed transactions run their callback straight away
+jest.mock('../config/database', () => ({
+  sequelize: {
+    transaction: async (callback) => callback({ LOCK: { UPDATE: 'UPDATE' }, afterCommit: (hook) => hook() })
+  }
+}));
+jest.mock('../utils/orderUtils', () => ({
+  ...jest.requireActual('../utils/orderUtils'),
+  deductStockFromAgency: jest.fn(async () => true)
+}));
+jest.mock('../config/email', () => ({ sendEmail: jest.fn(async () => true) }));
+jest.mock('../services/notificationService', () => ({
+  sendToDevice: jest.fn(),
+  sendToMultipleDevices: jest.fn(),
+  sendNewOrderToAgency: jest.fn()
+}));
+jest.mock('../services/orderAutomationService', () => ({ handleNewOrder: jest.fn(async () => null) }));
+jest.mock('../services/subscriptionService', () => ({ handlePaymentFailed: jest.fn() }));
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const { Order, PaymentEvent, Refund } = require('../models');
+const { deductStockFromAgency } = require('../utils/orderUtils');
+const orderAutomationService = require('../services/orderAutomationService');
+const paymentGatewayService = require('../services/paymentGatewayService');
+const refundService = require('../services/refundService');
+const fakeProvider = require('../services/paymentProviders/fakeProvider');
+
+let sequence = 0;
+const createDraftOrder = (attributes = {}) => {
+  sequence++;
+  return Order.build({
+    id: `order-${sequence}`,
+    orderNumber: `ORD-${sequence}`,
+    checkoutId: null,
+    customerName: 'Test Customer',
+    customerEmail: 'customer@example.com',
+    customerPhone: '254700000000',
+    agencyId: 'agency-1',
+    totalAmount: '1500.00',
+    walletAmount: '0.00',
+    paymentMethod: 'fake',
+    paymentStatus: 'pending',
+    paymentReference: null,
+    status: 'pending',
+    isDraft: true,
+    adminNotes: null,
+    ...attributes
+  });
+};
+
+const payThroughWebhook = async (order) => {
+  const { providerReference } = await paymentGatewayService.initiatePayment([order]);
+  await paymentGatewayService.handleWebhook('fake', { body: { reference: providerReference, status: 'COMPLETED' } });
+  await order.reload();
+  return providerReference;
+};
+
+describe('fake payment provider', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('is enabled by PAYMENT_FAKE_PROVIDER outside production', () => {
+    expect(fakeProvider.isConfigured()).toBe(true);
+    expect(paymentGatewayService.isEnabled('fake')).toBe(true);
+  });
+
+  it('marks a draft order paid and confirmed when the webhook reports COMPLETED', async () => {
+    const order = createDraftOrder();
+
+    const payment = await paymentGatewayService.initiatePayment([order]);
+    expect(payment).toMatchObject({ method: 'fake', amount: 1500, redirectUrl: null });
+    expect(order.paymentReference).toBe(payment.providerReference);
+    await expect(fakeProvider.queryStatus(payment.providerReference)).resolves.toMatchObject({ status: 'PENDING', merchantReference: order.id });
+
+    const result = await paymentGatewayService.handleWebhook('fake', {
+      body: { reference: payment.providerReference, status: 'COMPLETED' }
+    });
+    await order.reload();
+
+    expect(result.status).toBe('COMPLETED');
+    expect(result.confirmedOrders).toEqual([order]);
+    expect(order).toMatchObject({ paymentStatus: 'paid', paymentReceived: true, status: 'confirmed', isDraft: false });
+    expect(deductStockFromAgency).toHaveBeenCalledTimes(1);
+    expect(orderAutomationService.handleNewOrder).toHaveBeenCalledWith(order, { alreadyConfirmed: true });
+    expect(PaymentEvent.create).toHaveBeenLastCalledWith(expect.objectContaining({
+      provider: 'fake',
+      source: 'ipn',
+      orderTrackingId: payment.providerReference,
+      pesapalStatus: 'COMPLETED',
+      outcome: 'applied'
+    }));
+  });
+
+  it('applies a repeated COMPLETED webhook only once', async () => {
+    const order = createDraftOrder();
+    const providerReference = await payThroughWebhook(order);
+    jest.clearAllMocks();
+
+    const result = await paymentGatewayService.handleWebhook('fake', { body: { reference: providerReference, status: 'COMPLETED' } });
+    await order.reload();
+
+    expect(result.confirmedOrders).toEqual([]);
+    expect(order).toMatchObject({ paymentStatus: 'paid', status: 'confirmed' });
+    expect(deductStockFromAgency).not.toHaveBeenCalled();
+    expect(orderAutomationService.handleNewOrder).not.toHaveBeenCalled();
+    expect(PaymentEvent.create).toHaveBeenLastCalledWith(expect.objectContaining({ outcome: 'no_change' }));
+  });
+
+  it('cancels a paid draft whose stock ran out and raises its refund', async () => {
+    const order = createDraftOrder();
+    const raiseForOrder = jest.spyOn(refundService, 'raiseForOrder').mockResolvedValueOnce(null);
+    deductStockFromAgency.mockRejectedValueOnce(new Error('Insufficient stock for variant 13kg'));
+
+    const { providerReference } = await paymentGatewayService.initiatePayment([order]);
+    const result = await paymentGatewayService.handleWebhook('fake', { body: { reference: providerReference, status: 'COMPLETED' } });
+    await order.reload();
+
+    expect(result.confirmedOrders).toEqual([]);
+    expect(order).toMatchObject({ paymentStatus: 'paid', status: 'cancelled', isDraft: true });
+    expect(raiseForOrder).toHaveBeenCalledWith(order, expect.objectContaining({ reason: expect.stringContaining('Insufficient stock') }));
+    expect(orderAutomationService.handleNewOrder).not.toHaveBeenCalled();
+  });
+
+  it('reverses the payment when a refund is requested', async () => {
+    const order = createDraftOrder();
+    const providerReference = await payThroughWebhook(order);
+
+    const refund = {
+      id: 'refund-1',
+      orderId: order.id,
+      orderTrackingId: providerReference,
+      amount: 1500,
+      reason: 'Customer cancelled',
+      method: 'fake',
+      update: jest.fn(async () => refund)
+    };
+    await refundService.requestProviderRefund(refund, { name: 'Admin' });
+
+    expect(refund.update).toHaveBeenCalledWith(expect.not.objectContaining({ status: 'failed' }));
+    await expect(fakeProvider.queryStatus(providerReference)).resolves.toMatchObject({ status: 'REVERSED' });
+
+    // The reversal of a payment being refunded is expected, not a mismatch, and leaves the order paid
+    Refund.count.mockResolvedValueOnce(1);
+    const { status } = await paymentGatewayService.refreshPaymentStatus(order);
+
+    expect(status).toBe('REVERSED');
+    expect(order.paymentStatus).toBe('paid');
+    expect(PaymentEvent.create).toHaveBeenLastCalledWith(expect.objectContaining({
+      pesapalStatus: 'REVERSED',
+      outcome: 'no_change'
+    }));
+  });
+
+  it('rejects a refund of a payment that was never completed', async () => {
+    const order = createDraftOrder();
+    const { providerReference } = await paymentGatewayService.initiatePayment([order]);
+
+    const result = await fakeProvider.refund({ providerReference, amount: 1500 });
+
+    expect(result.accepted).toBe(false);
+    await expect(fakeProvider.queryStatus(providerReference)).resolves.toMatchObject({ status: 'PENDING' });
+  });
+});
@@ -0,0 +1,98 @@
+const {
+  toPolygons,
+  validateGeometry,
+  pointInGeometry,
+  geometryBounds,
+  geometryOverlap
+} = require('../utils/geoUtils');
+
+// Axis-aligned square as a closed GeoJSON ring of [longitude, latitude] positions
+const square = (minLng, minLat, size) => [
+  [minLng, minLat],
+  [minLng + size, minLat],
+  [minLng + size, minLat + size],
+  [minLng, minLat + size],
+  [minLng, minLat]
+];
+
+const polygon = (...rings) => ({ type: 'Polygon', coordinates: rings });
+
+describe('geo utils', () => {
+  describe('toPolygons', () => {
+    it('accepts features, polygons and multipolygons', () => {
+      const rings = [square(0, 0, 1)];
+
+      expect(toPolygons(polygon(...rings))).toEqual([rings]);
+      expect(toPolygons({ type: 'Feature', geometry: polygon(...rings) })).toEqual([rings]);
+      expect(toPolygons({ type: 'MultiPolygon', coordinates: [rings, rings] })).toHaveLength(2);
+      expect(toPolygons({ type: 'Point', coordinates: [0, 0] })).toEqual([]);
+      expect(toPolygons(null)).toEqual([]);
+    });
+  });
+
+  describe('validateGeometry', () => {
+    it('accepts a closed polygon', () => {
+      expect(validateGeometry(polygon(square(36.7, -1.3, 0.1)))).toBeNull();
+    });
+
+    it('rejects unusable geometries', () => {
+      expect(validateGeometry({ type: 'Point', coordinates: [0, 0] })).toMatch('Polygon or MultiPolygon');
+      expect(validateGeometry({ type: 'MultiPolygon', coordinates: [] })).toMatch('no coordinates');
+      expect(validateGeometry({ type: 'Polygon', coordinates: [] })).toMatch('at least one ring');
+      expect(validateGeometry(polygon([[0, 0], [1, 0], [0, 0]]))).toMatch('at least 4 positions');
+      expect(validateGeometry(polygon([[0, 0], [1, 0], [1, 1], [0, 1]]))).toMatch('must be closed');
+      expect(validateGeometry(polygon(square(179.5, 0, 1)))).toMatch('valid ranges');
+      expect(validateGeometry(polygon([[0, 0], [1, '0'], [1, 1], [0, 0]]))).toMatch('valid ranges');
+    });
+  });
+
+  describe('pointInGeometry', () => {
+    it('finds points inside the outer ring', () => {
+      const zone = polygon(square(0, 0, 1));
+
+      expect(pointInGeometry(zone, 0.5, 0.5)).toBe(true);
+      expect(pointInGeometry(zone, '0.5', '0.5')).toBe(true);
+      expect(pointInGeometry(zone, 1.5, 0.5)).toBe(false);
+    });
+
+    it('leaves out holes', () => {
+      const zone = polygon(square(0, 0, 1), square(0.25, 0.25, 0.5));
+
+      expect(pointInGeometry(zone, 0.5, 0.5)).toBe(false);
+      expect(pointInGeometry(zone, 0.1, 0.1)).toBe(true);
+    });
+
+    it('checks every polygon of a multipolygon', () => {
+      const zone = { type: 'MultiPolygon', coordinates: [[square(0, 0, 1)], [square(5, 5, 1)]] };
+
+      expect(pointInGeometry(zone, 5.5, 5.5)).toBe(true);
+      expect(pointInGeometry(zone, 3, 3)).toBe(false);
+    });
+  });
+
+  describe('geometryBounds', () => {
+    it('spans the outer rings of all polygons', () => {
+      const zone = { type: 'MultiPolygon', coordinates: [[square(0, 0, 1)], [square(5, -2, 1)]] };
+
+      expect(geometryBounds(zone)).toEqual({ minLng: 0, minLat: -2, maxLng: 6, maxLat: 1 });
+    });
+  });
+
+  describe('geometryOverlap', () => {
+    it('returns null for zones that do not overlap', () => {
+      expect(geometryOverlap(polygon(square(0, 0, 1)), polygon(square(2, 0, 1)))).toBeNull();
+    });
+
+    it('locates and sizes the shared area', () => {
+      const overlap = geometryOverlap(polygon(square(0, 0, 1)), polygon(square(0.5, 0, 1)));
+
+      expect(overlap.bounds.minLng).toBeGreaterThanOrEqual(0.5);
+      expect(overlap.bounds.maxLng).toBeLessThanOrEqual(1);
+      expect(pointInGeometry(polygon(square(0.5, 0, 0.5)), overlap.samplePoint.longitude, overlap.samplePoint.latitude)).toBe(true);
+
+      // Half a degree of longitude by one of latitude near the equator
+      const expectedKm2 = 111.32 * 0.5 * 111.32 * Math.cos((0.5 * Math.PI) / 180);
+      expect(overlap.approxAreaKm2).toBeCloseTo(expectedKm2, 0);
+    });
+  });
+});
@@ -0,0 +1,30 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const invoiceService = require('../services/invoiceService');
+
+const agencyId = '1a2b3c4d-0000-4000-8000-000000000000';
+
+describe('invoice numbering', () => {
+  it('numbers documents by prefix, agency code and zero-padded sequence', () => {
+    expect(invoiceService.formatNumber('invoice', agencyId, 42)).toBe('INV-1A2B3C-000042');
+    expect(invoiceService.formatNumber('credit_note', agencyId, 1)).toBe('CN-1A2B3C-000001');
+  });
+
+  it('keeps sequences past six digits whole', () => {
+    expect(invoiceService.formatNumber('invoice', agencyId, 1234567)).toBe('INV-1A2B3C-1234567');
+  });
+
+  it('builds invoice lines from the order items', () => {
+    const lines = invoiceService.buildLines({
+      items: [
+        { productName: 'LPG Cylinder', variantLabel: '13kg', variantPrice: '2500', quantity: '2', productAmount: 5000, taxAmount: 800, depositTotal: 3000 },
+        { productName: 'Regulator', variantPrice: 850.5, quantity: 1 }
+      ]
+    });
+
+    expect(lines).toEqual([
+      { description: 'LPG Cylinder (13kg)', quantity: 2, unitPrice: 2500, amount: 5000, taxAmount: 800, depositAmount: 3000 },
+      { description: 'Regulator', quantity: 1, unitPrice: 850.5, amount: 850.5, taxAmount: 0, depositAmount: 0 }
+    ]);
+  });
+});
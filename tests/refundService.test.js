@@ -0,0 +1,34 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const refundService = require('../services/refundService');
+
+describe('refund state transitions', () => {
+  it('completes provider refunds only once the provider was asked', () => {
+    expect(refundService.getCompletableStatuses({ method: 'pesapal' })).toEqual(['processing']);
+    expect(refundService.getCompletableStatuses({ method: 'mobile_money' })).toEqual(['processing']);
+  });
+
+  it('completes manual and wallet refunds straight from pending', () => {
+    expect(refundService.getCompletableStatuses({ method: 'manual' })).toEqual(['pending', 'processing']);
+    expect(refundService.getCompletableStatuses({ method: 'wallet' })).toEqual(['pending', 'processing']);
+  });
+
+  it('moves the order to partially_refunded until the whole amount is back', () => {
+    const order = { totalAmount: '1500.00', refundedAmount: null };
+
+    expect(refundService.applyRefundToOrder(order, '500.00')).toEqual({ refundedAmount: '500.00', paymentStatus: 'partially_refunded' });
+    expect(refundService.applyRefundToOrder({ ...order, refundedAmount: '500.00' }, '1000.00'))
+      .toEqual({ refundedAmount: '1500.00', paymentStatus: 'refunded' });
+  });
+
+  it('treats a refund within a cent of the total as a full refund', () => {
+    expect(refundService.applyRefundToOrder({ totalAmount: '99.99', refundedAmount: '0.00' }, '99.98').paymentStatus).toBe('refunded');
+    expect(refundService.applyRefundToOrder({ totalAmount: '99.99', refundedAmount: '0.00' }, '99.97').paymentStatus).toBe('partially_refunded');
+  });
+
+  it('attributes refunds to who raised them', () => {
+    expect(refundService.getActor(null)).toEqual({ by: 'system', id: null, name: 'System' });
+    expect(refundService.getActor({ id: 'user-1', role: 'agency_owner', email: 'owner@example.com' }))
+      .toEqual({ by: 'agency', id: 'user-1', name: 'owner@example.com' });
+  });
+});
@@ -0,0 +1,66 @@
+const {
+  generateSlotId,
+  toDateString,
+  findSlot,
+  isSlotOpenOnDate,
+  groupOrdersBySlot
+} = require('../utils/slotUtils');
+
+describe('slot utils', () => {
+  it('generates slot ids', () => {
+    expect(generateSlotId()).toMatch(/^slot-\d+-[a-z0-9]+$/);
+  });
+
+  it('formats dates as YYYY-MM-DD in local time', () => {
+    expect(toDateString(new Date(2026, 0, 5, 23, 59))).toBe('2026-01-05');
+    expect(toDateString(new Date(2026, 10, 30))).toBe('2026-11-30');
+  });
+
+  it('finds a slot by id', () => {
+    const slots = [{ id: 'slot-1' }, { id: 'slot-2' }];
+
+    expect(findSlot(slots, 'slot-2')).toBe(slots[1]);
+    expect(findSlot(slots, 'slot-3')).toBeNull();
+    expect(findSlot(null, 'slot-1')).toBeNull();
+  });
+
+  describe('isSlotOpenOnDate', () => {
+    it('opens every day when no days are listed', () => {
+      expect(isSlotOpenOnDate({ daysOfWeek: [] }, '2026-01-05')).toBe(true);
+      expect(isSlotOpenOnDate({}, '2026-01-10')).toBe(true);
+    });
+
+    it('opens only on the listed days of the week', () => {
+      // 5 January 2026 is a Monday
+      const weekdays = { daysOfWeek: [1, 2, 3, 4, 5] };
+
+      expect(isSlotOpenOnDate(weekdays, '2026-01-05')).toBe(true);
+      expect(isSlotOpenOnDate(weekdays, '2026-01-10')).toBe(false);
+    });
+
+    it('stays closed while inactive', () => {
+      expect(isSlotOpenOnDate({ isActive: false }, '2026-01-05')).toBe(false);
+    });
+  });
+
+  it('groups orders by slot in date and time order with unscheduled orders last', () => {
+    const order = (id, slot = {}) => ({ id, slotId: null, ...slot });
+    const morning = { slotId: 'slot-1', slotDate: '2026-01-05', slotStartTime: '08:00', slotEndTime: '10:00' };
+    const afternoon = { slotId: 'slot-2', slotDate: '2026-01-05', slotStartTime: '14:00', slotEndTime: '16:00' };
+
+    const groups = groupOrdersBySlot([
+      order('a'),
+      order('b', afternoon),
+      order('c', morning),
+      order('d', afternoon)
+    ]);
+
+    expect(groups.map(group => [group.slotId, group.count])).toEqual([
+      ['slot-1', 1],
+      ['slot-2', 2],
+      [null, 1]
+    ]);
+    expect(groups[1].orders.map(o => o.id)).toEqual(['b', 'd']);
+    expect(groups[2]).toMatchObject({ slotDate: null, slotStartTime: null, slotEndTime: null });
+  });
+});
@@ -0,0 +1,36 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const splitCheckoutService = require('../services/splitCheckoutService');
+const checkoutService = require('../services/checkoutService');
+
+describe('split checkout allocation', () => {
+  it('shares the platform charge by subtotal', () => {
+    expect(splitCheckoutService.allocatePlatformCharge(50, [3000, 2000])).toEqual([30, 20]);
+  });
+
+  it('gives the rounding remainder to the last order so the charge is paid exactly once', () => {
+    const charges = splitCheckoutService.allocatePlatformCharge(10, [1000, 1000, 1000]);
+
+    expect(charges).toEqual([3.33, 3.33, 3.34]);
+    expect(charges.reduce((sum, charge) => sum + charge, 0)).toBeCloseTo(10, 2);
+  });
+
+  it('charges a single order the whole platform charge', () => {
+    expect(splitCheckoutService.allocatePlatformCharge(25, [800])).toEqual([25]);
+    expect(splitCheckoutService.allocatePlatformCharge(0, [800, 200])).toEqual([0, 0]);
+  });
+
+  it('spreads each order share over its items', () => {
+    const items = [
+      { productAmount: 750, taxAmount: 120 },
+      { productAmount: 250, taxAmount: 40 }
+    ];
+
+    checkoutService.applyPlatformCharge(items, 1000, 20, 16);
+
+    expect(items).toEqual([
+      { productAmount: 750, taxAmount: 120, taxValue: 16, platformCharge: 15, total: 885 },
+      { productAmount: 250, taxAmount: 40, taxValue: 16, platformCharge: 5, total: 295 }
+    ]);
+  });
+});
@@ -0,0 +1,28 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const walletService = require('../services/walletService');
+
+describe('wallet double-entry posting', () => {
+  it('moves the customer wallet and its system account by opposite amounts', () => {
+    const credit = walletService.postingBalances('100.00', '-100.00', 250);
+    expect(credit).toEqual({ customerBalance: 350, systemBalance: -350 });
+
+    const debit = walletService.postingBalances('350.00', '-350.00', -40);
+    expect(debit).toEqual({ customerBalance: 310, systemBalance: -310 });
+  });
+
+  it('keeps the two sides summing to zero after rounding', () => {
+    const { customerBalance, systemBalance } = walletService.postingBalances('0.10', '-0.10', 0.2);
+
+    expect(customerBalance).toBe(0.3);
+    expect(customerBalance + systemBalance).toBe(0);
+  });
+
+  it('lets a wallet be emptied but never overdrawn', () => {
+    expect(walletService.postingBalances('50.00', '0.00', -50).customerBalance).toBe(0);
+    expect(() => walletService.postingBalances('50.00', '0.00', -50.01)).toThrow(expect.objectContaining({
+      statusCode: 400,
+      message: 'Insufficient wallet balance. Available: KSH50.00, Required: KSH50.01'
+    }));
+  });
+});
@@ -0,0 +1,64 @@
+// Household gas consumption from past deliveries of one cylinder size.
+// The gap between two deliveries is how long the earlier delivery lasted, so
+// days per cylinder = gap / cylinders delivered the first time.
+
+// Deliveries this close together are one refill (duplicate or top-up order)
+const MERGE_WITHIN_DAYS = 3;
+// Longer gaps mean the household bought elsewhere or was away; they say nothing about usage
+const MAX_GAP_DAYS = 180;
+// Only the most recent gaps count, so the estimate follows changes in usage
+const MAX_SAMPLES = 6;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const daysBetween = (from, to) => (new Date(to).getTime() - new Date(from).getTime()) / DAY_MS;
+
+/**
+ * Estimate how many days one cylinder lasts a household.
+ * @param {Array} deliveries - [{ deliveredAt, quantity }] for one cylinder size, any order
+ * @returns {object|null} { daysPerCylinder, sampleCount } or null without at least one usable gap
+ */
+const estimateDaysPerCylinder = (deliveries) => {
+  const sorted = (Array.isArray(deliveries) ? deliveries : [])
+    .filter(delivery => delivery.deliveredAt && delivery.quantity > 0)
+    .sort((a, b) => new Date(a.deliveredAt) - new Date(b.deliveredAt));
+
+  const refills = [];
+  sorted.forEach(delivery => {
+    const previous = refills[refills.length - 1];
+    if (previous && daysBetween(previous.deliveredAt, delivery.deliveredAt) < MERGE_WITHIN_DAYS) {
+      previous.quantity += delivery.quantity;
+    } else {
+      refills.push({ deliveredAt: delivery.deliveredAt, quantity: delivery.quantity });
+    }
+  });
+
+  const samples = [];
+  for (let i = 1; i < refills.length; i++) {
+    const gap = daysBetween(refills[i - 1].deliveredAt, refills[i].deliveredAt);
+    if (gap > MAX_GAP_DAYS) continue;
+    samples.push(gap / refills[i - 1].quantity);
+  }
+
+  if (samples.length === 0) return null;
+
+  // Recent gaps weigh more: weights 1..n oldest to newest
+  const recent = samples.slice(-MAX_SAMPLES);
+  let weighted = 0;
+  let weights = 0;
+  recent.forEach((sample, index) => {
+    weighted += sample * (index + 1);
+    weights += index + 1;
+  });
+
+  return {
+    daysPerCylinder: parseFloat((weighted / weights).toFixed(2)),
+    sampleCount: recent.length
+  };
+};
+
+module.exports = {
+  MAX_GAP_DAYS,
+  daysBetween,
+  estimateDaysPerCylinder
+};
@@ -0,0 +1,30 @@
+// Expiry moment of a coupon: expiryDate (DATEONLY) plus expiryTime ("HH:MM" or "HH:MM:SS") in server local time
+// Returns null when the stored date/time cannot be parsed
+const getCouponExpiresAt = (coupon) => {
+  let expiryDateStr = coupon.expiryDate;
+  let expiryTimeStr = coupon.expiryTime;
+
+  // If expiryDate is a Date object, convert to string
+  if (expiryDateStr instanceof Date) {
+    expiryDateStr = expiryDateStr.toISOString().split('T')[0];
+  } else if (typeof expiryDateStr === 'string') {
+    // Extract just the date part if it includes time
+    expiryDateStr = expiryDateStr.split('T')[0].split(' ')[0];
+  }
+
+  // Normalize time format (handle HH:MM:SS or HH:MM)
+  if (typeof expiryTimeStr === 'string') {
+    expiryTimeStr = expiryTimeStr.trim();
+    // If time doesn't have seconds, add them
+    if (expiryTimeStr.split(':').length === 2) {
+      expiryTimeStr = expiryTimeStr + ':00';
+    }
+  }
+
+  const expiryDateTime = new Date(`${expiryDateStr}T${expiryTimeStr}`);
+  return isNaN(expiryDateTime.getTime()) ? null : expiryDateTime;
+};
+
+module.exports = {
+  getCouponExpiresAt
+};
@@ -0,0 +1,128 @@
+// Five-field cron expressions (minute hour day-of-month month day-of-week) in server local time.
+// Supports *, lists (1,15), ranges (1-5), steps (*/10, 8-18/2) and 0 or 7 for Sunday.
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+// Never look further ahead than this for the next run (covers e.g. "0 0 29 2 *")
+const MAX_LOOKAHEAD_DAYS = 366 * 5;
+
+const parseField = (expression, { name, min, max }) => {
+  const values = new Set();
+
+  expression.split(',').forEach(part => {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step "${part}" in cron ${name}`);
+    }
+
+    let from;
+    let to;
+    if (range === '*') {
+      from = min;
+      to = max;
+    } else if (range.includes('-')) {
+      [from, to] = range.split('-').map(value => parseInt(value, 10));
+    } else {
+      from = parseInt(range, 10);
+      // "5/15" means every 15 starting at 5
+      to = stepText === undefined ? from : max;
+    }
+
+    if (!Number.isInteger(from) || !Number.isInteger(to) || from < min || to > max || from > to) {
+      throw new Error(`Invalid value "${part}" in cron ${name} (allowed ${min}-${max})`);
+    }
+
+    for (let value = from; value <= to; value += step) {
+      values.add(value);
+    }
+  });
+
+  return values;
+};
+
+/**
+ * Parse a cron expression
+ * @returns {object} Allowed values per field plus whether day-of-month/day-of-week were restricted
+ */
+const parseCron = (expression) => {
+  const parts = String(expression || '').trim().split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new Error(`Cron expression "${expression}" must have 5 fields`);
+  }
+
+  const schedule = {};
+  FIELDS.forEach((field, index) => {
+    schedule[field.name] = parseField(parts[index], field);
+  });
+
+  // Sunday can be written as 0 or 7
+  if (schedule.dayOfWeek.has(7)) {
+    schedule.dayOfWeek.add(0);
+    schedule.dayOfWeek.delete(7);
+  }
+
+  schedule.anyDayOfMonth = parts[2] === '*';
+  schedule.anyDayOfWeek = parts[4] === '*';
+  return schedule;
+};
+
+// Like cron: when both day fields are restricted, either one matching is enough
+const matchesDay = (schedule, date) => {
+  const dayOfMonth = schedule.dayOfMonth.has(date.getDate());
+  const dayOfWeek = schedule.dayOfWeek.has(date.getDay());
+
+  if (schedule.anyDayOfMonth) return dayOfWeek;
+  if (schedule.anyDayOfWeek) return dayOfMonth;
+  return dayOfMonth || dayOfWeek;
+};
+
+/**
+ * First time strictly after `from` that the expression fires
+ * @param {string|object} expression - Cron expression or the result of parseCron
+ * @returns {Date|null} null when it never fires within MAX_LOOKAHEAD_DAYS
+ */
+const nextRunAfter = (expression, from = new Date()) => {
+  const schedule = typeof expression === 'string' ? parseCron(expression) : expression;
+
+  const date = new Date(from.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  const limit = from.getTime() + MAX_LOOKAHEAD_DAYS * 24 * 60 * 60 * 1000;
+
+  while (date.getTime() <= limit) {
+    if (!schedule.month.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!matchesDay(schedule, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!schedule.hour.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!schedule.minute.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+      continue;
+    }
+    return date;
+  }
+
+  return null;
+};
+
+module.exports = {
+  parseCron,
+  nextRunAfter
+};
@@ -0,0 +1,111 @@
+// Ordered delivery charge rules stored on DeliveryCharge.rules.
+// Rules run top to bottom against a running charge that starts at the agency's base charge:
+//   distance_band       { minKm, maxKm (null = no upper bound), chargeType: 'fixed' | 'per_km', amount }
+//                       Replaces the charge; only the first matching band fires.
+//   free_above_subtotal { minSubtotal }
+//                       Sets the charge to 0, waiving everything that fired above it.
+//   surcharge           { amount, when: 'express' | 'time_window', startTime, endTime, daysOfWeek }
+//                       Adds to the charge. express = no slot booked (deliver as soon as possible);
+//                       time_window = the delivery slot (or order time for express) starts inside the window.
+
+const RULE_TYPES = ['distance_band', 'free_above_subtotal', 'surcharge'];
+
+// Generate a rule id
+const generateRuleId = () => {
+  return `rule-${Date.now()}-${Math.random().toString(36).substring(2, 8)}`;
+};
+
+// Give every rule a stable id so the breakdown can point at it
+const withRuleIds = (rules) => {
+  if (!Array.isArray(rules)) return [];
+  return rules.map(rule => ({ id: rule.id || generateRuleId(), ...rule }));
+};
+
+const toHHmm = (date) => {
+  return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+};
+
+// Windows may wrap past midnight (e.g. 21:00-02:00)
+const isTimeInWindow = (time, startTime, endTime) => {
+  if (startTime <= endTime) {
+    return time >= startTime && time < endTime;
+  }
+  return time >= startTime || time < endTime;
+};
+
+const describeRule = (rule) => {
+  if (rule.label) return rule.label;
+  if (rule.type === 'distance_band') {
+    const range = rule.maxKm === null || rule.maxKm === undefined ? `${rule.minKm}+ km` : `${rule.minKm}-${rule.maxKm} km`;
+    return rule.chargeType === 'per_km' ? `${range} at KSH${rule.amount}/km` : `${range} flat KSH${rule.amount}`;
+  }
+  if (rule.type === 'free_above_subtotal') return `Free delivery above KSH${rule.minSubtotal}`;
+  if (rule.when === 'express') return 'Express delivery surcharge';
+  return `Surcharge ${rule.startTime}-${rule.endTime}`;
+};
+
+/**
+ * Run an agency's rules for one delivery.
+ * @param {Array} rules - DeliveryCharge.rules
+ * @param {number} baseCharge - Charge from the zone or DeliveryCharge chargeType before any rule
+ * @param {object} context - { distanceKm, subtotal, slot: { startTime, slotDate } | null, now }
+ * @returns {object} { deliveryCharge, breakdown: [{ ruleId, type, description, effect, amount }] }
+ */
+const evaluateDeliveryRules = (rules, baseCharge, context = {}) => {
+  const { distanceKm = null, subtotal = null, slot = null } = context;
+  const now = context.now || new Date();
+
+  let charge = baseCharge || 0;
+  const breakdown = [{
+    ruleId: null,
+    type: 'base',
+    description: 'Base delivery charge',
+    effect: 'set',
+    amount: charge
+  }];
+
+  const deliveryTime = slot ? slot.startTime : toHHmm(now);
+  const deliveryDay = slot && slot.slotDate ? new Date(`${slot.slotDate}T00:00:00`).getDay() : now.getDay();
+  let bandApplied = false;
+
+  (Array.isArray(rules) ? rules : []).forEach(rule => {
+    if (rule.isActive === false) return;
+
+    if (rule.type === 'distance_band') {
+      if (bandApplied || distanceKm === null) return;
+      const withinBand = distanceKm >= rule.minKm &&
+        (rule.maxKm === null || rule.maxKm === undefined || distanceKm < rule.maxKm);
+      if (!withinBand) return;
+
+      bandApplied = true;
+      charge = rule.chargeType === 'per_km'
+        ? Math.floor(distanceKm * parseFloat(rule.amount))
+        : Math.floor(parseFloat(rule.amount));
+      breakdown.push({ ruleId: rule.id || null, type: rule.type, description: describeRule(rule), effect: 'set', amount: charge });
+    } else if (rule.type === 'free_above_subtotal') {
+      if (subtotal === null || subtotal < parseFloat(rule.minSubtotal)) return;
+
+      breakdown.push({ ruleId: rule.id || null, type: rule.type, description: describeRule(rule), effect: 'waive', amount: -charge });
+      charge = 0;
+    } else if (rule.type === 'surcharge') {
+      if (rule.when === 'express' && slot) return;
+      if (rule.when === 'time_window') {
+        if (!isTimeInWindow(deliveryTime, rule.startTime, rule.endTime)) return;
+        if (Array.isArray(rule.daysOfWeek) && rule.daysOfWeek.length > 0 && !rule.daysOfWeek.includes(deliveryDay)) return;
+      }
+
+      const amount = Math.floor(parseFloat(rule.amount));
+      charge += amount;
+      breakdown.push({ ruleId: rule.id || null, type: rule.type, description: describeRule(rule), effect: 'add', amount });
+    }
+  });
+
+  return { deliveryCharge: charge, breakdown };
+};
+
+module.exports = {
+  RULE_TYPES,
+  withRuleIds,
+  isTimeInWindow,
+  evaluateDeliveryRules
+};
@@ -0,0 +1,159 @@
+// GeoJSON polygon helpers for delivery zones.
+// Coordinates follow GeoJSON order: [longitude, latitude]. Areas are small (a city at most),
+// so planar math on degrees is accurate enough for containment and overlap checks.
+
+const KM_PER_DEGREE_LAT = 111.32;
+
+// Accept a Feature, Polygon or MultiPolygon and return a list of polygons (each a list of rings)
+const toPolygons = (geometry) => {
+  if (!geometry) return [];
+  if (geometry.type === 'Feature') return toPolygons(geometry.geometry);
+  if (geometry.type === 'Polygon') return [geometry.coordinates];
+  if (geometry.type === 'MultiPolygon') return geometry.coordinates;
+  return [];
+};
+
+// Returns an error message for an invalid zone geometry, or null when it is usable
+const validateGeometry = (geometry) => {
+  if (!geometry || !['Polygon', 'MultiPolygon'].includes(geometry.type)) {
+    return 'Zone geometry must be a GeoJSON Polygon or MultiPolygon';
+  }
+
+  const polygons = toPolygons(geometry);
+  if (!Array.isArray(polygons) || polygons.length === 0) {
+    return 'Zone geometry has no coordinates';
+  }
+
+  for (const rings of polygons) {
+    if (!Array.isArray(rings) || rings.length === 0) {
+      return 'Each polygon needs at least one ring';
+    }
+
+    for (const ring of rings) {
+      if (!Array.isArray(ring) || ring.length < 4) {
+        return 'Each polygon ring needs at least 4 positions';
+      }
+
+      for (const position of ring) {
+        if (!Array.isArray(position) || position.length < 2 ||
+            typeof position[0] !== 'number' || typeof position[1] !== 'number' ||
+            position[0] < -180 || position[0] > 180 || position[1] < -90 || position[1] > 90) {
+          return 'Positions must be [longitude, latitude] within valid ranges';
+        }
+      }
+
+      const first = ring[0];
+      const last = ring[ring.length - 1];
+      if (first[0] !== last[0] || first[1] !== last[1]) {
+        return 'Polygon rings must be closed (first and last positions equal)';
+      }
+    }
+  }
+
+  return null;
+};
+
+// Ray casting; points exactly on an edge may land either side
+const pointInRing = (lng, lat, ring) => {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > lat) !== (yj > lat) && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+// First ring is the outer boundary, the rest are holes
+const pointInPolygon = (lng, lat, rings) => {
+  if (!pointInRing(lng, lat, rings[0])) return false;
+  return !rings.slice(1).some(hole => pointInRing(lng, lat, hole));
+};
+
+const pointInGeometry = (geometry, lng, lat) => {
+  return toPolygons(geometry).some(rings => pointInPolygon(parseFloat(lng), parseFloat(lat), rings));
+};
+
+// { minLng, minLat, maxLng, maxLat } of the outer rings
+const geometryBounds = (geometry) => {
+  const bounds = { minLng: Infinity, minLat: Infinity, maxLng: -Infinity, maxLat: -Infinity };
+  toPolygons(geometry).forEach(rings => {
+    rings[0].forEach(([lng, lat]) => {
+      bounds.minLng = Math.min(bounds.minLng, lng);
+      bounds.minLat = Math.min(bounds.minLat, lat);
+      bounds.maxLng = Math.max(bounds.maxLng, lng);
+      bounds.maxLat = Math.max(bounds.maxLat, lat);
+    });
+  });
+  return bounds;
+};
+
+const intersectBounds = (a, b) => {
+  const bounds = {
+    minLng: Math.max(a.minLng, b.minLng),
+    minLat: Math.max(a.minLat, b.minLat),
+    maxLng: Math.min(a.maxLng, b.maxLng),
+    maxLat: Math.min(a.maxLat, b.maxLat)
+  };
+  return bounds.minLng <= bounds.maxLng && bounds.minLat <= bounds.maxLat ? bounds : null;
+};
+
+// Approximate area of a bounding box in km², scaled for longitude shrinking away from the equator
+const boundsAreaKm2 = (bounds) => {
+  const midLat = ((bounds.minLat + bounds.maxLat) / 2) * Math.PI / 180;
+  const heightKm = (bounds.maxLat - bounds.minLat) * KM_PER_DEGREE_LAT;
+  const widthKm = (bounds.maxLng - bounds.minLng) * KM_PER_DEGREE_LAT * Math.cos(midLat);
+  return heightKm * widthKm;
+};
+
+/**
+ * Where two zone geometries overlap, estimated by sampling a grid over their common bounding box.
+ * @returns {object|null} { bounds, approxAreaKm2, samplePoint: { latitude, longitude } } or null when they don't overlap
+ */
+const geometryOverlap = (geometryA, geometryB, gridSize = 40) => {
+  const common = intersectBounds(geometryBounds(geometryA), geometryBounds(geometryB));
+  if (!common) return null;
+
+  const stepLng = (common.maxLng - common.minLng) / gridSize;
+  const stepLat = (common.maxLat - common.minLat) / gridSize;
+  const overlap = { minLng: Infinity, minLat: Infinity, maxLng: -Infinity, maxLat: -Infinity };
+  let hits = 0;
+  let samplePoint = null;
+
+  for (let i = 0; i < gridSize; i++) {
+    for (let j = 0; j < gridSize; j++) {
+      // Cell centres, so shared edges alone don't count as overlap
+      const lng = common.minLng + stepLng * (i + 0.5);
+      const lat = common.minLat + stepLat * (j + 0.5);
+
+      if (pointInGeometry(geometryA, lng, lat) && pointInGeometry(geometryB, lng, lat)) {
+        hits++;
+        overlap.minLng = Math.min(overlap.minLng, lng);
+        overlap.minLat = Math.min(overlap.minLat, lat);
+        overlap.maxLng = Math.max(overlap.maxLng, lng);
+        overlap.maxLat = Math.max(overlap.maxLat, lat);
+        if (!samplePoint) {
+          samplePoint = { latitude: lat, longitude: lng };
+        }
+      }
+    }
+  }
+
+  if (hits === 0) return null;
+
+  return {
+    bounds: overlap,
+    approxAreaKm2: parseFloat((boundsAreaKm2(common) * hits / (gridSize * gridSize)).toFixed(3)),
+    samplePoint
+  };
+};
+
+module.exports = {
+  toPolygons,
+  validateGeometry,
+  pointInGeometry,
+  geometryBounds,
+  geometryOverlap
+};
@@ -50,11 +50,25 @@ const formatDateTime = (date) => {
   return d.toISOString();
 };
 
+// Straight-line (great-circle) distance between two coordinates in km
+const haversineDistanceKm = (lat1, lng1, lat2, lng2) => {
+  const toRad = (value) => (parseFloat(value) * Math.PI) / 180;
+  const earthRadiusKm = 6371;
+
+  const dLat = toRad(lat2) - toRad(lat1);
+  const dLng = toRad(lng2) - toRad(lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+
+  return earthRadiusKm * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
 module.exports = {
   generateRandomString,
   formatCurrency,
   sanitizeObject,
   isValidEmail,
   formatDate,
-  formatDateTime
+  formatDateTime,
+  haversineDistanceKm
 };
@@ -0,0 +1,149 @@
+const PDFDocument = require('pdfkit');
+
+const TITLES = {
+  invoice: 'TAX INVOICE',
+  receipt: 'RECEIPT',
+  credit_note: 'CREDIT NOTE'
+};
+
+// Column x positions and widths of the line-item table (A4, 50pt margins)
+const COLUMNS = [
+  { key: 'description', label: 'Description', x: 50, width: 215, align: 'left' },
+  { key: 'quantity', label: 'Qty', x: 265, width: 40, align: 'right' },
+  { key: 'unitPrice', label: 'Unit price', x: 305, width: 80, align: 'right' },
+  { key: 'taxAmount', label: 'Tax', x: 385, width: 70, align: 'right' },
+  { key: 'amount', label: 'Amount', x: 455, width: 90, align: 'right' }
+];
+
+const money = (value) => `KSH ${parseFloat(value || 0).toFixed(2)}`;
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+const taxLabel = (invoice) => {
+  if (invoice.taxType === 'percentage') return `Tax (${parseFloat(invoice.taxValue)}%)`;
+  if (invoice.taxType === 'fixed') return 'Tax (fixed)';
+  return 'Tax';
+};
+
+const writeParty = (doc, heading, details, x, y) => {
+  doc.font('Helvetica-Bold').fontSize(10).text(heading, x, y);
+  doc.font('Helvetica').fontSize(9);
+  [details.name, details.address, [details.city, details.pincode].filter(Boolean).join(' '), details.phone, details.email]
+    .filter(Boolean)
+    .forEach(line => doc.text(line, x, doc.y, { width: 230 }));
+  return doc.y;
+};
+
+const writeTotalRow = (doc, label, value, { bold = false } = {}) => {
+  const y = doc.y;
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(bold ? 11 : 9);
+  doc.text(label, 305, y, { width: 150, align: 'right' });
+  doc.text(value, 455, y, { width: 90, align: 'right' });
+  doc.moveDown(0.3);
+};
+
+/**
+ * Render an invoice, its receipt or a credit note as a PDF
+ * @param {object} invoice - Invoice (type invoice or credit_note)
+ * @param {object} options - { document: 'invoice'|'receipt'|'credit_note', creditedNumber, payment: { method, status, amountPaid, walletAmount, reference, paidAt } }
+ * @returns {Promise<Buffer>}
+ */
+const renderInvoicePdf = (invoice, { document = invoice.type, creditedNumber = null, payment = null } = {}) => {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `${TITLES[document]} ${invoice.number}` } });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    // Title and document details
+    doc.font('Helvetica-Bold').fontSize(18).text(TITLES[document], 50, 50);
+    doc.font('Helvetica').fontSize(9);
+    const details = [
+      [document === 'credit_note' ? 'Credit note no.' : 'Invoice no.', invoice.number],
+      ['Date', formatDate(document === 'receipt' && payment && payment.paidAt ? payment.paidAt : invoice.issuedAt)],
+      ['Order no.', invoice.orderNumber]
+    ];
+    if (creditedNumber) details.push(['Credits invoice', creditedNumber]);
+    details.forEach(([label, value], index) => {
+      doc.text(`${label}:`, 350, 55 + index * 13, { width: 90 });
+      doc.text(value || '-', 440, 55 + index * 13, { width: 105, align: 'right' });
+    });
+
+    // Seller and customer
+    const top = 130;
+    const sellerBottom = writeParty(doc, 'From', invoice.agencyDetails || {}, 50, top);
+    const customerBottom = writeParty(doc, document === 'credit_note' ? 'Credited to' : 'Bill to', invoice.customerDetails || {}, 315, top);
+    let y = Math.max(sellerBottom, customerBottom) + 25;
+
+    // Line items
+    doc.font('Helvetica-Bold').fontSize(9);
+    COLUMNS.forEach(column => doc.text(column.label, column.x, y, { width: column.width, align: column.align }));
+    y += 15;
+    doc.moveTo(50, y).lineTo(545, y).stroke();
+    y += 6;
+
+    doc.font('Helvetica').fontSize(9);
+    (invoice.lines || []).forEach(line => {
+      const values = {
+        description: line.description,
+        quantity: String(line.quantity),
+        unitPrice: parseFloat(line.unitPrice).toFixed(2),
+        taxAmount: parseFloat(line.taxAmount || 0).toFixed(2),
+        amount: parseFloat(line.amount).toFixed(2)
+      };
+      const rowHeight = doc.heightOfString(values.description, { width: COLUMNS[0].width });
+      if (y + rowHeight > 720) {
+        doc.addPage();
+        y = 50;
+      }
+      COLUMNS.forEach(column => doc.text(values[column.key], column.x, y, { width: column.width, align: column.align }));
+      y += rowHeight + 6;
+    });
+    doc.moveTo(50, y).lineTo(545, y).stroke();
+    doc.y = y + 10;
+
+    // Totals
+    writeTotalRow(doc, 'Subtotal', money(invoice.subtotal));
+    writeTotalRow(doc, taxLabel(invoice), money(invoice.taxAmount));
+    if (parseFloat(invoice.deliveryCharge) > 0) writeTotalRow(doc, 'Delivery charge', money(invoice.deliveryCharge));
+    if (parseFloat(invoice.platformCharge) > 0) writeTotalRow(doc, 'Platform charge', money(invoice.platformCharge));
+    if (parseFloat(invoice.depositAmount) > 0) writeTotalRow(doc, 'Cylinder deposit (refundable)', money(invoice.depositAmount));
+    if (parseFloat(invoice.couponDiscount) > 0) writeTotalRow(doc, 'Coupon discount', `- ${money(invoice.couponDiscount)}`);
+    writeTotalRow(doc, document === 'credit_note' ? 'Total credited' : 'Total', money(invoice.totalAmount), { bold: true });
+
+    // Tax summary
+    doc.moveDown(1);
+    doc.font('Helvetica-Bold').fontSize(10).text('Tax summary', 50);
+    doc.font('Helvetica').fontSize(9);
+    doc.text(`Taxable amount: ${money(invoice.subtotal)}`, 50);
+    doc.text(`${taxLabel(invoice)}: ${money(invoice.taxAmount)}`, 50);
+    if (invoice.taxType === 'none') doc.text('No tax was charged on this order.', 50);
+
+    // Payment (receipts)
+    if (document === 'receipt' && payment) {
+      doc.moveDown(1);
+      doc.font('Helvetica-Bold').fontSize(10).text('Payment received', 50);
+      doc.font('Helvetica').fontSize(9);
+      doc.text(`Amount paid: ${money(payment.amountPaid)}`, 50);
+      if (parseFloat(payment.walletAmount) > 0) doc.text(`Paid from wallet: ${money(payment.walletAmount)}`, 50);
+      doc.text(`Payment method: ${payment.method}`, 50);
+      if (payment.reference) doc.text(`Reference: ${payment.reference}`, 50);
+      doc.text(`Payment status: ${payment.status}`, 50);
+    }
+
+    if (document === 'credit_note' && invoice.reason) {
+      doc.moveDown(1);
+      doc.font('Helvetica-Bold').fontSize(10).text('Reason', 50);
+      doc.font('Helvetica').fontSize(9).text(invoice.reason, 50, doc.y, { width: 495 });
+    }
+
+    doc.font('Helvetica').fontSize(8).fillColor('#666666')
+      .text('This document was generated electronically and is valid without a signature.', 50, 770, { width: 495, align: 'center' });
+
+    doc.end();
+  });
+};
+
+module.exports = {
+  renderInvoicePdf
+};
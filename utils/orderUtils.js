@@ -1,5 +1,8 @@
 const crypto = require('crypto');
-const { AgencyInventory } = require('../models');
+const { sequelize } = require('../config/database');
+const { AgencyInventory, CylinderBalance } = require('../models');
+const logger = require('./logger');
+const { createError } = require('./errorHandler');
 
 // Generate unique order number
 const generateOrderNumber = () => {
@@ -16,18 +19,47 @@ const generateOTP = () => {
 // Calculate order totals
 const calculateOrderTotals = (items) => {
   let subtotal = 0;
+  let depositAmount = 0;
   
   items.forEach(item => {
     const itemTotal = parseFloat(item.variantPrice) * parseInt(item.quantity);
     subtotal += itemTotal;
+
+    // Refundable deposit is kept as its own line, outside the product subtotal
+    if (item.productType === 'new_connection') {
+      depositAmount += parseFloat(item.depositAmount || 0) * parseInt(item.quantity);
+    }
   });
   
   return {
     subtotal: parseFloat(subtotal.toFixed(2)),
-    totalAmount: parseFloat(subtotal.toFixed(2)) // No tax/shipping for now
+    depositAmount: parseFloat(depositAmount.toFixed(2)),
+    totalAmount: parseFloat((subtotal + depositAmount).toFixed(2)) // No tax/shipping for now
   };
 };
 
+// Resolve refill/new-connection type and per-unit deposit for an ordered variant.
+// Agency variant overrides the admin product variant, which overrides the product itself.
+const resolveProductType = (product, variantLabel, agencyVariant = null) => {
+  const productVariant = Array.isArray(product.variants)
+    ? product.variants.find(v => v.label === variantLabel)
+    : null;
+
+  const productType = (agencyVariant && agencyVariant.type) ||
+    (productVariant && productVariant.type) ||
+    product.productType ||
+    'refill';
+
+  if (productType !== 'new_connection') {
+    return { productType, depositAmount: 0 };
+  }
+
+  const depositSource = [agencyVariant, productVariant].find(v => v && v.depositAmount !== undefined && v.depositAmount !== null);
+  const depositAmount = depositSource ? parseFloat(depositSource.depositAmount) : parseFloat(product.depositAmount || 0);
+
+  return { productType, depositAmount };
+};
+
 // Validate OTP
 const validateOTP = (inputOTP, storedOTP, expiresAt) => {
   if (!storedOTP || !expiresAt) {
@@ -41,6 +73,22 @@ const validateOTP = (inputOTP, storedOTP, expiresAt) => {
   return inputOTP === storedOTP;
 };
 
+// ETA block for an order out for delivery; null once delivered or before an ETA was computed
+const formatOrderEta = (order) => {
+  if (order.status !== 'out_for_delivery' || order.etaMinutes === null || order.etaMinutes === undefined) {
+    return null;
+  }
+
+  return {
+    etaMinutes: order.etaMinutes,
+    distanceKm: order.etaDistanceKm !== null ? parseFloat(order.etaDistanceKm) : null,
+    estimatedArrivalAt: order.estimatedArrivalAt,
+    provider: order.etaProvider,
+    updatedAt: order.etaUpdatedAt,
+    arrivingSoon: !!order.arrivingSoonNotifiedAt
+  };
+};
+
 // Format order for response
 const formatOrderResponse = (order, includeAgent = false) => {
   const formatted = {
@@ -51,6 +99,15 @@ const formatOrderResponse = (order, includeAgent = false) => {
     customerPhone: order.customerPhone,
     customerAddress: order.customerAddress,
     deliveryMode: order.deliveryMode,
+    deliveryLatitude: order.deliveryLatitude !== undefined ? order.deliveryLatitude : null,
+    deliveryLongitude: order.deliveryLongitude !== undefined ? order.deliveryLongitude : null,
+    checkoutId: order.checkoutId || null,
+    subscriptionId: order.subscriptionId || null,
+    isDraft: !!order.isDraft,
+    slotId: order.slotId || null,
+    slotDate: order.slotDate || null,
+    slotStartTime: order.slotStartTime || null,
+    slotEndTime: order.slotEndTime || null,
     items: order.items,
     subtotal: order.subtotal,
     taxType: order.taxType || 'none',
@@ -59,11 +116,18 @@ const formatOrderResponse = (order, includeAgent = false) => {
     platformCharge: order.platformCharge || 0,
     deliveryCharge: order.deliveryCharge || 0,
     deliveryDistance: order.deliveryDistance || null,
+    deliveryChargeBreakdown: order.deliveryChargeBreakdown || null,
     couponCode: order.couponCode || null,
     couponDiscount: order.couponDiscount || 0,
+    depositAmount: order.depositAmount || 0,
+    depositRefunded: order.depositRefunded || 0,
+    depositRefundedAt: order.depositRefundedAt || null,
     totalAmount: order.totalAmount,
     paymentMethod: order.paymentMethod,
     paymentStatus: order.paymentStatus,
+    cashCollected: order.cashCollected || 0,
+    refundedAmount: order.refundedAmount || 0,
+    walletAmount: order.walletAmount || 0,
     status: order.status,
     agencyId: order.agencyId,
     assignedAgentId: order.assignedAgentId,
@@ -74,6 +138,7 @@ const formatOrderResponse = (order, includeAgent = false) => {
     confirmedAt: order.confirmedAt,
     assignedAt: order.assignedAt,
     outForDeliveryAt: order.outForDeliveryAt,
+    eta: formatOrderEta(order),
     deliveredAt: order.deliveredAt,
     cancelledAt: order.cancelledAt,
     // Cancellation tracking fields
@@ -151,18 +216,127 @@ const createNotificationPayload = (type, data) => {
   };
 };
 
-// Restore stock in agency inventory (for cancellations and returns)
-const restoreStockToAgency = async (order) => {
+// Spread the empties collected at delivery over the order items.
+// Accepts either a total count (filled item by item, capped at quantity) or
+// an array of { productId, variantLabel, count } entries.
+const applyEmptiesToItems = (items, emptiesCollected) => {
+  if (emptiesCollected === undefined || emptiesCollected === null) {
+    return items.map(item => ({ ...item, emptiesCollected: 0 }));
+  }
+
+  if (Array.isArray(emptiesCollected)) {
+    return items.map(item => {
+      const entry = emptiesCollected.find(e =>
+        e.productId === item.productId &&
+        (e.variantLabel || null) === (item.variantLabel || null)
+      );
+      const count = entry ? parseInt(entry.count) : 0;
+      return { ...item, emptiesCollected: Math.min(count, parseInt(item.quantity)) };
+    });
+  }
+
+  let remaining = parseInt(emptiesCollected);
+  return items.map(item => {
+    const count = Math.min(remaining, parseInt(item.quantity));
+    remaining -= count;
+    return { ...item, emptiesCollected: count };
+  });
+};
+
+// Add (or remove, with a negative delta) empties from the inventory empty pool
+const adjustEmptyStock = async (inventory, item, delta, transaction = null) => {
+  if (!delta) return;
+
+  if (item.variantLabel && inventory.agencyVariants && Array.isArray(inventory.agencyVariants)) {
+    const updatedVariants = inventory.agencyVariants.map(variant => {
+      if (variant.label === item.variantLabel) {
+        return { ...variant, emptyStock: Math.max(0, (variant.emptyStock || 0) + delta) };
+      }
+      return variant;
+    });
+    await inventory.update({ agencyVariants: updatedVariants }, { transaction });
+  } else {
+    await inventory.update({ emptyStock: Math.max(0, (inventory.emptyStock || 0) + delta) }, { transaction });
+  }
+};
+
+// Move a customer's cylinder balance for one order item. sign = 1 on delivery, -1 on reversal.
+// cylindersHeld counts every cylinder the customer has; emptiesOutstanding only those owed back from
+// refills, so a new connection (paid for with a deposit) moves the first and not the second.
+const adjustCylinderBalance = async (order, item, sign, transaction = null) => {
+  const [balance] = await CylinderBalance.findOrCreate({
+    where: {
+      customerEmail: order.customerEmail,
+      agencyId: order.agencyId,
+      productId: item.productId,
+      variantLabel: item.variantLabel || ''
+    },
+    transaction
+  });
+
+  const netCylinders = (parseInt(item.quantity) - (item.emptiesCollected || 0)) * sign;
+  const isNewConnection = item.productType === 'new_connection';
+
+  // New connections hand over an extra cylinder against a deposit; no empty is owed for them
+  const depositChange = isNewConnection ? parseFloat(item.depositTotal || 0) * sign : 0;
+
+  await balance.update({
+    cylindersHeld: Math.max(0, balance.cylindersHeld + netCylinders),
+    depositsPaid: Math.max(0, parseFloat(balance.depositsPaid || 0) + depositChange),
+    emptiesOutstanding: isNewConnection
+      ? balance.emptiesOutstanding
+      : Math.max(0, balance.emptiesOutstanding + netCylinders),
+    lastOrderId: order.id
+  }, { transaction });
+};
+
+// Record the cylinder exchange for a delivered order: empties go into the
+// agency's empty pool and the customer's ledger is updated. Pass the transaction of the
+// delivery update so the order and the ledger change together.
+const recordCylinderExchange = async (order, transaction = null) => {
   try {
+    for (const item of order.items) {
+      const inventory = await AgencyInventory.findOne({
+        where: {
+          productId: item.productId,
+          agencyId: order.agencyId
+        },
+        ...(transaction && { transaction, lock: transaction.LOCK.UPDATE })
+      });
+
+      if (inventory) {
+        await adjustEmptyStock(inventory, item, item.emptiesCollected || 0, transaction);
+      }
+      await adjustCylinderBalance(order, item, 1, transaction);
+    }
+    return true;
+  } catch (error) {
+    // Inside a transaction the caller rolls back everything it did
+    if (transaction) throw error;
+    logger.error(`Error recording cylinder exchange for order ${order.orderNumber}:`, error);
+    return false;
+  }
+};
+
+// Restore stock in agency inventory (for cancellations and returns). A delivered order also hands its
+// collected empties back and reverses the customer's cylinder balance. Stock, empties and balance change
+// in one transaction: the caller's, else one of its own, so a failure part way changes nothing.
+const restoreStockToAgency = async (order, transaction = null) => {
+  // Items carry emptiesCollected only once the exchange was recorded at delivery
+  const exchangeRecorded = order.items.some(item => item.emptiesCollected !== undefined);
+
+  const run = async (t) => {
     for (const item of order.items) {
       // Get current inventory to check if we need to update variants
       const inventory = await AgencyInventory.findOne({
         where: {
           productId: item.productId,
           agencyId: order.agencyId
-        }
+        },
+        transaction: t,
+        lock: t.LOCK.UPDATE
       });
-      
+
       if (inventory) {
         // If item has variant information, restore variant stock
         if (item.variantLabel && inventory.agencyVariants && Array.isArray(inventory.agencyVariants)) {
@@ -175,10 +349,10 @@ const restoreStockToAgency = async (order) => {
             }
             return variant;
           });
-          
+
           await inventory.update({
             agencyVariants: updatedVariants
-          });
+          }, { transaction: t });
         } else {
           // Restore product-level stock
           await AgencyInventory.increment('stock', {
@@ -186,53 +360,99 @@ const restoreStockToAgency = async (order) => {
             where: {
               productId: item.productId,
               agencyId: order.agencyId
-            }
+            },
+            transaction: t
           });
         }
+
+        // Hand the collected empties back to the customer
+        if (exchangeRecorded) {
+          await adjustEmptyStock(inventory, item, -(item.emptiesCollected || 0), t);
+        }
+      }
+
+      if (exchangeRecorded) {
+        await adjustCylinderBalance(order, item, -1, t);
       }
     }
+
+    // Clear the exchange so a later reorder/delivery records it afresh
+    if (exchangeRecorded && typeof order.update === 'function') {
+      const clearedItems = order.items.map(({ emptiesCollected, ...item }) => item);
+      await order.update({ items: clearedItems }, { transaction: t });
+    }
+  };
+
+  try {
+    await (transaction ? run(transaction) : sequelize.transaction(run));
     return true;
   } catch (error) {
-    console.error('Error restoring stock:', error);
+    // Inside the caller's transaction the caller rolls back everything it did
+    if (transaction) throw error;
+    logger.error(`Error restoring stock for order ${order.orderNumber}:`, error);
     return false;
   }
 };
 
-// Deduct stock from agency inventory (for reorder - when cancelled/returned order is set back to pending)
-const deductStockFromAgency = async (order) => {
+// Deduct stock from agency inventory (new orders, paid drafts, reorders). Inside a transaction the
+// inventory rows are locked and availability is checked again under the lock: a shortfall throws a 400
+// and the caller rolls back. Without one it is best effort.
+// Items that carry a recorded exchange (emptiesCollected) put their empties back into the empty pool,
+// the reverse of restoreStockToAgency; new orders carry none, their empties are recorded at delivery.
+const deductStockFromAgency = async (order, transaction = null) => {
   try {
     for (const item of order.items) {
       const inventory = await AgencyInventory.findOne({
         where: {
           productId: item.productId,
           agencyId: order.agencyId
-        }
+        },
+        ...(transaction && { transaction, lock: transaction.LOCK.UPDATE })
       });
-      
-      if (inventory) {
-        if (item.variantLabel && inventory.agencyVariants && Array.isArray(inventory.agencyVariants)) {
-          const updatedVariants = inventory.agencyVariants.map(variant => {
-            if (variant.label === item.variantLabel) {
-              const newStock = Math.max(0, (variant.stock || 0) - item.quantity);
-              return { ...variant, stock: newStock };
-            }
-            return variant;
-          });
-          await inventory.update({ agencyVariants: updatedVariants });
-        } else {
-          await AgencyInventory.decrement('stock', {
-            by: item.quantity,
-            where: {
-              productId: item.productId,
-              agencyId: order.agencyId
-            }
-          });
+
+      if (!inventory) {
+        if (transaction) {
+          throw createError(400, `${item.productName || 'Product'} is no longer stocked by this agency`);
+        }
+        continue;
+      }
+
+      if (item.variantLabel && inventory.agencyVariants && Array.isArray(inventory.agencyVariants)) {
+        const current = inventory.agencyVariants.find(variant => variant.label === item.variantLabel);
+        const available = current ? (current.stock || 0) : 0;
+        if (transaction && available < item.quantity) {
+          throw createError(400, `Insufficient stock for variant ${item.variantLabel} of ${item.productName || 'product'}. Available: ${available}, Requested: ${item.quantity}`);
         }
+
+        const updatedVariants = inventory.agencyVariants.map(variant => {
+          if (variant.label === item.variantLabel) {
+            const newStock = Math.max(0, (variant.stock || 0) - item.quantity);
+            return { ...variant, stock: newStock };
+          }
+          return variant;
+        });
+        await inventory.update({ agencyVariants: updatedVariants }, { transaction });
+      } else {
+        if (transaction && (inventory.stock || 0) < item.quantity) {
+          throw createError(400, `Insufficient stock for ${item.productName || 'product'}. Available: ${inventory.stock || 0}, Requested: ${item.quantity}`);
+        }
+        await AgencyInventory.decrement('stock', {
+          by: item.quantity,
+          where: {
+            productId: item.productId,
+            agencyId: order.agencyId
+          },
+          transaction
+        });
       }
+
+      await adjustEmptyStock(inventory, item, item.emptiesCollected || 0, transaction);
     }
     return true;
   } catch (error) {
-    console.error('Error deducting stock:', error);
+    // Inside a transaction the caller rolls back everything it did
+    if (transaction) throw error;
+    logger.error(`Error deducting stock for order ${order.orderNumber}:`, error);
     return false;
   }
 };
@@ -241,10 +461,14 @@ module.exports = {
   generateOrderNumber,
   generateOTP,
   calculateOrderTotals,
+  resolveProductType,
   validateOTP,
+  formatOrderEta,
   formatOrderResponse,
   restoreStockToAgency,
   deductStockFromAgency,
+  applyEmptiesToItems,
+  recordCylinderExchange,
   NOTIFICATION_TYPES,
   createNotificationPayload
 };
@@ -216,11 +216,178 @@ async function getIPNList(countryCode = 'KE') {
   }
 }
 
+/**
+ * Get the status of a Pesapal transaction
+ * @param {string} orderTrackingId - Pesapal order tracking ID
+ * @param {string} countryCode - Country code for credentials
+ * @returns {Promise<object>} Pesapal GetTransactionStatus response
+ */
+async function getTransactionStatus(orderTrackingId, countryCode = 'KE') {
+  const axios = require('axios');
+  const pesapalConfig = getPesapalCredentials(countryCode);
+  const pesapalBaseUrl = getPesapalBaseUrl();
+
+  // Get authentication token
+  const authRes = await axios.post(
+    `${pesapalBaseUrl}/api/Auth/RequestToken`,
+    {
+      consumer_key: pesapalConfig.consumer_key,
+      consumer_secret: pesapalConfig.consumer_secret
+    }
+  );
+
+  const token = authRes?.data?.token;
+  if (!token) {
+    throw new Error('Failed to get authentication token');
+  }
+
+  const statusRes = await axios.get(
+    `${pesapalBaseUrl}/api/Transactions/GetTransactionStatus?orderTrackingId=${orderTrackingId}`,
+    {
+      headers: {
+        "Authorization": `Bearer ${token}`,
+        "Content-Type": "application/json"
+      }
+    }
+  );
+
+  return statusRes.data;
+}
+
+/**
+ * Ask Pesapal to refund (part of) a completed payment. Pesapal reviews the request and reverses the
+ * transaction later; the response only says whether the request was accepted.
+ * @param {object} refund - { confirmationCode, amount, username, remarks }
+ * @param {string} countryCode - Country code for credentials
+ * @returns {Promise<object>} Pesapal RefundRequest response ({ status: '200' | '500', message })
+ */
+async function requestRefund({ confirmationCode, amount, username, remarks }, countryCode = 'KE') {
+  const axios = require('axios');
+  const pesapalConfig = getPesapalCredentials(countryCode);
+  const pesapalBaseUrl = getPesapalBaseUrl();
+
+  // Get authentication token
+  const authRes = await axios.post(
+    `${pesapalBaseUrl}/api/Auth/RequestToken`,
+    {
+      consumer_key: pesapalConfig.consumer_key,
+      consumer_secret: pesapalConfig.consumer_secret
+    }
+  );
+
+  const token = authRes?.data?.token;
+  if (!token) {
+    throw new Error('Failed to get authentication token');
+  }
+
+  const refundRes = await axios.post(
+    `${pesapalBaseUrl}/api/Transactions/RefundRequest`,
+    {
+      confirmation_code: confirmationCode,
+      amount: String(amount),
+      username,
+      remarks
+    },
+    {
+      headers: {
+        "Authorization": `Bearer ${token}`,
+        "Content-Type": "application/json",
+        "Accept": "application/json"
+      }
+    }
+  );
+
+  return refundRes.data;
+}
+
+/**
+ * IPN ID (notification_id) for an IPN URL: the active registration for the URL, or a new one
+ * @param {string} ipnUrl - The IPN URL
+ * @param {string} countryCode - Country code for credentials
+ * @returns {Promise<string>} IPN ID
+ */
+async function getNotificationId(ipnUrl, countryCode = 'KE') {
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+  const ipnList = await getIPNList(countryCode);
+
+  if (Array.isArray(ipnList)) {
+    const activeIPN = ipnList.find(ipn => ipn.url === ipnUrl && (ipn.ipn_status === 1 || ipn.ipn_status_description === 'Active')) ||
+      ipnList.find(ipn => ipn.url === ipnUrl);
+    if (activeIPN && uuidRegex.test(activeIPN.ipn_id)) {
+      return activeIPN.ipn_id;
+    }
+  }
+
+  return registerIPN(ipnUrl, countryCode);
+}
+
+/**
+ * Create a Pesapal order the customer pays on the Pesapal payment page
+ * @param {object} order - { id (merchant reference), amount, description, billingAddress, callbackUrl, ipnUrl }
+ * @param {string} countryCode - Country code for credentials
+ * @returns {Promise<object>} { orderTrackingId, redirectUrl, response }
+ */
+async function submitOrderRequest({ id, amount, description, billingAddress, callbackUrl, ipnUrl }, countryCode = 'KE') {
+  const axios = require('axios');
+  const pesapalConfig = getPesapalCredentials(countryCode);
+  const pesapalBaseUrl = getPesapalBaseUrl();
+
+  const notificationId = await getNotificationId(ipnUrl, countryCode);
+
+  // Get authentication token
+  const authRes = await axios.post(
+    `${pesapalBaseUrl}/api/Auth/RequestToken`,
+    {
+      consumer_key: pesapalConfig.consumer_key,
+      consumer_secret: pesapalConfig.consumer_secret
+    }
+  );
+
+  const token = authRes?.data?.token;
+  if (!token) {
+    throw new Error('Failed to get authentication token');
+  }
+
+  const orderRes = await axios.post(
+    `${pesapalBaseUrl}/api/Transactions/SubmitOrderRequest`,
+    {
+      id,
+      currency: pesapalConfig.currency,
+      amount,
+      description,
+      callback_url: callbackUrl,
+      notification_id: notificationId,
+      billing_address: { country_code: pesapalConfig.countryCode, ...billingAddress }
+    },
+    {
+      headers: {
+        "Authorization": `Bearer ${token}`,
+        "Content-Type": "application/json"
+      }
+    }
+  );
+
+  const orderTrackingId = orderRes?.data?.order_tracking_id;
+  if (!orderTrackingId) {
+    throw new Error('Missing order_tracking_id in Pesapal response: ' + JSON.stringify(orderRes?.data));
+  }
+
+  // Pesapal v3 payment page when the response carries no redirect URL
+  const paymentBaseUrl = pesapalBaseUrl.includes('cybqa.pesapal.com') ? 'https://cybqa.pesapal.com/pesapalv3' : 'https://pay.pesapal.com/v3';
+  const redirectUrl = orderRes.data.redirect_url || `${paymentBaseUrl}/order/${orderTrackingId}`;
+
+  return { orderTrackingId, redirectUrl, response: orderRes.data };
+}
+
 module.exports = {
   getPesapalCredentials,
   getPesapalBaseUrl,
   registerIPN,
   getIPNList,
+  getTransactionStatus,
+  requestRefund,
+  getNotificationId,
+  submitOrderRequest,
   PESAPAL_CREDENTIALS
 };
 
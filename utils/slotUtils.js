@@ -0,0 +1,145 @@
+const { Op } = require('sequelize');
+const { Order, Agency } = require('../models');
+const { createError } = require('./errorHandler');
+
+// Orders in these statuses no longer hold a slot
+const SLOT_RELEASED_STATUSES = ['cancelled', 'returned', 'return_approved'];
+
+// Generate a slot id
+const generateSlotId = () => {
+  return `slot-${Date.now()}-${Math.random().toString(36).substring(2, 8)}`;
+};
+
+// Format a date as YYYY-MM-DD in server local time
+const toDateString = (date) => {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+// Find a slot by id in an agency slot list
+const findSlot = (slots, slotId) => {
+  if (!Array.isArray(slots)) return null;
+  return slots.find(slot => slot.id === slotId) || null;
+};
+
+// Check whether a (recurring) slot runs on the given YYYY-MM-DD date
+const isSlotOpenOnDate = (slot, slotDate) => {
+  if (slot.isActive === false) return false;
+  if (!Array.isArray(slot.daysOfWeek) || slot.daysOfWeek.length === 0) return true;
+
+  const dayOfWeek = new Date(`${slotDate}T00:00:00`).getDay();
+  return slot.daysOfWeek.includes(dayOfWeek);
+};
+
+// Count orders currently holding a slot on a date
+const countSlotBookings = async (agencyId, slotId, slotDate, transaction = null) => {
+  return Order.count({
+    where: {
+      agencyId,
+      slotId,
+      slotDate,
+      status: { [Op.notIn]: SLOT_RELEASED_STATUSES }
+    },
+    transaction
+  });
+};
+
+// Validate a slot booking for checkout and return the slot fields to store on the order.
+// slotField is 'deliverySlots' or 'pickupSlots'. Throws a 400 when the slot is unknown, closed, past or full.
+// The agency row stays locked until the transaction ends: create the order in the same transaction so
+// concurrent checkouts can't both take the last place. The slot and its capacity are read from the
+// locked row, so a slot edited or removed since the agency was loaded is checked as it is now.
+const reserveSlot = async (agency, slotField, slotId, slotDate, transaction) => {
+  const lockedAgency = await Agency.findByPk(agency.id, { transaction, lock: transaction.LOCK.UPDATE });
+  if (!lockedAgency) {
+    throw createError(404, `Agency with ID ${agency.id} not found`);
+  }
+
+  const slot = findSlot(lockedAgency[slotField], slotId);
+  if (!slot) {
+    throw createError(400, 'Selected slot does not exist for this agency');
+  }
+
+  if (!isSlotOpenOnDate(slot, slotDate)) {
+    throw createError(400, `Slot ${slot.label || `${slot.startTime}-${slot.endTime}`} is not available on ${slotDate}`);
+  }
+
+  const slotEnd = new Date(`${slotDate}T${slot.endTime}:00`);
+  if (slotEnd <= new Date()) {
+    throw createError(400, 'Selected slot has already passed');
+  }
+
+  const booked = await countSlotBookings(agency.id, slot.id, slotDate, transaction);
+  if (booked >= parseInt(slot.capacity)) {
+    throw createError(400, `Slot ${slot.label || `${slot.startTime}-${slot.endTime}`} on ${slotDate} is full. Please choose another slot`);
+  }
+
+  return {
+    slotId: slot.id,
+    slotDate,
+    slotStartTime: slot.startTime,
+    slotEndTime: slot.endTime
+  };
+};
+
+// List an agency's slots for a date with booked/remaining capacity
+const getSlotsWithAvailability = async (agency, slotField, slotDate) => {
+  const slots = Array.isArray(agency[slotField]) ? agency[slotField] : [];
+
+  if (!slotDate) {
+    return slots;
+  }
+
+  const openSlots = slots.filter(slot => isSlotOpenOnDate(slot, slotDate));
+
+  return Promise.all(openSlots.map(async (slot) => {
+    const booked = await countSlotBookings(agency.id, slot.id, slotDate);
+    return {
+      ...slot,
+      date: slotDate,
+      booked,
+      remaining: Math.max(0, parseInt(slot.capacity) - booked),
+      isFull: booked >= parseInt(slot.capacity)
+    };
+  }));
+};
+
+// Group orders by slot (date + window); unscheduled orders go last
+const groupOrdersBySlot = (orders) => {
+  const groups = {};
+
+  orders.forEach(order => {
+    const key = order.slotId ? `${order.slotDate} ${order.slotStartTime}-${order.slotEndTime}` : 'unscheduled';
+    if (!groups[key]) {
+      groups[key] = {
+        slotId: order.slotId || null,
+        slotDate: order.slotDate || null,
+        slotStartTime: order.slotStartTime || null,
+        slotEndTime: order.slotEndTime || null,
+        orders: []
+      };
+    }
+    groups[key].orders.push(order);
+  });
+
+  return Object.keys(groups)
+    .sort((a, b) => {
+      if (a === 'unscheduled') return 1;
+      if (b === 'unscheduled') return -1;
+      return a.localeCompare(b);
+    })
+    .map(key => ({ ...groups[key], count: groups[key].orders.length }));
+};
+
+module.exports = {
+  SLOT_RELEASED_STATUSES,
+  generateSlotId,
+  toDateString,
+  findSlot,
+  isSlotOpenOnDate,
+  countSlotBookings,
+  reserveSlot,
+  getSlotsWithAvailability,
+  groupOrdersBySlot
+};
@@ -26,7 +26,23 @@ const addAddress = Joi.object({
   // }),
   landmark: Joi.string().max(100).optional().allow('').messages({
     'string.max': 'Landmark cannot exceed 100 characters'
+  }),
+  latitude: Joi.number().min(-90).max(90).allow(null).optional().messages({
+    'number.base': 'Latitude must be a number',
+    'number.min': 'Latitude must be between -90 and 90',
+    'number.max': 'Latitude must be between -90 and 90'
+  }),
+  longitude: Joi.number().min(-180).max(180).allow(null).optional().messages({
+    'number.base': 'Longitude must be a number',
+    'number.min': 'Longitude must be between -180 and 180',
+    'number.max': 'Longitude must be between -180 and 180'
+  }),
+  // Set by the server; accepted so addresses read from the API can be sent back unchanged
+  locationSource: Joi.string().valid('app', 'geocoded').allow(null).optional().messages({
+    'any.only': 'Location source must be app or geocoded'
   })
+}).and('latitude', 'longitude').messages({
+  'object.and': 'Latitude and longitude must be sent together'
 });
 
 // Validation for updating an address
@@ -51,7 +67,23 @@ const updateAddress = Joi.object({
   }),
   landmark: Joi.string().max(100).optional().allow('').messages({
     'string.max': 'Landmark cannot exceed 100 characters'
+  }),
+  latitude: Joi.number().min(-90).max(90).allow(null).optional().messages({
+    'number.base': 'Latitude must be a number',
+    'number.min': 'Latitude must be between -90 and 90',
+    'number.max': 'Latitude must be between -90 and 90'
+  }),
+  longitude: Joi.number().min(-180).max(180).allow(null).optional().messages({
+    'number.base': 'Longitude must be a number',
+    'number.min': 'Longitude must be between -180 and 180',
+    'number.max': 'Longitude must be between -180 and 180'
+  }),
+  // Set by the server; accepted so addresses read from the API can be sent back unchanged
+  locationSource: Joi.string().valid('app', 'geocoded').allow(null).optional().messages({
+    'any.only': 'Location source must be app or geocoded'
   })
+}).and('latitude', 'longitude').messages({
+  'object.and': 'Latitude and longitude must be sent together'
 });
 
 module.exports = {
@@ -1,4 +1,5 @@
 const Joi = require('joi');
+const paymentGatewayService = require('../services/paymentGatewayService');
 
 const createAgency = Joi.object({
   name: Joi.string().min(2).max(150).required(),
@@ -9,6 +10,8 @@ const createAgency = Joi.object({
   city: Joi.string().min(2).max(50).required(),
   pincode: Joi.string().pattern(/^[0-9]{6}$/).required(),
   landmark: Joi.string().max(100).optional().allow(''),
+  latitude: Joi.number().min(-90).max(90).optional().allow(null),
+  longitude: Joi.number().min(-180).max(180).optional().allow(null),
   profileImage: Joi.string().uri().optional().allow('')
 });
 
@@ -21,13 +24,95 @@ const updateAgency = Joi.object({
   city: Joi.string().min(2).max(50).optional(),
   pincode: Joi.string().pattern(/^[0-9]{6}$/).optional(),
   landmark: Joi.string().max(100).optional().allow(''),
+  latitude: Joi.number().min(-90).max(90).optional().allow(null),
+  longitude: Joi.number().min(-180).max(180).optional().allow(null),
   profileImage: Joi.string().uri().optional().allow(''),
-  status: Joi.string().valid('inactive', 'active').optional()
+  status: Joi.string().valid('inactive', 'active').optional(),
+  pickupEnabled: Joi.boolean().optional(),
+  autoAcceptOrders: Joi.boolean().optional(),
+  autoAssignAgents: Joi.boolean().optional(),
+  dispatchStrategy: Joi.string().valid('round_robin', 'fewest_active', 'nearest').optional(),
+  dispatchTimeoutSeconds: Joi.number().integer().min(15).max(3600).optional()
 });
 
+// Order handling settings an agency owner can change for their own agency
+const updateOrderSettings = Joi.object({
+  autoAcceptOrders: Joi.boolean().optional(),
+  autoAssignAgents: Joi.boolean().optional(),
+  pickupEnabled: Joi.boolean().optional(),
+  dispatchStrategy: Joi.string().valid('round_robin', 'fewest_active', 'nearest').optional().messages({
+    'any.only': 'Dispatch strategy must be one of round_robin, fewest_active or nearest'
+  }),
+  dispatchTimeoutSeconds: Joi.number().integer().min(15).max(3600).optional().messages({
+    'number.min': 'Dispatch timeout must be at least 15 seconds',
+    'number.max': 'Dispatch timeout cannot exceed 3600 seconds'
+  }),
+  // null accepts every method enabled on the platform
+  paymentMethods: Joi.array()
+    .items(Joi.string().valid(...paymentGatewayService.getMethodNames()))
+    .min(1)
+    .unique()
+    .allow(null)
+    .optional()
+    .messages({
+      'any.only': `Payment methods must be among ${paymentGatewayService.getMethodNames().join(', ')}`,
+      'array.min': 'At least one payment method must be accepted',
+      'array.unique': 'Payment methods must not repeat'
+    })
+}).min(1);
+
+const timePattern = /^([01][0-9]|2[0-3]):[0-5][0-9]$/;
+
+// Recurring slot window (delivery or pickup). daysOfWeek uses 0 = Sunday ... 6 = Saturday; empty means every day
+const createSlot = Joi.object({
+  label: Joi.string().max(50).optional().allow(''),
+  startTime: Joi.string().pattern(timePattern).required().messages({
+    'string.pattern.base': 'Start time must be in HH:mm format',
+    'any.required': 'Start time is required'
+  }),
+  endTime: Joi.string().pattern(timePattern).required().messages({
+    'string.pattern.base': 'End time must be in HH:mm format',
+    'any.required': 'End time is required'
+  }),
+  capacity: Joi.number().integer().min(1).required().messages({
+    'number.base': 'Capacity must be a valid number',
+    'number.min': 'Capacity must be at least 1',
+    'any.required': 'Capacity is required'
+  }),
+  daysOfWeek: Joi.array().items(Joi.number().integer().min(0).max(6)).unique().optional().messages({
+    'number.min': 'Days of week must be between 0 (Sunday) and 6 (Saturday)',
+    'number.max': 'Days of week must be between 0 (Sunday) and 6 (Saturday)'
+  }),
+  isActive: Joi.boolean().default(true)
+}).custom((value, helpers) => {
+  if (value.endTime <= value.startTime) {
+    return helpers.message('End time must be after start time');
+  }
+  return value;
+});
+
+const updateSlot = Joi.object({
+  label: Joi.string().max(50).optional().allow(''),
+  startTime: Joi.string().pattern(timePattern).optional().messages({
+    'string.pattern.base': 'Start time must be in HH:mm format'
+  }),
+  endTime: Joi.string().pattern(timePattern).optional().messages({
+    'string.pattern.base': 'End time must be in HH:mm format'
+  }),
+  capacity: Joi.number().integer().min(1).optional().messages({
+    'number.base': 'Capacity must be a valid number',
+    'number.min': 'Capacity must be at least 1'
+  }),
+  daysOfWeek: Joi.array().items(Joi.number().integer().min(0).max(6)).unique().optional(),
+  isActive: Joi.boolean().optional()
+}).min(1);
+
 module.exports = {
   createAgency,
-  updateAgency
+  updateAgency,
+  createSlot,
+  updateSlot,
+  updateOrderSettings
 };
 
 
@@ -0,0 +1,53 @@
+const Joi = require('joi');
+
+const recordHandover = Joi.object({
+  agentId: Joi.string().uuid().required().messages({
+    'string.guid': 'Agent ID must be a valid UUID',
+    'any.required': 'Agent ID is required'
+  }),
+  // Leave out to record all of the agent's cash
+  amount: Joi.number().positive().precision(2).optional().messages({
+    'number.base': 'Amount must be a number',
+    'number.positive': 'Amount must be greater than 0'
+  }),
+  note: Joi.string().max(500).optional().allow('', null).messages({
+    'string.max': 'Note cannot exceed 500 characters'
+  })
+});
+
+const disputeHandover = Joi.object({
+  reason: Joi.string().min(5).max(500).required().messages({
+    'string.min': 'Reason must be at least 5 characters',
+    'string.max': 'Reason cannot exceed 500 characters',
+    'any.required': 'Reason is required'
+  })
+});
+
+const adjustBalance = Joi.object({
+  amount: Joi.number().precision(2).invalid(0).required().messages({
+    'number.base': 'Amount must be a number',
+    'any.invalid': 'Amount cannot be 0',
+    'any.required': 'Amount is required'
+  }),
+  note: Joi.string().min(5).max(500).required().messages({
+    'string.min': 'Note must be at least 5 characters',
+    'string.max': 'Note cannot exceed 500 characters',
+    'any.required': 'Note is required'
+  })
+});
+
+const reconciliationQuery = Joi.object({
+  date: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).optional().messages({
+    'string.pattern.base': 'Date must be in YYYY-MM-DD format'
+  }),
+  agencyId: Joi.string().uuid().optional().messages({
+    'string.guid': 'Agency ID must be a valid UUID'
+  })
+});
+
+module.exports = {
+  recordHandover,
+  disputeHandover,
+  adjustBalance,
+  reconciliationQuery
+};
@@ -86,7 +86,28 @@ const updateStatus = Joi.object({
   status: Joi.string().valid('online', 'offline').required().messages({
     'any.only': 'Status must be either online or offline',
     'any.required': 'Status is required'
-  })
+  }),
+  // Optional current position, used by the nearest-agent dispatch strategy
+  latitude: Joi.number().min(-90).max(90).optional(),
+  longitude: Joi.number().min(-180).max(180).optional()
+}).and('latitude', 'longitude').messages({
+  'object.and': 'Latitude and longitude must be sent together'
+});
+
+// GPS ping streamed by an agent over the socket while out for delivery
+const locationPing = Joi.object({
+  latitude: Joi.number().min(-90).max(90).required().messages({
+    'number.base': 'Latitude must be a number',
+    'any.required': 'Latitude is required'
+  }),
+  longitude: Joi.number().min(-180).max(180).required().messages({
+    'number.base': 'Longitude must be a number',
+    'any.required': 'Longitude is required'
+  }),
+  accuracy: Joi.number().min(0).optional().allow(null),
+  heading: Joi.number().min(0).max(360).optional().allow(null),
+  speed: Joi.number().min(0).optional().allow(null),
+  recordedAt: Joi.date().iso().optional()
 });
 
 // Validation for comprehensive agent profile update (by agent themselves)
@@ -134,5 +155,6 @@ module.exports = {
   createDeliveryAgent,
   updateDeliveryAgent,
   updateStatus,
+  locationPing,
   updateAgentProfileComprehensive
 };
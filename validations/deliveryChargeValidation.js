@@ -1,4 +1,95 @@
 const Joi = require('joi');
+const { RULE_TYPES } = require('../utils/deliveryChargeRules');
+
+const timePattern = /^([01][0-9]|2[0-3]):[0-5][0-9]$/;
+
+// One entry of DeliveryCharge.rules; evaluated in order (see utils/deliveryChargeRules.js)
+const deliveryRule = Joi.object({
+  id: Joi.string().max(100).optional(),
+  type: Joi.string()
+    .valid(...RULE_TYPES)
+    .required()
+    .messages({
+      'any.only': 'Rule type must be distance_band, free_above_subtotal or surcharge',
+      'any.required': 'Rule type is required'
+    }),
+  label: Joi.string().max(100).optional().allow(''),
+  isActive: Joi.boolean().default(true),
+  minKm: Joi.number()
+    .min(0)
+    .when('type', { is: 'distance_band', then: Joi.required(), otherwise: Joi.forbidden() })
+    .messages({
+      'number.min': 'Band start must be at least 0 km',
+      'any.required': 'Distance bands need minKm'
+    }),
+  maxKm: Joi.number()
+    .greater(Joi.ref('minKm'))
+    .allow(null)
+    .when('type', { is: 'distance_band', then: Joi.optional(), otherwise: Joi.forbidden() })
+    .messages({
+      'number.greater': 'Band end (maxKm) must be greater than minKm'
+    }),
+  chargeType: Joi.string()
+    .valid('per_km', 'fixed')
+    .when('type', { is: 'distance_band', then: Joi.required(), otherwise: Joi.forbidden() })
+    .messages({
+      'any.only': 'Band charge type must be per_km or fixed',
+      'any.required': 'Distance bands need a chargeType'
+    }),
+  amount: Joi.number()
+    .min(0)
+    .when('type', { is: Joi.valid('distance_band', 'surcharge'), then: Joi.required(), otherwise: Joi.forbidden() })
+    .messages({
+      'number.min': 'Rule amount must be at least 0',
+      'any.required': 'Distance bands and surcharges need an amount'
+    }),
+  minSubtotal: Joi.number()
+    .min(0)
+    .when('type', { is: 'free_above_subtotal', then: Joi.required(), otherwise: Joi.forbidden() })
+    .messages({
+      'number.min': 'Minimum subtotal must be at least 0',
+      'any.required': 'Free delivery rules need minSubtotal'
+    }),
+  when: Joi.string()
+    .valid('express', 'time_window')
+    .when('type', { is: 'surcharge', then: Joi.required(), otherwise: Joi.forbidden() })
+    .messages({
+      'any.only': 'Surcharge must apply to express or time_window',
+      'any.required': 'Surcharges need "when" (express or time_window)'
+    }),
+  startTime: Joi.string()
+    .pattern(timePattern)
+    .when('when', { is: 'time_window', then: Joi.required(), otherwise: Joi.forbidden() })
+    .messages({
+      'string.pattern.base': 'Start time must be in HH:mm format',
+      'any.required': 'Time window surcharges need a start time'
+    }),
+  endTime: Joi.string()
+    .pattern(timePattern)
+    .invalid(Joi.ref('startTime'))
+    .when('when', { is: 'time_window', then: Joi.required(), otherwise: Joi.forbidden() })
+    .messages({
+      'string.pattern.base': 'End time must be in HH:mm format',
+      'any.invalid': 'End time must differ from start time',
+      'any.required': 'Time window surcharges need an end time'
+    }),
+  daysOfWeek: Joi.array()
+    .items(Joi.number().integer().min(0).max(6))
+    .unique()
+    .when('type', { is: 'surcharge', then: Joi.optional(), otherwise: Joi.forbidden() })
+    .messages({
+      'number.min': 'Days of week must be between 0 (Sunday) and 6 (Saturday)',
+      'number.max': 'Days of week must be between 0 (Sunday) and 6 (Saturday)'
+    })
+});
+
+const rules = Joi.array()
+  .items(deliveryRule)
+  .max(50)
+  .messages({
+    'array.base': 'Rules must be an array',
+    'array.max': 'An agency can have at most 50 delivery charge rules'
+  });
 
 const createDeliveryCharge = Joi.object({
   agencyId: Joi.string()
@@ -51,6 +142,7 @@ const createDeliveryCharge = Joi.object({
       'number.min': 'Delivery radius must be at least 1 km',
       'any.required': 'Delivery radius is required'
     }),
+  rules: rules.default([]),
   status: Joi.string()
     .valid('active', 'inactive')
     .default('active')
@@ -95,6 +187,7 @@ const updateDeliveryCharge = Joi.object({
       'number.base': 'Delivery radius must be a number',
       'number.min': 'Delivery radius must be at least 1 km'
     }),
+  rules,
   status: Joi.string()
     .valid('active', 'inactive')
     .messages({
@@ -126,6 +219,22 @@ const calculateCharge = Joi.object({
     .messages({
       'string.empty': 'Address ID is required',
       'any.required': 'Address ID is required'
+    }),
+  // Optional order context for free-delivery and surcharge rules
+  subtotal: Joi.number()
+    .min(0)
+    .optional()
+    .messages({
+      'number.base': 'Subtotal must be a number',
+      'number.min': 'Subtotal must be at least 0'
+    }),
+  slotId: Joi.string().max(100).optional(),
+  slotDate: Joi.string()
+    .pattern(/^\d{4}-\d{2}-\d{2}$/)
+    .when('slotId', { is: Joi.exist(), then: Joi.required(), otherwise: Joi.optional() })
+    .messages({
+      'string.pattern.base': 'Slot date must be in YYYY-MM-DD format',
+      'any.required': 'Slot date is required when a slot is selected'
     })
 });
 
@@ -0,0 +1,143 @@
+const Joi = require('joi');
+const { validateGeometry } = require('../utils/geoUtils');
+
+const geometry = Joi.object()
+  .unknown(true)
+  .custom((value, helpers) => {
+    const message = validateGeometry(value);
+    if (message) {
+      return helpers.message(message);
+    }
+    return value;
+  })
+  .messages({
+    'object.base': 'Zone geometry must be a GeoJSON object'
+  });
+
+const createDeliveryZone = Joi.object({
+  agencyId: Joi.string()
+    .uuid()
+    .required()
+    .messages({
+      'string.empty': 'Agency ID is required',
+      'string.guid': 'Invalid agency ID format',
+      'any.required': 'Agency ID is required'
+    }),
+  name: Joi.string()
+    .min(2)
+    .max(100)
+    .required()
+    .messages({
+      'string.min': 'Zone name must be at least 2 characters',
+      'string.max': 'Zone name cannot exceed 100 characters',
+      'any.required': 'Zone name is required'
+    }),
+  geometry: geometry.required().messages({
+    'any.required': 'Zone geometry is required'
+  }),
+  chargeType: Joi.string()
+    .valid('per_km', 'fixed')
+    .required()
+    .messages({
+      'any.only': 'Charge type must be per_km or fixed',
+      'any.required': 'Charge type is required'
+    }),
+  ratePerKm: Joi.number()
+    .min(0)
+    .when('chargeType', {
+      is: 'per_km',
+      then: Joi.required(),
+      otherwise: Joi.forbidden()
+    })
+    .messages({
+      'number.base': 'Rate per kilometer must be a number',
+      'number.min': 'Rate per kilometer must be at least 0',
+      'any.required': 'Rate per kilometer is required for per_km charge type',
+      'any.unknown': 'Rate per kilometer should not be provided for fixed charge type'
+    }),
+  fixedAmount: Joi.number()
+    .min(0)
+    .when('chargeType', {
+      is: 'fixed',
+      then: Joi.required(),
+      otherwise: Joi.forbidden()
+    })
+    .messages({
+      'number.base': 'Fixed amount must be a number',
+      'number.min': 'Fixed amount must be at least 0',
+      'any.required': 'Fixed amount is required for fixed charge type',
+      'any.unknown': 'Fixed amount should not be provided for per_km charge type'
+    }),
+  minOrderValue: Joi.number()
+    .min(0)
+    .default(0)
+    .messages({
+      'number.base': 'Minimum order value must be a number',
+      'number.min': 'Minimum order value must be at least 0'
+    }),
+  priority: Joi.number()
+    .integer()
+    .default(0)
+    .messages({
+      'number.base': 'Priority must be a number',
+      'number.integer': 'Priority must be a whole number'
+    }),
+  status: Joi.string()
+    .valid('active', 'inactive')
+    .default('active')
+    .messages({
+      'any.only': 'Status must be either active or inactive'
+    })
+});
+
+const updateDeliveryZone = Joi.object({
+  name: Joi.string()
+    .min(2)
+    .max(100)
+    .messages({
+      'string.min': 'Zone name must be at least 2 characters',
+      'string.max': 'Zone name cannot exceed 100 characters'
+    }),
+  geometry,
+  chargeType: Joi.string()
+    .valid('per_km', 'fixed')
+    .messages({
+      'any.only': 'Charge type must be per_km or fixed'
+    }),
+  ratePerKm: Joi.number()
+    .min(0)
+    .messages({
+      'number.base': 'Rate per kilometer must be a number',
+      'number.min': 'Rate per kilometer must be at least 0'
+    }),
+  fixedAmount: Joi.number()
+    .min(0)
+    .messages({
+      'number.base': 'Fixed amount must be a number',
+      'number.min': 'Fixed amount must be at least 0'
+    }),
+  minOrderValue: Joi.number()
+    .min(0)
+    .messages({
+      'number.base': 'Minimum order value must be a number',
+      'number.min': 'Minimum order value must be at least 0'
+    }),
+  priority: Joi.number()
+    .integer()
+    .messages({
+      'number.base': 'Priority must be a number',
+      'number.integer': 'Priority must be a whole number'
+    }),
+  status: Joi.string()
+    .valid('active', 'inactive')
+    .messages({
+      'any.only': 'Status must be either active or inactive'
+    })
+}).min(1).messages({
+  'object.min': 'At least one field is required for update'
+});
+
+module.exports = {
+  createDeliveryZone,
+  updateDeliveryZone
+};
@@ -1,4 +1,5 @@
 const Joi = require('joi');
+const { paymentMethod } = require('./paymentValidation');
 
 // Item schema for order items
 // Customer should only send basic product info - server will calculate tax and totals
@@ -55,11 +56,42 @@ const createOrder = Joi.object({
       'string.max': 'Address cannot exceed 500 characters'
     })
   }),
+  deliveryLatitude: Joi.number().min(-90).max(90).optional().allow(null).messages({
+    'number.base': 'Delivery latitude must be a number',
+    'number.min': 'Delivery latitude must be between -90 and 90',
+    'number.max': 'Delivery latitude must be between -90 and 90'
+  }),
+  deliveryLongitude: Joi.number().min(-180).max(180).optional().allow(null).messages({
+    'number.base': 'Delivery longitude must be a number',
+    'number.min': 'Delivery longitude must be between -180 and 180',
+    'number.max': 'Delivery longitude must be between -180 and 180'
+  }),
+  addressId: Joi.string().optional().messages({
+    'string.base': 'Address ID must be a string'
+  }),
   deliveryMode: Joi.string().valid('home_delivery', 'pickup').required().messages({
     'any.only': 'Delivery mode must be either home_delivery or pickup',
     'any.required': 'Delivery mode is required'
   }),
-  agencyId: Joi.string().uuid().required().messages({
+  // "Route my order": the server picks the agency (home delivery only)
+  routeOrder: Joi.boolean().default(false).when('deliveryMode', {
+    is: 'pickup',
+    then: Joi.valid(false)
+  }).messages({
+    'any.only': 'Order routing is only available for home delivery'
+  }),
+  // With routing on, split the cart across agencies when no single agency can fill it
+  splitOrder: Joi.boolean().default(false).when('routeOrder', {
+    is: false,
+    then: Joi.valid(false)
+  }).messages({
+    'any.only': 'Splitting an order is only available when the order is routed automatically'
+  }),
+  agencyId: Joi.string().uuid().when('routeOrder', {
+    is: true,
+    then: Joi.optional().allow(null, ''),
+    otherwise: Joi.required()
+  }).messages({
     'string.guid': 'Agency ID must be a valid UUID',
     'any.required': 'Agency ID is required'
   }),
@@ -68,12 +100,42 @@ const createOrder = Joi.object({
     'array.min': 'At least one item is required',
     'any.required': 'Items are required'
   }),
-  paymentMethod: Joi.string().min(1).required().messages({
-    'string.min': 'Payment method cannot be empty',
-    'any.required': 'Payment method is required'
-  }),
-  couponCode: Joi.string().optional().allow('', null).messages({
+  paymentMethod: paymentMethod.required(),
+  // Part of the total paid from the customer's wallet, the rest with paymentMethod ("wallet" pays everything)
+  walletAmount: Joi.number().min(0).precision(2).optional().messages({
+    'number.base': 'Wallet amount must be a number',
+    'number.min': 'Wallet amount cannot be negative'
+  }),
+  couponCode: Joi.string().optional().allow('', null).when('splitOrder', {
+    // Coupons belong to one agency
+    is: true,
+    then: Joi.valid(null, '')
+  }).messages({
+    'any.only': 'A coupon cannot be used when the order may be split across agencies',
     'string.base': 'Coupon code must be a string'
+  }),
+  // Scheduled slot; required for pickup, omit for "as soon as possible" home delivery
+  slotId: Joi.string().max(100).when('deliveryMode', {
+    is: 'pickup',
+    then: Joi.required(),
+    otherwise: Joi.optional().allow(null, '')
+  }).when('routeOrder', {
+    // Slots belong to an agency, so routed orders are delivered as soon as possible
+    is: true,
+    then: Joi.forbidden()
+  }).messages({
+    'any.unknown': 'A slot cannot be chosen when the order is routed automatically',
+    'string.base': 'Slot ID must be a string',
+    'string.empty': 'Please select a pickup slot',
+    'any.required': 'Please select a pickup slot'
+  }),
+  slotDate: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).when('slotId', {
+    is: Joi.string().min(1).required(),
+    then: Joi.required(),
+    otherwise: Joi.optional().allow(null, '')
+  }).messages({
+    'string.pattern.base': 'Slot date must be in YYYY-MM-DD format',
+    'any.required': 'Slot date is required when a slot is selected'
   })
 });
 
@@ -99,6 +161,16 @@ const assignAgent = Joi.object({
   })
 });
 
+// Agent decline validation
+const declineOrder = Joi.object({
+  reason: Joi.string().trim().min(3).max(500).required().messages({
+    'string.empty': 'Decline reason is required',
+    'string.min': 'Decline reason must be at least 3 characters',
+    'string.max': 'Decline reason cannot exceed 500 characters',
+    'any.required': 'Decline reason is required'
+  })
+});
+
 // Send OTP validation
 const sendOTP = Joi.object({
   orderId: Joi.string().uuid().required().messages({
@@ -122,6 +194,17 @@ const verifyOTP = Joi.object({
   }),
   paymentReceived: Joi.boolean().optional().messages({
     'boolean.base': 'Payment received must be a boolean value'
+  }),
+  // Empty cylinders handed back by the customer: a total count or per item
+  emptiesCollected: Joi.alternatives().try(
+    Joi.number().integer().min(0),
+    Joi.array().items(Joi.object({
+      productId: Joi.string().uuid().required(),
+      variantLabel: Joi.string().allow(null, '').optional(),
+      count: Joi.number().integer().min(0).required()
+    }))
+  ).optional().messages({
+    'alternatives.types': 'Empties collected must be a whole number or a list of productId, variantLabel and count entries'
   })
 });
 
@@ -161,6 +244,7 @@ module.exports = {
   createOrder,
   updateOrderStatus,
   assignAgent,
+  declineOrder,
   sendOTP,
   verifyOTP,
   cancelOrder,
@@ -0,0 +1,48 @@
+const Joi = require('joi');
+const paymentGatewayService = require('../services/paymentGatewayService');
+
+// A payment method enabled on the platform; aliases such as "cash" become "cod". Whether the agency
+// accepts it is checked once the agency is known.
+const paymentMethod = Joi.string().trim().min(1).custom((value, helpers) => {
+  const method = paymentGatewayService.normalizeMethod(value);
+  if (!paymentGatewayService.isEnabled(method)) {
+    return helpers.error('paymentMethod.unavailable', { methods: paymentGatewayService.getEnabledMethods().join(', ') });
+  }
+  return method;
+}).messages({
+  'string.empty': 'Payment method cannot be empty',
+  'string.min': 'Payment method cannot be empty',
+  'paymentMethod.unavailable': 'Payment method must be one of {{#methods}}',
+  'any.required': 'Payment method is required'
+});
+
+const initiatePayment = Joi.object({
+  orderId: Joi.string().uuid().optional().messages({
+    'string.guid': 'Order ID must be a valid UUID'
+  }),
+  checkoutId: Joi.string().uuid().optional().messages({
+    'string.guid': 'Checkout ID must be a valid UUID'
+  }),
+  paymentMethod: paymentMethod.optional(),
+  phone: Joi.string().max(20).optional().allow('', null).messages({
+    'string.max': 'Phone number cannot exceed 20 characters'
+  }),
+  countryCode: Joi.string().length(2).optional().messages({
+    'string.length': 'Country code must be 2 letters'
+  })
+}).xor('orderId', 'checkoutId').messages({
+  'object.missing': 'Order ID or checkout ID is required',
+  'object.xor': 'Send either an order ID or a checkout ID, not both'
+});
+
+const methodsQuery = Joi.object({
+  agencyId: Joi.string().uuid().optional().messages({
+    'string.guid': 'Agency ID must be a valid UUID'
+  })
+});
+
+module.exports = {
+  paymentMethod,
+  initiatePayment,
+  methodsQuery
+};
@@ -14,7 +14,10 @@ const variantSchema = Joi.object({
   ).optional(),
   unit: Joi.string().min(1).max(20).optional(),
   price: Joi.number().positive().precision(2).required(),
-  stock: Joi.number().integer().min(0).default(0)
+  stock: Joi.number().integer().min(0).default(0),
+  type: Joi.string().valid('refill', 'new_connection').optional(),
+  depositAmount: Joi.number().min(0).precision(2).optional(),
+  emptyStock: Joi.number().integer().min(0).optional()
 }).custom((value, helpers) => {
   // Ensure either label or value is provided
   if (!value.label && !value.value) {
@@ -72,6 +75,13 @@ const createProduct = Joi.object({
   status: Joi.string().valid('active', 'inactive').default('active').messages({
     'any.only': 'Status must be either active or inactive'
   }),
+  productType: Joi.string().valid('refill', 'new_connection').default('refill').messages({
+    'any.only': 'Product type must be either refill or new_connection'
+  }),
+  depositAmount: Joi.number().min(0).precision(2).default(0).messages({
+    'number.base': 'Deposit amount must be a valid number',
+    'number.min': 'Deposit amount cannot be negative'
+  }),
   variants: Joi.array().items(variantSchema).min(1).required().messages({
     'array.base': 'Variants must be an array',
     'array.min': 'At least one variant is required'
@@ -116,6 +126,13 @@ const updateProduct = Joi.object({
   status: Joi.string().valid('active', 'inactive').optional().messages({
     'any.only': 'Status must be either active or inactive'
   }),
+  productType: Joi.string().valid('refill', 'new_connection').optional().messages({
+    'any.only': 'Product type must be either refill or new_connection'
+  }),
+  depositAmount: Joi.number().min(0).precision(2).optional().messages({
+    'number.base': 'Deposit amount must be a valid number',
+    'number.min': 'Deposit amount cannot be negative'
+  }),
   variants: Joi.array().items(variantSchema).min(1).optional(),
   images: Joi.array().items(Joi.string().min(1)).optional(),
   imagesToDelete: Joi.array().items(Joi.string().min(1)).optional(),
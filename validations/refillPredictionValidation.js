@@ -0,0 +1,12 @@
+const Joi = require('joi');
+
+const updateReminderPreferences = Joi.object({
+  enabled: Joi.boolean().required().messages({
+    'boolean.base': 'Enabled must be true or false',
+    'any.required': 'Enabled is required'
+  })
+});
+
+module.exports = {
+  updateReminderPreferences
+};
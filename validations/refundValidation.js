@@ -0,0 +1,42 @@
+const Joi = require('joi');
+
+const createRefund = Joi.object({
+  orderId: Joi.string().uuid().required().messages({
+    'string.guid': 'Order ID must be a valid UUID',
+    'any.required': 'Order ID is required'
+  }),
+  // Leave out to refund everything still refundable
+  amount: Joi.number().positive().precision(2).optional().messages({
+    'number.base': 'Amount must be a number',
+    'number.positive': 'Amount must be greater than 0'
+  }),
+  reason: Joi.string().min(5).max(500).required().messages({
+    'string.min': 'Refund reason must be at least 5 characters',
+    'string.max': 'Refund reason cannot exceed 500 characters',
+    'any.required': 'Refund reason is required'
+  }),
+  // Leave out to refund the way the order was paid; provider methods refund through the provider that took the payment
+  method: Joi.string().valid('pesapal', 'mobile_money', 'fake', 'manual', 'wallet').optional().messages({
+    'any.only': 'Refund method must be pesapal, mobile_money, fake, manual or wallet'
+  })
+});
+
+const completeRefund = Joi.object({
+  reference: Joi.string().max(100).optional().allow('', null).messages({
+    'string.max': 'Reference cannot exceed 100 characters'
+  })
+});
+
+const failRefund = Joi.object({
+  reason: Joi.string().min(5).max(500).required().messages({
+    'string.min': 'Reason must be at least 5 characters',
+    'string.max': 'Reason cannot exceed 500 characters',
+    'any.required': 'Reason is required'
+  })
+});
+
+module.exports = {
+  createRefund,
+  completeRefund,
+  failRefund
+};
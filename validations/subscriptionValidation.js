@@ -0,0 +1,108 @@
+const Joi = require('joi');
+const { paymentMethod } = require('./paymentValidation');
+
+const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+
+const intervalDays = Joi.number()
+  .integer()
+  .min(7)
+  .max(120)
+  .messages({
+    'number.base': 'Interval must be a number of days',
+    'number.integer': 'Interval must be a whole number of days',
+    'number.min': 'Interval must be at least 7 days',
+    'number.max': 'Interval cannot exceed 120 days'
+  });
+
+const reminderDaysBefore = Joi.number()
+  .integer()
+  .min(0)
+  .max(7)
+  .messages({
+    'number.base': 'Reminder days must be a number',
+    'number.min': 'Reminder days cannot be negative',
+    'number.max': 'Reminder cannot be sent more than 7 days before the refill'
+  });
+
+const quantity = Joi.number()
+  .integer()
+  .min(1)
+  .max(10)
+  .messages({
+    'number.base': 'Quantity must be a valid number',
+    'number.integer': 'Quantity must be a whole number',
+    'number.min': 'Quantity must be at least 1',
+    'number.max': 'Quantity cannot exceed 10'
+  });
+
+const futureDate = (label) => Joi.string()
+  .pattern(datePattern)
+  .messages({
+    'string.pattern.base': `${label} must be in YYYY-MM-DD format`
+  });
+
+const createSubscription = Joi.object({
+  agencyId: Joi.string()
+    .uuid()
+    .required()
+    .messages({
+      'string.guid': 'Agency ID must be a valid UUID',
+      'any.required': 'Agency ID is required'
+    }),
+  productId: Joi.string()
+    .uuid()
+    .required()
+    .messages({
+      'string.guid': 'Product ID must be a valid UUID',
+      'any.required': 'Product ID is required'
+    }),
+  variantLabel: Joi.string()
+    .min(1)
+    .max(50)
+    .required()
+    .messages({
+      'string.max': 'Variant label cannot exceed 50 characters',
+      'any.required': 'Variant label is required'
+    }),
+  quantity: quantity.default(1),
+  addressId: Joi.string()
+    .required()
+    .messages({
+      'any.required': 'Delivery address is required'
+    }),
+  intervalDays: intervalDays.required().messages({
+    'any.required': 'Refill interval is required'
+  }),
+  startDate: futureDate('Start date').optional(),
+  reminderDaysBefore: reminderDaysBefore.default(1),
+  paymentMethod: paymentMethod.required()
+});
+
+const updateSubscription = Joi.object({
+  quantity: quantity.optional(),
+  addressId: Joi.string().optional(),
+  intervalDays: intervalDays.optional(),
+  reminderDaysBefore: reminderDaysBefore.optional(),
+  paymentMethod: paymentMethod.optional()
+}).min(1).messages({
+  'object.min': 'At least one field must be provided for update'
+});
+
+const pauseSubscription = Joi.object({
+  // Omit to pause until the customer resumes
+  until: futureDate('Pause end date').optional().allow(null)
+});
+
+const rescheduleSubscription = Joi.object({
+  nextRunDate: futureDate('Next refill date').required().messages({
+    'any.required': 'Next refill date is required'
+  }),
+  intervalDays: intervalDays.optional()
+});
+
+module.exports = {
+  createSubscription,
+  updateSubscription,
+  pauseSubscription,
+  rescheduleSubscription
+};
@@ -0,0 +1,49 @@
+const Joi = require('joi');
+
+const createTopUp = Joi.object({
+  amount: Joi.number().min(1).max(1000000).precision(2).required().messages({
+    'number.base': 'Amount must be a number',
+    'number.min': 'Top-up amount must be at least 1',
+    'number.max': 'Top-up amount cannot exceed 1000000',
+    'any.required': 'Amount is required'
+  }),
+  countryCode: Joi.string().length(2).optional().messages({
+    'string.length': 'Country code must be 2 letters'
+  }),
+  phone: Joi.string().max(20).optional().allow('', null).messages({
+    'string.max': 'Phone number cannot exceed 20 characters'
+  })
+});
+
+const adjustBalance = Joi.object({
+  amount: Joi.number().precision(2).invalid(0).required().messages({
+    'number.base': 'Amount must be a number',
+    'any.invalid': 'Amount cannot be 0',
+    'any.required': 'Amount is required'
+  }),
+  note: Joi.string().min(5).max(500).required().messages({
+    'string.min': 'Note must be at least 5 characters',
+    'string.max': 'Note cannot exceed 500 characters',
+    'any.required': 'Note is required'
+  })
+});
+
+const statementQuery = Joi.object({
+  from: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).optional().messages({
+    'string.pattern.base': 'From date must be in YYYY-MM-DD format'
+  }),
+  to: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).optional().messages({
+    'string.pattern.base': 'To date must be in YYYY-MM-DD format'
+  }),
+  type: Joi.string().valid('top_up', 'refund', 'adjustment', 'order_payment', 'order_payment_reversal').optional().messages({
+    'any.only': 'Type must be one of top_up, refund, adjustment, order_payment, order_payment_reversal'
+  }),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+module.exports = {
+  createTopUp,
+  adjustBalance,
+  statementQuery
+};